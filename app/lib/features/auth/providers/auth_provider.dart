@@ -226,9 +226,11 @@ class AuthNotifier {
       if (response.statusCode == 200) {
         final data = json.decode(response.body);
         final accessToken = data['accessToken'];
-        
-        await HiveService.saveAuthTokens(accessToken, refreshToken);
-        
+        // Refresh tokens rotate: the old one is rejected from now on
+        final rotatedRefreshToken = data['refreshToken'] ?? refreshToken;
+
+        await HiveService.saveAuthTokens(accessToken, rotatedRefreshToken);
+
         _setState(_state.copyWith(accessToken: accessToken));
         return true;
       } else {
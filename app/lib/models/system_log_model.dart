@@ -151,6 +151,16 @@ class SystemLogModel {
         return 'Reset Single Pass';
       case 'reset_daily_passes':
         return 'Reset Daily Passes';
+      case 'change_pass_category':
+        return 'Change Pass Category';
+      case 'two_factor_enrolled':
+        return 'Two-Factor Enrolled';
+      case 'two_factor_disabled':
+        return 'Two-Factor Disabled';
+      case 'two_factor_success':
+        return 'Two-Factor Verified';
+      case 'two_factor_failed':
+        return 'Two-Factor Failed';
       case 'create_category':
         return 'Create Category';
       case 'update_category':
@@ -111,6 +111,10 @@ const createDailyLogTable = async (date) => {
       offline_sync BOOLEAN NOT NULL DEFAULT FALSE COMMENT 'Whether this was synced from offline logs' BOOLEAN DEFAULT FALSE,
       category VARCHAR(100) NULL COMMENT 'Pass category from passes table',
       pass_type VARCHAR(100) NULL COMMENT 'Pass type from passes table',
+      direction ENUM('entry','exit') NULL COMMENT 'Scan direction reported by the device',
+      zone_id INT NULL COMMENT 'Zone of the checkpoint where the scan happened',
+      checkpoint_id INT NULL COMMENT 'Checkpoint where the scan happened',
+      device_id BIGINT NULL COMMENT 'Enrolled device that made the scan',
       INDEX idx_uid (uid),
       INDEX idx_scanned_at (scanned_at),
       INDEX idx_result (result),
@@ -1,10 +1,14 @@
 const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key';
 const JWT_EXPIRY = process.env.JWT_EXPIRY || '8h';
 const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'your-super-secret-refresh-key';
 const JWT_REFRESH_EXPIRY = process.env.JWT_REFRESH_EXPIRY || '7d';
+const DEVICE_TOKEN_SECRET = process.env.DEVICE_TOKEN_SECRET || JWT_SECRET;
+const DEVICE_TOKEN_EXPIRY = process.env.DEVICE_TOKEN_EXPIRY || '365d';
+const TWO_FACTOR_CHALLENGE_EXPIRY = process.env.TWO_FACTOR_CHALLENGE_EXPIRY || '5m';
 
 class JWTService {
   static generateAccessToken(payload) {
@@ -57,6 +61,58 @@ class JWTService {
     }
   }
 
+  // Long-lived credential of an enrolled scanner device (not accepted as an access token)
+  static generateDeviceToken(payload) {
+    try {
+      return jwt.sign(payload, DEVICE_TOKEN_SECRET, {
+        expiresIn: DEVICE_TOKEN_EXPIRY,
+        issuer: 'nfc-pass-system',
+        audience: 'nfc-pass-devices'
+      });
+    } catch (error) {
+      logger.error('Error generating device token:', error);
+      throw error;
+    }
+  }
+
+  static verifyDeviceToken(token) {
+    try {
+      return jwt.verify(token, DEVICE_TOKEN_SECRET, {
+        issuer: 'nfc-pass-system',
+        audience: 'nfc-pass-devices'
+      });
+    } catch (error) {
+      logger.error('Error verifying device token:', error);
+      throw error;
+    }
+  }
+
+  // Short-lived token between the password step and the two-factor step of a login
+  static generateChallengeToken(payload) {
+    try {
+      return jwt.sign(payload, JWT_SECRET, {
+        expiresIn: TWO_FACTOR_CHALLENGE_EXPIRY,
+        issuer: 'nfc-pass-system',
+        audience: 'nfc-pass-2fa'
+      });
+    } catch (error) {
+      logger.error('Error generating challenge token:', error);
+      throw error;
+    }
+  }
+
+  static verifyChallengeToken(token) {
+    try {
+      return jwt.verify(token, JWT_SECRET, {
+        issuer: 'nfc-pass-system',
+        audience: 'nfc-pass-2fa'
+      });
+    } catch (error) {
+      logger.error('Error verifying challenge token:', error);
+      throw error;
+    }
+  }
+
   static decodeToken(token) {
     try {
       return jwt.decode(token, { complete: true });
@@ -66,17 +122,32 @@ class JWTService {
     }
   }
 
-  static generateTokenPair(user) {
+  /**
+   * @param {Object} user - Logged in user
+   * @param {Object|null} device - Enrolled device the tokens are bound to
+   * @param {string|null} sessionId - Server-side session the tokens belong to
+   */
+  static generateTokenPair(user, device = null, sessionId = null) {
     try {
+      const deviceClaims = device ? { deviceId: device.id, deviceTokenVersion: device.token_version } : {};
+      const sessionClaims = sessionId ? { sid: sessionId } : {};
       const payload = {
         userId: user.id,
         username: user.username,
         role: user.role,
-        status: user.status
+        status: user.status,
+        ...deviceClaims,
+        ...sessionClaims
       };
 
       const accessToken = this.generateAccessToken(payload);
-      const refreshToken = this.generateRefreshToken({ userId: user.id });
+      // jti makes every rotated refresh token distinct, even within the same second
+      const refreshToken = this.generateRefreshToken({
+        userId: user.id,
+        ...deviceClaims,
+        ...sessionClaims,
+        jti: uuidv4()
+      });
 
       return {
         accessToken,
@@ -0,0 +1,118 @@
+/**
+ * Permission catalog. Permissions are defined in code, where they are checked;
+ * roles are stored in the database and grant any subset of them.
+ */
+
+// Grants every permission, including ones added in later releases
+const ALL_PERMISSIONS = '*';
+
+const PERMISSIONS = {
+  // Passes
+  'pass.read': 'View passes, pass statistics, payloads and timelines',
+  'pass.lookup': 'Search passes and view pass holders (door lookups)',
+  'pass.holder_details': 'See the full holder profile (phone, email, ID digits, notes) instead of name and photo',
+  'pass.create': 'Create passes, one at a time or in bulk',
+  'pass.update': 'Change pass categories and edit pass holders',
+  'pass.replace': 'Replace the card of a lost pass',
+  'pass.delete': 'Delete passes',
+  'pass.block': 'Block and unblock passes',
+  'pass.reset': 'Reset single passes and pass groups',
+  'pass.reset_all': 'Reset all passes and run the daily reset',
+  'pass_groups.read': 'View pass groups',
+  'pass_groups.manage': 'Create, edit, block and delete pass groups',
+  'templates.read': 'View pass templates',
+  'templates.manage': 'Create, edit and delete pass templates',
+
+  // Verification
+  'verify.scan': 'Verify passes at a checkpoint',
+  'verify.sync': 'Download offline pass bundles and sync offline scans',
+  'verify.override': 'Override anti-passback when verifying',
+  'verify.any_user': 'Verify and sync scans on behalf of other users',
+  'verify.any_scope': 'Verify any category at any checkpoint (otherwise limited to the assigned category and checkpoint)',
+  'verify.inspect': 'Explain verification decisions and view verifier health',
+
+  // Users and access
+  'users.manage': 'Create, edit, block, unlock and delete users',
+  'users.security': 'Manage sessions and two-factor authentication of other users',
+  'roles.manage': 'Create and edit roles and their permissions',
+
+  // Logs and monitoring
+  'logs.read': 'View system logs (limited to the assigned category without logs.read_all)',
+  'logs.read_all': 'View all system logs and log statistics',
+  'audit.read': 'View audit, daily scan and combined logs',
+  'stats.read': 'View dashboard, verification and usage statistics',
+  'occupancy.read': 'View live occupancy',
+  'occupancy.reset': 'Reset occupancy counters',
+  'alerts.read': 'View fraud alerts',
+  'alerts.manage': 'Review and close fraud alerts',
+  'sync.manage': 'Import scan logs and resolve offline sync conflicts',
+
+  // Configuration
+  'settings.read': 'View system settings',
+  'settings.write': 'Change system settings',
+  'categories.manage': 'Create and edit categories and their schedules',
+  'zones.manage': 'Create and edit zones and checkpoints',
+  'policies.read': 'View verification policies',
+  'policies.manage': 'Create, edit and delete verification policies',
+  'devices.manage': 'Register, enroll and disable scanner devices',
+  'signing_keys.manage': 'Rotate and revoke pass signing keys',
+  'system.maintenance': 'Cache tools, usage repair, pass expiry and system information'
+};
+
+const BOUNCER_PERMISSIONS = [
+  'pass.lookup',
+  'verify.scan',
+  'verify.sync',
+  'logs.read'
+];
+
+const MANAGER_PERMISSIONS = [
+  ...BOUNCER_PERMISSIONS,
+  'pass.read',
+  'pass.holder_details',
+  'pass.create',
+  'pass.update',
+  'pass.replace',
+  'pass.delete',
+  'pass.reset',
+  'pass_groups.read',
+  'templates.read',
+  'verify.override',
+  'verify.any_user',
+  'verify.any_scope',
+  'verify.inspect',
+  'users.manage',
+  'logs.read_all',
+  'stats.read',
+  'occupancy.read',
+  'alerts.read',
+  'alerts.manage',
+  'sync.manage',
+  'settings.read',
+  'policies.read'
+];
+
+// Built-in roles: what the former fixed admin/manager/bouncer roles could do
+const DEFAULT_ROLES = {
+  admin: {
+    description: 'Full access to every feature',
+    permissions: [ALL_PERMISSIONS]
+  },
+  manager: {
+    description: 'Runs the event: passes, users, monitoring and alerts',
+    permissions: MANAGER_PERMISSIONS
+  },
+  bouncer: {
+    description: 'Verifies passes at the door',
+    permissions: BOUNCER_PERMISSIONS
+  }
+};
+
+const isKnownPermission = (permission) => Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+module.exports = {
+  ALL_PERMISSIONS,
+  PERMISSIONS,
+  DEFAULT_ROLES,
+  isKnownPermission
+};
@@ -1,15 +1,25 @@
 const express = require('express');
-const { authenticateToken, adminOnly, adminOrManager, auditLog } = require('../utils/auth.middleware');
+const { authenticateToken, requirePermission, auditLog } = require('../utils/auth.middleware');
 const {
   dailyResetValidation,
   statsQueryValidation,
   handleValidationErrors,
-  getCurrentDate
+  getCurrentDate,
+  getCurrentDateTime,
+  getPaginationParams
 } = require('../utils/validators');
 const PassModel = require('../models/pass.model');
 const SettingsModel = require('../models/settings.model');
 const redisService = require('../services/redis.service');
 const verifyService = require('../services/verify.service');
+const occupancyService = require('../services/occupancy.service');
+const signingService = require('../services/signing.service');
+const SigningKeysModel = require('../models/signing-keys.model');
+const OfflineSyncModel = require('../models/offline-sync.model');
+const FraudAlertsModel = require('../models/fraud-alerts.model');
+const fraudService = require('../services/fraud.service');
+const usageService = require('../services/usage.service');
+const validityService = require('../services/validity.service');
 const { executeQuery, getDailyLogTableName, tableExists } = require('../config/db');
 const logger = require('../utils/logger');
 const LoggingService = require('../services/logging.service');
@@ -19,7 +29,7 @@ const router = express.Router();
 // POST /api/admin/reset-daily
 router.post('/reset-daily',
   authenticateToken,
-  adminOnly, // Only admin can perform daily reset
+  requirePermission('pass.reset_all'),
   dailyResetValidation,
   handleValidationErrors,
   auditLog('DAILY_RESET'),
@@ -41,8 +51,16 @@ router.post('/reset-daily',
       
       logger.info(`Starting daily reset for date: ${resetDate} by ${req.user.username}`);
       
+      // Write uses still queued by the fast path so the reset does not lose them afterwards
+      try {
+        await usageService.flush();
+      } catch (flushError) {
+        logger.warn('Could not flush queued uses before daily reset:', flushError.message);
+      }
+      
       // Perform daily reset
-      const resetCount = await PassModel.resetDailyPasses();
+      const { reset_count: resetCount, uids } = await PassModel.resetDailyPasses(req.user);
+      await redisService.clearPassLastUsed(uids);
       
       // Log daily reset
       await LoggingService.logDailyReset({
@@ -105,12 +123,12 @@ router.post('/reset-daily',
 // GET /api/admin/stats
 router.get('/stats',
   authenticateToken,
-  adminOrManager,
+  requirePermission('stats.read'),
   statsQueryValidation,
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { from, to, category } = req.query;
+      const { from, to, category, zone_id } = req.query;
       
       if (!from || !to) {
         return res.status(400).json({
@@ -142,6 +160,7 @@ router.get('/stats',
         },
         byDate: {},
         byCategory: {},
+        byZone: {},
         byHour: {},
         byResult: {
           valid: 0,
@@ -158,7 +177,7 @@ router.get('/stats',
         
         if (exists) {
           // Base query with optional filters
-          let baseQuery = `FROM ${tableName} l LEFT JOIN passes p ON l.pass_id = p.id WHERE 1=1`;
+          let baseQuery = `FROM ${tableName} l LEFT JOIN passes p ON l.pass_id = p.id LEFT JOIN zones z ON l.zone_id = z.id WHERE 1=1`;
           const params = [];
           
           if (category) {
@@ -166,6 +185,11 @@ router.get('/stats',
             params.push(category);
           }
           
+          if (zone_id) {
+            baseQuery += ' AND l.zone_id = ?';
+            params.push(zone_id);
+          }
+          
           // Get daily statistics
           const queries = [
             // Total by result
@@ -175,10 +199,13 @@ router.get('/stats',
             `SELECT p.category, l.result, COUNT(*) as count ${baseQuery} AND p.category IS NOT NULL GROUP BY p.category, l.result`,
             
             // By hour
-            `SELECT HOUR(l.created_at) as hour, l.result, COUNT(*) as count ${baseQuery} GROUP BY HOUR(l.created_at), l.result`
+            `SELECT HOUR(l.created_at) as hour, l.result, COUNT(*) as count ${baseQuery} GROUP BY HOUR(l.created_at), l.result`,
+            
+            // By zone (scans made at a checkpoint)
+            `SELECT l.zone_id, z.name as zone_name, l.result, COUNT(*) as count ${baseQuery} AND l.zone_id IS NOT NULL GROUP BY l.zone_id, z.name, l.result`
           ];
           
-          const [resultData, categoryData, hourData] = await Promise.all(
+          const [resultData, categoryData, hourData, zoneData] = await Promise.all(
             queries.map(query => executeQuery(query, params))
           );
           
@@ -214,6 +241,23 @@ router.get('/stats',
             stats.byCategory[row.category][row.result] += row.count;
           });
           
+          // Process zone data
+          zoneData.forEach(row => {
+            const zoneKey = row.zone_name || `zone_${row.zone_id}`;
+            if (!stats.byZone[zoneKey]) {
+              stats.byZone[zoneKey] = {
+                zone_id: row.zone_id,
+                total: 0,
+                valid: 0,
+                invalid: 0,
+                blocked: 0,
+                duplicate: 0
+              };
+            }
+            stats.byZone[zoneKey].total += row.count;
+            stats.byZone[zoneKey][row.result] = (stats.byZone[zoneKey][row.result] || 0) + row.count;
+          });
+          
           // Process hour data
           hourData.forEach(row => {
             const hourKey = `${row.hour.toString().padStart(2, '0')}:00`;
@@ -257,7 +301,8 @@ router.get('/stats',
         message: 'Statistics retrieved successfully',
         stats,
         filters: {
-          category
+          category,
+          zone_id
         },
         generatedAt: new Date().toISOString()
       });
@@ -277,7 +322,7 @@ router.get('/stats',
 // GET /api/admin/cache-debug/:uid
 router.get('/cache-debug/:uid',
   authenticateToken,
-  adminOnly,
+  requirePermission('system.maintenance'),
   async (req, res) => {
     try {
       const { uid } = req.params;
@@ -331,7 +376,7 @@ router.get('/cache-debug/:uid',
 // GET /api/admin/cache-debug - General cache debug information
 router.get('/cache-debug',
   authenticateToken,
-  adminOnly,
+  requirePermission('system.maintenance'),
   async (req, res) => {
     try {
       // Get Redis connection info
@@ -419,7 +464,7 @@ router.get('/cache-debug',
 // GET /api/admin/cache-stats
 router.get('/cache-stats',
   authenticateToken,
-  adminOnly,
+  requirePermission('system.maintenance'),
   async (req, res) => {
     try {
       const cacheStats = await redisService.getCacheStats();
@@ -449,7 +494,7 @@ router.get('/cache-stats',
 // POST /api/admin/clear-cache (clear all cache)
 router.post('/clear-cache',
   authenticateToken,
-  adminOnly,
+  requirePermission('system.maintenance'),
   auditLog('CLEAR_ALL_CACHE'),
   async (req, res) => {
     try {
@@ -476,7 +521,7 @@ router.post('/clear-cache',
 // POST /api/admin/clear-cache/:uid
 router.post('/clear-cache/:uid',
   authenticateToken,
-  adminOnly,
+  requirePermission('system.maintenance'),
   async (req, res) => {
     try {
       const { uid } = req.params;
@@ -504,10 +549,155 @@ router.post('/clear-cache/:uid',
   }
 );
 
+// GET /api/admin/occupancy
+router.get('/occupancy',
+  authenticateToken,
+  requirePermission('occupancy.read'),
+  async (req, res) => {
+    try {
+      const occupancy = await occupancyService.getSnapshot();
+      
+      res.status(200).json({
+        message: 'Occupancy retrieved successfully',
+        occupancy,
+        timestamp: getCurrentDateTime()
+      });
+      
+    } catch (error) {
+      logger.error('Get occupancy error:', error);
+      res.status(500).json({
+        error: 'Failed to get occupancy',
+        code: 'OCCUPANCY_ERROR',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// POST /api/admin/occupancy/reset (e.g. after the venue has been cleared)
+router.post('/occupancy/reset',
+  authenticateToken,
+  requirePermission('occupancy.reset'),
+  auditLog('RESET_OCCUPANCY'),
+  async (req, res) => {
+    try {
+      await occupancyService.reset();
+      
+      logger.info(`Occupancy counters reset by ${req.user.role} ${req.user.username}`);
+      
+      res.status(200).json({
+        message: 'Occupancy counters reset successfully'
+      });
+      
+    } catch (error) {
+      logger.error('Reset occupancy error:', error);
+      res.status(500).json({
+        error: 'Failed to reset occupancy',
+        code: 'OCCUPANCY_RESET_ERROR',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// GET /api/admin/signing-keys (secrets are never returned)
+router.get('/signing-keys',
+  authenticateToken,
+  requirePermission('signing_keys.manage'),
+  async (req, res) => {
+    try {
+      const keys = await SigningKeysModel.findAll();
+      
+      res.status(200).json({
+        message: 'Signing keys retrieved successfully',
+        keys
+      });
+      
+    } catch (error) {
+      logger.error('Get signing keys error:', error);
+      res.status(500).json({
+        error: 'Failed to get signing keys',
+        code: 'SIGNING_KEYS_ERROR',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// POST /api/admin/signing-keys/rotate (new active key; previous key keeps verifying until revoked)
+router.post('/signing-keys/rotate',
+  authenticateToken,
+  requirePermission('signing_keys.manage'),
+  auditLog('ROTATE_SIGNING_KEY'),
+  async (req, res) => {
+    try {
+      const algorithm = req.body.algorithm || signingService.DEFAULT_ALGORITHM;
+      
+      if (!SigningKeysModel.ALGORITHMS.includes(algorithm)) {
+        return res.status(400).json({
+          error: `Algorithm must be one of: ${SigningKeysModel.ALGORITHMS.join(', ')}`,
+          code: 'INVALID_ALGORITHM'
+        });
+      }
+      
+      const key = await signingService.rotateKey(algorithm, req.user.id);
+      
+      logger.info(`Signing key rotated by ${req.user.role} ${req.user.username}: ${key.kid}`);
+      
+      res.status(201).json({
+        message: 'Signing key rotated successfully',
+        key
+      });
+      
+    } catch (error) {
+      logger.error('Rotate signing key error:', error);
+      res.status(500).json({
+        error: 'Failed to rotate signing key',
+        code: 'SIGNING_KEY_ROTATE_ERROR',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// POST /api/admin/signing-keys/:kid/revoke (payloads signed with the key stop verifying)
+router.post('/signing-keys/:kid/revoke',
+  authenticateToken,
+  requirePermission('signing_keys.manage'),
+  auditLog('REVOKE_SIGNING_KEY'),
+  async (req, res) => {
+    try {
+      const key = await signingService.revokeKey(req.params.kid);
+      
+      if (!key) {
+        return res.status(404).json({
+          error: 'Signing key not found',
+          code: 'SIGNING_KEY_NOT_FOUND'
+        });
+      }
+      
+      logger.info(`Signing key revoked by ${req.user.role} ${req.user.username}: ${key.kid}`);
+      
+      res.status(200).json({
+        message: 'Signing key revoked successfully',
+        key
+      });
+      
+    } catch (error) {
+      logger.error('Revoke signing key error:', error);
+      res.status(500).json({
+        error: 'Failed to revoke signing key',
+        code: 'SIGNING_KEY_REVOKE_ERROR',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
 // GET /api/admin/system-info
 router.get('/system-info',
   authenticateToken,
-  adminOnly,
+  requirePermission('system.maintenance'),
   async (req, res) => {
     try {
       // Get system information
@@ -560,7 +750,7 @@ router.get('/system-info',
 // POST /api/admin/rebuild-cache
 router.post('/rebuild-cache',
   authenticateToken,
-  adminOnly,
+  requirePermission('system.maintenance'),
   auditLog('REBUILD_CACHE'),
   async (req, res) => {
     try {
@@ -602,7 +792,7 @@ router.post('/rebuild-cache',
 // GET /api/admin/settings
 router.get('/settings',
   authenticateToken,
-  adminOrManager,
+  requirePermission('settings.read'),
   async (req, res) => {
     try {
       const settings = await SettingsModel.getAll();
@@ -631,7 +821,7 @@ router.get('/settings',
 // POST /api/admin/sync-logs
 router.post('/sync-logs',
   authenticateToken,
-  adminOrManager,
+  requirePermission('sync.manage'),
   auditLog('SYNC_LOGS'),
   async (req, res) => {
     const startTime = Date.now();
@@ -741,10 +931,311 @@ router.post('/sync-logs',
   }
 );
 
+// GET /api/admin/sync-conflicts (offline scans the server would not have allowed)
+router.get('/sync-conflicts',
+  authenticateToken,
+  requirePermission('sync.manage'),
+  async (req, res) => {
+    try {
+      const { status, conflict_type, uid } = req.query;
+      const pagination = getPaginationParams(req);
+      
+      if (conflict_type && !OfflineSyncModel.CONFLICT_TYPES.includes(conflict_type)) {
+        return res.status(400).json({
+          error: `Conflict type must be one of: ${OfflineSyncModel.CONFLICT_TYPES.join(', ')}`,
+          code: 'INVALID_CONFLICT_TYPE'
+        });
+      }
+      
+      const filters = {};
+      if (status) filters.status = status;
+      if (conflict_type) filters.conflict_type = conflict_type;
+      if (uid) filters.uid = uid;
+      
+      const result = await OfflineSyncModel.findConflicts(filters, pagination);
+      
+      res.status(200).json({
+        message: 'Sync conflicts retrieved successfully',
+        conflicts: result.conflicts,
+        pagination: {
+          page: pagination.page,
+          limit: pagination.limit,
+          total: result.total,
+          totalPages: Math.ceil(result.total / pagination.limit)
+        },
+        filters
+      });
+      
+    } catch (error) {
+      logger.error('Get sync conflicts error:', error);
+      res.status(500).json({
+        error: 'Failed to get sync conflicts',
+        code: 'SYNC_CONFLICTS_ERROR',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// PATCH /api/admin/sync-conflicts/:id/resolve
+router.patch('/sync-conflicts/:id/resolve',
+  authenticateToken,
+  requirePermission('sync.manage'),
+  auditLog('RESOLVE_SYNC_CONFLICT'),
+  async (req, res) => {
+    try {
+      const conflictId = parseInt(req.params.id);
+      if (!conflictId) {
+        return res.status(400).json({
+          error: 'Invalid conflict ID',
+          code: 'INVALID_CONFLICT_ID'
+        });
+      }
+      
+      const conflict = await OfflineSyncModel.resolveConflict(conflictId, req.user.id, req.body.note || null);
+      
+      if (!conflict) {
+        return res.status(404).json({
+          error: 'Open sync conflict not found',
+          code: 'SYNC_CONFLICT_NOT_FOUND'
+        });
+      }
+      
+      res.status(200).json({
+        message: 'Sync conflict resolved successfully',
+        conflict
+      });
+      
+    } catch (error) {
+      logger.error('Resolve sync conflict error:', error);
+      res.status(500).json({
+        error: 'Failed to resolve sync conflict',
+        code: 'SYNC_CONFLICT_RESOLVE_ERROR',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// GET /api/admin/alerts (fraud detection alerts)
+router.get('/alerts',
+  authenticateToken,
+  requirePermission('alerts.read'),
+  async (req, res) => {
+    try {
+      const { status, alert_type, uid, scanned_by } = req.query;
+      const pagination = getPaginationParams(req);
+      
+      if (alert_type && !FraudAlertsModel.ALERT_TYPES.includes(alert_type)) {
+        return res.status(400).json({
+          error: `Alert type must be one of: ${FraudAlertsModel.ALERT_TYPES.join(', ')}`,
+          code: 'INVALID_ALERT_TYPE'
+        });
+      }
+      
+      if (status && !FraudAlertsModel.ALERT_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: `Status must be one of: ${FraudAlertsModel.ALERT_STATUSES.join(', ')}`,
+          code: 'INVALID_ALERT_STATUS'
+        });
+      }
+      
+      const filters = {};
+      if (status) filters.status = status;
+      if (alert_type) filters.alert_type = alert_type;
+      if (uid) filters.uid = uid;
+      if (scanned_by) filters.scanned_by = parseInt(scanned_by);
+      
+      const result = await FraudAlertsModel.findAll(filters, pagination);
+      
+      res.status(200).json({
+        message: 'Fraud alerts retrieved successfully',
+        alerts: result.alerts,
+        pagination: {
+          page: pagination.page,
+          limit: pagination.limit,
+          total: result.total,
+          totalPages: Math.ceil(result.total / pagination.limit)
+        },
+        filters
+      });
+      
+    } catch (error) {
+      logger.error('Get fraud alerts error:', error);
+      res.status(500).json({
+        error: 'Failed to get fraud alerts',
+        code: 'FRAUD_ALERTS_ERROR',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// GET /api/admin/alerts/:id
+router.get('/alerts/:id',
+  authenticateToken,
+  requirePermission('alerts.read'),
+  async (req, res) => {
+    try {
+      const alert = await FraudAlertsModel.findById(parseInt(req.params.id));
+      
+      if (!alert) {
+        return res.status(404).json({
+          error: 'Fraud alert not found',
+          code: 'FRAUD_ALERT_NOT_FOUND'
+        });
+      }
+      
+      res.status(200).json({
+        message: 'Fraud alert retrieved successfully',
+        alert
+      });
+      
+    } catch (error) {
+      logger.error('Get fraud alert error:', error);
+      res.status(500).json({
+        error: 'Failed to get fraud alert',
+        code: 'FRAUD_ALERT_ERROR',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// PATCH /api/admin/alerts/:id (review: acknowledge or dismiss)
+router.patch('/alerts/:id',
+  authenticateToken,
+  requirePermission('alerts.manage'),
+  auditLog('REVIEW_FRAUD_ALERT'),
+  async (req, res) => {
+    try {
+      const alertId = parseInt(req.params.id);
+      const { status, note } = req.body;
+      
+      if (!alertId) {
+        return res.status(400).json({
+          error: 'Invalid alert ID',
+          code: 'INVALID_ALERT_ID'
+        });
+      }
+      
+      if (!['acknowledged', 'dismissed'].includes(status)) {
+        return res.status(400).json({
+          error: 'Status must be acknowledged or dismissed',
+          code: 'INVALID_ALERT_STATUS'
+        });
+      }
+      
+      const alert = await FraudAlertsModel.review(alertId, status, req.user.id, note || null);
+      
+      if (!alert) {
+        return res.status(404).json({
+          error: 'Fraud alert not found',
+          code: 'FRAUD_ALERT_NOT_FOUND'
+        });
+      }
+      
+      res.status(200).json({
+        message: 'Fraud alert updated successfully',
+        alert
+      });
+      
+    } catch (error) {
+      logger.error('Review fraud alert error:', error);
+      res.status(500).json({
+        error: 'Failed to update fraud alert',
+        code: 'FRAUD_ALERT_REVIEW_ERROR',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// GET /api/admin/usage-consistency (compare Redis used counts with MySQL)
+router.get('/usage-consistency',
+  authenticateToken,
+  requirePermission('stats.read'),
+  async (req, res) => {
+    try {
+      const report = await usageService.checkConsistency();
+      
+      res.status(200).json({
+        message: report.consistent ? 'Cached used counts match the database' : 'Cached used counts differ from the database',
+        ...report,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      logger.error('Usage consistency check error:', error);
+      res.status(500).json({
+        error: 'Failed to check usage consistency',
+        code: 'USAGE_CONSISTENCY_ERROR',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// POST /api/admin/usage-consistency/repair (drop drifted counts so they are reseeded from MySQL)
+router.post('/usage-consistency/repair',
+  authenticateToken,
+  requirePermission('system.maintenance'),
+  auditLog('REPAIR_USAGE_CACHE'),
+  async (req, res) => {
+    try {
+      // Write queued uses first so they are not reported as drift
+      await usageService.flush();
+      const report = await usageService.checkConsistency({ repair: true });
+      
+      logger.info(`Usage cache repaired by ${req.user.username}: ${report.repaired} counts reseeded`);
+      
+      res.status(200).json({
+        message: 'Usage cache repaired successfully',
+        ...report,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      logger.error('Usage cache repair error:', error);
+      res.status(500).json({
+        error: 'Failed to repair usage cache',
+        code: 'USAGE_REPAIR_ERROR',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// POST /api/admin/expire-passes (run the pass expiry sweep now)
+router.post('/expire-passes',
+  authenticateToken,
+  requirePermission('system.maintenance'),
+  auditLog('EXPIRE_PASSES'),
+  async (req, res) => {
+    try {
+      const result = await validityService.sweep();
+      
+      res.status(200).json({
+        message: `${result.expired} passes expired`,
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      logger.error('Pass expiry sweep error:', error);
+      res.status(500).json({
+        error: 'Failed to expire passes',
+        code: 'EXPIRE_PASSES_ERROR',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
 // PUT /api/admin/settings
 router.put('/settings',
   authenticateToken,
-  adminOnly,
+  requirePermission('settings.write'),
   auditLog('UPDATE_SETTINGS'),
   async (req, res) => {
     try {
@@ -752,7 +1243,15 @@ router.put('/settings',
         'daily_reset_enabled',
         'verify_rate_limit',
         'bulk_batch_size',
-        'system_version'
+        'system_version',
+        'anti_passback_enabled',
+        'anti_passback_window_minutes',
+        'fraud_detection_enabled',
+        'fraud_clone_window_seconds',
+        'fraud_invalid_scan_threshold',
+        'fraud_invalid_scan_window_seconds',
+        'fraud_auto_block_enabled',
+        'fraud_auto_block_alert_threshold'
       ];
       
       const updates = {};
@@ -787,9 +1286,51 @@ router.put('/settings',
         });
       }
       
+      if (updates.anti_passback_enabled !== undefined && !['true', 'false', true, false].includes(updates.anti_passback_enabled)) {
+        return res.status(400).json({
+          error: 'anti_passback_enabled must be true or false',
+          code: 'INVALID_ANTI_PASSBACK_ENABLED'
+        });
+      }
+      
+      if (updates.anti_passback_enabled !== undefined) {
+        updates.anti_passback_enabled = String(updates.anti_passback_enabled);
+      }
+      
+      if (updates.anti_passback_window_minutes !== undefined && (isNaN(updates.anti_passback_window_minutes) || updates.anti_passback_window_minutes < 0)) {
+        return res.status(400).json({
+          error: 'Anti-passback window must be zero (until exit) or a positive number of minutes',
+          code: 'INVALID_ANTI_PASSBACK_WINDOW'
+        });
+      }
+      
+      for (const key of ['fraud_detection_enabled', 'fraud_auto_block_enabled']) {
+        if (updates[key] === undefined) continue;
+        if (!['true', 'false', true, false].includes(updates[key])) {
+          return res.status(400).json({
+            error: `${key} must be true or false`,
+            code: 'INVALID_FRAUD_SETTING'
+          });
+        }
+        updates[key] = String(updates[key]);
+      }
+      
+      for (const key of ['fraud_clone_window_seconds', 'fraud_invalid_scan_threshold', 'fraud_invalid_scan_window_seconds', 'fraud_auto_block_alert_threshold']) {
+        if (updates[key] !== undefined && (isNaN(updates[key]) || parseInt(updates[key]) < 1)) {
+          return res.status(400).json({
+            error: `${key} must be a positive number`,
+            code: 'INVALID_FRAUD_SETTING'
+          });
+        }
+      }
+      
       // Update settings
       await SettingsModel.updateMultiple(updates);
       
+      if (Object.keys(updates).some(key => key.startsWith('fraud_'))) {
+        fraudService.invalidateSettings();
+      }
+      
       logger.info(`Settings updated by ${req.user.username}: ${Object.keys(updates).join(', ')}`);
       
       res.status(200).json({
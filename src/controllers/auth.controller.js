@@ -4,8 +4,14 @@ const rateLimit = require('express-rate-limit');
 const UserModel = require('../models/user.model');
 const JWTService = require('../config/jwt');
 const logger = require('../utils/logger');
-const { auditLog, checkTokenStatus } = require('../utils/auth.middleware');
+const { auditLog, checkTokenStatus, authenticateToken, allowPendingPasswordChange } = require('../utils/auth.middleware');
 const LoggingService = require('../services/logging.service');
+const deviceService = require('../services/device.service');
+const sessionService = require('../services/session.service');
+const twoFactorService = require('../services/two-factor.service');
+const accountLockoutService = require('../services/account-lockout.service');
+const passwordPolicy = require('../services/password-policy.service');
+const permissionService = require('../services/permission.service');
 
 const router = express.Router();
 
@@ -33,6 +39,51 @@ const loginValidation = [
     .withMessage('Password must be at least 6 characters long')
 ];
 
+const enrollValidation = [
+  body('enrollment_code')
+    .trim()
+    .isLength({ min: 12, max: 20 })
+    .withMessage('Enrollment code is required'),
+  body('platform')
+    .optional()
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage('Platform must be at most 50 characters'),
+  body('app_version')
+    .optional()
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage('App version must be at most 50 characters')
+];
+
+const twoFactorCodeValidation = [
+  body('code')
+    .optional()
+    .matches(/^\s*\d{3}\s?\d{3}\s*$/)
+    .withMessage('Code must be 6 digits'),
+  body('recovery_code')
+    .optional()
+    .isString()
+    .isLength({ min: 10, max: 20 })
+    .withMessage('Recovery code must be 10 characters'),
+  body().custom(value => {
+    if (!value.code && !value.recovery_code) {
+      throw new Error('Either code or recovery_code is required');
+    }
+    return true;
+  })
+];
+
+const changePasswordValidation = [
+  body('current_password')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('new_password')
+    .isString()
+    .notEmpty()
+    .withMessage('New password is required')
+];
+
 const refreshValidation = [
   body('refreshToken')
     .notEmpty()
@@ -52,6 +103,128 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+const sendAccountLocked = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: 'Account temporarily locked due to too many failed login attempts',
+    code: 'ACCOUNT_LOCKED',
+    retry_after: retryAfter
+  });
+};
+
+// Count a wrong username or password against the account, locking it once the threshold is hit.
+// Unknown usernames are counted the same way so responses do not reveal which accounts exist.
+const rejectCredentials = async (username, user, req, res) => {
+  const attemptedUser = user || { id: null, username, role: null };
+  await LoggingService.logLogin(attemptedUser, req, false);
+
+  const lockout = await accountLockoutService.recordFailure(username);
+  if (lockout.locked) {
+    await LoggingService.logAccountLockout(attemptedUser, req, 'locked', {
+      retry_after: lockout.retry_after,
+      lockouts: lockout.lockouts
+    });
+    return sendAccountLocked(res, lockout.retry_after);
+  }
+
+  return res.status(401).json({
+    error: 'Invalid credentials',
+    code: 'INVALID_CREDENTIALS'
+  });
+};
+
+// Issue the session and tokens of a login whose checks all passed
+const completeLogin = async (user, device, req, res, extra = {}) => {
+  const { session_id, tokens } = await sessionService.startSession(user, device, req);
+
+  // Log successful login
+  await LoggingService.logLogin(user, req, true);
+
+  logger.info(`User logged in successfully: ${user.username}`);
+
+  return res.status(200).json({
+    message: 'Login successful',
+    user: {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      status: user.status,
+      assigned_category: user.assigned_category,
+      checkpoint_id: user.checkpoint_id || null,
+      permissions: await permissionService.getRolePermissions(user.role)
+    },
+    device: device ? { id: device.id, name: device.name, checkpoint_id: device.checkpoint_id } : null,
+    session_id,
+    password_change_required: Boolean(user.must_change_password),
+    ...extra,
+    ...tokens
+  });
+};
+
+// Resolve the user and device of a login challenge token (second login step)
+const resolveChallenge = async (token, purpose) => {
+  const challenge = await twoFactorService.verifyChallenge(token, purpose);
+
+  const user = await UserModel.findById(challenge.userId);
+  if (!user || user.status !== 'active') {
+    throw twoFactorService.twoFactorError('Account is disabled', 'ACCOUNT_DISABLED');
+  }
+
+  const device = challenge.deviceId
+    ? await deviceService.validateBoundDevice(challenge.deviceId, challenge.deviceTokenVersion)
+    : null;
+
+  return { challenge, user, device };
+};
+
+// Two-factor setup runs either signed in or, for a mandatory role, from the login challenge
+const authenticateOrSetupChallenge = async (req, res, next) => {
+  if (!req.body || !req.body.challenge_token) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const { challenge, user, device } = await resolveChallenge(req.body.challenge_token, 'setup');
+    req.user = {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      status: user.status,
+      assigned_category: user.assigned_category
+    };
+    req.loginChallenge = { challenge, user, device };
+    next();
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error('Two-factor challenge error:', error);
+      return res.status(500).json({
+        error: 'Internal server error',
+        code: 'INTERNAL_ERROR'
+      });
+    }
+
+    return res.status(error.statusCode).json({
+      error: error.message,
+      code: error.code
+    });
+  }
+};
+
+const sendTwoFactorError = (res, error, context) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  logger.error(`${context}:`, error);
+  return res.status(500).json({
+    error: 'Internal server error',
+    code: 'INTERNAL_ERROR'
+  });
+};
+
 // POST /auth/login
 router.post('/login', 
   authLimiter,
@@ -62,6 +235,14 @@ router.post('/login',
     try {
       const { username, password } = req.body;
 
+      // Locked accounts are refused before the password is even checked
+      const retryAfter = await accountLockoutService.getRetryAfter(username);
+      if (retryAfter > 0) {
+        logger.warn(`Login attempt for locked account: ${username}`);
+        await LoggingService.logLogin({ id: null, username, role: null }, req, false);
+        return sendAccountLocked(res, retryAfter);
+      }
+
       // Find user by username
       logger.info(`Attempting to find user by username: ${username}`);
       const user = await UserModel.findByUsername(username);
@@ -75,12 +256,7 @@ router.post('/login',
         logger.warn(`Login attempt with invalid username: ${username}`);
         
         // Log failed login attempt
-        await LoggingService.logLogin({ id: null, username, role: null }, req, false);
-        
-        return res.status(401).json({
-          error: 'Invalid credentials',
-          code: 'INVALID_CREDENTIALS'
-        });
+        return await rejectCredentials(username, null, req, res);
       }
 
       // Check if user is active
@@ -108,33 +284,56 @@ router.post('/login',
         logger.warn(`Login attempt with invalid password for user: ${username}`);
         
         // Log failed login attempt
+        return await rejectCredentials(username, user, req, res);
+      }
+
+      // Bind the session to the scanner device it was started on
+      const deviceToken = req.headers['x-device-token'] || req.body.device_token;
+      let device = null;
+      if (deviceToken) {
+        try {
+          device = await deviceService.verifyDeviceToken(deviceToken);
+        } catch (deviceError) {
+          if (!deviceError.statusCode) throw deviceError;
+
+          logger.warn(`Login for ${username} with rejected device token: ${deviceError.message}`);
+          await LoggingService.logLogin(user, req, false);
+
+          return res.status(deviceError.statusCode).json({
+            error: deviceError.message,
+            code: deviceError.code
+          });
+        }
+      } else if (deviceService.isDeviceRequired(user.role)) {
+        logger.warn(`Login for ${username} without an enrolled device`);
         await LoggingService.logLogin(user, req, false);
-        
-        return res.status(401).json({
-          error: 'Invalid credentials',
-          code: 'INVALID_CREDENTIALS'
+
+        return res.status(403).json({
+          error: 'This account can only be used from an enrolled device',
+          code: 'DEVICE_REQUIRED'
         });
       }
 
-      // Generate tokens
-      const tokens = JWTService.generateTokenPair(user);
+      // The password alone is not enough for users with two-factor authentication
+      const twoFactorStep = await twoFactorService.getLoginRequirement(user);
+      if (twoFactorStep) {
+        logger.info(`Password accepted for ${username}, two-factor ${twoFactorStep} required`);
 
-      // Log successful login
-      await LoggingService.logLogin(user, req, true);
+        return res.status(200).json({
+          message: twoFactorStep === 'setup'
+            ? 'Two-factor authentication must be set up to continue'
+            : 'Two-factor authentication required',
+          two_factor_required: true,
+          two_factor_setup_required: twoFactorStep === 'setup',
+          challenge_token: twoFactorService.issueChallenge(user, twoFactorStep, device)
+        });
+      }
 
-      logger.info(`User logged in successfully: ${username}`);
+      // Failed attempts are only forgotten once every factor has been accepted
+      await accountLockoutService.recordSuccess(username);
 
-      res.status(200).json({
-        message: 'Login successful',
-        user: {
-          id: user.id,
-          username: user.username,
-          role: user.role,
-          status: user.status,
-          assigned_category: user.assigned_category
-        },
-        ...tokens
-      });
+      // Start a server-side session and issue its tokens
+      return await completeLogin(user, device, req, res);
     } catch (error) {
       logger.error('Login error:', error);
       
@@ -205,13 +404,47 @@ router.post('/refresh',
         });
       }
 
-      // Generate new access token
-      const newAccessToken = JWTService.generateAccessToken({
-        userId: user.id,
-        username: user.username,
-        role: user.role,
-        status: user.status
-      });
+      // A session bound to a device can only be refreshed while the device is trusted
+      let device = null;
+      if (decoded.deviceId) {
+        try {
+          device = await deviceService.validateBoundDevice(decoded.deviceId, decoded.deviceTokenVersion);
+        } catch (deviceError) {
+          if (!deviceError.statusCode) throw deviceError;
+
+          await LoggingService.logTokenRefresh(user, req, false, deviceError.message);
+
+          return res.status(403).json({
+            error: deviceError.message,
+            code: deviceError.code,
+            autoLogout: true
+          });
+        }
+      } else if (deviceService.isDeviceRequired(user.role)) {
+        await LoggingService.logTokenRefresh(user, req, false, 'Enrolled device required');
+
+        return res.status(403).json({
+          error: 'This account can only be used from an enrolled device',
+          code: 'DEVICE_REQUIRED',
+          autoLogout: true
+        });
+      }
+
+      // Rotate the refresh token; a token that was already rotated away revokes the session
+      let tokens;
+      try {
+        tokens = await sessionService.rotate(refreshToken, decoded, user, device, req);
+      } catch (sessionError) {
+        if (!sessionError.statusCode) throw sessionError;
+
+        await LoggingService.logTokenRefresh(user, req, false, sessionError.message);
+
+        return res.status(sessionError.statusCode).json({
+          error: sessionError.message,
+          code: sessionError.code,
+          autoLogout: true
+        });
+      }
 
       // Log successful token refresh
       await LoggingService.logTokenRefresh(user, req, true);
@@ -220,8 +453,7 @@ router.post('/refresh',
 
       res.status(200).json({
         message: 'Token refreshed successfully',
-        accessToken: newAccessToken,
-        expiresIn: process.env.JWT_EXPIRY || '8h'
+        ...tokens
       });
     } catch (error) {
       logger.error('Token refresh error:', error);
@@ -239,8 +471,323 @@ router.post('/refresh',
   }
 );
 
+// POST /auth/2fa/verify (second login step)
+router.post('/2fa/verify',
+  authLimiter,
+  body('challenge_token').notEmpty().withMessage('Challenge token is required'),
+  twoFactorCodeValidation,
+  handleValidationErrors,
+  auditLog('TWO_FACTOR_VERIFY'),
+  async (req, res) => {
+    try {
+      const { challenge_token, code, recovery_code } = req.body;
+      const { challenge, user, device } = await resolveChallenge(challenge_token, 'verify');
+
+      // A lock from wrong passwords or codes also stops code guessing on open challenges
+      const retryAfter = await accountLockoutService.getRetryAfter(user.username);
+      if (retryAfter > 0) {
+        logger.warn(`Two-factor attempt for locked account: ${user.username}`);
+        return sendAccountLocked(res, retryAfter);
+      }
+
+      let result;
+      try {
+        result = await twoFactorService.verifyFactor(user, { code, recovery_code });
+      } catch (factorError) {
+        if (!factorError.statusCode) throw factorError;
+
+        const attemptsLeft = await twoFactorService.recordFailedAttempt(challenge);
+        await LoggingService.logTwoFactor(user, req, 'failed', {
+          method: recovery_code ? 'recovery_code' : 'totp',
+          reason: factorError.message,
+          attempts_left: attemptsLeft
+        });
+
+        // Wrong codes count against the account like wrong passwords
+        const lockout = await accountLockoutService.recordFailure(user.username);
+        if (lockout.locked) {
+          await LoggingService.logAccountLockout(user, req, 'locked', {
+            retry_after: lockout.retry_after,
+            lockouts: lockout.lockouts
+          });
+          return sendAccountLocked(res, lockout.retry_after);
+        }
+
+        return res.status(factorError.statusCode).json({
+          error: factorError.message,
+          code: factorError.code,
+          attempts_left: attemptsLeft
+        });
+      }
+
+      await twoFactorService.consumeChallenge(challenge);
+      await accountLockoutService.recordSuccess(user.username);
+      await LoggingService.logTwoFactor(user, req, 'success', result);
+
+      return await completeLogin(user, device, req, res, {
+        two_factor_method: result.method,
+        ...(result.recovery_codes_remaining !== undefined ? { recovery_codes_remaining: result.recovery_codes_remaining } : {})
+      });
+    } catch (error) {
+      return sendTwoFactorError(res, error, 'Two-factor verification error');
+    }
+  }
+);
+
+// GET /auth/2fa (two-factor status of the current user)
+router.get('/2fa',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const status = await twoFactorService.getStatus(req.user);
+
+      res.status(200).json({
+        message: 'Two-factor status retrieved successfully',
+        two_factor: status
+      });
+    } catch (error) {
+      return sendTwoFactorError(res, error, 'Two-factor status error');
+    }
+  }
+);
+
+// POST /auth/2fa/setup (new secret and provisioning URI for the QR code)
+router.post('/2fa/setup',
+  authLimiter,
+  authenticateOrSetupChallenge,
+  auditLog('TWO_FACTOR_SETUP'),
+  async (req, res) => {
+    try {
+      const setup = await twoFactorService.beginSetup(req.user);
+
+      res.status(200).json({
+        message: 'Scan the QR code with your authenticator app, then confirm with a code',
+        ...setup
+      });
+    } catch (error) {
+      return sendTwoFactorError(res, error, 'Two-factor setup error');
+    }
+  }
+);
+
+// POST /auth/2fa/enable (confirm setup with a first code)
+router.post('/2fa/enable',
+  authLimiter,
+  authenticateOrSetupChallenge,
+  body('code').matches(/^\s*\d{3}\s?\d{3}\s*$/).withMessage('Code must be 6 digits'),
+  handleValidationErrors,
+  auditLog('TWO_FACTOR_ENABLE'),
+  async (req, res) => {
+    try {
+      const { recovery_codes } = await twoFactorService.confirmSetup(req.user, req.body.code);
+
+      await LoggingService.logTwoFactor(req.user, req, 'enrolled', {
+        during_login: Boolean(req.loginChallenge)
+      });
+
+      // Setup forced at login finishes the login as well
+      if (req.loginChallenge) {
+        const { challenge, user, device } = req.loginChallenge;
+        await twoFactorService.consumeChallenge(challenge);
+        await accountLockoutService.recordSuccess(user.username);
+        return await completeLogin(user, device, req, res, { recovery_codes });
+      }
+
+      res.status(200).json({
+        message: 'Two-factor authentication enabled. Store the recovery codes safely; they are only shown once.',
+        recovery_codes
+      });
+    } catch (error) {
+      if (error.code === 'TWO_FACTOR_INVALID_CODE') {
+        await LoggingService.logTwoFactor(req.user, req, 'failed', { method: 'totp', reason: 'Invalid code during setup' });
+        if (req.loginChallenge) {
+          await twoFactorService.recordFailedAttempt(req.loginChallenge.challenge);
+        }
+      }
+      return sendTwoFactorError(res, error, 'Two-factor enable error');
+    }
+  }
+);
+
+// POST /auth/2fa/recovery-codes (replace the recovery codes)
+router.post('/2fa/recovery-codes',
+  authLimiter,
+  authenticateToken,
+  twoFactorCodeValidation,
+  handleValidationErrors,
+  auditLog('TWO_FACTOR_RECOVERY_CODES'),
+  async (req, res) => {
+    try {
+      const { code, recovery_code } = req.body;
+      const { recovery_codes } = await twoFactorService.regenerateRecoveryCodes(req.user, { code, recovery_code });
+
+      res.status(200).json({
+        message: 'New recovery codes generated. The previous codes no longer work.',
+        recovery_codes
+      });
+    } catch (error) {
+      if (error.code === 'TWO_FACTOR_INVALID_CODE' || error.code === 'TWO_FACTOR_CODE_REUSED') {
+        await LoggingService.logTwoFactor(req.user, req, 'failed', { reason: error.message });
+      }
+      return sendTwoFactorError(res, error, 'Recovery code generation error');
+    }
+  }
+);
+
+// POST /auth/2fa/disable (requires the password and a second factor)
+router.post('/2fa/disable',
+  authLimiter,
+  authenticateToken,
+  body('password').notEmpty().withMessage('Password is required'),
+  twoFactorCodeValidation,
+  handleValidationErrors,
+  auditLog('TWO_FACTOR_DISABLE'),
+  async (req, res) => {
+    try {
+      const { password, code, recovery_code } = req.body;
+
+      const user = await UserModel.findByUsername(req.user.username);
+      const isPasswordValid = user && await UserModel.verifyPassword(password, user.password_hash);
+      if (!isPasswordValid) {
+        await LoggingService.logTwoFactor(req.user, req, 'failed', { reason: 'Invalid password when disabling' });
+        return res.status(401).json({
+          error: 'Invalid credentials',
+          code: 'INVALID_CREDENTIALS'
+        });
+      }
+
+      await twoFactorService.disable(req.user, { code, recovery_code });
+      await LoggingService.logTwoFactor(req.user, req, 'disabled', { disabled_by: req.user.username });
+
+      res.status(200).json({
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (error) {
+      if (error.code === 'TWO_FACTOR_INVALID_CODE' || error.code === 'TWO_FACTOR_CODE_REUSED') {
+        await LoggingService.logTwoFactor(req.user, req, 'failed', { reason: error.message });
+      }
+      return sendTwoFactorError(res, error, 'Two-factor disable error');
+    }
+  }
+);
+
+// POST /auth/device/enroll
+// Called by the scanner app with the one-time code an admin got when registering the device
+router.post('/device/enroll',
+  authLimiter,
+  enrollValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { enrollment_code, platform, app_version } = req.body;
+
+      const { device, device_token } = await deviceService.enroll(enrollment_code, {
+        platform,
+        app_version: app_version || req.headers['x-app-version']
+      });
+
+      res.status(200).json({
+        message: 'Device enrolled successfully',
+        device: {
+          id: device.id,
+          name: device.name,
+          checkpoint_id: device.checkpoint_id,
+          checkpoint_name: device.checkpoint_name
+        },
+        device_token
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        logger.warn(`Device enrollment rejected: ${error.message}`);
+        return res.status(error.statusCode).json({
+          error: error.message,
+          code: error.code
+        });
+      }
+
+      logger.error('Device enrollment error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        code: 'INTERNAL_ERROR'
+      });
+    }
+  }
+);
+
+// GET /auth/password-policy (rules to show next to a password field)
+router.get('/password-policy', (req, res) => {
+  res.status(200).json({
+    policy: passwordPolicy.getRequirements()
+  });
+});
+
+// POST /auth/change-password (own password; also the way out of a forced password change)
+router.post('/change-password',
+  authLimiter,
+  allowPendingPasswordChange,
+  authenticateToken,
+  changePasswordValidation,
+  handleValidationErrors,
+  auditLog('CHANGE_OWN_PASSWORD'),
+  async (req, res) => {
+    try {
+      const { current_password, new_password } = req.body;
+
+      const user = await UserModel.findByUsername(req.user.username);
+      const isPasswordValid = user && await UserModel.verifyPassword(current_password, user.password_hash);
+      if (!isPasswordValid) {
+        logger.warn(`Password change with wrong current password for user: ${req.user.username}`);
+        const lockout = await accountLockoutService.recordFailure(req.user.username);
+        if (lockout.locked) {
+          await LoggingService.logAccountLockout(req.user, req, 'locked', {
+            retry_after: lockout.retry_after,
+            lockouts: lockout.lockouts
+          });
+          return sendAccountLocked(res, lockout.retry_after);
+        }
+
+        return res.status(401).json({
+          error: 'Current password is incorrect',
+          code: 'INVALID_CREDENTIALS'
+        });
+      }
+
+      await UserModel.updatePassword(user.id, new_password);
+      await accountLockoutService.recordSuccess(req.user.username);
+
+      // Other devices signed in with the old password are signed out; this one stays
+      const revokedSessions = await sessionService.revokeUserSessions(
+        user.id, 'password_changed', user.id, req.user.session_id
+      );
+
+      logger.info(`Password changed by user: ${req.user.username}`);
+      await LoggingService.logChangePassword(req.user, req.user, req);
+
+      res.status(200).json({
+        message: 'Password changed successfully',
+        revoked_sessions: revokedSessions
+      });
+    } catch (error) {
+      if (error.code === 'PASSWORD_POLICY_VIOLATION') {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          code: error.code,
+          details: error.errors
+        });
+      }
+
+      logger.error('Change password error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        code: 'INTERNAL_ERROR'
+      });
+    }
+  }
+);
+
 // POST /auth/logout (optional - for audit logging)
 router.post('/logout',
+  allowPendingPasswordChange,
   require('../utils/auth.middleware').authenticateToken,
   auditLog('USER_LOGOUT'),
   async (req, res) => {
@@ -268,6 +815,15 @@ router.post('/logout',
         }
       }
       
+      // End the session so its refresh token cannot be used either
+      if (req.user.session_id) {
+        try {
+          await sessionService.revokeSession(req.user.session_id, 'logout', req.user.id);
+        } catch (sessionError) {
+          logger.error('Error revoking session at logout:', sessionError);
+        }
+      }
+      
       // Log logout action
       await LoggingService.logLogout(req.user, req);
       
@@ -284,8 +840,66 @@ router.post('/logout',
   }
 );
 
+// GET /auth/sessions (active sessions of the current user)
+router.get('/sessions',
+  require('../utils/auth.middleware').authenticateToken,
+  async (req, res) => {
+    try {
+      const sessions = await sessionService.listSessions(req.user.id, req.user.session_id);
+
+      res.status(200).json({
+        message: 'Sessions retrieved successfully',
+        sessions,
+        count: sessions.length
+      });
+    } catch (error) {
+      logger.error('List sessions error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        code: 'INTERNAL_ERROR'
+      });
+    }
+  }
+);
+
+// DELETE /auth/sessions/:id (sign out one of the current user's sessions)
+router.delete('/sessions/:id',
+  require('../utils/auth.middleware').authenticateToken,
+  auditLog('SESSION_REVOKE'),
+  async (req, res) => {
+    try {
+      const sessions = await sessionService.listSessions(req.user.id);
+      const session = sessions.find(candidate => candidate.id === req.params.id);
+
+      if (!session) {
+        return res.status(404).json({
+          error: 'Session not found',
+          code: 'SESSION_NOT_FOUND'
+        });
+      }
+
+      await sessionService.revokeSession(session.id, 'user_revoked', req.user.id);
+
+      logger.info(`Session ${session.id} revoked by user ${req.user.username}`);
+
+      res.status(200).json({
+        message: 'Session revoked successfully',
+        session_id: session.id,
+        current: session.id === req.user.session_id
+      });
+    } catch (error) {
+      logger.error('Revoke session error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        code: 'INTERNAL_ERROR'
+      });
+    }
+  }
+);
+
 // GET /auth/me (get current user info)
 router.get('/me',
+  allowPendingPasswordChange,
   require('../utils/auth.middleware').authenticateToken,
   (req, res) => {
     res.status(200).json({
@@ -293,8 +907,11 @@ router.get('/me',
         id: req.user.id,
         username: req.user.username,
         role: req.user.role,
-        status: req.user.status
-      }
+        status: req.user.status,
+        must_change_password: req.user.must_change_password,
+        permissions: req.user.permissions
+      },
+      device: req.user.device
     });
   }
 );
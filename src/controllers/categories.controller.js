@@ -1,6 +1,8 @@
 const CategoriesModel = require('../models/categories.model');
 const logger = require('../utils/logger');
 const LoggingService = require('../services/logging.service');
+const scheduleService = require('../services/schedule.service');
+const signingService = require('../services/signing.service');
 
 class CategoriesController {
   /**
@@ -9,10 +11,10 @@ class CategoriesController {
    */
   static async createCategory(req, res) {
     try {
-      const { name, color_code, description } = req.body;
+      const { name, color_code, description, timezone, require_signed_payload, schedules } = req.body;
 
       // Validate input data
-      const validation = CategoriesModel.validateCategoryData({ name, color_code, description });
+      const validation = CategoriesModel.validateCategoryData({ name, color_code, description, timezone, require_signed_payload });
       if (!validation.isValid) {
         return res.status(400).json({
           success: false,
@@ -21,6 +23,17 @@ class CategoriesController {
         });
       }
 
+      if (schedules !== undefined) {
+        const scheduleValidation = CategoriesModel.validateSchedules(schedules);
+        if (!scheduleValidation.isValid) {
+          return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: scheduleValidation.errors
+          });
+        }
+      }
+
       // Check if category with same name already exists
       const existingCategory = await CategoriesModel.findByName(name);
       if (existingCategory) {
@@ -30,8 +43,15 @@ class CategoriesController {
         });
       }
 
-      // Create category
-      const category = await CategoriesModel.create({ name, color_code, description });
+      // Create category with its access schedules
+      const category = await CategoriesModel.create({ name, color_code, description, timezone, require_signed_payload });
+      if (Array.isArray(schedules) && schedules.length > 0) {
+        category.schedules = await CategoriesModel.setSchedules(category.id, schedules);
+        await scheduleService.invalidateCache();
+      }
+      if (require_signed_payload) {
+        await signingService.invalidateCategoryCache();
+      }
 
       logger.info(`Category created by user ${req.user.id}: ${name}`);
       
@@ -120,10 +140,15 @@ class CategoriesController {
         });
       }
 
+      const schedules = await CategoriesModel.getSchedules(category.id);
+
       res.json({
         success: true,
         message: 'Category retrieved successfully',
-        data: category
+        data: {
+          ...category,
+          schedules
+        }
       });
     } catch (error) {
       logger.error('Error fetching category:', error);
@@ -243,6 +268,10 @@ class CategoriesController {
 
       // Update category
       const updatedCategory = await CategoriesModel.update(parseInt(id), updateData);
+      
+      // Schedules and signing requirements are cached by category name
+      await scheduleService.invalidateCache();
+      await signingService.invalidateCategoryCache();
 
       logger.info(`Category updated by user ${req.user.id}: ${existingCategory.name} (ID: ${id})`);
       
@@ -301,6 +330,9 @@ class CategoriesController {
         });
       }
 
+      await scheduleService.invalidateCache();
+      await signingService.invalidateCategoryCache();
+
       logger.info(`Category deleted by user ${req.user.id}: ${existingCategory.name} (ID: ${id})`);
       
       // Log the category deletion action
@@ -358,6 +390,123 @@ class CategoriesController {
       });
     }
   }
+
+  /**
+   * Get category access schedules
+   * GET /api/categories/:id/schedules
+   */
+  static async getCategorySchedules(req, res) {
+    try {
+      const { id } = req.params;
+
+      // Validate ID
+      if (!id || isNaN(parseInt(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid category ID'
+        });
+      }
+
+      const category = await CategoriesModel.findById(parseInt(id));
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+
+      const schedules = await CategoriesModel.getSchedules(category.id);
+
+      res.json({
+        success: true,
+        message: 'Category schedules retrieved successfully',
+        data: {
+          category_id: category.id,
+          category: category.name,
+          timezone: category.timezone || scheduleService.DEFAULT_TIMEZONE,
+          schedules
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching category schedules:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Replace category access schedules (an empty list removes all restrictions)
+   * PUT /api/categories/:id/schedules
+   */
+  static async setCategorySchedules(req, res) {
+    try {
+      const { id } = req.params;
+      const { schedules, timezone } = req.body;
+
+      // Validate ID
+      if (!id || isNaN(parseInt(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid category ID'
+        });
+      }
+
+      const validation = CategoriesModel.validateSchedules(schedules);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const category = await CategoriesModel.findById(parseInt(id));
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+
+      if (timezone !== undefined) {
+        const timezoneValidation = CategoriesModel.validateCategoryData({ ...category, timezone });
+        if (!timezoneValidation.isValid) {
+          return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: timezoneValidation.errors
+          });
+        }
+        await CategoriesModel.update(category.id, { timezone });
+      }
+
+      const savedSchedules = await CategoriesModel.setSchedules(category.id, schedules);
+      await scheduleService.invalidateCache();
+
+      logger.info(`Category schedules updated by user ${req.user.id}: ${category.name} (${savedSchedules.length} window(s))`);
+
+      res.json({
+        success: true,
+        message: 'Category schedules updated successfully',
+        data: {
+          category_id: category.id,
+          category: category.name,
+          timezone: (timezone !== undefined ? timezone : category.timezone) || scheduleService.DEFAULT_TIMEZONE,
+          schedules: savedSchedules
+        }
+      });
+    } catch (error) {
+      logger.error('Error updating category schedules:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
 }
 
 module.exports = CategoriesController;
\ No newline at end of file
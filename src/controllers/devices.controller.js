@@ -0,0 +1,314 @@
+const DevicesModel = require('../models/devices.model');
+const deviceService = require('../services/device.service');
+const logger = require('../utils/logger');
+
+const DEVICE_STATUSES = ['pending', 'active', 'disabled'];
+
+class DevicesController {
+  /**
+   * Get all scanner devices
+   * GET /api/devices
+   */
+  static async getDevices(req, res) {
+    try {
+      const { status, checkpoint_id } = req.query;
+
+      if (status && !DEVICE_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of: ${DEVICE_STATUSES.join(', ')}`
+        });
+      }
+
+      const devices = await DevicesModel.findAll({
+        status: status || null,
+        checkpoint_id: checkpoint_id ? parseInt(checkpoint_id) : null
+      });
+
+      res.json({
+        success: true,
+        message: 'Devices retrieved successfully',
+        data: devices,
+        count: devices.length
+      });
+    } catch (error) {
+      logger.error('Error fetching devices:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get device by ID
+   * GET /api/devices/:id
+   */
+  static async getDeviceById(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!id || isNaN(parseInt(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid device ID'
+        });
+      }
+
+      const device = await DevicesModel.findById(parseInt(id));
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Device retrieved successfully',
+        data: device
+      });
+    } catch (error) {
+      logger.error('Error fetching device:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Register a device and issue its one-time enrollment code
+   * POST /api/devices
+   */
+  static async createDevice(req, res) {
+    try {
+      const deviceData = req.body;
+
+      const validation = DevicesModel.validateDeviceData(deviceData);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const result = await deviceService.createDevice({
+        name: deviceData.name.trim(),
+        checkpoint_id: deviceData.checkpoint_id ?? null
+      }, req.user);
+
+      logger.info(`Device registered by user ${req.user.id}: ${result.device.name} (ID: ${result.device.id})`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Device registered successfully. The enrollment code is only shown once.',
+        data: result.device,
+        enrollment_code: result.enrollment_code,
+        enrollment_expires_at: result.enrollment_expires_at
+      });
+    } catch (error) {
+      DevicesController.handleError(res, error, 'Error registering device:');
+    }
+  }
+
+  /**
+   * Rename a device or change its checkpoint
+   * PATCH /api/devices/:id
+   */
+  static async updateDevice(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!id || isNaN(parseInt(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid device ID'
+        });
+      }
+
+      const validation = DevicesModel.validateDeviceData(req.body, true);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const { name, checkpoint_id } = req.body;
+      const device = await deviceService.updateDevice(parseInt(id), {
+        name: name !== undefined ? name.trim() : undefined,
+        checkpoint_id
+      });
+
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Device updated successfully',
+        data: device
+      });
+    } catch (error) {
+      if (error.message.includes('No valid fields')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      DevicesController.handleError(res, error, 'Error updating device:');
+    }
+  }
+
+  /**
+   * Issue a new enrollment code (lost code or re-installed app). The current device token stops working.
+   * POST /api/devices/:id/enrollment-code
+   */
+  static async regenerateEnrollmentCode(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!id || isNaN(parseInt(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid device ID'
+        });
+      }
+
+      const result = await deviceService.regenerateEnrollmentCode(parseInt(id));
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device not found'
+        });
+      }
+
+      DevicesController.emit(req, result.event);
+
+      res.json({
+        success: true,
+        message: 'Enrollment code issued. The enrollment code is only shown once.',
+        data: result.device,
+        enrollment_code: result.enrollment_code,
+        enrollment_expires_at: result.enrollment_expires_at
+      });
+    } catch (error) {
+      DevicesController.handleError(res, error, 'Error issuing enrollment code:');
+    }
+  }
+
+  /**
+   * Remotely disable a device; sessions started on it are logged out on their next request
+   * PATCH /api/devices/:id/disable
+   */
+  static async disableDevice(req, res) {
+    try {
+      const { id } = req.params;
+      const { reason } = req.body;
+
+      if (!id || isNaN(parseInt(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid device ID'
+        });
+      }
+
+      if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 255)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Reason must be a string of at most 255 characters'
+        });
+      }
+
+      const result = await deviceService.disableDevice(parseInt(id), req.user, reason || null);
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device not found'
+        });
+      }
+
+      DevicesController.emit(req, result.event);
+
+      res.json({
+        success: true,
+        message: 'Device disabled successfully',
+        data: result.device
+      });
+    } catch (error) {
+      DevicesController.handleError(res, error, 'Error disabling device:');
+    }
+  }
+
+  /**
+   * Re-enable a disabled device. It has to enroll again with the returned code.
+   * PATCH /api/devices/:id/enable
+   */
+  static async enableDevice(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!id || isNaN(parseInt(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid device ID'
+        });
+      }
+
+      const result = await deviceService.enableDevice(parseInt(id));
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device not found'
+        });
+      }
+
+      DevicesController.emit(req, result.event);
+
+      res.json({
+        success: true,
+        message: 'Device enabled. The enrollment code is only shown once.',
+        data: result.device,
+        enrollment_code: result.enrollment_code,
+        enrollment_expires_at: result.enrollment_expires_at
+      });
+    } catch (error) {
+      DevicesController.handleError(res, error, 'Error enabling device:');
+    }
+  }
+
+  static emit(req, event) {
+    const io = req.app.get('io');
+    if (io && event) {
+      io.emit(event.type, event.data);
+    }
+  }
+
+  static handleError(res, error, logMessage) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error(logMessage, error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+module.exports = DevicesController;
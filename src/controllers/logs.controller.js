@@ -143,7 +143,10 @@ class LogsController {
         role,
         search,
         start_date,
-        end_date
+        end_date,
+        zone_id,
+        checkpoint_id,
+        device_id
       } = req.query;
 
       // Get today's table name
@@ -195,6 +198,21 @@ class LogsController {
         params.push(role);
       }
 
+      if (zone_id) {
+        whereConditions.push('zone_id = ?');
+        params.push(zone_id);
+      }
+
+      if (checkpoint_id) {
+        whereConditions.push('checkpoint_id = ?');
+        params.push(checkpoint_id);
+      }
+
+      if (device_id) {
+        whereConditions.push('device_id = ?');
+        params.push(device_id);
+      }
+
       if (search) {
         whereConditions.push('(action_type LIKE ? OR uid LIKE ? OR details LIKE ?)');
         const searchPattern = `%${search}%`;
@@ -257,7 +275,10 @@ class LogsController {
           role,
           search,
           start_date,
-          end_date
+          end_date,
+          zone_id,
+          checkpoint_id,
+          device_id
         }
       });
       
@@ -0,0 +1,396 @@
+const PassGroupsModel = require('../models/pass-groups.model');
+const passService = require('../services/pass.service');
+const { getPaginationParams } = require('../utils/validators');
+const logger = require('../utils/logger');
+
+const NOT_FOUND_MESSAGES = ['Pass group not found', 'Pass not found', 'Group member not found'];
+
+const handleGroupError = (error, res) => {
+  if (NOT_FOUND_MESSAGES.includes(error.message)) {
+    res.status(404).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+
+  if (error.statusCode === 409) {
+    res.status(409).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+    return true;
+  }
+
+  if (error.message.includes('Cannot block') || error.message.includes('not currently blocked') || error.message.includes('can be reset')) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+
+  return false;
+};
+
+const parseId = (value) => {
+  const id = parseInt(value);
+  return isNaN(id) ? null : id;
+};
+
+const emitEvent = (req, event) => {
+  const io = req.app.get('io');
+  if (io) {
+    io.emit(event.type, event.data);
+  }
+};
+
+class PassGroupsController {
+  /**
+   * List pass groups with their pooled allowance
+   * GET /api/pass-groups
+   */
+  static async getGroups(req, res) {
+    try {
+      const pagination = getPaginationParams(req);
+      const result = await PassGroupsModel.findAll(pagination);
+
+      res.json({
+        success: true,
+        message: 'Pass groups retrieved successfully',
+        data: result.groups,
+        pagination: {
+          page: pagination.page,
+          limit: pagination.limit,
+          total: result.total,
+          pages: Math.ceil(result.total / pagination.limit)
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching pass groups:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get a pass group with its parent pass and cards
+   * GET /api/pass-groups/:id
+   */
+  static async getGroupById(req, res) {
+    try {
+      const id = parseId(req.params.id);
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid pass group ID'
+        });
+      }
+
+      const group = await passService.getGroup(id);
+
+      res.json({
+        success: true,
+        message: 'Pass group retrieved successfully',
+        data: group
+      });
+    } catch (error) {
+      if (handleGroupError(error, res)) return;
+      logger.error('Error fetching pass group:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Create a pass group around a parent pass
+   * POST /api/pass-groups
+   */
+  static async createGroup(req, res) {
+    try {
+      const validation = PassGroupsModel.validateGroupData(req.body);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const group = await passService.createGroup(req.body, req.user);
+
+      res.status(201).json({
+        success: true,
+        message: 'Pass group created successfully',
+        data: group
+      });
+    } catch (error) {
+      if (handleGroupError(error, res)) return;
+      logger.error('Error creating pass group:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Dissolve a pass group (the parent pass is kept)
+   * DELETE /api/pass-groups/:id
+   */
+  static async deleteGroup(req, res) {
+    try {
+      const id = parseId(req.params.id);
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid pass group ID'
+        });
+      }
+
+      await passService.deleteGroup(id);
+
+      res.json({
+        success: true,
+        message: 'Pass group deleted successfully'
+      });
+    } catch (error) {
+      if (handleGroupError(error, res)) return;
+      logger.error('Error deleting pass group:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Link a companion card
+   * POST /api/pass-groups/:id/members
+   */
+  static async addMember(req, res) {
+    try {
+      const id = parseId(req.params.id);
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid pass group ID'
+        });
+      }
+
+      const validation = PassGroupsModel.validateMemberData(req.body);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const member = await passService.addGroupMember(id, req.body, req.user);
+
+      res.status(201).json({
+        success: true,
+        message: 'Card linked to pass group successfully',
+        data: member
+      });
+    } catch (error) {
+      if (handleGroupError(error, res)) return;
+      logger.error('Error adding pass group member:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Signed payload to write to a companion card, re-signed from the parent pass
+   * GET /api/pass-groups/:id/members/:memberId/payload
+   */
+  static async getMemberPayload(req, res) {
+    try {
+      const id = parseId(req.params.id);
+      const memberId = parseId(req.params.memberId);
+      if (!id || !memberId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid pass group or member ID'
+        });
+      }
+
+      const signed = await passService.getGroupMemberPayload(id, memberId);
+
+      res.json({
+        success: true,
+        message: 'Signed payload retrieved successfully',
+        data: signed
+      });
+    } catch (error) {
+      if (handleGroupError(error, res)) return;
+      logger.error('Error getting pass group member payload:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Unlink a companion card
+   * DELETE /api/pass-groups/:id/members/:memberId
+   */
+  static async removeMember(req, res) {
+    try {
+      const id = parseId(req.params.id);
+      const memberId = parseId(req.params.memberId);
+      if (!id || !memberId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid pass group or member ID'
+        });
+      }
+
+      const member = await passService.removeGroupMember(id, memberId);
+
+      res.json({
+        success: true,
+        message: 'Card unlinked from pass group successfully',
+        data: member
+      });
+    } catch (error) {
+      if (handleGroupError(error, res)) return;
+      logger.error('Error removing pass group member:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Block or unblock a single companion card
+   * PATCH /api/pass-groups/:id/members/:memberId
+   */
+  static async updateMemberStatus(req, res) {
+    try {
+      const id = parseId(req.params.id);
+      const memberId = parseId(req.params.memberId);
+      if (!id || !memberId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid pass group or member ID'
+        });
+      }
+
+      const { status } = req.body;
+      if (!PassGroupsModel.MEMBER_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of: ${PassGroupsModel.MEMBER_STATUSES.join(', ')}`
+        });
+      }
+
+      const member = await passService.setGroupMemberStatus(id, memberId, status);
+      emitEvent(req, {
+        type: status === 'blocked' ? 'pass:blocked' : 'pass:unblocked',
+        data: {
+          uid: member.uid,
+          group_id: id,
+          [status === 'blocked' ? 'blocked_by' : 'unblocked_by']: req.user.id,
+          timestamp: new Date().toISOString()
+        }
+      });
+
+      res.json({
+        success: true,
+        message: `Card ${status === 'blocked' ? 'blocked' : 'unblocked'} successfully`,
+        data: member
+      });
+    } catch (error) {
+      if (handleGroupError(error, res)) return;
+      logger.error('Error updating pass group member status:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Block the parent pass and every card in the group
+   * PATCH /api/pass-groups/:id/block
+   */
+  static async blockGroup(req, res) {
+    return PassGroupsController.changeGroup(req, res, 'block');
+  }
+
+  /**
+   * Unblock the parent pass and the cards not blocked on their own
+   * PATCH /api/pass-groups/:id/unblock
+   */
+  static async unblockGroup(req, res) {
+    return PassGroupsController.changeGroup(req, res, 'unblock');
+  }
+
+  /**
+   * Reset the pooled allowance
+   * PATCH /api/pass-groups/:id/reset
+   */
+  static async resetGroup(req, res) {
+    return PassGroupsController.changeGroup(req, res, 'reset');
+  }
+
+  static async changeGroup(req, res, action) {
+    try {
+      const id = parseId(req.params.id);
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid pass group ID'
+        });
+      }
+
+      let result;
+      if (action === 'block') {
+        result = await passService.blockGroup(id, req.user.id);
+      } else if (action === 'unblock') {
+        result = await passService.unblockGroup(id, req.user.id);
+      } else {
+        result = await passService.resetGroup(id, req.user.id, req.body.reason || null);
+      }
+
+      emitEvent(req, result.event);
+      logger.info(`Pass group ${action}: ID=${id}, By=${req.user.id}`);
+
+      res.json({
+        success: true,
+        message: `Pass group ${action === 'reset' ? 'reset' : `${action}ed`} successfully`,
+        data: result.group
+      });
+    } catch (error) {
+      if (handleGroupError(error, res)) return;
+      logger.error(`Error on pass group ${action}:`, error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = PassGroupsController;
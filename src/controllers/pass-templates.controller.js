@@ -0,0 +1,237 @@
+const PassTemplatesModel = require('../models/pass-templates.model');
+const logger = require('../utils/logger');
+
+class PassTemplatesController {
+  /**
+   * Get all pass templates
+   * GET /api/admin/pass-templates
+   */
+  static async getTemplates(req, res) {
+    try {
+      const { status } = req.query;
+      const templates = await PassTemplatesModel.findAll(status || null);
+
+      res.json({
+        success: true,
+        message: 'Pass templates retrieved successfully',
+        data: templates,
+        count: templates.length
+      });
+    } catch (error) {
+      logger.error('Error fetching pass templates:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get pass template by ID
+   * GET /api/admin/pass-templates/:id
+   */
+  static async getTemplateById(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!id || isNaN(parseInt(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid template ID'
+        });
+      }
+
+      const template = await PassTemplatesModel.findById(parseInt(id));
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: 'Pass template not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Pass template retrieved successfully',
+        data: {
+          ...template,
+          pass_count: await PassTemplatesModel.countPasses(template.id)
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching pass template:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Create a pass template
+   * POST /api/admin/pass-templates
+   */
+  static async createTemplate(req, res) {
+    try {
+      const templateData = req.body;
+
+      const validation = PassTemplatesModel.validateTemplateData(templateData);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const existingTemplate = await PassTemplatesModel.findByName(templateData.name);
+      if (existingTemplate) {
+        return res.status(409).json({
+          success: false,
+          message: 'Pass template with this name already exists'
+        });
+      }
+
+      const template = await PassTemplatesModel.create(templateData, req.user.id);
+
+      logger.info(`Pass template created by user ${req.user.id}: ${template.name}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Pass template created successfully',
+        data: template
+      });
+    } catch (error) {
+      logger.error('Error creating pass template:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Update a pass template (passes already created from it keep their settings)
+   * PATCH /api/admin/pass-templates/:id
+   */
+  static async updateTemplate(req, res) {
+    try {
+      const { id } = req.params;
+      const updateData = req.body;
+
+      if (!id || isNaN(parseInt(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid template ID'
+        });
+      }
+
+      const existingTemplate = await PassTemplatesModel.findById(parseInt(id));
+      if (!existingTemplate) {
+        return res.status(404).json({
+          success: false,
+          message: 'Pass template not found'
+        });
+      }
+
+      // max_uses limits depend on the pass type the template ends up with
+      const validation = PassTemplatesModel.validateTemplateData({
+        pass_type: existingTemplate.pass_type,
+        ...updateData
+      }, true);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      if (updateData.name && updateData.name !== existingTemplate.name) {
+        const nameConflict = await PassTemplatesModel.findByName(updateData.name);
+        if (nameConflict) {
+          return res.status(409).json({
+            success: false,
+            message: 'Pass template with this name already exists'
+          });
+        }
+      }
+
+      const template = await PassTemplatesModel.update(parseInt(id), updateData);
+
+      logger.info(`Pass template updated by user ${req.user.id}: ${existingTemplate.name} (ID: ${id})`);
+
+      res.json({
+        success: true,
+        message: 'Pass template updated successfully',
+        data: template
+      });
+    } catch (error) {
+      logger.error('Error updating pass template:', error);
+
+      if (error.message.includes('No valid fields')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Delete a pass template that no pass was created from
+   * DELETE /api/admin/pass-templates/:id
+   */
+  static async deleteTemplate(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!id || isNaN(parseInt(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid template ID'
+        });
+      }
+
+      const passCount = await PassTemplatesModel.countPasses(parseInt(id));
+      if (passCount > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot delete template: ${passCount} passes were created from it. Set its status to inactive instead.`
+        });
+      }
+
+      const deleted = await PassTemplatesModel.delete(parseInt(id));
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Pass template not found'
+        });
+      }
+
+      logger.info(`Pass template deleted by user ${req.user.id}: ID ${id}`);
+
+      res.json({
+        success: true,
+        message: 'Pass template deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Error deleting pass template:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = PassTemplatesController;
@@ -1,24 +1,72 @@
 const express = require('express');
-const { authenticateToken, adminOnly, adminOrManager, allRoles, auditLog } = require('../utils/auth.middleware');
+const { authenticateToken, requirePermission, auditLog } = require('../utils/auth.middleware');
+const permissionService = require('../services/permission.service');
 const {
   createPassValidation,
   bulkCreatePassValidation,
   passIdValidation,
   resetPassValidation,
+  replaceUidValidation,
+  changeCategoryValidation,
+  passListQueryValidation,
+  passTimelineQueryValidation,
   handleValidationErrors,
-  getPaginationParams
+  getPaginationParams,
+  formatDateForDB
 } = require('../utils/validators');
 const passService = require('../services/pass.service');
+const passEventsService = require('../services/pass-events.service');
+const PassHoldersModel = require('../models/pass-holders.model');
 const bulkService = require('../services/bulk.service');
+const presenceService = require('../services/presence.service');
+const offlineService = require('../services/offline.service');
 const logger = require('../utils/logger');
 const LoggingService = require('../services/logging.service');
 
 const router = express.Router();
 
+// Fill in pass_type, category, people_allowed, max_uses and valid_to from
+// body.template_id before the create validations run
+const applyPassTemplate = async (req, res, next) => {
+  const { template_id } = req.body;
+  if (template_id === undefined || template_id === null || template_id === '') {
+    return next();
+  }
+  
+  const templateId = parseInt(template_id);
+  if (isNaN(templateId) || templateId < 1) {
+    return res.status(400).json({
+      error: 'Template ID must be a positive integer',
+      code: 'VALIDATION_ERROR'
+    });
+  }
+  
+  try {
+    const template = await passService.resolveTemplate(templateId);
+    req.body = passService.applyTemplate(req.body, template);
+    next();
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    
+    logger.error('Apply pass template error:', error);
+    res.status(500).json({
+      error: 'Failed to load pass template',
+      code: 'TEMPLATE_ERROR',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 // POST /api/pass/create
 router.post('/create',
   authenticateToken,
-  adminOrManager,
+  requirePermission('pass.create'),
+  applyPassTemplate,
   createPassValidation,
   handleValidationErrors,
   auditLog('PASS_CREATE'),
@@ -102,13 +150,14 @@ router.post('/create',
 // POST /api/pass/create-bulk (NFC streaming mode)
 router.post('/create-bulk',
   authenticateToken,
-  adminOrManager,
+  requirePermission('pass.create'),
+  applyPassTemplate,
   bulkCreatePassValidation,
   handleValidationErrors,
   auditLog('PASS_BULK_CREATE'),
   async (req, res) => {
     try {
-      const { uids, pass_type, category, people_allowed, max_uses} = req.body;
+      const { uids, pass_type, category, people_allowed, max_uses, valid_from, valid_to, template_id } = req.body;
       
       // Validate required fields
       if (!uids || !Array.isArray(uids) || uids.length === 0) {
@@ -148,7 +197,10 @@ router.post('/create-bulk',
         pass_type,
         category,
         people_allowed,
-        max_uses: finalMaxUses
+        max_uses: finalMaxUses,
+        valid_from: valid_from ? formatDateForDB(valid_from) : null,
+        valid_to: valid_to ? formatDateForDB(valid_to) : null,
+        template_id: template_id || null
       }));
 
       // Validate each pass data before creation
@@ -226,7 +278,7 @@ router.post('/create-bulk',
 // DELETE /api/pass/:id
 router.delete('/:id',
   authenticateToken,
-  adminOrManager,
+  requirePermission('pass.delete'),
   passIdValidation,
   handleValidationErrors,
   auditLog('PASS_DELETE'),
@@ -274,7 +326,7 @@ router.delete('/:id',
 // PATCH /api/pass/:id/block
 router.patch('/:id/block',
   authenticateToken,
-  adminOnly, // Only admin can block passes
+  requirePermission('pass.block'),
   passIdValidation,
   handleValidationErrors,
   auditLog('PASS_BLOCK'),
@@ -336,7 +388,7 @@ router.patch('/:id/block',
 // PATCH /api/pass/:id/unblock
 router.patch('/:id/unblock',
   authenticateToken,
-  adminOnly, // Only admin can unblock passes
+  requirePermission('pass.block'),
   passIdValidation,
   handleValidationErrors,
   auditLog('PASS_UNBLOCK'),
@@ -397,7 +449,7 @@ router.patch('/:id/unblock',
 // PATCH /api/pass/:id/reset
 router.patch('/:id/reset',
   authenticateToken,
-  adminOrManager, // Admin or Manager can reset passes
+  requirePermission('pass.reset'),
   passIdValidation,
   resetPassValidation,
   handleValidationErrors,
@@ -458,10 +510,141 @@ router.patch('/:id/reset',
   }
 );
 
+// POST /api/pass/:id/replace-uid (lost card: move the pass to a new card)
+router.post('/:id/replace-uid',
+  authenticateToken,
+  requirePermission('pass.replace'),
+  passIdValidation,
+  replaceUidValidation,
+  handleValidationErrors,
+  auditLog('PASS_REPLACE_UID'),
+  async (req, res) => {
+    const passId = parseInt(req.params.id);
+    try {
+      const { new_uid, reason } = req.body;
+      
+      const result = await passService.replacePassUid(passId, new_uid, req.user, reason || null);
+      
+      // Emit socket event so devices drop the old card
+      const io = req.app.get('io');
+      if (io) {
+        io.emit(result.event.type, result.event.data);
+      }
+      
+      logger.info(`Pass UID replaced successfully: ID=${passId}`);
+      
+      res.status(200).json({
+        message: 'Pass moved to the new card successfully',
+        pass: result.pass,
+        uid_history: result.uid_history
+      });
+      
+    } catch (error) {
+      logger.error('Replace pass UID error:', error);
+      
+      await LoggingService.logError('replace_uid_error', error, req.user, req, {
+        action: 'replace_uid',
+        pass_id: passId,
+        new_uid: req.body.new_uid
+      });
+      
+      if (error.message === 'Pass not found') {
+        return res.status(404).json({
+          error: 'Pass not found',
+          code: 'PASS_NOT_FOUND'
+        });
+      }
+      
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          code: error.code
+        });
+      }
+      
+      res.status(500).json({
+        error: 'Failed to replace pass UID',
+        code: 'REPLACE_UID_ERROR',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// PATCH /api/pass/:id/category (upgrade or downgrade, with usage carry-over rules)
+router.patch('/:id/category',
+  authenticateToken,
+  requirePermission('pass.update'),
+  passIdValidation,
+  changeCategoryValidation,
+  handleValidationErrors,
+  auditLog('PASS_CATEGORY_CHANGE'),
+  async (req, res) => {
+    const passId = parseInt(req.params.id);
+    try {
+      const { category, usage, max_uses, reason } = req.body;
+      
+      const result = await passService.changePassCategory(passId, category, req.user, {
+        usage,
+        max_uses,
+        reason: reason || null
+      });
+      
+      // Emit socket event so devices pick up the new category
+      const io = req.app.get('io');
+      if (io) {
+        io.emit(result.event.type, result.event.data);
+      }
+      
+      await LoggingService.logChangePassCategory(result.pass, result.previous, req.user, req, {
+        usage: result.event.data.usage,
+        reason
+      });
+      
+      logger.info(`Pass category changed successfully: ID=${passId}`);
+      
+      res.status(200).json({
+        message: 'Pass category changed successfully',
+        pass: result.pass,
+        previous: result.previous
+      });
+      
+    } catch (error) {
+      logger.error('Change pass category error:', error);
+      
+      await LoggingService.logError('change_category_error', error, req.user, req, {
+        action: 'change_category',
+        pass_id: passId,
+        category: req.body.category
+      });
+      
+      if (error.message === 'Pass not found') {
+        return res.status(404).json({
+          error: 'Pass not found',
+          code: 'PASS_NOT_FOUND'
+        });
+      }
+      
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          code: error.code
+        });
+      }
+      
+      res.status(500).json({
+        error: 'Failed to change pass category',
+        code: 'CHANGE_CATEGORY_ERROR',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
 // POST /api/pass/reset-all
 router.post('/reset-all',
   authenticateToken,
-  adminOnly, // Only admin can reset all passes
+  requirePermission('pass.reset_all'),
   auditLog('PASS_RESET_ALL'),
   async (req, res) => {
     try {
@@ -525,10 +708,74 @@ router.post('/reset-all',
   }
 );
 
+// GET /api/pass/offline-bundle - Must be before /:id route
+// Signed snapshot of active and blocked passes for offline scanning (users without verify.any_scope get their assigned category only)
+router.get('/offline-bundle',
+  authenticateToken,
+  requirePermission('verify.sync'),
+  async (req, res) => {
+    try {
+      const category = offlineService.resolveCategory(req.user, req.query.category);
+      const result = await offlineService.getBundle(category);
+      
+      res.status(200).json({
+        message: 'Offline bundle generated successfully',
+        ...result
+      });
+      
+    } catch (error) {
+      logger.error('Get offline bundle error:', error);
+      
+      res.status(500).json({
+        error: 'Failed to generate offline bundle',
+        code: 'OFFLINE_BUNDLE_ERROR',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// GET /api/pass/offline-bundle/delta?since=<version> - changes after the version a device holds
+router.get('/offline-bundle/delta',
+  authenticateToken,
+  requirePermission('verify.sync'),
+  async (req, res) => {
+    try {
+      const since = Number(req.query.since);
+      
+      if (req.query.since === undefined || !Number.isInteger(since) || since < 0) {
+        return res.status(400).json({
+          error: 'since must be a non-negative integer bundle version',
+          code: 'INVALID_SINCE'
+        });
+      }
+      
+      const category = offlineService.resolveCategory(req.user, req.query.category);
+      const result = await offlineService.getDelta(since, category);
+      
+      res.status(200).json({
+        message: result.delta.full_resync_required
+          ? 'Bundle version is no longer available, download a full offline bundle'
+          : 'Offline bundle delta generated successfully',
+        ...result
+      });
+      
+    } catch (error) {
+      logger.error('Get offline bundle delta error:', error);
+      
+      res.status(500).json({
+        error: 'Failed to generate offline bundle delta',
+        code: 'OFFLINE_DELTA_ERROR',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
 // GET /api/pass/search?uid=<uid> - Must be before /:id route
 router.get('/search',
   authenticateToken,
-  allRoles, // Allow all authenticated users (admin, manager, bouncer)
+  requirePermission('pass.lookup'),
   async (req, res) => {
     try {
       const { uid } = req.query;
@@ -551,6 +798,7 @@ router.get('/search',
       
       // Get recent logs for this pass
       const recentLogs = await passService.getRecentLogsForPass(uid, 10);
+      const holder = await PassHoldersModel.findByPassId(pass.id);
       
       res.status(200).json({
         message: 'Pass found successfully',
@@ -558,6 +806,7 @@ router.get('/search',
           ...pass,
           remaining_uses: pass.max_uses - pass.used_count
         },
+        holder: PassHoldersModel.filterForAccess(holder, permissionService.hasPermission(req.user.permissions, 'pass.holder_details')),
         recent_logs: recentLogs
       });
       
@@ -573,10 +822,35 @@ router.get('/search',
   }
 );
 
+// GET /api/pass/stats - Must be before /:id route
+router.get('/stats',
+  authenticateToken,
+  requirePermission('pass.read'),
+  async (req, res) => {
+    try {
+      const stats = await passService.getPassStats();
+      
+      res.status(200).json({
+        message: 'Pass statistics retrieved successfully',
+        stats
+      });
+      
+    } catch (error) {
+      logger.error('Get pass stats error:', error);
+      
+      res.status(500).json({
+        error: 'Failed to retrieve pass statistics',
+        code: 'STATS_ERROR',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
 // GET /api/pass/:id
 router.get('/:id',
   authenticateToken,
-  adminOrManager,
+  requirePermission('pass.read'),
   passIdValidation,
   handleValidationErrors,
   async (req, res) => {
@@ -609,13 +883,281 @@ router.get('/:id',
   }
 );
 
+// GET /api/pass/:id/payload (signed payload to write to the tag; ?regenerate=true re-signs with the active key)
+router.get('/:id/payload',
+  authenticateToken,
+  requirePermission('pass.read'),
+  passIdValidation,
+  handleValidationErrors,
+  auditLog('PASS_SIGNED_PAYLOAD'),
+  async (req, res) => {
+    try {
+      const passId = parseInt(req.params.id);
+      const regenerate = req.query.regenerate === 'true';
+      
+      const signed = await passService.getSignedPayload(passId, regenerate);
+      
+      res.status(200).json({
+        message: 'Signed payload retrieved successfully',
+        ...signed
+      });
+      
+    } catch (error) {
+      logger.error('Get signed payload error:', error);
+      
+      if (error.message === 'Pass not found') {
+        return res.status(404).json({
+          error: 'Pass not found',
+          code: 'PASS_NOT_FOUND'
+        });
+      }
+      
+      res.status(500).json({
+        error: 'Failed to retrieve signed payload',
+        code: 'PAYLOAD_ERROR',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// GET /api/pass/:id/timeline (lifecycle events of the pass, newest first; ?type=verified,blocked filters)
+router.get('/:id/timeline',
+  authenticateToken,
+  requirePermission('pass.read'),
+  passIdValidation,
+  passTimelineQueryValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const passId = parseInt(req.params.id);
+      const pagination = getPaginationParams(req);
+      const types = req.query.type
+        ? String(req.query.type).split(',').map(type => type.trim())
+        : null;
+      
+      const result = await passEventsService.getTimeline(passId, pagination, types);
+      
+      res.status(200).json({
+        message: 'Pass timeline retrieved successfully',
+        pass: result.pass,
+        events: result.events,
+        pagination: {
+          page: pagination.page,
+          limit: pagination.limit,
+          total: result.total,
+          totalPages: Math.ceil(result.total / pagination.limit),
+          hasNextPage: pagination.page < Math.ceil(result.total / pagination.limit),
+          hasPrevPage: pagination.page > 1
+        }
+      });
+      
+    } catch (error) {
+      logger.error('Get pass timeline error:', error);
+      
+      if (error.message === 'Pass not found') {
+        return res.status(404).json({
+          error: 'Pass not found',
+          code: 'PASS_NOT_FOUND'
+        });
+      }
+      
+      res.status(500).json({
+        error: 'Failed to retrieve pass timeline',
+        code: 'TIMELINE_ERROR',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// GET /api/pass/:id/timeline/state (replay the events and compare with the stored pass)
+router.get('/:id/timeline/state',
+  authenticateToken,
+  requirePermission('pass.read'),
+  passIdValidation,
+  handleValidationErrors,
+  auditLog('PASS_STATE_REBUILD'),
+  async (req, res) => {
+    try {
+      const passId = parseInt(req.params.id);
+      
+      const rebuild = await passEventsService.rebuildState(passId);
+      
+      if (!rebuild.consistent) {
+        logger.warn(`Pass ${passId} differs from its event history:`, rebuild.differences);
+      }
+      
+      res.status(200).json({
+        message: rebuild.consistent
+          ? 'Pass state matches its event history'
+          : 'Pass state differs from its event history',
+        ...rebuild
+      });
+      
+    } catch (error) {
+      logger.error('Rebuild pass state error:', error);
+      
+      if (error.message === 'Pass not found') {
+        return res.status(404).json({
+          error: 'Pass not found',
+          code: 'PASS_NOT_FOUND'
+        });
+      }
+      
+      res.status(500).json({
+        error: 'Failed to rebuild pass state',
+        code: 'REBUILD_ERROR',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// GET /api/pass/:id/holder (holder profile; only name and photo without pass.holder_details)
+router.get('/:id/holder',
+  authenticateToken,
+  requirePermission('pass.lookup'),
+  passIdValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const passId = parseInt(req.params.id);
+      
+      const holder = await passService.getHolder(passId, permissionService.hasPermission(req.user.permissions, 'pass.holder_details'));
+      
+      if (!holder) {
+        return res.status(404).json({
+          error: 'Pass holder not found',
+          code: 'HOLDER_NOT_FOUND'
+        });
+      }
+      
+      res.status(200).json({
+        message: 'Pass holder retrieved successfully',
+        holder
+      });
+      
+    } catch (error) {
+      logger.error('Get pass holder error:', error);
+      
+      if (error.message === 'Pass not found') {
+        return res.status(404).json({
+          error: 'Pass not found',
+          code: 'PASS_NOT_FOUND'
+        });
+      }
+      
+      res.status(500).json({
+        error: 'Failed to retrieve pass holder',
+        code: 'GET_ERROR',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// PUT /api/pass/:id/holder (create or replace the holder profile)
+router.put('/:id/holder',
+  authenticateToken,
+  requirePermission('pass.update'),
+  passIdValidation,
+  handleValidationErrors,
+  auditLog('PASS_HOLDER_UPDATE'),
+  async (req, res) => {
+    try {
+      const passId = parseInt(req.params.id);
+      
+      const validation = PassHoldersModel.validateHolderData(req.body);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: validation.errors
+        });
+      }
+      
+      const result = await passService.setHolder(passId, req.body, req.user.id);
+      
+      const io = req.app.get('io');
+      if (io) {
+        io.emit(result.event.type, result.event.data);
+      }
+      
+      res.status(200).json({
+        message: 'Pass holder saved successfully',
+        holder: result.holder
+      });
+      
+    } catch (error) {
+      logger.error('Save pass holder error:', error);
+      
+      if (error.message === 'Pass not found') {
+        return res.status(404).json({
+          error: 'Pass not found',
+          code: 'PASS_NOT_FOUND'
+        });
+      }
+      
+      res.status(500).json({
+        error: 'Failed to save pass holder',
+        code: 'HOLDER_ERROR',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+// DELETE /api/pass/:id/holder
+router.delete('/:id/holder',
+  authenticateToken,
+  requirePermission('pass.update'),
+  passIdValidation,
+  handleValidationErrors,
+  auditLog('PASS_HOLDER_DELETE'),
+  async (req, res) => {
+    try {
+      const passId = parseInt(req.params.id);
+      
+      const result = await passService.deleteHolder(passId, req.user.id);
+      
+      const io = req.app.get('io');
+      if (io) {
+        io.emit(result.event.type, result.event.data);
+      }
+      
+      res.status(200).json({
+        message: 'Pass holder removed successfully'
+      });
+      
+    } catch (error) {
+      logger.error('Delete pass holder error:', error);
+      
+      if (error.message === 'Pass not found' || error.message === 'Pass holder not found') {
+        return res.status(404).json({
+          error: error.message,
+          code: error.message === 'Pass not found' ? 'PASS_NOT_FOUND' : 'HOLDER_NOT_FOUND'
+        });
+      }
+      
+      res.status(500).json({
+        error: 'Failed to remove pass holder',
+        code: 'HOLDER_ERROR',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
 // GET /api/passes (list all passes with filters and search)
 router.get('/',
   authenticateToken,
-  adminOrManager,
+  requirePermission('pass.read'),
+  passListQueryValidation,
+  handleValidationErrors,
   async (req, res) => {
     try {
-      const { status, pass_type, category, created_by, search, uid, pass_id } = req.query;
+      const { status, pass_type, category, created_by, template_id, search, uid, pass_id, holder, validity, valid_on, expires_before } = req.query;
       const pagination = getPaginationParams(req);
       
       const filters = {};
@@ -623,9 +1165,14 @@ router.get('/',
       if (pass_type) filters.pass_type = pass_type;
       if (category) filters.category = category;
       if (created_by) filters.created_by = parseInt(created_by);
+      if (template_id) filters.template_id = parseInt(template_id);
       if (search) filters.search = search;
       if (uid) filters.uid = uid;
       if (pass_id) filters.pass_id = pass_id;
+      if (holder) filters.holder = holder;
+      if (validity) filters.validity = validity;
+      if (valid_on) filters.valid_on = valid_on;
+      if (expires_before) filters.expires_before = formatDateForDB(expires_before);
       
       const result = await passService.getAllPassesWithPagination(filters, pagination);
       
@@ -658,7 +1205,7 @@ router.get('/',
 // GET /api/passes/uid/:uid (get pass by UID with complete usage details)
 router.get('/uid/:uid',
   authenticateToken,
-  adminOrManager,
+  requirePermission('pass.read'),
   async (req, res) => {
     try {
       const { uid } = req.params;
@@ -685,12 +1232,21 @@ router.get('/uid/:uid',
       // Calculate remaining uses
       const remainingUses = pass.max_uses ? Math.max(0, pass.max_uses - pass.used_count) : null;
       
+      // Current in/out state for anti-passback
+      const presence = await presenceService.getPresence(uid);
+      const antiPassback = await presenceService.getSettings();
+      
       res.status(200).json({
         message: 'Pass details retrieved successfully',
         pass: {
           ...pass,
           remaining_uses: remainingUses
         },
+        presence: {
+          ...presence,
+          inside: presenceService.isInside(presence, antiPassback.window_minutes),
+          anti_passback_enabled: antiPassback.enabled
+        },
         usage_history: usageHistory,
         statistics: {
           total_scans: pass.used_count || 0,
@@ -712,29 +1268,4 @@ router.get('/uid/:uid',
   }
 );
 
-// GET /api/pass/stats
-router.get('/stats',
-  authenticateToken,
-  adminOrManager,
-  async (req, res) => {
-    try {
-      const stats = await passService.getPassStats();
-      
-      res.status(200).json({
-        message: 'Pass statistics retrieved successfully',
-        stats
-      });
-      
-    } catch (error) {
-      logger.error('Get pass stats error:', error);
-      
-      res.status(500).json({
-        error: 'Failed to retrieve pass statistics',
-        code: 'STATS_ERROR',
-        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-      });
-    }
-  }
-);
-
 module.exports = router;
\ No newline at end of file
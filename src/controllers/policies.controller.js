@@ -0,0 +1,260 @@
+const PoliciesModel = require('../models/policies.model');
+const policyService = require('../services/policy.service');
+const logger = require('../utils/logger');
+
+class PoliciesController {
+  /**
+   * Get all verification policies (and the built-in fallbacks)
+   * GET /api/admin/policies
+   */
+  static async getPolicies(req, res) {
+    try {
+      const { status } = req.query;
+      const policies = await PoliciesModel.findAll(status || null);
+
+      res.json({
+        success: true,
+        message: 'Verification policies retrieved successfully',
+        data: policies,
+        built_in: policyService.BUILT_IN_POLICIES,
+        count: policies.length
+      });
+    } catch (error) {
+      logger.error('Error fetching verification policies:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Show which policy applies to a category / pass type combination
+   * GET /api/admin/policies/resolve?category=&pass_type=
+   */
+  static async resolvePolicy(req, res) {
+    try {
+      const { category, pass_type } = req.query;
+
+      if (!category || !pass_type) {
+        return res.status(400).json({
+          success: false,
+          message: 'category and pass_type are required'
+        });
+      }
+
+      const policy = await policyService.resolvePolicy({ category, pass_type });
+
+      res.json({
+        success: true,
+        message: 'Policy resolved successfully',
+        data: policy
+      });
+    } catch (error) {
+      logger.error('Error resolving verification policy:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get verification policy by ID
+   * GET /api/admin/policies/:id
+   */
+  static async getPolicyById(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!id || isNaN(parseInt(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid policy ID'
+        });
+      }
+
+      const policy = await PoliciesModel.findById(parseInt(id));
+      if (!policy) {
+        return res.status(404).json({
+          success: false,
+          message: 'Verification policy not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Verification policy retrieved successfully',
+        data: policy
+      });
+    } catch (error) {
+      logger.error('Error fetching verification policy:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Create a verification policy
+   * POST /api/admin/policies
+   */
+  static async createPolicy(req, res) {
+    try {
+      const policyData = req.body;
+
+      const validation = PoliciesModel.validatePolicyData(policyData);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const existingPolicy = await PoliciesModel.findByName(policyData.name);
+      if (existingPolicy) {
+        return res.status(409).json({
+          success: false,
+          message: 'Verification policy with this name already exists'
+        });
+      }
+
+      const policy = await PoliciesModel.create(policyData);
+      await policyService.invalidateCache();
+
+      logger.info(`Verification policy created by user ${req.user.id}: ${policy.name}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Verification policy created successfully',
+        data: policy
+      });
+    } catch (error) {
+      logger.error('Error creating verification policy:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Update a verification policy
+   * PATCH /api/admin/policies/:id
+   */
+  static async updatePolicy(req, res) {
+    try {
+      const { id } = req.params;
+      const updateData = req.body;
+
+      if (!id || isNaN(parseInt(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid policy ID'
+        });
+      }
+
+      const validation = PoliciesModel.validatePolicyData(updateData, true);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const existingPolicy = await PoliciesModel.findById(parseInt(id));
+      if (!existingPolicy) {
+        return res.status(404).json({
+          success: false,
+          message: 'Verification policy not found'
+        });
+      }
+
+      if (updateData.name && updateData.name !== existingPolicy.name) {
+        const nameConflict = await PoliciesModel.findByName(updateData.name);
+        if (nameConflict) {
+          return res.status(409).json({
+            success: false,
+            message: 'Verification policy with this name already exists'
+          });
+        }
+      }
+
+      const policy = await PoliciesModel.update(parseInt(id), updateData);
+      await policyService.invalidateCache();
+
+      logger.info(`Verification policy updated by user ${req.user.id}: ${existingPolicy.name} (ID: ${id})`);
+
+      res.json({
+        success: true,
+        message: 'Verification policy updated successfully',
+        data: policy
+      });
+    } catch (error) {
+      logger.error('Error updating verification policy:', error);
+
+      if (error.message.includes('No valid fields')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Delete a verification policy
+   * DELETE /api/admin/policies/:id
+   */
+  static async deletePolicy(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!id || isNaN(parseInt(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid policy ID'
+        });
+      }
+
+      const deleted = await PoliciesModel.delete(parseInt(id));
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Verification policy not found'
+        });
+      }
+
+      await policyService.invalidateCache();
+
+      logger.info(`Verification policy deleted by user ${req.user.id}: ID ${id}`);
+
+      res.json({
+        success: true,
+        message: 'Verification policy deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Error deleting verification policy:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = PoliciesController;
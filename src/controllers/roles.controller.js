@@ -0,0 +1,176 @@
+const permissionService = require('../services/permission.service');
+const logger = require('../utils/logger');
+
+class RolesController {
+  /**
+   * Get all roles with their permissions and user counts
+   * GET /api/roles
+   */
+  static async getRoles(req, res) {
+    try {
+      const roles = await permissionService.listRoles();
+
+      res.json({
+        success: true,
+        message: 'Roles retrieved successfully',
+        data: roles,
+        count: roles.length
+      });
+    } catch (error) {
+      RolesController.handleError(res, error, 'Error fetching roles:');
+    }
+  }
+
+  /**
+   * Get the catalog of permissions roles can grant
+   * GET /api/roles/permissions
+   */
+  static async getPermissions(req, res) {
+    try {
+      const permissions = permissionService.getCatalog();
+
+      res.json({
+        success: true,
+        message: 'Permissions retrieved successfully',
+        data: permissions,
+        count: permissions.length
+      });
+    } catch (error) {
+      RolesController.handleError(res, error, 'Error fetching permissions:');
+    }
+  }
+
+  /**
+   * Get role by ID
+   * GET /api/roles/:id
+   */
+  static async getRoleById(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!id || isNaN(parseInt(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid role ID'
+        });
+      }
+
+      const role = await permissionService.getRole(parseInt(id));
+
+      res.json({
+        success: true,
+        message: 'Role retrieved successfully',
+        data: role
+      });
+    } catch (error) {
+      RolesController.handleError(res, error, 'Error fetching role:');
+    }
+  }
+
+  /**
+   * Create a role
+   * POST /api/roles
+   */
+  static async createRole(req, res) {
+    try {
+      const result = await permissionService.createRole(req.body, req.user);
+
+      RolesController.emit(req, result.event);
+
+      res.status(201).json({
+        success: true,
+        message: 'Role created successfully',
+        data: result.role
+      });
+    } catch (error) {
+      RolesController.handleError(res, error, 'Error creating role:');
+    }
+  }
+
+  /**
+   * Rename a role, change its description or replace its permissions
+   * PATCH /api/roles/:id
+   */
+  static async updateRole(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!id || isNaN(parseInt(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid role ID'
+        });
+      }
+
+      const result = await permissionService.updateRole(parseInt(id), req.body, req.user);
+
+      // Connected users of the role move to the rooms of its new permissions
+      permissionService.syncSocketRooms(req.app.get('io'), result.previous, result.role);
+      RolesController.emit(req, result.event);
+
+      res.json({
+        success: true,
+        message: 'Role updated successfully',
+        data: result.role
+      });
+    } catch (error) {
+      RolesController.handleError(res, error, 'Error updating role:');
+    }
+  }
+
+  /**
+   * Delete a role that no user has
+   * DELETE /api/roles/:id
+   */
+  static async deleteRole(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!id || isNaN(parseInt(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid role ID'
+        });
+      }
+
+      const result = await permissionService.deleteRole(parseInt(id), req.user);
+
+      RolesController.emit(req, result.event);
+
+      res.json({
+        success: true,
+        message: 'Role deleted successfully'
+      });
+    } catch (error) {
+      RolesController.handleError(res, error, 'Error deleting role:');
+    }
+  }
+
+  // Role changes go to everyone who can see or edit roles
+  static emit(req, event) {
+    const io = req.app.get('io');
+    if (io && event) {
+      io.to(['permission:users.manage', 'permission:roles.manage']).emit(event.type, event.data);
+    }
+  }
+
+  static handleError(res, error, logMessage) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        errors: error.errors
+      });
+    }
+
+    logger.error(logMessage, error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+module.exports = RolesController;
@@ -1,5 +1,6 @@
 const express = require('express');
-const { authenticateToken, allRoles, adminOrManager, adminOnly } = require('../utils/auth.middleware');
+const { authenticateToken, requirePermission } = require('../utils/auth.middleware');
+const permissionService = require('../services/permission.service');
 const {
   handleValidationErrors,
   getPaginationParams
@@ -12,7 +13,7 @@ const router = express.Router();
 // GET /api/system-logs - Get system logs with filters and pagination
 router.get('/',
   authenticateToken,
-  allRoles, // Allow all authenticated users (admin, manager, bouncer)
+  requirePermission('logs.read'),
   async (req, res) => {
     try {
       const {
@@ -45,15 +46,15 @@ router.get('/',
       if (end_date) filters.end_date = end_date;
       if (search) filters.search = search;
       
-      // For bouncer role, add category-based filtering
-      if (req.user.role === 'bouncer') {
+      // Without logs.read_all, only logs of the user's assigned category are visible
+      if (!permissionService.hasPermission(req.user.permissions, 'logs.read_all')) {
         const UserModel = require('../models/user.model');
         
         // Get bouncer's assigned category
         const bouncer = await UserModel.findByIdIncludeInactive(req.user.id);
         if (!bouncer || !bouncer.assigned_category) {
           return res.status(403).json({
-            error: 'Bouncer does not have an assigned category',
+            error: 'User does not have an assigned category',
             code: 'NO_ASSIGNED_CATEGORY'
           });
         }
@@ -104,7 +105,7 @@ router.get('/',
 // GET /api/system-logs/stats - Get system logs statistics
 router.get('/stats',
   authenticateToken,
-  adminOrManager,
+  requirePermission('logs.read_all'),
   async (req, res) => {
     try {
       const { start_date, end_date } = req.query;
@@ -165,7 +166,7 @@ router.get('/stats',
 // GET /api/system-logs/:id - Get specific system log by ID
 router.get('/:id',
   authenticateToken,
-  adminOrManager,
+  requirePermission('logs.read_all'),
   async (req, res) => {
     try {
       const logId = parseInt(req.params.id);
@@ -208,7 +209,7 @@ router.get('/:id',
 // GET /api/system-logs/actions - Get available action types
 router.get('/actions',
   authenticateToken,
-  adminOrManager,
+  requirePermission('logs.read_all'),
   async (req, res) => {
     try {
       // Get distinct action types from logs
@@ -1,11 +1,25 @@
 const bcrypt = require('bcryptjs');
 const UserModel = require('../models/user.model');
+const CheckpointsModel = require('../models/checkpoints.model');
 const { validateUser, validateUserUpdate } = require('../utils/validators');
 const logger = require('../utils/logger');
 const LoggingService = require('../services/logging.service');
+const sessionService = require('../services/session.service');
+const twoFactorService = require('../services/two-factor.service');
+const accountLockoutService = require('../services/account-lockout.service');
+const permissionService = require('../services/permission.service');
+
+// Assigned categories and checkpoints only limit users without verify.any_scope (e.g. bouncers)
+const isScopedRole = async (role) => !(await permissionService.roleHasPermission(role, 'verify.any_scope'));
+
+const sendRoleError = (res, error) => res.status(error.statusCode).json({
+  success: false,
+  message: error.message,
+  code: error.code
+});
 
 /**
- * Create a new user (Admin only)
+ * Create a new user
  * POST /api/users
  */
 const createUser = async (req, res) => {
@@ -22,6 +36,8 @@ const createUser = async (req, res) => {
       });
     }
 
+    // The role must exist and grant nothing the creator lacks
+    await permissionService.assertCanAssignRole(req.user, role);
     
     // Check if user already exists
     const existingUser = await UserModel.findByUsername(username);
@@ -38,7 +54,7 @@ const createUser = async (req, res) => {
       password,
       role,
       status,
-      assigned_category: role === 'bouncer' ? assigned_category : null,
+      assigned_category: await isScopedRole(role) ? assigned_category : null,
       createdBy: req.user.id
     });
     
@@ -55,12 +71,24 @@ const createUser = async (req, res) => {
         username: user.username,
         role: user.role,
         status: user.status,
+        must_change_password: Boolean(user.must_change_password),
         createdAt: user.createdAt,
         updatedAt: user.updatedAt
       }
     });
     
   } catch (error) {
+    if (error.code === 'PASSWORD_POLICY_VIOLATION') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+    }
+    if (error.code === 'ROLE_NOT_FOUND' || error.code === 'PERMISSION_ESCALATION') {
+      return sendRoleError(res, error);
+    }
+    
     logger.error('Create user error:', error);
     res.status(500).json({
       success: false,
@@ -183,6 +211,13 @@ const updateUser = async (req, res) => {
         message: 'Cannot change your own role'
       });
     }
+    
+    if (user.id !== req.user.id) {
+      await permissionService.assertCanManageUser(req.user, user);
+    }
+    if (role && role !== user.role) {
+      await permissionService.assertCanAssignRole(req.user, role);
+    }
 
     
     // Check for duplicate username
@@ -202,8 +237,8 @@ const updateUser = async (req, res) => {
       username: username || user.username,
       role: newRole,
       status: status || user.status,
-      // Clear assigned_category if role changes from bouncer to something else
-      assigned_category: newRole === 'bouncer' 
+      // Clear assigned_category if the new role is not limited to an assigned category
+      assigned_category: await isScopedRole(newRole)
         ? (assigned_category !== undefined ? assigned_category : user.assigned_category)
         : null
     };
@@ -229,6 +264,10 @@ const updateUser = async (req, res) => {
     });
     
   } catch (error) {
+    if (error.code === 'ROLE_NOT_FOUND' || error.code === 'PERMISSION_ESCALATION') {
+      return sendRoleError(res, error);
+    }
+    
     logger.error('Update user error:', error);
     res.status(500).json({
       success: false,
@@ -246,10 +285,10 @@ const changePassword = async (req, res) => {
     const { id } = req.params;
     const { password } = req.body;
     
-    if (!password || password.length < 6) {
+    if (!password) {
       return res.status(400).json({
         success: false,
-        message: 'Password must be at least 6 characters long'
+        message: 'Password is required'
       });
     }
     
@@ -262,8 +301,17 @@ const changePassword = async (req, res) => {
       });
     }
     
-    // Update password
-    await UserModel.updatePassword(id, password);
+    // A password set for someone else must be replaced by them at their next login
+    const isOwnAccount = user.id === req.user.id;
+    if (!isOwnAccount) {
+      await permissionService.assertCanManageUser(req.user, user);
+    }
+    await UserModel.updatePassword(id, password, { mustChange: !isOwnAccount });
+    
+    // Whoever knew the old password must not stay signed in
+    const revokedSessions = isOwnAccount
+      ? 0
+      : await sessionService.revokeUserSessions(user.id, 'password_reset', req.user.id);
     
     logger.info(`Password changed for user: ${user.username} by ${req.user.role} ${req.user.username}`);
     
@@ -272,10 +320,22 @@ const changePassword = async (req, res) => {
     
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      data: { revoked_sessions: revokedSessions }
     });
     
   } catch (error) {
+    if (error.code === 'PASSWORD_POLICY_VIOLATION') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+    }
+    if (error.code === 'PERMISSION_ESCALATION') {
+      return sendRoleError(res, error);
+    }
+    
     logger.error('Change password error:', error);
     res.status(500).json({
       success: false,
@@ -309,11 +369,11 @@ const assignCategory = async (req, res) => {
       });
     }
     
-    // Only assign categories to bouncers
-    if (user.role !== 'bouncer') {
+    // Only assign categories to users limited to one
+    if (!(await isScopedRole(user.role))) {
       return res.status(400).json({
         success: false,
-        message: 'Categories can only be assigned to bouncers'
+        message: 'Categories can only be assigned to users without the verify.any_scope permission'
       });
     }
     
@@ -344,6 +404,76 @@ const assignCategory = async (req, res) => {
   }
 };
 
+/**
+ * Bind a user limited to one checkpoint (e.g. a bouncer) to a checkpoint (null to unbind)
+ * PATCH /api/users/:id/assign-checkpoint
+ */
+const assignCheckpoint = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { checkpoint_id } = req.body;
+    
+    if (checkpoint_id === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'checkpoint_id is required (use null to unassign)'
+      });
+    }
+    
+    // Find user
+    const user = await UserModel.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    // Only bind checkpoints to users limited to one
+    if (!(await isScopedRole(user.role))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Checkpoints can only be assigned to users without the verify.any_scope permission'
+      });
+    }
+    
+    let checkpoint = null;
+    if (checkpoint_id !== null) {
+      checkpoint = await CheckpointsModel.findById(checkpoint_id);
+      if (!checkpoint) {
+        return res.status(404).json({
+          success: false,
+          message: 'Checkpoint not found'
+        });
+      }
+    }
+    
+    await UserModel.assignCheckpoint(id, checkpoint ? checkpoint.id : null);
+    
+    logger.info(`Checkpoint ${checkpoint ? checkpoint.name : 'none'} assigned to user: ${user.username} by ${req.user.role} ${req.user.username}`);
+    
+    res.json({
+      success: true,
+      message: checkpoint ? 'Checkpoint assigned successfully' : 'Checkpoint unassigned successfully',
+      data: {
+        userId: user.id,
+        username: user.username,
+        checkpointId: checkpoint ? checkpoint.id : null,
+        checkpointName: checkpoint ? checkpoint.name : null,
+        zoneId: checkpoint ? checkpoint.zone_id : null,
+        zoneName: checkpoint ? checkpoint.zone_name : null
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Assign checkpoint error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
 /**
  * Block user
  * PATCH /api/users/:id/block
@@ -378,9 +508,15 @@ const blockUser = async (req, res) => {
       });
     }
     
+    // Only users holding every permission of the target's role may block them
+    await permissionService.assertCanManageUser(req.user, user);
+    
     // Block user
     await UserModel.blockUser(id, req.user.id, reason);
     
+    // Sign the user out everywhere; unblocking does not bring the sessions back
+    const revokedSessions = await sessionService.revokeUserSessions(user.id, 'user_blocked', req.user.id);
+    
     logger.info(`User blocked: ${user.username} by ${req.user.role} ${req.user.username}`);
     
     // Log user block action
@@ -388,10 +524,15 @@ const blockUser = async (req, res) => {
     
     res.json({
       success: true,
-      message: 'User blocked successfully'
+      message: 'User blocked successfully',
+      data: { revoked_sessions: revokedSessions }
     });
     
   } catch (error) {
+    if (error.code === 'PERMISSION_ESCALATION') {
+      return sendRoleError(res, error);
+    }
+    
     logger.error('Block user error:', error);
     res.status(500).json({
       success: false,
@@ -439,6 +580,43 @@ const unblockUser = async (req, res) => {
   }
 };
 
+/**
+ * Lift a login lockout caused by failed password attempts
+ * POST /api/users/:id/unlock
+ */
+const unlockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const user = await UserModel.findByIdIncludeInactive(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const wasLocked = await accountLockoutService.unlock(user.username);
+    
+    logger.info(`Login lockout of ${user.username} cleared by ${req.user.role} ${req.user.username}`);
+    
+    await LoggingService.logAccountLockout(user, req, 'unlocked', { unlocked_by: req.user.username });
+    
+    res.json({
+      success: true,
+      message: wasLocked ? 'User unlocked successfully' : 'User was not locked; failed login count cleared',
+      data: { was_locked: wasLocked }
+    });
+    
+  } catch (error) {
+    logger.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
 /**
  * Delete single user
  * DELETE /api/users/:id
@@ -472,6 +650,9 @@ const deleteUser = async (req, res) => {
       });
     }
     
+    // Only users holding every permission of the target's role may delete them
+    await permissionService.assertCanManageUser(req.user, user);
+    
     // Hard delete user completely
     await UserModel.delete(id);
     
@@ -486,6 +667,10 @@ const deleteUser = async (req, res) => {
     });
     
   } catch (error) {
+    if (error.code === 'PERMISSION_ESCALATION') {
+      return sendRoleError(res, error);
+    }
+    
     logger.error('Delete user error:', error);
     res.status(500).json({
       success: false,
@@ -495,21 +680,23 @@ const deleteUser = async (req, res) => {
 };
 
 /**
- * Delete all users except admins
+ * Delete all users except admins, the caller and users of roles the caller may not manage
  * DELETE /api/users
  */
 const deleteAllUsers = async (req, res) => {
   try {
-    // Bulk hard delete all non-admin users
-    const deletedCount = await UserModel.bulkDelete(
-      { role: ['manager', 'bouncer'] }
-    );
+    const roles = await permissionService.getManageableRoles(req.user);
+    
+    // Bulk hard delete the remaining users
+    const deletedCount = roles.length > 0
+      ? await UserModel.bulkDelete({ role: roles, excludeIds: [req.user.id] })
+      : 0;
     
-    logger.info(`Bulk deleted ${deletedCount} non-admin users by ${req.user.role} ${req.user.username}`);
+    logger.info(`Bulk deleted ${deletedCount} users by ${req.user.role} ${req.user.username}`);
     
     res.json({
       success: true,
-      message: `Successfully deleted ${deletedCount} users (admins protected)`,
+      message: `Successfully deleted ${deletedCount} users (admins, your account and more privileged roles protected)`,
       deletedCount
     });
     
@@ -544,6 +731,122 @@ const getUserStats = async (req, res) => {
   }
 };
 
+/**
+ * Get active sessions of a user
+ * GET /api/users/:id/sessions
+ */
+const getUserSessions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const user = await UserModel.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const sessions = await sessionService.listSessions(user.id, req.user.session_id);
+    
+    res.json({
+      success: true,
+      data: { sessions, count: sessions.length }
+    });
+    
+  } catch (error) {
+    logger.error('Get user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Revoke all sessions of a user
+ * DELETE /api/users/:id/sessions
+ */
+const revokeUserSessions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const user = await UserModel.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const revokedSessions = await sessionService.revokeUserSessions(user.id, 'admin_revoked', req.user.id);
+    
+    logger.info(`Sessions of ${user.username} revoked by ${req.user.role} ${req.user.username}: ${revokedSessions}`);
+    
+    res.json({
+      success: true,
+      message: 'User sessions revoked successfully',
+      data: { revoked_sessions: revokedSessions }
+    });
+    
+  } catch (error) {
+    logger.error('Revoke user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Reset two-factor authentication of a user who lost their authenticator and recovery codes
+ * DELETE /api/users/:id/2fa
+ */
+const resetTwoFactor = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const user = await UserModel.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const reset = await twoFactorService.reset(user.id);
+    if (!reset) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not set up for this user'
+      });
+    }
+    
+    // Whoever had the lost authenticator must not stay signed in
+    const revokedSessions = await sessionService.revokeUserSessions(user.id, 'two_factor_reset', req.user.id);
+    
+    logger.info(`Two-factor authentication of ${user.username} reset by ${req.user.role} ${req.user.username}`);
+    
+    await LoggingService.logTwoFactor(user, req, 'disabled', { reset_by: req.user.username });
+    
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset successfully',
+      data: {
+        revoked_sessions: revokedSessions,
+        setup_required_at_login: twoFactorService.isRequired(user.role)
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Reset two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
 module.exports = {
   createUser,
   getUsers,
@@ -551,9 +854,14 @@ module.exports = {
   updateUser,
   changePassword,
   assignCategory,
+  assignCheckpoint,
   blockUser,
   unblockUser,
+  unlockUser,
   deleteUser,
   deleteAllUsers,
-  getUserStats
+  getUserStats,
+  getUserSessions,
+  revokeUserSessions,
+  resetTwoFactor
 };
\ No newline at end of file
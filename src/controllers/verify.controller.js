@@ -1,8 +1,11 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
-const { authenticateToken, allRoles, auditLog } = require('../utils/auth.middleware');
-const { verifyPassValidation, syncLogsValidation, handleValidationErrors } = require('../utils/validators');
+const { authenticateToken, requirePermission, auditLog } = require('../utils/auth.middleware');
+const permissionService = require('../services/permission.service');
+const { verifyPassValidation, verifyBatchValidation, explainVerificationValidation, syncLogsValidation, handleValidationErrors } = require('../utils/validators');
 const verifyService = require('../services/verify.service');
+const idempotencyService = require('../services/idempotency.service');
+const usageService = require('../services/usage.service');
 const SettingsModel = require('../models/settings.model');
 const logger = require('../utils/logger');
 const LoggingService = require('../services/logging.service');
@@ -39,8 +42,8 @@ const verifyRateLimit = async (req, res, next) => {
         return req.ip;
       },
       skip: (req) => {
-        // Skip rate limiting for admin users in development
-        return process.env.NODE_ENV === 'development' && req.user?.role === 'admin';
+        // Skip rate limiting for administrators in development
+        return process.env.NODE_ENV === 'development' && permissionService.hasPermission(req.user?.permissions || [], 'settings.write');
       }
     });
     
@@ -65,28 +68,52 @@ const syncLogsRateLimit = rateLimit({
   // trustProxy setting removed - will inherit from Express app configuration
 });
 
+// HTTP status for a verification result
+const getVerifyStatusCode = (result) => (
+  result.success ? 200 : 
+  ['blocked', 'replaced', 'expired'].includes(result.status) ? 403 :
+  result.status === 'used' ? 200 : // Return 200 for used status to show popup
+  result.status === 'prompt_multi_use' ? 200 : // Special case for multi-use prompt
+  result.status === 'passback_violation' ? 409 :
+  result.status === 'capacity_full' ? 409 :
+  result.status === 'cooldown' ? 429 :
+  ['outside_hours', 'outside_window', 'not_yet_valid', 'reentry_denied', 'daily_limit_reached'].includes(result.status) ? 403 :
+  ['unsigned_payload', 'invalid_signature'].includes(result.status) ? 403 :
+  result.status === 'error' ? 500 : 400
+);
+
 // POST /api/pass/verify
 router.post('/verify',
   authenticateToken,
-  allRoles, // All authenticated users can verify
+  requirePermission('verify.scan'),
   verifyRateLimit, // Apply dynamic rate limiting
   verifyPassValidation,
   handleValidationErrors,
   auditLog('PASS_VERIFICATION'),
   async (req, res) => {
     const startTime = Date.now();
+    let idempotency = { state: 'untracked' };
     
     try {
-      const { uid, scanned_by} = req.body;
+      const { uid, scanned_by, device_local_id, direction, checkpoint_id, override_anti_passback, override_reason, payload } = req.body;
       
-      // Validate that scanned_by matches the authenticated user or user has admin/manager role
-      if (req.user.role === 'bouncer' && req.user.id !== scanned_by) {
+      // Validate that scanned_by matches the authenticated user unless they may scan for others
+      if (req.user.id !== scanned_by && !permissionService.hasPermission(req.user.permissions, 'verify.any_user')) {
         return res.status(403).json({
-          error: 'Bouncer can only scan with their own user ID',
+          error: 'You can only scan with your own user ID',
           code: 'INVALID_SCANNED_BY'
         });
       }
       
+      // Overriding anti-passback needs the verify.override permission
+      const overrideRequested = override_anti_passback === true || override_anti_passback === 'true';
+      if (overrideRequested && !permissionService.hasPermission(req.user.permissions, 'verify.override')) {
+        return res.status(403).json({
+          error: 'You are not allowed to override anti-passback',
+          code: 'OVERRIDE_NOT_ALLOWED'
+        });
+      }
+      
       logger.info(`Verification request: UID=${uid}, User=${scanned_by}`);
       
       // Get scanned_by user info for verification
@@ -97,9 +124,32 @@ router.post('/verify',
           code: 'USER_NOT_FOUND'
         });
       }
+
+      // Stamp the scans with the enrolled device the request came from
+      scannedByUser.device_id = req.user.device_id;
+      scannedByUser.device = req.user.device;
+      
+      // Retries of the same device_local_id return the original decision
+      idempotency = await idempotencyService.begin('verify', idempotencyService.getScannerId(req.user, scanned_by), device_local_id, {
+        uid,
+        direction: direction || 'entry',
+        checkpoint_id: checkpoint_id ? parseInt(checkpoint_id) : null,
+        override_anti_passback: overrideRequested,
+        payload: payload || null
+      });
+      const shortCircuit = idempotencyService.getShortCircuit(idempotency);
+      if (shortCircuit) {
+        return res.status(shortCircuit.status_code).json(shortCircuit.body);
+      }
       
       // Perform verification
-      const result = await verifyService.verifyPass(uid, scannedByUser);
+      const result = await verifyService.verifyPass(uid, scannedByUser, device_local_id || null, {
+        direction: direction || 'entry',
+        checkpoint_id: checkpoint_id ? parseInt(checkpoint_id) : null,
+        override: overrideRequested,
+        override_reason: override_reason || null,
+        payload: payload || null
+      });
       
       // Log verification to system logs
       try {
@@ -126,16 +176,20 @@ router.post('/verify',
       logger.info(`Verification result: UID=${uid}, Status=${result.status}, Time=${result.processing_time_ms}ms`);
       
       // Return appropriate status code based on result
-      const statusCode = result.success ? 200 : 
-                        result.status === 'blocked' ? 403 :
-                        result.status === 'used' ? 200 : // Return 200 for used status to show popup
-                        result.status === 'prompt_multi_use' ? 200 : // Special case for multi-use prompt
-                        result.status === 'error' ? 500 : 400;
+      const statusCode = getVerifyStatusCode(result);
+      
+      // System errors are not remembered so the device can retry them
+      if (result.status === 'error') {
+        await idempotencyService.release(idempotency);
+      } else {
+        await idempotencyService.complete(idempotency, statusCode, result);
+      }
       
       res.status(statusCode).json(result);
       
     } catch (error) {
       logger.error('Verification endpoint error:', error);
+      await idempotencyService.release(idempotency);
       
       // Log verification error
       await LoggingService.logError('verify_pass_error', error, req.user, req, { 
@@ -153,16 +207,115 @@ router.post('/verify',
   }
 );
 
+// POST /api/pass/verify-batch (many scans from one gate in one request)
+router.post('/verify-batch',
+  authenticateToken,
+  requirePermission('verify.scan'),
+  verifyRateLimit,
+  verifyBatchValidation,
+  handleValidationErrors,
+  auditLog('PASS_BATCH_VERIFICATION'),
+  async (req, res) => {
+    const startTime = Date.now();
+    let tickets = [];
+    
+    try {
+      const { scanned_by, checkpoint_id, scans } = req.body;
+      
+      if (req.user.id !== scanned_by && !permissionService.hasPermission(req.user.permissions, 'verify.any_user')) {
+        return res.status(403).json({
+          error: 'You can only scan with your own user ID',
+          code: 'INVALID_SCANNED_BY'
+        });
+      }
+      
+      const scannedByUser = await require('../models/user.model').findById(scanned_by);
+      if (!scannedByUser) {
+        return res.status(404).json({
+          error: 'Scanned by user not found',
+          code: 'USER_NOT_FOUND'
+        });
+      }
+
+      // Stamp the scans with the enrolled device the request came from
+      scannedByUser.device_id = req.user.device_id;
+      scannedByUser.device = req.user.device;
+      
+      // Each scan is idempotent on its device_local_id, exactly like POST /verify
+      const scannerId = idempotencyService.getScannerId(req.user, scanned_by);
+      tickets = await Promise.all(scans.map(scan => idempotencyService.begin('verify', scannerId, scan.device_local_id, {
+        uid: scan.uid,
+        direction: scan.direction || 'entry',
+        checkpoint_id: checkpoint_id ? parseInt(checkpoint_id) : null,
+        override_anti_passback: false,
+        payload: scan.payload || null
+      })));
+      
+      const items = new Array(scans.length);
+      const pending = [];
+      tickets.forEach((ticket, index) => {
+        const shortCircuit = idempotencyService.getShortCircuit(ticket);
+        if (shortCircuit) {
+          items[index] = { index, status_code: shortCircuit.status_code, result: shortCircuit.body };
+        } else {
+          pending.push(index);
+        }
+      });
+      
+      const batch = await verifyService.verifyBatch(pending.map(index => scans[index]), scannedByUser, {
+        checkpoint_id: checkpoint_id ? parseInt(checkpoint_id) : null
+      });
+      
+      await Promise.all(batch.results.map(async (result, position) => {
+        const index = pending[position];
+        const statusCode = getVerifyStatusCode(result);
+        items[index] = { index, status_code: statusCode, result };
+        
+        if (result.status === 'error') {
+          await idempotencyService.release(tickets[index]);
+        } else {
+          await idempotencyService.complete(tickets[index], statusCode, result);
+        }
+      }));
+      
+      logger.info(`Batch verification: ${scans.length} scans (${scans.length - pending.length} replayed), Time=${Date.now() - startTime}ms`);
+      
+      res.status(200).json({
+        message: 'Batch verification completed',
+        summary: {
+          ...batch.summary,
+          total: scans.length,
+          replayed: scans.length - pending.length
+        },
+        results: items,
+        processing_time_ms: Date.now() - startTime
+      });
+      
+    } catch (error) {
+      logger.error('Batch verification endpoint error:', error);
+      await Promise.all(tickets.map(ticket => idempotencyService.release(ticket)));
+      
+      res.status(500).json({
+        error: 'Batch verification failed',
+        code: 'BATCH_VERIFICATION_ERROR',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+        processing_time_ms: Date.now() - startTime
+      });
+    }
+  }
+);
+
 // POST /api/pass/consume-prompt
 router.post('/consume-prompt',
   authenticateToken,
-  allRoles, // All authenticated users can consume prompts
+  requirePermission('verify.scan'),
   auditLog('PASS_CONSUME_PROMPT'),
   async (req, res) => {
     const startTime = Date.now();
+    let idempotency = { state: 'untracked' };
     
     try {
-      const { prompt_token, consume_count, scanned_by } = req.body;
+      const { prompt_token, consume_count, scanned_by, device_local_id } = req.body;
       
       // Validate required fields
       if (!prompt_token || !consume_count || !scanned_by) {
@@ -181,16 +334,33 @@ router.post('/consume-prompt',
         });
       }
       
-      // Validate that scanned_by matches the authenticated user or user has admin/manager role
-      if (req.user.role === 'bouncer' && req.user.id !== scanned_by) {
+      if (device_local_id !== undefined && (typeof device_local_id !== 'string' || device_local_id.length > 128)) {
+        return res.status(400).json({
+          error: 'Device local ID must be a string of at most 128 characters',
+          code: 'INVALID_DEVICE_LOCAL_ID'
+        });
+      }
+      
+      // Validate that scanned_by matches the authenticated user unless they may scan for others
+      if (req.user.id !== scanned_by && !permissionService.hasPermission(req.user.permissions, 'verify.any_user')) {
         return res.status(403).json({
-          error: 'Bouncer can only consume with their own user ID',
+          error: 'You can only consume with your own user ID',
           code: 'INVALID_SCANNED_BY'
         });
       }
       
       logger.info(`Consume prompt request: Token=${prompt_token.substring(0, 8)}..., Count=${consume_count}, User=${scanned_by}`);
       
+      // Prompt tokens are single-use, so they identify retries when no device_local_id is sent
+      idempotency = await idempotencyService.begin('consume_prompt', idempotencyService.getScannerId(req.user, scanned_by), device_local_id || prompt_token, {
+        prompt_token,
+        consume_count
+      });
+      const shortCircuit = idempotencyService.getShortCircuit(idempotency);
+      if (shortCircuit) {
+        return res.status(shortCircuit.status_code).json(shortCircuit.body);
+      }
+      
       // Perform prompt consumption
       const result = await verifyService.consumePrompt(prompt_token, consume_count, scanned_by);
       
@@ -217,12 +387,20 @@ router.post('/consume-prompt',
       const statusCode = result.success ? 200 : 
                         result.status === 'invalid_token' ? 400 :
                         result.status === 'invalid_count' ? 400 :
+                        result.status === 'capacity_full' ? 409 :
                         result.status === 'error' ? 500 : 400;
       
+      if (result.status === 'error') {
+        await idempotencyService.release(idempotency);
+      } else {
+        await idempotencyService.complete(idempotency, statusCode, result);
+      }
+      
       res.status(statusCode).json(result);
       
     } catch (error) {
       logger.error('Consume prompt error:', error);
+      await idempotencyService.release(idempotency);
       
       // Log consume error
       await LoggingService.logError('consume_session_error', error, req.user, req, { 
@@ -243,7 +421,7 @@ router.post('/consume-prompt',
 // POST /api/pass/sync-logs
 router.post('/sync-logs',
   authenticateToken,
-  allRoles, // All authenticated users can sync logs
+  requirePermission('verify.sync'),
   syncLogsRateLimit,
   syncLogsValidation,
   handleValidationErrors,
@@ -259,13 +437,13 @@ router.post('/sync-logs',
       
       logger.info(`Sync logs request: ${logs.length} logs from user ${req.user.username}`);
       
-      // Validate that all logs belong to the authenticated user (for bouncer role)
-      if (req.user.role === 'bouncer') {
+      // Validate that all logs belong to the authenticated user unless they may sync for others
+      if (!permissionService.hasPermission(req.user.permissions, 'verify.any_user')) {
         const invalidLogs = logs.filter(log => log.scanned_by !== req.user.id);
         if (invalidLogs.length > 0) {
           await LoggingService.logSyncError(req.user, req, new Error('Invalid log ownership'), 'offline_logs', logs.length);
           return res.status(403).json({
-            error: 'Bouncer can only sync logs scanned by themselves',
+            error: 'You can only sync logs scanned by yourself',
             code: 'INVALID_LOG_OWNERSHIP',
             invalidCount: invalidLogs.length
           });
@@ -273,7 +451,7 @@ router.post('/sync-logs',
       }
       
       // Sync the logs
-      const result = await verifyService.syncOfflineLogs(logs);
+      const result = await verifyService.syncOfflineLogs(logs, req.user);
       
       // Calculate sync duration
       const duration = Date.now() - startTime;
@@ -282,17 +460,21 @@ router.post('/sync-logs',
       // Log sync completion
       await LoggingService.logSyncComplete(req.user, req, result, 'offline_logs');
       
-      logger.info(`Sync logs result: ${result.synced}/${result.total} synced, ${result.errors.length} errors`);
+      logger.info(`Sync logs result: ${result.synced}/${result.total} synced, ${result.conflicts} conflicts, ${result.errors.length} errors`);
       
-      // Return success even if some logs failed
-      const statusCode = result.errors.length === 0 ? 200 : 207; // 207 = Multi-Status
+      // Return success even if some logs failed or conflicted
+      const statusCode = result.errors.length === 0 && result.conflicts === 0 ? 200 : 207; // 207 = Multi-Status
       
       res.status(statusCode).json({
         message: 'Log sync completed',
         total: result.total,
         synced: result.synced,
+        applied: result.applied,
+        conflicts: result.conflicts,
+        duplicates: result.duplicates,
         errors: result.errors.length,
         errorDetails: result.errors.length > 0 ? result.errors : undefined,
+        outcomes: result.outcomes,
         duration
       });
       
@@ -311,10 +493,60 @@ router.post('/sync-logs',
   }
 );
 
+// POST /api/pass/verify/explain (dry run: why would this card be admitted or rejected?)
+router.post('/verify/explain',
+  authenticateToken,
+  requirePermission('verify.inspect'),
+  explainVerificationValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { uid, scanned_by, direction, checkpoint_id, payload } = req.body;
+      
+      // Explain the scan as a specific device user would see it, or as the caller
+      let scannedByUser = req.user;
+      if (scanned_by && scanned_by !== req.user.id) {
+        scannedByUser = await require('../models/user.model').findById(scanned_by);
+        if (!scannedByUser) {
+          return res.status(404).json({
+            error: 'Scanned by user not found',
+            code: 'USER_NOT_FOUND'
+          });
+        }
+      }
+      
+      const explanation = await verifyService.explainVerification(uid, scannedByUser, {
+        direction: direction || 'entry',
+        checkpoint_id: checkpoint_id ? parseInt(checkpoint_id) : null,
+        payload: payload || null
+      });
+      
+      res.status(200).json({
+        message: 'Verification explained (no changes were made)',
+        ...explanation,
+        scanned_by: {
+          id: scannedByUser.id,
+          username: scannedByUser.username,
+          role: scannedByUser.role
+        }
+      });
+      
+    } catch (error) {
+      logger.error('Verification explain endpoint error:', error);
+      
+      res.status(500).json({
+        error: 'Failed to explain verification',
+        code: 'EXPLAIN_ERROR',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
 // GET /api/pass/verify/stats (for debugging and monitoring)
 router.get('/verify/stats',
   authenticateToken,
-  require('../utils/auth.middleware').adminOrManager,
+  requirePermission('stats.read'),
   async (req, res) => {
     try {
       const { from, to } = req.query;
@@ -349,7 +581,7 @@ router.get('/verify/stats',
 // GET /api/pass/verify/health (health check for verification system)
 router.get('/verify/health',
   authenticateToken,
-  require('../utils/auth.middleware').adminOrManager,
+  requirePermission('verify.inspect'),
   async (req, res) => {
     try {
       const redisService = require('../services/redis.service');
@@ -357,8 +589,9 @@ router.get('/verify/health',
       // Check Redis cache stats
       const cacheStats = await redisService.getCacheStats();
       
-      // Check if Lua script is loaded
-      const luaScriptLoaded = verifyService.luaScript !== null;
+      // Check the fast-path Lua script and the write-behind queue
+      const luaScriptLoaded = Boolean(redisService.fastVerifyScript);
+      const usageSnapshot = await redisService.getUsageSnapshot();
       
       // Check rate limiting settings
       const rateLimitSettings = {
@@ -371,6 +604,10 @@ router.get('/verify/health',
         status: 'healthy',
         components: {
           luaScript: luaScriptLoaded ? 'loaded' : 'not_loaded',
+          fastPath: {
+            enabled: usageService.enabled,
+            writeBehindQueue: usageSnapshot.queue_length
+          },
           redisCache: cacheStats,
           rateLimit: rateLimitSettings
         },
@@ -393,7 +630,7 @@ router.get('/verify/health',
 // Session multi-use confirmation endpoint
 router.post('/confirm-multi-use',
   authenticateToken,
-  allRoles,
+  requirePermission('verify.scan'),
   async (req, res) => {
     try {
       const { uid, prompt_token, selected_count } = req.body;
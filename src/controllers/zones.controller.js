@@ -0,0 +1,486 @@
+const ZonesModel = require('../models/zones.model');
+const CheckpointsModel = require('../models/checkpoints.model');
+const logger = require('../utils/logger');
+
+const handleForeignKeyError = (error, res) => {
+  if (error.code === 'ER_NO_REFERENCED_ROW_2' || error.code === 'ER_NO_REFERENCED_ROW') {
+    res.status(400).json({
+      success: false,
+      message: 'One or more referenced categories or zones do not exist'
+    });
+    return true;
+  }
+  return false;
+};
+
+class ZonesController {
+  /**
+   * Get all zones
+   * GET /api/zones
+   */
+  static async getZones(req, res) {
+    try {
+      const zones = await ZonesModel.findAll();
+
+      res.json({
+        success: true,
+        message: 'Zones retrieved successfully',
+        data: zones,
+        count: zones.length
+      });
+    } catch (error) {
+      logger.error('Error fetching zones:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get zone by ID with its checkpoints
+   * GET /api/zones/:id
+   */
+  static async getZoneById(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!id || isNaN(parseInt(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid zone ID'
+        });
+      }
+
+      const zone = await ZonesModel.findById(parseInt(id));
+      if (!zone) {
+        return res.status(404).json({
+          success: false,
+          message: 'Zone not found'
+        });
+      }
+
+      const checkpoints = await CheckpointsModel.findAll(zone.id);
+
+      res.json({
+        success: true,
+        message: 'Zone retrieved successfully',
+        data: {
+          ...zone,
+          checkpoints
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching zone:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Create a new zone
+   * POST /api/zones
+   */
+  static async createZone(req, res) {
+    try {
+      const { name, description, status, capacity, category_ids } = req.body;
+
+      const validation = ZonesModel.validateZoneData({ name, description, status, capacity, category_ids });
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const existingZone = await ZonesModel.findByName(name);
+      if (existingZone) {
+        return res.status(409).json({
+          success: false,
+          message: 'Zone with this name already exists'
+        });
+      }
+
+      const zone = await ZonesModel.create({ name, description, status, capacity, category_ids });
+
+      logger.info(`Zone created by user ${req.user.id}: ${name}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Zone created successfully',
+        data: zone
+      });
+    } catch (error) {
+      logger.error('Error creating zone:', error);
+      if (handleForeignKeyError(error, res)) return;
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Update zone (name, description, status and allowed categories)
+   * PATCH /api/zones/:id
+   */
+  static async updateZone(req, res) {
+    try {
+      const { id } = req.params;
+      const updateData = req.body;
+
+      if (!id || isNaN(parseInt(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid zone ID'
+        });
+      }
+
+      const existingZone = await ZonesModel.findById(parseInt(id));
+      if (!existingZone) {
+        return res.status(404).json({
+          success: false,
+          message: 'Zone not found'
+        });
+      }
+
+      const validation = ZonesModel.validateZoneData(updateData, true);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      if (updateData.name && updateData.name !== existingZone.name) {
+        const nameConflict = await ZonesModel.findByName(updateData.name);
+        if (nameConflict) {
+          return res.status(409).json({
+            success: false,
+            message: 'Zone with this name already exists'
+          });
+        }
+      }
+
+      const updatedZone = await ZonesModel.update(parseInt(id), updateData);
+
+      logger.info(`Zone updated by user ${req.user.id}: ${existingZone.name} (ID: ${id})`);
+
+      res.json({
+        success: true,
+        message: 'Zone updated successfully',
+        data: updatedZone
+      });
+    } catch (error) {
+      logger.error('Error updating zone:', error);
+      if (handleForeignKeyError(error, res)) return;
+
+      if (error.message.includes('No valid fields')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Delete zone
+   * DELETE /api/zones/:id
+   */
+  static async deleteZone(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!id || isNaN(parseInt(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid zone ID'
+        });
+      }
+
+      const deleted = await ZonesModel.delete(parseInt(id));
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Zone not found'
+        });
+      }
+
+      logger.info(`Zone deleted by user ${req.user.id}: ID ${id}`);
+
+      res.json({
+        success: true,
+        message: 'Zone deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Error deleting zone:', error);
+
+      if (error.message.includes('Cannot delete zone')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get checkpoints, optionally filtered by zone
+   * GET /api/checkpoints
+   * GET /api/zones/:id/checkpoints
+   */
+  static async getCheckpoints(req, res) {
+    try {
+      const zoneId = req.params.id || req.query.zone_id || null;
+
+      if (zoneId && isNaN(parseInt(zoneId))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid zone ID'
+        });
+      }
+
+      const checkpoints = await CheckpointsModel.findAll(zoneId ? parseInt(zoneId) : null);
+
+      res.json({
+        success: true,
+        message: 'Checkpoints retrieved successfully',
+        data: checkpoints,
+        count: checkpoints.length
+      });
+    } catch (error) {
+      logger.error('Error fetching checkpoints:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get checkpoint by ID
+   * GET /api/checkpoints/:id
+   */
+  static async getCheckpointById(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!id || isNaN(parseInt(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid checkpoint ID'
+        });
+      }
+
+      const checkpoint = await CheckpointsModel.findById(parseInt(id));
+      if (!checkpoint) {
+        return res.status(404).json({
+          success: false,
+          message: 'Checkpoint not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Checkpoint retrieved successfully',
+        data: checkpoint
+      });
+    } catch (error) {
+      logger.error('Error fetching checkpoint:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Create a checkpoint
+   * POST /api/checkpoints
+   */
+  static async createCheckpoint(req, res) {
+    try {
+      const { zone_id, name, description, status } = req.body;
+
+      const validation = CheckpointsModel.validateCheckpointData({ zone_id, name, description, status });
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      const zone = await ZonesModel.findById(parseInt(zone_id));
+      if (!zone) {
+        return res.status(404).json({
+          success: false,
+          message: 'Zone not found'
+        });
+      }
+
+      const checkpoint = await CheckpointsModel.create({ zone_id: zone.id, name, description, status });
+
+      logger.info(`Checkpoint created by user ${req.user.id}: ${name} in zone ${zone.name}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Checkpoint created successfully',
+        data: checkpoint
+      });
+    } catch (error) {
+      logger.error('Error creating checkpoint:', error);
+
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({
+          success: false,
+          message: 'Checkpoint with this name already exists in the zone'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Update a checkpoint
+   * PATCH /api/checkpoints/:id
+   */
+  static async updateCheckpoint(req, res) {
+    try {
+      const { id } = req.params;
+      const updateData = req.body;
+
+      if (!id || isNaN(parseInt(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid checkpoint ID'
+        });
+      }
+
+      const validation = CheckpointsModel.validateCheckpointData(updateData, true);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: validation.errors
+        });
+      }
+
+      if (updateData.zone_id !== undefined) {
+        const zone = await ZonesModel.findById(parseInt(updateData.zone_id));
+        if (!zone) {
+          return res.status(404).json({
+            success: false,
+            message: 'Zone not found'
+          });
+        }
+      }
+
+      const checkpoint = await CheckpointsModel.update(parseInt(id), updateData);
+      if (!checkpoint) {
+        return res.status(404).json({
+          success: false,
+          message: 'Checkpoint not found'
+        });
+      }
+
+      logger.info(`Checkpoint updated by user ${req.user.id}: ID ${id}`);
+
+      res.json({
+        success: true,
+        message: 'Checkpoint updated successfully',
+        data: checkpoint
+      });
+    } catch (error) {
+      logger.error('Error updating checkpoint:', error);
+
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({
+          success: false,
+          message: 'Checkpoint with this name already exists in the zone'
+        });
+      }
+
+      if (error.message.includes('No valid fields')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Delete a checkpoint
+   * DELETE /api/checkpoints/:id
+   */
+  static async deleteCheckpoint(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!id || isNaN(parseInt(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid checkpoint ID'
+        });
+      }
+
+      const deleted = await CheckpointsModel.delete(parseInt(id));
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Checkpoint not found'
+        });
+      }
+
+      logger.info(`Checkpoint deleted by user ${req.user.id}: ID ${id}`);
+
+      res.json({
+        success: true,
+        message: 'Checkpoint deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Error deleting checkpoint:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = ZonesController;
@@ -1,4 +1,4 @@
-const { executeQuery } = require('../config/db');
+const { executeQuery, executeTransaction } = require('../config/db');
 const logger = require('../utils/logger');
 
 class CategoriesModel {
@@ -8,22 +8,26 @@ class CategoriesModel {
    * @param {string} categoryData.name - Category name
    * @param {string} categoryData.color_code - Hex color code
    * @param {string} categoryData.description - Category description
+   * @param {string} categoryData.timezone - IANA timezone used by access schedules
+   * @param {boolean} categoryData.require_signed_payload - Reject scans without a valid signed tag payload
    * @returns {Promise<Object>} Created category
    */
   static async create(categoryData) {
-    const { name, color_code, description } = categoryData;
+    const { name, color_code, description, timezone, require_signed_payload } = categoryData;
     
     try {
       const query = `
-        INSERT INTO categories (name, color_code, description)
-        VALUES (?, ?, ?)
+        INSERT INTO categories (name, color_code, description, timezone, require_signed_payload)
+        VALUES (?, ?, ?, ?, ?)
       `;
       
       // Convert undefined to null for SQL compatibility
       const params = [
         name || null,
         color_code || null,
-        description === undefined ? null : description
+        description === undefined ? null : description,
+        timezone || null,
+        require_signed_payload ? 1 : 0
       ];
       
       const result = await executeQuery(query, params);
@@ -45,7 +49,7 @@ class CategoriesModel {
   static async findAll() {
     try {
       const query = `
-        SELECT id, name, color_code, description, created_at, updated_at
+        SELECT id, name, color_code, description, timezone, require_signed_payload, created_at, updated_at
         FROM categories
         ORDER BY name ASC
       `;
@@ -66,7 +70,7 @@ class CategoriesModel {
   static async findById(id) {
     try {
       const query = `
-        SELECT id, name, color_code, description, created_at, updated_at
+        SELECT id, name, color_code, description, timezone, require_signed_payload, created_at, updated_at
         FROM categories
         WHERE id = ?
       `;
@@ -87,7 +91,7 @@ class CategoriesModel {
   static async findByName(name) {
     try {
       const query = `
-        SELECT id, name, color_code, description, created_at, updated_at
+        SELECT id, name, color_code, description, timezone, require_signed_payload, created_at, updated_at
         FROM categories
         WHERE name = ?
       `;
@@ -108,7 +112,7 @@ class CategoriesModel {
    */
   static async update(id, updateData) {
     try {
-      const allowedFields = ['name', 'color_code', 'description'];
+      const allowedFields = ['name', 'color_code', 'description', 'timezone', 'require_signed_payload'];
       const updates = [];
       const values = [];
 
@@ -116,7 +120,7 @@ class CategoriesModel {
       Object.keys(updateData).forEach(key => {
         if (allowedFields.includes(key) && updateData[key] !== undefined) {
           updates.push(`${key} = ?`);
-          values.push(updateData[key]);
+          values.push(key === 'require_signed_payload' ? (updateData[key] ? 1 : 0) : updateData[key]);
         }
       });
 
@@ -234,12 +238,14 @@ class CategoriesModel {
           c.name,
           c.color_code,
           c.description,
+          c.timezone,
+          c.require_signed_payload,
           c.created_at,
           c.updated_at,
           COUNT(p.id) as pass_count
         FROM categories c
         LEFT JOIN passes p ON c.name = p.category
-        GROUP BY c.id, c.name, c.color_code, c.description, c.created_at, c.updated_at
+        GROUP BY c.id, c.name, c.color_code, c.description, c.timezone, c.require_signed_payload, c.created_at, c.updated_at
         ORDER BY c.name ASC
       `;
       
@@ -251,6 +257,155 @@ class CategoriesModel {
     }
   }
 
+  /**
+   * Get access schedules for a category
+   * @param {number} categoryId - Category ID
+   * @returns {Promise<Array>} Schedules ordered by start date and time
+   */
+  static async getSchedules(categoryId) {
+    try {
+      const query = `
+        SELECT id, category_id, start_date, end_date, daily_start, daily_end, created_at
+        FROM category_schedules
+        WHERE category_id = ?
+        ORDER BY start_date IS NULL, start_date ASC, daily_start ASC
+      `;
+
+      return await executeQuery(query, [categoryId]);
+    } catch (error) {
+      logger.error('Error fetching category schedules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the access schedules of a category (an empty list removes all restrictions)
+   * @param {number} categoryId - Category ID
+   * @param {Array<Object>} schedules - [{ start_date, end_date, daily_start, daily_end }]
+   * @returns {Promise<Array>} Saved schedules
+   */
+  static async setSchedules(categoryId, schedules) {
+    try {
+      const queries = [
+        { query: 'DELETE FROM category_schedules WHERE category_id = ?', params: [categoryId] },
+        ...schedules.map(schedule => ({
+          query: `
+            INSERT INTO category_schedules (category_id, start_date, end_date, daily_start, daily_end)
+            VALUES (?, ?, ?, ?, ?)
+          `,
+          params: [
+            categoryId,
+            schedule.start_date || null,
+            schedule.end_date || null,
+            schedule.daily_start || null,
+            schedule.daily_end || null
+          ]
+        }))
+      ];
+
+      await executeTransaction(queries);
+      logger.info(`Category ${categoryId} access schedules set: ${schedules.length} window(s)`);
+      return await this.getSchedules(categoryId);
+    } catch (error) {
+      logger.error('Error setting category schedules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get every category's schedules keyed by category name
+   * @returns {Promise<Object>} { [name]: { timezone, schedules: [...] } }
+   */
+  static async getSchedulesByCategoryName() {
+    try {
+      const query = `
+        SELECT c.name, c.timezone, s.start_date, s.end_date, s.daily_start, s.daily_end
+        FROM category_schedules s
+        INNER JOIN categories c ON s.category_id = c.id
+      `;
+
+      const rows = await executeQuery(query);
+      const byName = {};
+      rows.forEach(row => {
+        if (!byName[row.name]) {
+          byName[row.name] = { timezone: row.timezone, schedules: [] };
+        }
+        byName[row.name].schedules.push({
+          start_date: row.start_date,
+          end_date: row.end_date,
+          daily_start: row.daily_start,
+          daily_end: row.daily_end
+        });
+      });
+
+      return byName;
+    } catch (error) {
+      logger.error('Error fetching category schedules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate access schedules
+   * @param {Array<Object>} schedules - Schedules to validate
+   * @returns {Object} Validation result
+   */
+  static validateSchedules(schedules) {
+    const errors = [];
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    const timePattern = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+    if (!Array.isArray(schedules)) {
+      return { isValid: false, errors: ['schedules must be an array'] };
+    }
+
+    schedules.forEach((schedule, index) => {
+      const label = `Schedule ${index + 1}`;
+      const { start_date, end_date, daily_start, daily_end } = schedule || {};
+
+      if (start_date && !datePattern.test(start_date)) {
+        errors.push(`${label}: start_date must be in YYYY-MM-DD format`);
+      }
+      if (end_date && !datePattern.test(end_date)) {
+        errors.push(`${label}: end_date must be in YYYY-MM-DD format`);
+      }
+      if (start_date && end_date && start_date > end_date) {
+        errors.push(`${label}: start_date must not be after end_date`);
+      }
+      if (daily_start && !timePattern.test(daily_start)) {
+        errors.push(`${label}: daily_start must be in HH:MM format`);
+      }
+      if (daily_end && !timePattern.test(daily_end)) {
+        errors.push(`${label}: daily_end must be in HH:MM format`);
+      }
+      if (!!daily_start !== !!daily_end) {
+        errors.push(`${label}: daily_start and daily_end must be set together`);
+      }
+      if (!start_date && !end_date && !daily_start) {
+        errors.push(`${label}: at least a date range or a daily window is required`);
+      }
+    });
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Names of categories whose passes must present a signed payload
+   * @returns {Promise<Array<string>>} Category names
+   */
+  static async getSignedPayloadCategoryNames() {
+    try {
+      const rows = await executeQuery('SELECT name FROM categories WHERE require_signed_payload = 1');
+      return rows.map(row => row.name);
+    } catch (error) {
+      logger.error('Error fetching signed payload categories:', error);
+      throw error;
+    }
+  }
+
   /**
    * Validate category data
    * @param {Object} categoryData - Category data to validate
@@ -258,7 +413,7 @@ class CategoriesModel {
    */
   static validateCategoryData(categoryData) {
     const errors = [];
-    const { name, color_code, description } = categoryData;
+    const { name, color_code, description, timezone, require_signed_payload } = categoryData;
 
     // Validate name
     if (!name || typeof name !== 'string') {
@@ -283,6 +438,24 @@ class CategoriesModel {
       }
     }
 
+    // Validate timezone (optional, IANA name such as Asia/Kolkata)
+    if (timezone !== undefined && timezone !== null) {
+      let validTimezone = typeof timezone === 'string';
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      } catch (error) {
+        validTimezone = false;
+      }
+      if (!validTimezone) {
+        errors.push('Timezone must be a valid IANA timezone (e.g., Asia/Kolkata)');
+      }
+    }
+
+    // Validate require_signed_payload (optional)
+    if (require_signed_payload !== undefined && typeof require_signed_payload !== 'boolean') {
+      errors.push('require_signed_payload must be a boolean');
+    }
+
     return {
       isValid: errors.length === 0,
       errors
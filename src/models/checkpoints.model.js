@@ -0,0 +1,200 @@
+const { executeQuery } = require('../config/db');
+const logger = require('../utils/logger');
+
+class CheckpointsModel {
+  /**
+   * Create a new checkpoint inside a zone
+   * @param {Object} checkpointData - Checkpoint data
+   * @param {number} checkpointData.zone_id - Zone the checkpoint belongs to
+   * @param {string} checkpointData.name - Checkpoint name
+   * @param {string} checkpointData.description - Checkpoint description
+   * @returns {Promise<Object>} Created checkpoint
+   */
+  static async create(checkpointData) {
+    const { zone_id, name, description, status } = checkpointData;
+
+    try {
+      const query = `
+        INSERT INTO checkpoints (zone_id, name, description, status)
+        VALUES (?, ?, ?, ?)
+      `;
+
+      const result = await executeQuery(query, [
+        zone_id,
+        name,
+        description === undefined ? null : description,
+        status || 'active'
+      ]);
+
+      logger.info(`Checkpoint created: ${name} in zone ${zone_id} (ID: ${result.insertId})`);
+      return await this.findById(result.insertId);
+    } catch (error) {
+      logger.error('Error creating checkpoint:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all checkpoints, optionally filtered by zone
+   * @param {number|null} zoneId - Zone ID filter
+   * @returns {Promise<Array>} List of checkpoints
+   */
+  static async findAll(zoneId = null) {
+    try {
+      let query = `
+        SELECT c.id, c.zone_id, z.name as zone_name, c.name, c.description, c.status,
+               c.created_at, c.updated_at,
+               (SELECT COUNT(*) FROM users u WHERE u.checkpoint_id = c.id) as bouncer_count
+        FROM checkpoints c
+        INNER JOIN zones z ON c.zone_id = z.id
+      `;
+      const params = [];
+
+      if (zoneId) {
+        query += ' WHERE c.zone_id = ?';
+        params.push(zoneId);
+      }
+
+      query += ' ORDER BY z.name ASC, c.name ASC';
+
+      return await executeQuery(query, params);
+    } catch (error) {
+      logger.error('Error fetching checkpoints:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get checkpoint by ID including its zone
+   * @param {number} id - Checkpoint ID
+   * @returns {Promise<Object|null>} Checkpoint or null if not found
+   */
+  static async findById(id) {
+    try {
+      const query = `
+        SELECT c.id, c.zone_id, z.name as zone_name, z.status as zone_status, z.capacity as zone_capacity,
+               c.name, c.description, c.status, c.created_at, c.updated_at
+        FROM checkpoints c
+        INNER JOIN zones z ON c.zone_id = z.id
+        WHERE c.id = ?
+      `;
+
+      const rows = await executeQuery(query, [id]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching checkpoint by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update checkpoint
+   * @param {number} id - Checkpoint ID
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<Object|null>} Updated checkpoint or null if not found
+   */
+  static async update(id, updateData) {
+    try {
+      const allowedFields = ['zone_id', 'name', 'description', 'status'];
+      const updates = [];
+      const values = [];
+
+      Object.keys(updateData).forEach(key => {
+        if (allowedFields.includes(key) && updateData[key] !== undefined) {
+          updates.push(`${key} = ?`);
+          values.push(updateData[key]);
+        }
+      });
+
+      if (updates.length === 0) {
+        throw new Error('No valid fields to update');
+      }
+
+      values.push(id);
+
+      const query = `
+        UPDATE checkpoints
+        SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `;
+
+      const result = await executeQuery(query, values);
+      if (result.affectedRows === 0) {
+        return null;
+      }
+
+      logger.info(`Checkpoint updated: ID ${id}`);
+      return await this.findById(id);
+    } catch (error) {
+      logger.error('Error updating checkpoint:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete checkpoint and unbind any bouncers assigned to it
+   * @param {number} id - Checkpoint ID
+   * @returns {Promise<boolean>} True if deleted, false if not found
+   */
+  static async delete(id) {
+    try {
+      const checkpoint = await this.findById(id);
+      if (!checkpoint) {
+        return false;
+      }
+
+      await executeQuery('UPDATE users SET checkpoint_id = NULL WHERE checkpoint_id = ?', [id]);
+      const result = await executeQuery('DELETE FROM checkpoints WHERE id = ?', [id]);
+
+      logger.info(`Checkpoint deleted: ${checkpoint.name} (ID: ${id})`);
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error deleting checkpoint:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate checkpoint data
+   * @param {Object} checkpointData - Checkpoint data to validate
+   * @param {boolean} partial - Allow missing fields (for updates)
+   * @returns {Object} Validation result
+   */
+  static validateCheckpointData(checkpointData, partial = false) {
+    const errors = [];
+    const { zone_id, name, description, status } = checkpointData;
+
+    if (!partial || zone_id !== undefined) {
+      if (!Number.isInteger(parseInt(zone_id)) || parseInt(zone_id) < 1) {
+        errors.push('zone_id is required and must be a valid zone ID');
+      }
+    }
+
+    if (!partial || name !== undefined) {
+      if (!name || typeof name !== 'string') {
+        errors.push('Name is required and must be a string');
+      } else if (name.length < 2 || name.length > 100) {
+        errors.push('Name must be between 2 and 100 characters');
+      }
+    }
+
+    if (description !== undefined && description !== null) {
+      if (typeof description !== 'string') {
+        errors.push('Description must be a string');
+      } else if (description.length > 500) {
+        errors.push('Description must not exceed 500 characters');
+      }
+    }
+
+    if (status !== undefined && !['active', 'inactive'].includes(status)) {
+      errors.push('Status must be active or inactive');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+module.exports = CheckpointsModel;
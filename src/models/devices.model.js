@@ -0,0 +1,312 @@
+const { executeQuery } = require('../config/db');
+const logger = require('../utils/logger');
+
+// Columns returned to clients (never the enrollment code hash)
+const DEVICE_COLUMNS = `
+  d.id, d.name, d.status, d.checkpoint_id, c.name as checkpoint_name, c.zone_id,
+  d.platform, d.app_version, d.enrollment_expires_at, d.enrolled_at, d.token_version,
+  d.last_seen_at, d.last_seen_ip, d.last_user_id, lu.username as last_username,
+  d.disabled_at, d.disabled_by, d.disabled_reason, d.created_by, d.created_at, d.updated_at
+`;
+
+const DEVICE_JOINS = `
+  LEFT JOIN checkpoints c ON d.checkpoint_id = c.id
+  LEFT JOIN users lu ON d.last_user_id = lu.id
+`;
+
+class DevicesModel {
+  /**
+   * Register a device waiting for enrollment
+   * @param {Object} deviceData - { name, checkpoint_id, enrollment_code_hash, enrollment_expires_at, created_by }
+   * @returns {Promise<Object>} Created device
+   */
+  static async create(deviceData) {
+    const { name, checkpoint_id, enrollment_code_hash, enrollment_expires_at, created_by } = deviceData;
+
+    try {
+      const result = await executeQuery(`
+        INSERT INTO devices (name, checkpoint_id, enrollment_code_hash, enrollment_expires_at, created_by)
+        VALUES (?, ?, ?, ?, ?)
+      `, [name, checkpoint_id ?? null, enrollment_code_hash, enrollment_expires_at, created_by ?? null]);
+
+      logger.info(`Device registered: ${name} (ID: ${result.insertId})`);
+      return await this.findById(result.insertId);
+    } catch (error) {
+      logger.error('Error creating device:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all devices
+   * @param {Object} filters - { status, checkpoint_id }
+   * @returns {Promise<Array>} List of devices
+   */
+  static async findAll(filters = {}) {
+    try {
+      const conditions = [];
+      const params = [];
+
+      if (filters.status) {
+        conditions.push('d.status = ?');
+        params.push(filters.status);
+      }
+
+      if (filters.checkpoint_id) {
+        conditions.push('d.checkpoint_id = ?');
+        params.push(filters.checkpoint_id);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      return await executeQuery(`
+        SELECT ${DEVICE_COLUMNS}
+        FROM devices d
+        ${DEVICE_JOINS}
+        ${where}
+        ORDER BY d.name ASC
+      `, params);
+    } catch (error) {
+      logger.error('Error fetching devices:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get device by ID
+   * @param {number} id - Device ID
+   * @returns {Promise<Object|null>} Device or null if not found
+   */
+  static async findById(id) {
+    try {
+      const rows = await executeQuery(`
+        SELECT ${DEVICE_COLUMNS}
+        FROM devices d
+        ${DEVICE_JOINS}
+        WHERE d.id = ?
+      `, [id]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching device by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findByName(name) {
+    try {
+      const rows = await executeQuery('SELECT id, name FROM devices WHERE name = ?', [name]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching device by name:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the pending device an enrollment code was issued for
+   * @param {string} codeHash - SHA-256 of the enrollment code
+   * @returns {Promise<Object|null>} Device (with its enrollment expiry) or null
+   */
+  static async findByEnrollmentCodeHash(codeHash) {
+    try {
+      const rows = await executeQuery(`
+        SELECT id, name, status, enrollment_expires_at, token_version
+        FROM devices
+        WHERE enrollment_code_hash = ? AND status = 'pending'
+      `, [codeHash]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching device by enrollment code:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Complete enrollment. The code is cleared in the same statement so it can only be used once.
+   * @returns {Promise<boolean>} True if this call enrolled the device
+   */
+  static async activate(id, codeHash, { platform, app_version }) {
+    try {
+      const result = await executeQuery(`
+        UPDATE devices
+        SET status = 'active', enrollment_code_hash = NULL, enrollment_expires_at = NULL,
+            enrolled_at = CURRENT_TIMESTAMP, platform = ?, app_version = ?,
+            last_seen_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND enrollment_code_hash = ? AND status = 'pending'
+          AND enrollment_expires_at > NOW()
+      `, [platform ?? null, app_version ?? null, id, codeHash]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error activating device:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Issue a new enrollment code. Puts the device back to pending and revokes its current token.
+   */
+  static async setEnrollmentCode(id, codeHash, expiresAt) {
+    try {
+      const result = await executeQuery(`
+        UPDATE devices
+        SET status = 'pending', enrollment_code_hash = ?, enrollment_expires_at = ?,
+            token_version = token_version + 1,
+            disabled_at = NULL, disabled_by = NULL, disabled_reason = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [codeHash, expiresAt, id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error setting device enrollment code:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update device details
+   * @param {number} id - Device ID
+   * @param {Object} updateData - { name, checkpoint_id }
+   * @returns {Promise<Object|null>} Updated device or null if not found
+   */
+  static async update(id, updateData) {
+    try {
+      const allowedFields = ['name', 'checkpoint_id'];
+      const updates = [];
+      const values = [];
+
+      Object.keys(updateData).forEach(key => {
+        if (allowedFields.includes(key) && updateData[key] !== undefined) {
+          updates.push(`${key} = ?`);
+          values.push(updateData[key]);
+        }
+      });
+
+      if (updates.length === 0) {
+        throw new Error('No valid fields to update');
+      }
+
+      values.push(id);
+
+      const result = await executeQuery(`
+        UPDATE devices
+        SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, values);
+
+      if (result.affectedRows === 0) {
+        return null;
+      }
+
+      logger.info(`Device updated: ID ${id}`);
+      return await this.findById(id);
+    } catch (error) {
+      logger.error('Error updating device:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Disable a device. Bumping token_version revokes its token and every session bound to it.
+   * @returns {Promise<boolean>} True if the device was not already disabled
+   */
+  static async disable(id, disabledBy, reason = null) {
+    try {
+      const result = await executeQuery(`
+        UPDATE devices
+        SET status = 'disabled', token_version = token_version + 1,
+            disabled_at = CURRENT_TIMESTAMP, disabled_by = ?, disabled_reason = ?,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status <> 'disabled'
+      `, [disabledBy ?? null, reason, id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error disabling device:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Re-enable a disabled device. Its old token stays revoked, so it has to enroll again.
+   * @returns {Promise<boolean>} True if the device was disabled
+   */
+  static async enable(id, codeHash, expiresAt) {
+    try {
+      const result = await executeQuery(`
+        UPDATE devices
+        SET status = 'pending', enrollment_code_hash = ?, enrollment_expires_at = ?,
+            disabled_at = NULL, disabled_by = NULL, disabled_reason = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'disabled'
+      `, [codeHash, expiresAt, id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error enabling device:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record that the device was just used
+   */
+  static async touch(id, { app_version, ip, user_id }) {
+    try {
+      await executeQuery(`
+        UPDATE devices
+        SET last_seen_at = CURRENT_TIMESTAMP,
+            app_version = COALESCE(?, app_version),
+            last_seen_ip = COALESCE(?, last_seen_ip),
+            last_user_id = COALESCE(?, last_user_id)
+        WHERE id = ?
+      `, [app_version ?? null, ip ?? null, user_id ?? null, id]);
+    } catch (error) {
+      logger.error('Error updating device last seen:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate device data
+   * @param {Object} deviceData - { name, checkpoint_id }
+   * @param {boolean} partial - Only validate the fields that are present (updates)
+   * @returns {Object} { isValid, errors }
+   */
+  static validateDeviceData(deviceData, partial = false) {
+    const errors = [];
+    const { name, checkpoint_id } = deviceData;
+
+    if (!partial || name !== undefined) {
+      if (!name || typeof name !== 'string') {
+        errors.push('Name is required and must be a string');
+      } else if (name.trim().length < 2 || name.length > 100) {
+        errors.push('Name must be between 2 and 100 characters');
+      }
+    }
+
+    if (checkpoint_id !== undefined && checkpoint_id !== null && !(Number.isInteger(checkpoint_id) && checkpoint_id > 0)) {
+      errors.push('checkpoint_id must be a checkpoint ID or null');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Minimal row used to validate a device credential on every request
+   */
+  static async findStatus(id) {
+    try {
+      const rows = await executeQuery(
+        'SELECT id, name, status, checkpoint_id, token_version FROM devices WHERE id = ?',
+        [id]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching device status:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = DevicesModel;
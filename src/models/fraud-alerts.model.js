@@ -0,0 +1,146 @@
+const { executeQuery } = require('../config/db');
+const logger = require('../utils/logger');
+
+const ALERT_TYPES = ['clone_suspected', 'invalid_scan_burst'];
+const ALERT_STATUSES = ['open', 'acknowledged', 'dismissed'];
+
+class FraudAlertsModel {
+  /**
+   * Store a fraud alert
+   * @param {Object} alert - { alert_type, severity, uid, pass_id, scanned_by, checkpoint_id, details }
+   * @returns {Promise<Object>} Created alert
+   */
+  static async create(alert) {
+    try {
+      const result = await executeQuery(`
+        INSERT INTO fraud_alerts (alert_type, severity, uid, pass_id, scanned_by, checkpoint_id, details)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [
+        alert.alert_type,
+        alert.severity || 'medium',
+        alert.uid ?? null,
+        alert.pass_id ?? null,
+        alert.scanned_by ?? null,
+        alert.checkpoint_id ?? null,
+        alert.details ? JSON.stringify(alert.details) : null
+      ]);
+
+      logger.warn(`Fraud alert raised: ${alert.alert_type} (ID: ${result.insertId})`);
+      return await this.findById(result.insertId);
+    } catch (error) {
+      logger.error('Error creating fraud alert:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List alerts with optional filters
+   * @param {Object} filters - { status, alert_type, uid, scanned_by }
+   * @param {Object} pagination - { limit, offset }
+   * @returns {Promise<Object>} { alerts, total }
+   */
+  static async findAll(filters = {}, pagination = { limit: 50, offset: 0 }) {
+    try {
+      let where = 'WHERE 1=1';
+      const params = [];
+
+      if (filters.status) {
+        where += ' AND a.status = ?';
+        params.push(filters.status);
+      }
+      if (filters.alert_type) {
+        where += ' AND a.alert_type = ?';
+        params.push(filters.alert_type);
+      }
+      if (filters.uid) {
+        where += ' AND a.uid = ?';
+        params.push(filters.uid);
+      }
+      if (filters.scanned_by) {
+        where += ' AND a.scanned_by = ?';
+        params.push(filters.scanned_by);
+      }
+
+      const alerts = await executeQuery(`
+        SELECT a.*, u.username as scanned_by_username, r.username as reviewed_by_username
+        FROM fraud_alerts a
+        LEFT JOIN users u ON a.scanned_by = u.id
+        LEFT JOIN users r ON a.reviewed_by = r.id
+        ${where}
+        ORDER BY a.created_at DESC, a.id DESC
+        LIMIT ${parseInt(pagination.limit)} OFFSET ${parseInt(pagination.offset)}
+      `, params);
+
+      const countResult = await executeQuery(`SELECT COUNT(*) as total FROM fraud_alerts a ${where}`, params);
+
+      return {
+        alerts,
+        total: countResult[0].total
+      };
+    } catch (error) {
+      logger.error('Error fetching fraud alerts:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const rows = await executeQuery(`
+        SELECT a.*, u.username as scanned_by_username, r.username as reviewed_by_username
+        FROM fraud_alerts a
+        LEFT JOIN users u ON a.scanned_by = u.id
+        LEFT JOIN users r ON a.reviewed_by = r.id
+        WHERE a.id = ?
+      `, [id]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching fraud alert by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record an action taken automatically for an alert (e.g. pass_blocked)
+   */
+  static async setActionTaken(id, action) {
+    try {
+      await executeQuery('UPDATE fraud_alerts SET action_taken = ? WHERE id = ?', [action, id]);
+    } catch (error) {
+      logger.error('Error updating fraud alert action:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark an alert as reviewed
+   * @param {number} id - Alert ID
+   * @param {string} status - acknowledged or dismissed
+   * @param {number} reviewedBy - User ID
+   * @param {string|null} note - Review note
+   * @returns {Promise<Object|null>} Updated alert or null if not found
+   */
+  static async review(id, status, reviewedBy, note = null) {
+    try {
+      const result = await executeQuery(`
+        UPDATE fraud_alerts
+        SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, review_note = ?
+        WHERE id = ?
+      `, [status, reviewedBy, note, id]);
+
+      if (result.affectedRows === 0) {
+        return null;
+      }
+
+      logger.info(`Fraud alert ${id} marked ${status} by user ${reviewedBy}`);
+      return await this.findById(id);
+    } catch (error) {
+      logger.error('Error reviewing fraud alert:', error);
+      throw error;
+    }
+  }
+}
+
+FraudAlertsModel.ALERT_TYPES = ALERT_TYPES;
+FraudAlertsModel.ALERT_STATUSES = ALERT_STATUSES;
+
+module.exports = FraudAlertsModel;
@@ -17,7 +17,7 @@ class LogsModel {
           'daily_reset_error'
         ) NOT NULL,
         user_id BIGINT NULL,
-        role ENUM('admin', 'manager', 'bouncer', 'system') NULL,
+        role VARCHAR(50) NULL,
         ip_address VARCHAR(45) NULL,
         user_agent TEXT NULL,
         details JSON NULL,
@@ -0,0 +1,87 @@
+const { connectDB, executeQuery } = require('../../config/db');
+const logger = require('../../utils/logger');
+
+/**
+ * Migration to add anti-passback (entry/exit presence) tracking
+ * 1. Add presence columns to passes table
+ * 2. Add direction column to existing daily log tables
+ * 3. Insert default anti-passback settings
+ */
+const addAntiPassback = async () => {
+  try {
+    // Initialize database connection
+    await connectDB();
+    logger.info('Adding anti-passback presence tracking...');
+
+    // Step 1: Add presence columns to passes table
+    logger.info('Adding presence columns to passes table...');
+    const addColumnsQuery = `
+      ALTER TABLE passes
+      ADD COLUMN presence_state ENUM('outside','inside') NOT NULL DEFAULT 'outside' COMMENT 'Whether the holder is currently inside the venue',
+      ADD COLUMN last_entry_at TIMESTAMP NULL COMMENT 'Last successful entry scan',
+      ADD COLUMN last_exit_at TIMESTAMP NULL COMMENT 'Last exit scan',
+      ADD COLUMN last_presence_by BIGINT NULL COMMENT 'User who recorded the last entry/exit',
+      ADD INDEX idx_presence_state (presence_state)
+    `;
+
+    await executeQuery(addColumnsQuery);
+    logger.info('Successfully added presence columns to passes table');
+
+    // Step 2: Add direction column to existing daily log tables
+    logger.info('Adding direction column to existing daily log tables...');
+    const tables = await executeQuery(`
+      SELECT table_name AS table_name
+      FROM information_schema.tables
+      WHERE table_schema = DATABASE() AND table_name LIKE 'daily\\_logs\\_%'
+    `);
+
+    for (const { table_name: tableName } of tables) {
+      const columns = await executeQuery(`
+        SELECT COUNT(*) as count
+        FROM information_schema.columns
+        WHERE table_schema = DATABASE() AND table_name = ? AND column_name = 'direction'
+      `, [tableName]);
+
+      if (columns[0].count > 0) {
+        continue;
+      }
+
+      await executeQuery(`
+        ALTER TABLE \`${tableName}\`
+        ADD COLUMN direction ENUM('entry','exit') NULL AFTER pass_type,
+        ADD INDEX idx_direction (direction)
+      `);
+      logger.info(`Added direction column to ${tableName}`);
+    }
+
+    // Step 3: Insert default settings (disabled by default so existing devices keep working)
+    logger.info('Inserting default anti-passback settings...');
+    const insertSettingsQuery = `
+      INSERT IGNORE INTO settings (setting_key, setting_value) VALUES
+      ('anti_passback_enabled', 'false'),
+      ('anti_passback_window_minutes', '0')
+    `;
+
+    await executeQuery(insertSettingsQuery);
+    logger.info('Anti-passback migration completed successfully');
+
+  } catch (error) {
+    logger.error('Failed to add anti-passback tracking:', error);
+    throw error;
+  }
+};
+
+// Run migration if called directly
+if (require.main === module) {
+  addAntiPassback()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = addAntiPassback;
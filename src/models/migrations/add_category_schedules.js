@@ -0,0 +1,67 @@
+const { connectDB, executeQuery } = require('../../config/db');
+const logger = require('../../utils/logger');
+
+/**
+ * Migration to add category access schedules
+ * 1. Add timezone column to categories table
+ * 2. Create category_schedules table (date ranges and daily hour windows)
+ */
+const addCategorySchedules = async () => {
+  try {
+    // Initialize database connection
+    await connectDB();
+    logger.info('Adding category access schedules...');
+
+    // Step 1: Add timezone to categories
+    const columns = await executeQuery(`
+      SELECT COUNT(*) as count
+      FROM information_schema.columns
+      WHERE table_schema = DATABASE() AND table_name = 'categories' AND column_name = 'timezone'
+    `);
+
+    if (columns[0].count === 0) {
+      logger.info('Adding timezone column to categories table...');
+      await executeQuery(`
+        ALTER TABLE categories
+        ADD COLUMN timezone VARCHAR(64) NULL COMMENT 'IANA timezone for access schedules (NULL = server timezone)' AFTER description
+      `);
+    }
+
+    // Step 2: Create schedules table
+    logger.info('Creating category_schedules table...');
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS category_schedules (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        category_id INT NOT NULL,
+        start_date DATE NULL COMMENT 'First valid day (NULL = no lower bound)',
+        end_date DATE NULL COMMENT 'Last valid day (NULL = no upper bound)',
+        daily_start TIME NULL COMMENT 'Daily window start (NULL = all day)',
+        daily_end TIME NULL COMMENT 'Daily window end; earlier than start means it runs past midnight',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_category_id (category_id),
+        CONSTRAINT fk_category_schedules_category FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    logger.info('Category schedules migration completed successfully');
+
+  } catch (error) {
+    logger.error('Failed to add category schedules:', error);
+    throw error;
+  }
+};
+
+// Run migration if called directly
+if (require.main === module) {
+  addCategorySchedules()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = addCategorySchedules;
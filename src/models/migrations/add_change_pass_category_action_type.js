@@ -0,0 +1,53 @@
+const { connectDB, executeQuery } = require('../../config/db');
+const logger = require('../../utils/logger');
+
+/**
+ * Migration to allow logging pass category changes
+ * 1. Add 'change_pass_category' to the logs.action_type ENUM
+ */
+const addChangePassCategoryActionType = async () => {
+  try {
+    // Initialize database connection
+    await connectDB();
+    logger.info('Adding change_pass_category action type to logs table...');
+
+    const actionTypeColumn = await executeQuery(`
+      SELECT column_type
+      FROM information_schema.columns
+      WHERE table_schema = DATABASE() AND table_name = 'logs' AND column_name = 'action_type'
+    `);
+
+    if (!actionTypeColumn[0]) {
+      throw new Error('logs.action_type column not found');
+    }
+
+    if (actionTypeColumn[0].column_type.includes("'change_pass_category'")) {
+      logger.info('Action type change_pass_category already exists, skipping');
+      return;
+    }
+
+    const values = actionTypeColumn[0].column_type.replace(/^enum\(|\)$/gi, '');
+    await executeQuery(`ALTER TABLE logs MODIFY COLUMN action_type ENUM(${values},'change_pass_category') NOT NULL`);
+
+    logger.info('Successfully added change_pass_category action type to logs table');
+
+  } catch (error) {
+    logger.error('Failed to add change_pass_category action type:', error);
+    throw error;
+  }
+};
+
+// Run migration if called directly
+if (require.main === module) {
+  addChangePassCategoryActionType()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = addChangePassCategoryActionType;
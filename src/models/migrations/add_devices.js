@@ -0,0 +1,97 @@
+const { connectDB, executeQuery } = require('../../config/db');
+const logger = require('../../utils/logger');
+
+/**
+ * Migration to add the scanner device registry
+ * 1. Create devices table
+ * 2. Add device_id column to existing daily log tables
+ */
+const addDevices = async () => {
+  try {
+    // Initialize database connection
+    await connectDB();
+    logger.info('Adding scanner device registry...');
+
+    // Step 1: Create devices table
+    logger.info('Creating devices table...');
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS devices (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        name VARCHAR(100) NOT NULL,
+        status ENUM('pending', 'active', 'disabled') NOT NULL DEFAULT 'pending',
+        checkpoint_id INT NULL COMMENT 'Checkpoint the device scans at',
+        platform VARCHAR(50) NULL,
+        app_version VARCHAR(50) NULL,
+        enrollment_code_hash CHAR(64) NULL COMMENT 'SHA-256 of the one-time enrollment code',
+        enrollment_expires_at DATETIME NULL,
+        enrolled_at DATETIME NULL,
+        token_version INT NOT NULL DEFAULT 1 COMMENT 'Bumped to revoke the device token and tokens bound to it',
+        last_seen_at DATETIME NULL,
+        last_seen_ip VARCHAR(45) NULL,
+        last_user_id BIGINT NULL,
+        disabled_at DATETIME NULL,
+        disabled_by BIGINT NULL,
+        disabled_reason VARCHAR(255) NULL,
+        created_by BIGINT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uk_name (name),
+        UNIQUE KEY uk_enrollment_code_hash (enrollment_code_hash),
+        INDEX idx_status (status),
+        INDEX idx_checkpoint_id (checkpoint_id),
+        FOREIGN KEY (checkpoint_id) REFERENCES checkpoints(id) ON DELETE SET NULL,
+        FOREIGN KEY (last_user_id) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (disabled_by) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Step 2: Add device_id column to existing daily log tables
+    logger.info('Adding device_id column to existing daily log tables...');
+    const tables = await executeQuery(`
+      SELECT table_name AS table_name
+      FROM information_schema.tables
+      WHERE table_schema = DATABASE() AND table_name LIKE 'daily\\_logs\\_%'
+    `);
+
+    for (const { table_name: tableName } of tables) {
+      const columns = await executeQuery(`
+        SELECT COUNT(*) as count
+        FROM information_schema.columns
+        WHERE table_schema = DATABASE() AND table_name = ? AND column_name = 'device_id'
+      `, [tableName]);
+
+      if (columns[0].count > 0) {
+        continue;
+      }
+
+      await executeQuery(`
+        ALTER TABLE \`${tableName}\`
+        ADD COLUMN device_id BIGINT NULL,
+        ADD INDEX idx_device_id (device_id)
+      `);
+      logger.info(`Added device_id column to ${tableName}`);
+    }
+
+    logger.info('Devices migration completed successfully');
+
+  } catch (error) {
+    logger.error('Failed to add devices:', error);
+    throw error;
+  }
+};
+
+// Run migration if called directly
+if (require.main === module) {
+  addDevices()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = addDevices;
@@ -0,0 +1,76 @@
+const { connectDB, executeQuery } = require('../../config/db');
+const logger = require('../../utils/logger');
+
+/**
+ * Migration to add fraud detection
+ * 1. Create fraud_alerts table
+ * 2. Insert default fraud detection settings
+ */
+const addFraudDetection = async () => {
+  try {
+    // Initialize database connection
+    await connectDB();
+    logger.info('Adding fraud detection...');
+
+    // Step 1: Create fraud_alerts table
+    logger.info('Creating fraud_alerts table...');
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS fraud_alerts (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        alert_type ENUM('clone_suspected','invalid_scan_burst') NOT NULL,
+        severity ENUM('low','medium','high') NOT NULL DEFAULT 'medium',
+        uid VARCHAR(255) NULL COMMENT 'Card UID the alert is about (clone alerts)',
+        pass_id VARCHAR(255) NULL,
+        scanned_by BIGINT NULL COMMENT 'Device (scanning user) that triggered the alert',
+        checkpoint_id BIGINT NULL,
+        details JSON NULL,
+        action_taken ENUM('none','pass_blocked') NOT NULL DEFAULT 'none',
+        status ENUM('open','acknowledged','dismissed') NOT NULL DEFAULT 'open',
+        reviewed_by BIGINT NULL,
+        reviewed_at TIMESTAMP NULL,
+        review_note TEXT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_status (status),
+        INDEX idx_alert_type (alert_type),
+        INDEX idx_uid (uid),
+        INDEX idx_scanned_by (scanned_by),
+        INDEX idx_created_at (created_at),
+        FOREIGN KEY (scanned_by) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+    logger.info('Successfully created fraud_alerts table');
+
+    // Step 2: Insert default settings (detection on, auto-block off)
+    logger.info('Inserting default fraud detection settings...');
+    await executeQuery(`
+      INSERT IGNORE INTO settings (setting_key, setting_value) VALUES
+      ('fraud_detection_enabled', 'true'),
+      ('fraud_clone_window_seconds', '10'),
+      ('fraud_invalid_scan_threshold', '20'),
+      ('fraud_invalid_scan_window_seconds', '60'),
+      ('fraud_auto_block_enabled', 'false'),
+      ('fraud_auto_block_alert_threshold', '1')
+    `);
+    logger.info('Fraud detection migration completed successfully');
+
+  } catch (error) {
+    logger.error('Failed to add fraud detection:', error);
+    throw error;
+  }
+};
+
+// Run migration if called directly
+if (require.main === module) {
+  addFraudDetection()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = addFraudDetection;
@@ -0,0 +1,97 @@
+const { connectDB, executeQuery } = require('../../config/db');
+const logger = require('../../utils/logger');
+
+/**
+ * Migration for offline sync reconciliation
+ * 1. Add blocked_at column to passes table
+ * 2. Create offline_synced_scans table (one row per synced device scan, for idempotent retries)
+ * 3. Create offline_sync_conflicts table
+ */
+const addOfflineReconciliation = async () => {
+  try {
+    // Initialize database connection
+    await connectDB();
+    logger.info('Adding offline sync reconciliation...');
+
+    // Step 1: Add blocked_at to passes
+    const columns = await executeQuery(`
+      SELECT COUNT(*) as count
+      FROM information_schema.columns
+      WHERE table_schema = DATABASE() AND table_name = 'passes' AND column_name = 'blocked_at'
+    `);
+
+    if (columns[0].count === 0) {
+      logger.info('Adding blocked_at column to passes table...');
+      await executeQuery(`
+        ALTER TABLE passes
+        ADD COLUMN blocked_at TIMESTAMP NULL COMMENT 'When the pass was last blocked'
+      `);
+      await executeQuery(`UPDATE passes SET blocked_at = updated_at WHERE status = 'blocked'`);
+    }
+
+    // Step 2: Create synced scans table
+    logger.info('Creating offline_synced_scans table...');
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS offline_synced_scans (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        scanned_by BIGINT NOT NULL,
+        device_local_id VARCHAR(128) NOT NULL,
+        uid VARCHAR(128) NOT NULL,
+        scanned_at DATETIME NOT NULL,
+        outcome ENUM('processing', 'applied', 'recorded', 'conflict') NOT NULL DEFAULT 'processing',
+        conflict_id BIGINT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uk_device_scan (scanned_by, device_local_id),
+        INDEX idx_uid (uid)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Step 3: Create conflicts table
+    logger.info('Creating offline_sync_conflicts table...');
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS offline_sync_conflicts (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        conflict_type ENUM('double_entry', 'entry_after_block', 'unknown_pass') NOT NULL,
+        uid VARCHAR(128) NOT NULL,
+        pass_id CHAR(36) NULL,
+        scanned_by BIGINT NULL,
+        device_local_id VARCHAR(128) NULL,
+        scanned_at DATETIME NOT NULL,
+        consumed_count INT NOT NULL DEFAULT 1 COMMENT 'People the device admitted',
+        applied_count INT NOT NULL DEFAULT 0 COMMENT 'Uses actually consumed on sync',
+        remaining_uses_before INT NULL,
+        details JSON NULL,
+        status ENUM('open', 'resolved') NOT NULL DEFAULT 'open',
+        resolved_by BIGINT NULL,
+        resolved_at TIMESTAMP NULL,
+        resolution_note VARCHAR(255) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_status (status),
+        INDEX idx_conflict_type (conflict_type),
+        INDEX idx_uid (uid),
+        INDEX idx_created_at (created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    logger.info('Offline reconciliation migration completed successfully');
+
+  } catch (error) {
+    logger.error('Failed to add offline reconciliation:', error);
+    throw error;
+  }
+};
+
+// Run migration if called directly
+if (require.main === module) {
+  addOfflineReconciliation()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = addOfflineReconciliation;
@@ -0,0 +1,80 @@
+const { connectDB, executeQuery } = require('../../config/db');
+const logger = require('../../utils/logger');
+
+/**
+ * Migration to add the per-pass event history
+ * 1. Create pass_events table (append-only; no foreign key so history outlives hard deletes)
+ * 2. Record a baseline 'created' event for passes that existed before the history
+ */
+const addPassEvents = async () => {
+  try {
+    // Initialize database connection
+    await connectDB();
+    logger.info('Adding pass event history...');
+
+    // Step 1: Create pass_events table
+    logger.info('Creating pass_events table...');
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS pass_events (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        pass_db_id BIGINT NOT NULL COMMENT 'passes.id',
+        pass_id CHAR(36) NULL,
+        uid VARCHAR(128) NULL COMMENT 'UID of the pass when the event happened',
+        event_type ENUM(
+          'created', 'verified', 'prompt_consumed', 'blocked', 'unblocked', 'reset',
+          'category_changed', 'uid_replaced', 'expired', 'deleted'
+        ) NOT NULL,
+        actor_id BIGINT NULL,
+        actor_role VARCHAR(20) NULL,
+        device_id VARCHAR(255) NULL,
+        data JSON NULL COMMENT 'State the event changed, used to rebuild the pass',
+        occurred_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_pass_events_pass (pass_db_id, id),
+        INDEX idx_pass_events_uid_type (uid, event_type, occurred_at),
+        INDEX idx_pass_events_type_time (event_type, occurred_at)
+      )
+    `);
+
+    // Step 2: Baseline for existing passes, so replaying their events gives today's state
+    const existing = await executeQuery('SELECT COUNT(*) as count FROM pass_events');
+    if (existing[0].count > 0) {
+      logger.info('pass_events already has events, skipping baseline');
+    } else {
+      const result = await executeQuery(`
+        INSERT INTO pass_events (pass_db_id, pass_id, uid, event_type, actor_id, data, occurred_at)
+        SELECT id, pass_id, uid, 'created', created_by,
+               JSON_OBJECT(
+                 'category', category, 'pass_type', pass_type, 'people_allowed', people_allowed,
+                 'max_uses', max_uses, 'used_count', used_count, 'status', status,
+                 'valid_from', valid_from, 'valid_to', valid_to, 'baseline', TRUE
+               ),
+               created_at
+        FROM passes
+        ORDER BY id
+      `);
+      logger.info(`Recorded baseline events for ${result.affectedRows} existing passes`);
+    }
+
+    logger.info('Pass events migration completed successfully');
+
+  } catch (error) {
+    logger.error('Failed to add pass events:', error);
+    throw error;
+  }
+};
+
+// Run migration if called directly
+if (require.main === module) {
+  addPassEvents()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = addPassEvents;
@@ -0,0 +1,89 @@
+const { connectDB, executeQuery } = require('../../config/db');
+const logger = require('../../utils/logger');
+
+/**
+ * Migration to add pass groups (a parent pass with linked companion cards)
+ * 1. Create pass_groups table
+ * 2. Create pass_group_members table
+ * 3. Add group_id column to passes table
+ */
+const addPassGroups = async () => {
+  try {
+    // Initialize database connection
+    await connectDB();
+    logger.info('Adding pass groups...');
+
+    // Step 1: Create pass_groups table
+    logger.info('Creating pass_groups table...');
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS pass_groups (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        name VARCHAR(255) NOT NULL,
+        parent_pass_id BIGINT NOT NULL COMMENT 'Pass whose max_uses/used_count is the pooled allowance',
+        created_by BIGINT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uk_parent_pass (parent_pass_id),
+        FOREIGN KEY (parent_pass_id) REFERENCES passes(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+    logger.info('Successfully created pass_groups table');
+
+    // Step 2: Create pass_group_members table (companion cards have no passes row)
+    logger.info('Creating pass_group_members table...');
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS pass_group_members (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        group_id BIGINT NOT NULL,
+        uid VARCHAR(255) NOT NULL,
+        label VARCHAR(255) NULL COMMENT 'Who carries the card, e.g. holder name',
+        status ENUM('active','blocked') NOT NULL DEFAULT 'active',
+        created_by BIGINT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uk_member_uid (uid),
+        INDEX idx_group_id (group_id),
+        FOREIGN KEY (group_id) REFERENCES pass_groups(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+    logger.info('Successfully created pass_group_members table');
+
+    // Step 3: Mark parent passes so scans know to look up their group
+    logger.info('Adding group_id column to passes table...');
+    const columns = await executeQuery(`
+      SELECT COUNT(*) as count
+      FROM information_schema.columns
+      WHERE table_schema = DATABASE() AND table_name = 'passes' AND column_name = 'group_id'
+    `);
+
+    if (columns[0].count === 0) {
+      await executeQuery(`
+        ALTER TABLE passes
+        ADD COLUMN group_id BIGINT NULL COMMENT 'Group this pass is the parent of',
+        ADD INDEX idx_group_id (group_id)
+      `);
+    }
+    logger.info('Pass groups migration completed successfully');
+
+  } catch (error) {
+    logger.error('Failed to add pass groups:', error);
+    throw error;
+  }
+};
+
+// Run migration if called directly
+if (require.main === module) {
+  addPassGroups()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = addPassGroups;
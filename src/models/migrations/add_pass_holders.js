@@ -0,0 +1,60 @@
+const { connectDB, executeQuery } = require('../../config/db');
+const logger = require('../../utils/logger');
+
+/**
+ * Migration to add pass holder profiles (identity data gate staff can check)
+ * 1. Create pass_holders table
+ */
+const addPassHolders = async () => {
+  try {
+    // Initialize database connection
+    await connectDB();
+    logger.info('Adding pass holder profiles...');
+
+    // Step 1: Create pass_holders table (at most one holder per pass)
+    logger.info('Creating pass_holders table...');
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS pass_holders (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        pass_id BIGINT NOT NULL,
+        full_name VARCHAR(255) NOT NULL,
+        phone VARCHAR(32) NULL,
+        email VARCHAR(255) NULL,
+        photo_ref VARCHAR(512) NULL COMMENT 'Reference to the holder photo (URL or storage key)',
+        id_last_digits VARCHAR(8) NULL COMMENT 'Last digits of the ID document, never the full number',
+        notes TEXT NULL,
+        created_by BIGINT NULL,
+        updated_by BIGINT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uk_pass_id (pass_id),
+        INDEX idx_full_name (full_name),
+        INDEX idx_phone (phone),
+        INDEX idx_email (email),
+        FOREIGN KEY (pass_id) REFERENCES passes(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+    logger.info('Pass holders migration completed successfully');
+
+  } catch (error) {
+    logger.error('Failed to add pass holders:', error);
+    throw error;
+  }
+};
+
+// Run migration if called directly
+if (require.main === module) {
+  addPassHolders()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = addPassHolders;
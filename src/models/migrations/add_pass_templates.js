@@ -0,0 +1,75 @@
+const { connectDB, executeQuery } = require('../../config/db');
+const logger = require('../../utils/logger');
+
+/**
+ * Migration to add pass templates (reusable pass configurations)
+ * 1. Create pass_templates table
+ * 2. Add template_id column to passes table
+ */
+const addPassTemplates = async () => {
+  try {
+    // Initialize database connection
+    await connectDB();
+    logger.info('Adding pass templates...');
+
+    // Step 1: Create pass_templates table
+    logger.info('Creating pass_templates table...');
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS pass_templates (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        name VARCHAR(100) NOT NULL,
+        description TEXT NULL,
+        pass_type ENUM('daily','seasonal','unlimited') NOT NULL,
+        category VARCHAR(100) NOT NULL,
+        max_uses INT NULL COMMENT 'NULL = default for the pass type',
+        people_allowed INT NOT NULL DEFAULT 1,
+        validity_days INT NULL COMMENT 'Passes are valid for this many days from creation unless valid_to is given',
+        status ENUM('active','inactive') NOT NULL DEFAULT 'active',
+        created_by BIGINT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uk_template_name (name),
+        INDEX idx_status (status),
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+    logger.info('Successfully created pass_templates table');
+
+    // Step 2: Remember which template a pass was created from
+    logger.info('Adding template_id column to passes table...');
+    const columns = await executeQuery(`
+      SELECT COUNT(*) as count
+      FROM information_schema.columns
+      WHERE table_schema = DATABASE() AND table_name = 'passes' AND column_name = 'template_id'
+    `);
+
+    if (columns[0].count === 0) {
+      await executeQuery(`
+        ALTER TABLE passes
+        ADD COLUMN template_id BIGINT NULL COMMENT 'Template the pass was created from',
+        ADD INDEX idx_template_id (template_id),
+        ADD CONSTRAINT fk_passes_template FOREIGN KEY (template_id) REFERENCES pass_templates(id) ON DELETE SET NULL
+      `);
+    }
+    logger.info('Pass templates migration completed successfully');
+
+  } catch (error) {
+    logger.error('Failed to add pass templates:', error);
+    throw error;
+  }
+};
+
+// Run migration if called directly
+if (require.main === module) {
+  addPassTemplates()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = addPassTemplates;
@@ -0,0 +1,52 @@
+const { connectDB, executeQuery } = require('../../config/db');
+const logger = require('../../utils/logger');
+
+/**
+ * Migration to add lost card replacement
+ * 1. Create pass_uid_history table (chain of UIDs a pass has been moved through)
+ */
+const addPassUidHistory = async () => {
+  try {
+    // Initialize database connection
+    await connectDB();
+    logger.info('Adding pass UID history...');
+
+    // Step 1: Create pass_uid_history table
+    logger.info('Creating pass_uid_history table...');
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS pass_uid_history (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        pass_id BIGINT NOT NULL,
+        old_uid VARCHAR(255) NOT NULL COMMENT 'Replaced card; stays blocked permanently',
+        new_uid VARCHAR(255) NOT NULL,
+        reason VARCHAR(255) NULL,
+        replaced_by BIGINT NULL,
+        replaced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uk_old_uid (old_uid),
+        INDEX idx_pass_id (pass_id),
+        FOREIGN KEY (pass_id) REFERENCES passes(id) ON DELETE CASCADE,
+        FOREIGN KEY (replaced_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+    logger.info('Pass UID history migration completed successfully');
+
+  } catch (error) {
+    logger.error('Failed to add pass UID history:', error);
+    throw error;
+  }
+};
+
+// Run migration if called directly
+if (require.main === module) {
+  addPassUidHistory()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = addPassUidHistory;
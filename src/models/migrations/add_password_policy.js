@@ -0,0 +1,97 @@
+const { connectDB, executeQuery } = require('../../config/db');
+const logger = require('../../utils/logger');
+
+const USER_COLUMNS = {
+  must_change_password: "TINYINT(1) NOT NULL DEFAULT 0 COMMENT 'Password set by an admin, must be changed at next login'",
+  password_changed_at: 'DATETIME NULL'
+};
+
+const LOCKOUT_ACTION_TYPES = ['account_locked', 'account_unlocked'];
+
+/**
+ * Migration to add password policy support
+ * 1. Add must_change_password and password_changed_at columns to users
+ * 2. Create password_history table (previous password hashes, for the reuse check)
+ * 3. Add account lockout action types to the logs.action_type ENUM
+ */
+const addPasswordPolicy = async () => {
+  try {
+    // Initialize database connection
+    await connectDB();
+    logger.info('Adding password policy support...');
+
+    // Step 1: Add columns to users
+    for (const [column, definition] of Object.entries(USER_COLUMNS)) {
+      const existing = await executeQuery(`
+        SELECT COUNT(*) as count
+        FROM information_schema.columns
+        WHERE table_schema = DATABASE() AND table_name = 'users' AND column_name = ?
+      `, [column]);
+
+      if (existing[0].count > 0) {
+        logger.info(`users.${column} already exists, skipping`);
+        continue;
+      }
+
+      await executeQuery(`ALTER TABLE users ADD COLUMN ${column} ${definition}`);
+      logger.info(`Added ${column} column to users`);
+    }
+
+    // Step 2: Create password_history table
+    logger.info('Creating password_history table...');
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS password_history (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        user_id BIGINT NOT NULL,
+        password_hash VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_user_id (user_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Step 3: Add lockout action types to logs
+    const actionTypeColumn = await executeQuery(`
+      SELECT column_type
+      FROM information_schema.columns
+      WHERE table_schema = DATABASE() AND table_name = 'logs' AND column_name = 'action_type'
+    `);
+
+    if (!actionTypeColumn[0]) {
+      throw new Error('logs.action_type column not found');
+    }
+
+    const columnType = actionTypeColumn[0].column_type;
+    const missing = LOCKOUT_ACTION_TYPES.filter(type => !columnType.includes(`'${type}'`));
+
+    if (missing.length === 0) {
+      logger.info('Account lockout action types already exist, skipping');
+    } else {
+      const values = columnType.replace(/^enum\(|\)$/gi, '');
+      const added = missing.map(type => `'${type}'`).join(',');
+      await executeQuery(`ALTER TABLE logs MODIFY COLUMN action_type ENUM(${values},${added}) NOT NULL`);
+      logger.info(`Added action types to logs table: ${missing.join(', ')}`);
+    }
+
+    logger.info('Password policy migration completed successfully');
+
+  } catch (error) {
+    logger.error('Failed to add password policy support:', error);
+    throw error;
+  }
+};
+
+// Run migration if called directly
+if (require.main === module) {
+  addPasswordPolicy()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = addPasswordPolicy;
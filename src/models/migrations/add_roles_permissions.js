@@ -0,0 +1,134 @@
+const { connectDB, executeQuery } = require('../../config/db');
+const logger = require('../../utils/logger');
+const { DEFAULT_ROLES } = require('../../config/permissions');
+
+const getColumn = async (tableName, columnName) => {
+  const rows = await executeQuery(`
+    SELECT column_type, is_nullable
+    FROM information_schema.columns
+    WHERE table_schema = DATABASE() AND table_name = ? AND column_name = ?
+  `, [tableName, columnName]);
+  return rows[0] || null;
+};
+
+/**
+ * Migration to replace the fixed admin/manager/bouncer roles with editable roles
+ * 1. Create roles and role_permissions tables
+ * 2. Seed the built-in roles with their default permission sets
+ * 3. Turn users.role into a reference to roles.name
+ * 4. Widen the role columns of logs, daily logs and pass events for custom role names
+ */
+const addRolesPermissions = async () => {
+  try {
+    // Initialize database connection
+    await connectDB();
+    logger.info('Adding roles and permissions...');
+
+    // Step 1: Create roles and role_permissions tables
+    logger.info('Creating roles table...');
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS roles (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        name VARCHAR(50) NOT NULL UNIQUE,
+        description VARCHAR(255) NULL,
+        is_system TINYINT(1) NOT NULL DEFAULT 0 COMMENT 'Built-in role, cannot be renamed or deleted',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    logger.info('Creating role_permissions table...');
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS role_permissions (
+        role_id INT NOT NULL,
+        permission VARCHAR(100) NOT NULL,
+        PRIMARY KEY (role_id, permission),
+        FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Step 2: Seed built-in roles (existing roles keep their edited permissions)
+    for (const [name, role] of Object.entries(DEFAULT_ROLES)) {
+      const existing = await executeQuery('SELECT id FROM roles WHERE name = ?', [name]);
+      if (existing[0]) {
+        logger.info(`Role ${name} already exists, skipping`);
+        continue;
+      }
+
+      const result = await executeQuery(
+        'INSERT INTO roles (name, description, is_system) VALUES (?, ?, 1)',
+        [name, role.description]
+      );
+      for (const permission of role.permissions) {
+        await executeQuery(
+          'INSERT INTO role_permissions (role_id, permission) VALUES (?, ?)',
+          [result.insertId, permission]
+        );
+      }
+      logger.info(`Created role ${name} with ${role.permissions.length} permissions`);
+    }
+
+    // Step 3: users.role references roles.name (renaming a role follows through)
+    const userRole = await getColumn('users', 'role');
+    if (userRole && userRole.column_type.toLowerCase().startsWith('enum')) {
+      await executeQuery("ALTER TABLE users MODIFY COLUMN role VARCHAR(50) NOT NULL DEFAULT 'bouncer'");
+      logger.info('Converted users.role to VARCHAR');
+    }
+
+    const roleForeignKey = await executeQuery(`
+      SELECT COUNT(*) as count
+      FROM information_schema.key_column_usage
+      WHERE table_schema = DATABASE() AND table_name = 'users' AND column_name = 'role'
+        AND referenced_table_name = 'roles'
+    `);
+    if (roleForeignKey[0].count === 0) {
+      await executeQuery(`
+        ALTER TABLE users
+        ADD CONSTRAINT fk_users_role FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE
+      `);
+      logger.info('Added users.role foreign key to roles');
+    }
+
+    // Step 4: Widen role columns that only accepted the fixed roles
+    const dailyTables = await executeQuery(`
+      SELECT table_name
+      FROM information_schema.tables
+      WHERE table_schema = DATABASE() AND table_name LIKE 'daily\\_logs\\_%'
+    `);
+
+    for (const tableName of ['logs', ...dailyTables.map(row => row.table_name)]) {
+      const column = await getColumn(tableName, 'role');
+      if (column && column.column_type.toLowerCase().startsWith('enum')) {
+        await executeQuery(`ALTER TABLE \`${tableName}\` MODIFY COLUMN role VARCHAR(50) NULL`);
+        logger.info(`Converted ${tableName}.role to VARCHAR`);
+      }
+    }
+
+    const actorRole = await getColumn('pass_events', 'actor_role');
+    if (actorRole && actorRole.column_type.toLowerCase() !== 'varchar(50)') {
+      await executeQuery('ALTER TABLE pass_events MODIFY COLUMN actor_role VARCHAR(50) NULL');
+      logger.info('Widened pass_events.actor_role');
+    }
+
+    logger.info('Roles and permissions migration completed successfully');
+
+  } catch (error) {
+    logger.error('Failed to add roles and permissions:', error);
+    throw error;
+  }
+};
+
+// Run migration if called directly
+if (require.main === module) {
+  addRolesPermissions()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = addRolesPermissions;
@@ -0,0 +1,115 @@
+const { connectDB, executeQuery } = require('../../config/db');
+const logger = require('../../utils/logger');
+
+/**
+ * Migration to add signed NFC pass payloads
+ * 1. Create pass_signing_keys table (HMAC / Ed25519 keys identified by kid)
+ * 2. Add signed_payload column to passes table
+ * 3. Add require_signed_payload flag to categories table
+ * 4. Allow at most one active signing key
+ */
+const addSignedPayloads = async () => {
+  try {
+    // Initialize database connection
+    await connectDB();
+    logger.info('Adding signed pass payloads...');
+
+    // Step 1: Create signing keys table
+    logger.info('Creating pass_signing_keys table...');
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS pass_signing_keys (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        kid VARCHAR(32) NOT NULL UNIQUE COMMENT 'Key ID embedded in every payload',
+        algorithm ENUM('hmac-sha256', 'ed25519') NOT NULL,
+        secret TEXT NOT NULL COMMENT 'HMAC secret (base64) or Ed25519 private key (PEM)',
+        public_key TEXT NULL COMMENT 'Ed25519 public key (PEM)',
+        status ENUM('active', 'retired', 'revoked') NOT NULL DEFAULT 'active' COMMENT 'retired keys still verify, revoked keys do not',
+        created_by BIGINT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        retired_at TIMESTAMP NULL,
+        revoked_at TIMESTAMP NULL,
+        active_slot TINYINT AS (IF(status = 'active', 1, NULL)) STORED COMMENT 'Unique while active, so only one key can be active',
+        INDEX idx_status (status),
+        UNIQUE KEY uk_active_slot (active_slot)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Step 2: Add signed_payload to passes
+    const payloadColumn = await executeQuery(`
+      SELECT COUNT(*) as count
+      FROM information_schema.columns
+      WHERE table_schema = DATABASE() AND table_name = 'passes' AND column_name = 'signed_payload'
+    `);
+
+    if (payloadColumn[0].count === 0) {
+      logger.info('Adding signed_payload column to passes table...');
+      await executeQuery(`
+        ALTER TABLE passes
+        ADD COLUMN signed_payload VARCHAR(1024) NULL COMMENT 'Signed payload written to the tag'
+      `);
+    }
+
+    // Step 3: Add require_signed_payload to categories
+    const requireColumn = await executeQuery(`
+      SELECT COUNT(*) as count
+      FROM information_schema.columns
+      WHERE table_schema = DATABASE() AND table_name = 'categories' AND column_name = 'require_signed_payload'
+    `);
+
+    if (requireColumn[0].count === 0) {
+      logger.info('Adding require_signed_payload column to categories table...');
+      await executeQuery(`
+        ALTER TABLE categories
+        ADD COLUMN require_signed_payload BOOLEAN NOT NULL DEFAULT FALSE COMMENT 'Reject scans without a valid signed payload' AFTER timezone
+      `);
+    }
+
+    // Step 4: One active key at most (tables created before the active_slot column)
+    const activeSlotColumn = await executeQuery(`
+      SELECT COUNT(*) as count
+      FROM information_schema.columns
+      WHERE table_schema = DATABASE() AND table_name = 'pass_signing_keys' AND column_name = 'active_slot'
+    `);
+
+    if (activeSlotColumn[0].count === 0) {
+      // Keys created by concurrent first signings: the newest stays active
+      const retired = await executeQuery(`
+        UPDATE pass_signing_keys k
+        JOIN (SELECT MAX(id) AS id FROM pass_signing_keys WHERE status = 'active') newest
+        SET k.status = 'retired', k.retired_at = CURRENT_TIMESTAMP
+        WHERE k.status = 'active' AND k.id <> newest.id
+      `);
+      if (retired.affectedRows > 0) {
+        logger.info(`Retired ${retired.affectedRows} extra active signing keys`);
+      }
+
+      logger.info('Adding single active key constraint to pass_signing_keys...');
+      await executeQuery(`
+        ALTER TABLE pass_signing_keys
+        ADD COLUMN active_slot TINYINT AS (IF(status = 'active', 1, NULL)) STORED COMMENT 'Unique while active, so only one key can be active',
+        ADD UNIQUE KEY uk_active_slot (active_slot)
+      `);
+    }
+
+    logger.info('Signed payloads migration completed successfully');
+
+  } catch (error) {
+    logger.error('Failed to add signed payloads:', error);
+    throw error;
+  }
+};
+
+// Run migration if called directly
+if (require.main === module) {
+  addSignedPayloads()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = addSignedPayloads;
@@ -0,0 +1,94 @@
+const { connectDB, executeQuery } = require('../../config/db');
+const logger = require('../../utils/logger');
+
+const TWO_FACTOR_ACTION_TYPES = [
+  'two_factor_enrolled', 'two_factor_disabled', 'two_factor_success', 'two_factor_failed'
+];
+
+/**
+ * Migration to add TOTP two-factor authentication
+ * 1. Create user_two_factor table (encrypted TOTP secret per user)
+ * 2. Create user_recovery_codes table (hashed one-time recovery codes)
+ * 3. Add two-factor action types to the logs.action_type ENUM
+ */
+const addTwoFactorAuth = async () => {
+  try {
+    // Initialize database connection
+    await connectDB();
+    logger.info('Adding two-factor authentication...');
+
+    // Step 1: Create user_two_factor table
+    logger.info('Creating user_two_factor table...');
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS user_two_factor (
+        user_id BIGINT PRIMARY KEY,
+        secret_encrypted VARCHAR(255) NULL COMMENT 'Confirmed TOTP secret (AES-256-GCM)',
+        pending_secret_encrypted VARCHAR(255) NULL COMMENT 'Secret being set up, not confirmed yet',
+        pending_created_at DATETIME NULL,
+        enabled_at DATETIME NULL,
+        last_used_step BIGINT NULL COMMENT 'Time step of the last accepted code, so a code cannot be replayed',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Step 2: Create user_recovery_codes table
+    logger.info('Creating user_recovery_codes table...');
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS user_recovery_codes (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        user_id BIGINT NOT NULL,
+        code_hash CHAR(64) NOT NULL COMMENT 'SHA-256 of the recovery code',
+        used_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uk_user_code (user_id, code_hash),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Step 3: Add two-factor action types to logs
+    const actionTypeColumn = await executeQuery(`
+      SELECT column_type
+      FROM information_schema.columns
+      WHERE table_schema = DATABASE() AND table_name = 'logs' AND column_name = 'action_type'
+    `);
+
+    if (!actionTypeColumn[0]) {
+      throw new Error('logs.action_type column not found');
+    }
+
+    const columnType = actionTypeColumn[0].column_type;
+    const missing = TWO_FACTOR_ACTION_TYPES.filter(type => !columnType.includes(`'${type}'`));
+
+    if (missing.length === 0) {
+      logger.info('Two-factor action types already exist, skipping');
+    } else {
+      const values = columnType.replace(/^enum\(|\)$/gi, '');
+      const added = missing.map(type => `'${type}'`).join(',');
+      await executeQuery(`ALTER TABLE logs MODIFY COLUMN action_type ENUM(${values},${added}) NOT NULL`);
+      logger.info(`Added action types to logs table: ${missing.join(', ')}`);
+    }
+
+    logger.info('Two-factor authentication migration completed successfully');
+
+  } catch (error) {
+    logger.error('Failed to add two-factor authentication:', error);
+    throw error;
+  }
+};
+
+// Run migration if called directly
+if (require.main === module) {
+  addTwoFactorAuth()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = addTwoFactorAuth;
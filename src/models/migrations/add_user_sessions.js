@@ -0,0 +1,60 @@
+const { connectDB, executeQuery } = require('../../config/db');
+const logger = require('../../utils/logger');
+
+/**
+ * Migration to add server-side login sessions
+ * 1. Create user_sessions table (one row per login; the refresh token rotates within it)
+ */
+const addUserSessions = async () => {
+  try {
+    // Initialize database connection
+    await connectDB();
+    logger.info('Adding user sessions...');
+
+    // Step 1: Create user_sessions table
+    logger.info('Creating user_sessions table...');
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id CHAR(36) PRIMARY KEY COMMENT 'Session ID (sid claim of its tokens)',
+        user_id BIGINT NOT NULL,
+        device_id BIGINT NULL COMMENT 'Enrolled device the session is bound to',
+        refresh_token_hash CHAR(64) NOT NULL COMMENT 'SHA-256 of the only refresh token still valid',
+        rotation_count INT NOT NULL DEFAULT 0,
+        ip_address VARCHAR(45) NULL,
+        user_agent VARCHAR(255) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME NULL,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME NULL,
+        revoked_by BIGINT NULL,
+        revoked_reason VARCHAR(50) NULL COMMENT 'logout, user_revoked, admin_revoked, user_blocked, refresh_token_reuse, ...',
+        INDEX idx_user_sessions_user (user_id, revoked_at, expires_at),
+        INDEX idx_user_sessions_device (device_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE SET NULL,
+        FOREIGN KEY (revoked_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    logger.info('User sessions migration completed successfully');
+
+  } catch (error) {
+    logger.error('Failed to add user sessions:', error);
+    throw error;
+  }
+};
+
+// Run migration if called directly
+if (require.main === module) {
+  addUserSessions()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = addUserSessions;
@@ -0,0 +1,74 @@
+const { connectDB, executeQuery } = require('../../config/db');
+const logger = require('../../utils/logger');
+
+/**
+ * Migration to add configurable verification policies
+ * 1. Create verification_policies table
+ * 2. Seed policies matching the previous hard-coded behaviour
+ *    (unlimited passes never consume uses, seasonal 15-minute multi-use prompt)
+ */
+const addVerificationPolicies = async () => {
+  try {
+    // Initialize database connection
+    await connectDB();
+    logger.info('Adding verification policies...');
+
+    // Step 1: Create table
+    logger.info('Creating verification_policies table...');
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS verification_policies (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        name VARCHAR(100) NOT NULL UNIQUE,
+        description TEXT NULL,
+        category VARCHAR(100) NULL COMMENT 'Category name, NULL for any category',
+        pass_type ENUM('daily','seasonal','session','unlimited') NULL COMMENT 'NULL for any pass type',
+        priority INT NOT NULL DEFAULT 0,
+        consume_uses TINYINT(1) NOT NULL DEFAULT 1 COMMENT 'Whether an entry consumes a use',
+        cooldown_seconds INT UNSIGNED NULL COMMENT 'Minimum time between entries',
+        reentry_allowed TINYINT(1) NOT NULL DEFAULT 1 COMMENT 'Whether the pass may enter more than once per day',
+        max_entries_per_day INT UNSIGNED NULL,
+        prompt_mode ENUM('never','within_cooldown','always') NOT NULL DEFAULT 'never' COMMENT 'When to show the multi-use prompt',
+        prompt_ttl_seconds INT UNSIGNED NOT NULL DEFAULT 300,
+        allowed_from TIME NULL,
+        allowed_to TIME NULL,
+        status ENUM('active','inactive') NOT NULL DEFAULT 'active',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_status (status),
+        INDEX idx_category_pass_type (category, pass_type)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Step 2: Seed default policies
+    logger.info('Inserting default verification policies...');
+    await executeQuery(`
+      INSERT IGNORE INTO verification_policies
+        (name, description, category, pass_type, consume_uses, cooldown_seconds, prompt_mode, prompt_ttl_seconds)
+      VALUES
+        ('Unlimited passes', 'Unlimited passes are verified without consuming uses', NULL, 'unlimited', 0, NULL, 'never', 300),
+        ('Seasonal multi-use', 'Offer the multi-use prompt when a seasonal pass is scanned again within 15 minutes', NULL, 'seasonal', 1, 900, 'within_cooldown', 300),
+        ('Default', 'Each entry consumes one use', NULL, NULL, 1, NULL, 'never', 300)
+    `);
+
+    logger.info('Verification policies migration completed successfully');
+
+  } catch (error) {
+    logger.error('Failed to add verification policies:', error);
+    throw error;
+  }
+};
+
+// Run migration if called directly
+if (require.main === module) {
+  addVerificationPolicies()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = addVerificationPolicies;
@@ -0,0 +1,51 @@
+const { connectDB, executeQuery } = require('../../config/db');
+const logger = require('../../utils/logger');
+
+/**
+ * Migration to add zone capacity limits for live occupancy
+ * 1. Add capacity column to zones table (NULL = unlimited)
+ */
+const addZoneCapacity = async () => {
+  try {
+    // Initialize database connection
+    await connectDB();
+    logger.info('Adding zone capacity...');
+
+    const columns = await executeQuery(`
+      SELECT COUNT(*) as count
+      FROM information_schema.columns
+      WHERE table_schema = DATABASE() AND table_name = 'zones' AND column_name = 'capacity'
+    `);
+
+    if (columns[0].count > 0) {
+      logger.info('zones.capacity already exists, skipping');
+      return;
+    }
+
+    await executeQuery(`
+      ALTER TABLE zones
+      ADD COLUMN capacity INT UNSIGNED NULL COMMENT 'Maximum people inside the zone (NULL for unlimited)' AFTER status
+    `);
+
+    logger.info('Zone capacity migration completed successfully');
+
+  } catch (error) {
+    logger.error('Failed to add zone capacity:', error);
+    throw error;
+  }
+};
+
+// Run migration if called directly
+if (require.main === module) {
+  addZoneCapacity()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = addZoneCapacity;
@@ -0,0 +1,118 @@
+const { connectDB, executeQuery } = require('../../config/db');
+const logger = require('../../utils/logger');
+
+/**
+ * Migration to add zones and checkpoints
+ * 1. Create zones, zone_categories and checkpoints tables
+ * 2. Add checkpoint_id column to users table (bouncer binding)
+ * 3. Add zone_id/checkpoint_id columns to existing daily log tables
+ */
+const addZonesAndCheckpoints = async () => {
+  try {
+    // Initialize database connection
+    await connectDB();
+    logger.info('Adding zones and checkpoints...');
+
+    // Step 1: Create tables
+    logger.info('Creating zones table...');
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS zones (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        name VARCHAR(100) NOT NULL UNIQUE,
+        description TEXT NULL,
+        status ENUM('active','inactive') NOT NULL DEFAULT 'active',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_status (status)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    logger.info('Creating zone_categories table...');
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS zone_categories (
+        zone_id INT NOT NULL,
+        category_id INT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (zone_id, category_id),
+        INDEX idx_category_id (category_id),
+        CONSTRAINT fk_zone_categories_zone FOREIGN KEY (zone_id) REFERENCES zones(id) ON DELETE CASCADE,
+        CONSTRAINT fk_zone_categories_category FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    logger.info('Creating checkpoints table...');
+    await executeQuery(`
+      CREATE TABLE IF NOT EXISTS checkpoints (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        zone_id INT NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        description TEXT NULL,
+        status ENUM('active','inactive') NOT NULL DEFAULT 'active',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_zone_checkpoint (zone_id, name),
+        INDEX idx_status (status),
+        CONSTRAINT fk_checkpoints_zone FOREIGN KEY (zone_id) REFERENCES zones(id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // Step 2: Bind bouncers to checkpoints
+    logger.info('Adding checkpoint_id column to users table...');
+    await executeQuery(`
+      ALTER TABLE users
+      ADD COLUMN checkpoint_id INT NULL COMMENT 'Checkpoint the bouncer scans at',
+      ADD INDEX idx_checkpoint_id (checkpoint_id),
+      ADD CONSTRAINT fk_users_checkpoint FOREIGN KEY (checkpoint_id) REFERENCES checkpoints(id) ON DELETE SET NULL
+    `);
+
+    // Step 3: Add zone columns to existing daily log tables
+    logger.info('Adding zone columns to existing daily log tables...');
+    const tables = await executeQuery(`
+      SELECT table_name AS table_name
+      FROM information_schema.tables
+      WHERE table_schema = DATABASE() AND table_name LIKE 'daily\\_logs\\_%'
+    `);
+
+    for (const { table_name: tableName } of tables) {
+      const columns = await executeQuery(`
+        SELECT COUNT(*) as count
+        FROM information_schema.columns
+        WHERE table_schema = DATABASE() AND table_name = ? AND column_name = 'zone_id'
+      `, [tableName]);
+
+      if (columns[0].count > 0) {
+        continue;
+      }
+
+      await executeQuery(`
+        ALTER TABLE \`${tableName}\`
+        ADD COLUMN zone_id INT NULL,
+        ADD COLUMN checkpoint_id INT NULL,
+        ADD INDEX idx_zone_id (zone_id),
+        ADD INDEX idx_checkpoint_id (checkpoint_id)
+      `);
+      logger.info(`Added zone columns to ${tableName}`);
+    }
+
+    logger.info('Zones and checkpoints migration completed successfully');
+
+  } catch (error) {
+    logger.error('Failed to add zones and checkpoints:', error);
+    throw error;
+  }
+};
+
+// Run migration if called directly
+if (require.main === module) {
+  addZonesAndCheckpoints()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = addZonesAndCheckpoints;
@@ -4,6 +4,8 @@ const logger = require('../../utils/logger');
 /**
  * Migration to remove valid_from and valid_to fields from passes table
  * Passes should no longer have validity date ranges
+ *
+ * Superseded: validity windows are enforced again, see restore_validity_fields.js
  */
 const removeValidityFields = async () => {
   try {
@@ -0,0 +1,79 @@
+const { connectDB, executeQuery } = require('../../config/db');
+const logger = require('../../utils/logger');
+
+/**
+ * Migration to restore pass validity windows (undoes remove_validity_fields.js)
+ * 1. Add valid_from and valid_to columns back to passes table
+ * 2. Add the index used by the expiry sweeper
+ * 3. Make sure 'expired' is a pass status
+ */
+const restoreValidityFields = async () => {
+  try {
+    // Initialize database connection
+    await connectDB();
+    logger.info('Restoring validity fields on passes table...');
+
+    const columnExists = async (column) => {
+      const rows = await executeQuery(`
+        SELECT COUNT(*) as count
+        FROM information_schema.columns
+        WHERE table_schema = DATABASE() AND table_name = 'passes' AND column_name = ?
+      `, [column]);
+      return rows[0].count > 0;
+    };
+
+    // Step 1: Add the columns that are missing
+    for (const column of ['valid_from', 'valid_to']) {
+      if (await columnExists(column)) {
+        logger.info(`Column ${column} already exists, skipping`);
+        continue;
+      }
+      await executeQuery(`ALTER TABLE passes ADD COLUMN ${column} DATETIME NULL`);
+      logger.info(`Added column ${column}`);
+    }
+
+    // Step 2: Index for "active passes whose valid_to has passed"
+    const indexes = await executeQuery(`
+      SELECT COUNT(*) as count
+      FROM information_schema.statistics
+      WHERE table_schema = DATABASE() AND table_name = 'passes' AND index_name = 'idx_status_valid_to'
+    `);
+    if (indexes[0].count === 0) {
+      await executeQuery('ALTER TABLE passes ADD INDEX idx_status_valid_to (status, valid_to)');
+      logger.info('Added index idx_status_valid_to');
+    }
+
+    // Step 3: The sweeper moves past-due passes to 'expired'
+    const statusColumn = await executeQuery(`
+      SELECT column_type
+      FROM information_schema.columns
+      WHERE table_schema = DATABASE() AND table_name = 'passes' AND column_name = 'status'
+    `);
+    if (statusColumn[0] && !statusColumn[0].column_type.includes("'expired'")) {
+      const values = statusColumn[0].column_type.replace(/^enum\(|\)$/gi, '');
+      await executeQuery(`ALTER TABLE passes MODIFY COLUMN status ENUM(${values},'expired') NOT NULL DEFAULT 'active'`);
+      logger.info("Added 'expired' to pass statuses");
+    }
+
+    logger.info('Successfully restored validity fields on passes table');
+
+  } catch (error) {
+    logger.error('Failed to restore validity fields:', error);
+    throw error;
+  }
+};
+
+// Run migration if called directly
+if (require.main === module) {
+  restoreValidityFields()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = restoreValidityFields;
@@ -0,0 +1,178 @@
+const { executeQuery } = require('../config/db');
+const logger = require('../utils/logger');
+
+const CONFLICT_TYPES = ['double_entry', 'entry_after_block', 'unknown_pass'];
+
+class OfflineSyncModel {
+  /**
+   * Claim an offline scan for processing. The (scanned_by, device_local_id) pair is
+   * unique, so a scan that was already synced (or is being synced) cannot claim again.
+   * @returns {Promise<number|null>} Claim ID, or null if the scan was already synced
+   */
+  static async claimScan(scan) {
+    const { scanned_by, device_local_id, uid, scanned_at } = scan;
+
+    try {
+      const result = await executeQuery(`
+        INSERT INTO offline_synced_scans (scanned_by, device_local_id, uid, scanned_at, outcome)
+        VALUES (?, ?, ?, ?, 'processing')
+      `, [scanned_by, device_local_id, uid, scanned_at]);
+      return result.insertId;
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return null;
+      }
+      logger.error('Error claiming offline scan:', error);
+      throw error;
+    }
+  }
+
+  static async findSyncedScan(scannedBy, deviceLocalId) {
+    try {
+      const rows = await executeQuery(`
+        SELECT * FROM offline_synced_scans WHERE scanned_by = ? AND device_local_id = ?
+      `, [scannedBy, deviceLocalId]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching synced offline scan:', error);
+      throw error;
+    }
+  }
+
+  static async completeScan(id, outcome, conflictId = null) {
+    try {
+      await executeQuery(`
+        UPDATE offline_synced_scans SET outcome = ?, conflict_id = ? WHERE id = ?
+      `, [outcome, conflictId, id]);
+    } catch (error) {
+      logger.error('Error completing synced offline scan:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Release a claim so the scan can be synced again (processing failed)
+   */
+  static async releaseScan(id) {
+    try {
+      await executeQuery('DELETE FROM offline_synced_scans WHERE id = ?', [id]);
+    } catch (error) {
+      logger.error('Error releasing synced offline scan:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a reconciliation conflict
+   * @param {Object} conflict - { conflict_type, uid, pass_id, scanned_by, device_local_id, scanned_at,
+   *                              consumed_count, applied_count, remaining_uses_before, details }
+   * @returns {Promise<number>} Conflict ID
+   */
+  static async createConflict(conflict) {
+    try {
+      const result = await executeQuery(`
+        INSERT INTO offline_sync_conflicts (
+          conflict_type, uid, pass_id, scanned_by, device_local_id, scanned_at,
+          consumed_count, applied_count, remaining_uses_before, details
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        conflict.conflict_type,
+        conflict.uid,
+        conflict.pass_id ?? null,
+        conflict.scanned_by ?? null,
+        conflict.device_local_id ?? null,
+        conflict.scanned_at,
+        conflict.consumed_count ?? 1,
+        conflict.applied_count ?? 0,
+        conflict.remaining_uses_before ?? null,
+        conflict.details ? JSON.stringify(conflict.details) : null
+      ]);
+
+      logger.warn(`Offline sync conflict recorded: ${conflict.conflict_type} for UID=${conflict.uid} (ID: ${result.insertId})`);
+      return result.insertId;
+    } catch (error) {
+      logger.error('Error creating offline sync conflict:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List conflicts with optional filters
+   * @param {Object} filters - { status, conflict_type, uid }
+   * @param {Object} pagination - { limit, offset }
+   * @returns {Promise<Object>} { conflicts, total }
+   */
+  static async findConflicts(filters = {}, pagination = { limit: 50, offset: 0 }) {
+    try {
+      let where = 'WHERE 1=1';
+      const params = [];
+
+      if (filters.status) {
+        where += ' AND c.status = ?';
+        params.push(filters.status);
+      }
+      if (filters.conflict_type) {
+        where += ' AND c.conflict_type = ?';
+        params.push(filters.conflict_type);
+      }
+      if (filters.uid) {
+        where += ' AND c.uid = ?';
+        params.push(filters.uid);
+      }
+
+      const conflicts = await executeQuery(`
+        SELECT c.*, u.username as scanned_by_username, r.username as resolved_by_username
+        FROM offline_sync_conflicts c
+        LEFT JOIN users u ON c.scanned_by = u.id
+        LEFT JOIN users r ON c.resolved_by = r.id
+        ${where}
+        ORDER BY c.created_at DESC, c.id DESC
+        LIMIT ${parseInt(pagination.limit)} OFFSET ${parseInt(pagination.offset)}
+      `, params);
+
+      const countResult = await executeQuery(`SELECT COUNT(*) as total FROM offline_sync_conflicts c ${where}`, params);
+
+      return {
+        conflicts,
+        total: countResult[0].total
+      };
+    } catch (error) {
+      logger.error('Error fetching offline sync conflicts:', error);
+      throw error;
+    }
+  }
+
+  static async findConflictById(id) {
+    try {
+      const rows = await executeQuery('SELECT * FROM offline_sync_conflicts WHERE id = ?', [id]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching offline sync conflict by ID:', error);
+      throw error;
+    }
+  }
+
+  static async resolveConflict(id, resolvedBy, note = null) {
+    try {
+      const result = await executeQuery(`
+        UPDATE offline_sync_conflicts
+        SET status = 'resolved', resolved_by = ?, resolved_at = CURRENT_TIMESTAMP, resolution_note = ?
+        WHERE id = ? AND status = 'open'
+      `, [resolvedBy, note, id]);
+
+      if (result.affectedRows === 0) {
+        return null;
+      }
+
+      logger.info(`Offline sync conflict resolved: ID ${id} by user ${resolvedBy}`);
+      return await this.findConflictById(id);
+    } catch (error) {
+      logger.error('Error resolving offline sync conflict:', error);
+      throw error;
+    }
+  }
+}
+
+OfflineSyncModel.CONFLICT_TYPES = CONFLICT_TYPES;
+
+module.exports = OfflineSyncModel;
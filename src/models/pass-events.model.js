@@ -0,0 +1,191 @@
+const { executeQuery } = require('../config/db');
+const logger = require('../utils/logger');
+
+const EVENT_TYPES = [
+  'created', 'verified', 'prompt_consumed', 'blocked', 'unblocked', 'reset',
+  'category_changed', 'uid_replaced', 'expired', 'deleted'
+];
+
+// Uses consumed by these events count towards used_count
+const USAGE_EVENT_TYPES = ['verified', 'prompt_consumed'];
+
+// Pass columns snapshotted into 'created' events
+const CREATED_SNAPSHOT = `
+  JSON_OBJECT(
+    'category', category, 'pass_type', pass_type, 'people_allowed', people_allowed,
+    'max_uses', max_uses, 'used_count', used_count, 'status', status,
+    'valid_from', valid_from, 'valid_to', valid_to, 'template_id', template_id
+  )
+`;
+
+/**
+ * Append-only history of pass lifecycle changes. There is deliberately no update
+ * or delete: corrections are recorded as new events.
+ */
+class PassEventsModel {
+  /**
+   * @param {Object} event - { pass_db_id, pass_id, uid, event_type, actor_id, actor_role, device_id, data, occurred_at }
+   * @returns {Promise<number>} Event ID
+   */
+  static async create(event) {
+    try {
+      const result = await executeQuery(`
+        INSERT INTO pass_events (
+          pass_db_id, pass_id, uid, event_type, actor_id, actor_role, device_id, data, occurred_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP(3)))
+      `, [
+        event.pass_db_id,
+        event.pass_id ?? null,
+        event.uid ?? null,
+        event.event_type,
+        event.actor_id ?? null,
+        event.actor_role ?? null,
+        event.device_id ?? null,
+        JSON.stringify(event.data || {}),
+        event.occurred_at ?? null
+      ]);
+      return result.insertId;
+    } catch (error) {
+      logger.error('Error recording pass event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record 'created' events from the rows just inserted into passes
+   * @param {string[]} passIds - Pass UUIDs (passes.pass_id)
+   * @param {Object} actor - { id, role }
+   * @returns {Promise<number>} Events recorded
+   */
+  static async createForNewPasses(passIds, actor = {}) {
+    try {
+      if (!passIds || passIds.length === 0) return 0;
+
+      const placeholders = passIds.map(() => '?').join(',');
+      const result = await executeQuery(`
+        INSERT INTO pass_events (pass_db_id, pass_id, uid, event_type, actor_id, actor_role, data)
+        SELECT id, pass_id, uid, 'created', ?, ?, ${CREATED_SNAPSHOT}
+        FROM passes
+        WHERE pass_id IN (${placeholders})
+        ORDER BY id
+      `, [actor.id ?? null, actor.role ?? null, ...passIds]);
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('Error recording pass created events:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Query recording a 'reset' event for every pass a bulk reset is about to change.
+   * Run it in the same transaction as the reset, before the UPDATE.
+   * @param {string} where - WHERE clause of the reset UPDATE
+   * @param {string} newStatus - SQL expression of the status the reset sets
+   * @param {Object} actor - { id, role }
+   * @param {string|null} reason - Why the passes were reset
+   * @returns {Object} { query, params } for executeTransaction
+   */
+  static resetEventsQuery(where, newStatus, actor = {}, reason = null) {
+    return {
+      query: `
+        INSERT INTO pass_events (pass_db_id, pass_id, uid, event_type, actor_id, actor_role, data)
+        SELECT id, pass_id, uid, 'reset', ?, ?,
+               JSON_OBJECT(
+                 'previous_status', status, 'previous_used_count', used_count,
+                 'status', ${newStatus}, 'used_count', 0, 'reason', ?, 'bulk', TRUE
+               )
+        FROM passes
+        WHERE ${where}
+      `,
+      params: [actor.id ?? null, actor.role ?? null, reason]
+    };
+  }
+
+  /**
+   * Events of a pass, newest first
+   * @param {number} passDbId - Pass database ID
+   * @param {Object} options - { types, limit, offset }
+   * @returns {Promise<Object>} { events, total }
+   */
+  static async findByPass(passDbId, { types = null, limit = 50, offset = 0 } = {}) {
+    try {
+      let where = 'WHERE e.pass_db_id = ?';
+      const params = [passDbId];
+
+      if (types && types.length > 0) {
+        where += ` AND e.event_type IN (${types.map(() => '?').join(',')})`;
+        params.push(...types);
+      }
+
+      const countRows = await executeQuery(`SELECT COUNT(*) as total FROM pass_events e ${where}`, params);
+
+      const events = await executeQuery(`
+        SELECT e.*, u.username as actor_username
+        FROM pass_events e
+        LEFT JOIN users u ON e.actor_id = u.id
+        ${where}
+        ORDER BY e.occurred_at DESC, e.id DESC
+        LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}
+      `, params);
+
+      return {
+        events: events.map(event => this.parseEvent(event)),
+        total: countRows[0].total
+      };
+    } catch (error) {
+      logger.error('Error fetching pass events:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Every event of a pass in the order it was recorded, for replay
+   */
+  static async findAllByPassForReplay(passDbId) {
+    try {
+      const events = await executeQuery(
+        'SELECT * FROM pass_events WHERE pass_db_id = ? ORDER BY id ASC',
+        [passDbId]
+      );
+      return events.map(event => this.parseEvent(event));
+    } catch (error) {
+      logger.error('Error fetching pass events for replay:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * When a UID last let someone in
+   * @returns {Promise<Date|null>} Time of the last admitting scan, or null if none was recorded
+   */
+  static async getLastUsedAt(uid) {
+    try {
+      const rows = await executeQuery(`
+        SELECT MAX(occurred_at) as last_used_at
+        FROM pass_events
+        WHERE uid = ? AND event_type IN (${USAGE_EVENT_TYPES.map(() => '?').join(',')})
+      `, [uid, ...USAGE_EVENT_TYPES]);
+      return rows[0]?.last_used_at || null;
+    } catch (error) {
+      logger.error('Error fetching last use of pass:', error);
+      throw error;
+    }
+  }
+
+  static parseEvent(event) {
+    if (typeof event.data === 'string') {
+      try {
+        event.data = JSON.parse(event.data);
+      } catch (error) {
+        event.data = {};
+      }
+    }
+    event.data = event.data || {};
+    return event;
+  }
+}
+
+PassEventsModel.EVENT_TYPES = EVENT_TYPES;
+PassEventsModel.USAGE_EVENT_TYPES = USAGE_EVENT_TYPES;
+
+module.exports = PassEventsModel;
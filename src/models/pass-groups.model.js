@@ -0,0 +1,310 @@
+const { executeQuery, executeTransaction } = require('../config/db');
+const logger = require('../utils/logger');
+
+const MEMBER_STATUSES = ['active', 'blocked'];
+
+class PassGroupsModel {
+  /**
+   * Create a group around a parent pass, mark the pass as its parent and link
+   * the initial member cards, all in one transaction
+   * @param {Object} groupData - { name, parent_pass_id, created_by }
+   * @param {Array} members - Initial cards [{ uid, label }]
+   * @returns {Promise<Object>} Created group
+   */
+  static async create(groupData, members = []) {
+    try {
+      const createdBy = groupData.created_by ?? null;
+      const results = await executeTransaction([
+        {
+          query: 'INSERT INTO pass_groups (name, parent_pass_id, created_by) VALUES (?, ?, ?)',
+          params: [groupData.name, groupData.parent_pass_id, createdBy]
+        },
+        {
+          query: 'UPDATE passes SET group_id = LAST_INSERT_ID(), updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          params: [groupData.parent_pass_id]
+        },
+        // LAST_INSERT_ID() moves on with each member row, so read the group id back from the parent
+        ...members.map(member => ({
+          query: `
+            INSERT INTO pass_group_members (group_id, uid, label, created_by)
+            SELECT group_id, ?, ?, ? FROM passes WHERE id = ?
+          `,
+          params: [member.uid, member.label ?? null, createdBy, groupData.parent_pass_id]
+        }))
+      ]);
+
+      const groupId = results[0].insertId;
+      logger.info(`Pass group created: ${groupData.name} (ID: ${groupId}, parent pass ${groupData.parent_pass_id})`);
+      return await this.findById(groupId);
+    } catch (error) {
+      // A concurrent request took the parent pass or one of the card UIDs; nothing was kept
+      if (error.code === 'ER_DUP_ENTRY') {
+        const duplicateError = new Error(error.message.includes('uk_parent_pass')
+          ? 'Pass is already the parent of a group'
+          : 'A card UID is already in use');
+        duplicateError.code = error.message.includes('uk_parent_pass') ? 'GROUP_EXISTS' : 'DUPLICATE_UID';
+        duplicateError.statusCode = 409;
+        throw duplicateError;
+      }
+      logger.error('Error creating pass group:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a group with its parent pass (the pooled allowance) and member cards
+   * @param {number} id - Group ID
+   * @returns {Promise<Object|null>} Group or null if not found
+   */
+  static async findById(id) {
+    try {
+      const rows = await executeQuery(`
+        SELECT g.*, u.username as created_by_username,
+               p.uid as parent_uid, p.pass_id as parent_pass_code, p.status as parent_status,
+               p.category, p.pass_type, p.max_uses, p.used_count,
+               (p.max_uses - p.used_count) as remaining_uses
+        FROM pass_groups g
+        JOIN passes p ON g.parent_pass_id = p.id
+        LEFT JOIN users u ON g.created_by = u.id
+        WHERE g.id = ? AND p.status != 'deleted'
+      `, [id]);
+
+      if (!rows[0]) {
+        return null;
+      }
+
+      return {
+        ...rows[0],
+        members: await this.getMembers(id)
+      };
+    } catch (error) {
+      logger.error('Error fetching pass group by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findSummaryById(id) {
+    try {
+      const rows = await executeQuery('SELECT id, name, parent_pass_id FROM pass_groups WHERE id = ?', [id]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching pass group summary:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List groups with their member counts
+   * @param {Object} pagination - { limit, offset }
+   * @returns {Promise<Object>} { groups, total }
+   */
+  static async findAll(pagination = { limit: 50, offset: 0 }) {
+    try {
+      const groups = await executeQuery(`
+        SELECT g.*, p.uid as parent_uid, p.pass_id as parent_pass_code, p.status as parent_status,
+               p.category, p.pass_type, p.max_uses, p.used_count,
+               (p.max_uses - p.used_count) as remaining_uses,
+               (SELECT COUNT(*) FROM pass_group_members m WHERE m.group_id = g.id) as member_count
+        FROM pass_groups g
+        JOIN passes p ON g.parent_pass_id = p.id
+        WHERE p.status != 'deleted'
+        ORDER BY g.created_at DESC, g.id DESC
+        LIMIT ${parseInt(pagination.limit)} OFFSET ${parseInt(pagination.offset)}
+      `);
+
+      const countResult = await executeQuery(`
+        SELECT COUNT(*) as total
+        FROM pass_groups g
+        JOIN passes p ON g.parent_pass_id = p.id
+        WHERE p.status != 'deleted'
+      `);
+
+      return {
+        groups,
+        total: countResult[0].total
+      };
+    } catch (error) {
+      logger.error('Error fetching pass groups:', error);
+      throw error;
+    }
+  }
+
+  static async getMembers(groupId) {
+    try {
+      return await executeQuery(`
+        SELECT id, group_id, uid, label, status, created_by, created_at, updated_at
+        FROM pass_group_members
+        WHERE group_id = ?
+        ORDER BY id ASC
+      `, [groupId]);
+    } catch (error) {
+      logger.error('Error fetching pass group members:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a companion card to its group and parent pass
+   * @param {string} uid - Card UID
+   * @returns {Promise<Object|null>} Member with group_name, parent_pass_id and parent_uid, or null
+   */
+  static async findMemberByUid(uid) {
+    try {
+      const rows = await executeQuery(`
+        SELECT m.*, g.name as group_name, g.parent_pass_id, p.uid as parent_uid
+        FROM pass_group_members m
+        JOIN pass_groups g ON m.group_id = g.id
+        JOIN passes p ON g.parent_pass_id = p.id
+        WHERE m.uid = ? AND p.status != 'deleted'
+      `, [uid]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching pass group member by UID:', error);
+      throw error;
+    }
+  }
+
+  static async isMemberUid(uid) {
+    try {
+      const rows = await executeQuery('SELECT id FROM pass_group_members WHERE uid = ?', [uid]);
+      return rows.length > 0;
+    } catch (error) {
+      logger.error('Error checking pass group member UID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Link a companion card to a group
+   * @param {number} groupId - Group ID
+   * @param {Object} memberData - { uid, label, created_by }
+   * @returns {Promise<Object>} Created member
+   */
+  static async addMember(groupId, memberData) {
+    try {
+      const result = await executeQuery(`
+        INSERT INTO pass_group_members (group_id, uid, label, created_by)
+        VALUES (?, ?, ?, ?)
+      `, [groupId, memberData.uid, memberData.label ?? null, memberData.created_by ?? null]);
+
+      logger.info(`Card ${memberData.uid} linked to pass group ${groupId}`);
+      const rows = await executeQuery('SELECT * FROM pass_group_members WHERE id = ?', [result.insertId]);
+      return rows[0];
+    } catch (error) {
+      logger.error('Error adding pass group member:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Unlink a companion card
+   * @returns {Promise<Object|null>} Removed member or null if not found
+   */
+  static async removeMember(groupId, memberId) {
+    try {
+      const rows = await executeQuery('SELECT * FROM pass_group_members WHERE id = ? AND group_id = ?', [memberId, groupId]);
+      if (!rows[0]) {
+        return null;
+      }
+
+      await executeQuery('DELETE FROM pass_group_members WHERE id = ?', [memberId]);
+      logger.info(`Card ${rows[0].uid} unlinked from pass group ${groupId}`);
+      return rows[0];
+    } catch (error) {
+      logger.error('Error removing pass group member:', error);
+      throw error;
+    }
+  }
+
+  static async setMemberStatus(groupId, memberId, status) {
+    try {
+      const result = await executeQuery(`
+        UPDATE pass_group_members SET status = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND group_id = ?
+      `, [status, memberId, groupId]);
+
+      if (result.affectedRows === 0) {
+        return null;
+      }
+
+      const rows = await executeQuery('SELECT * FROM pass_group_members WHERE id = ?', [memberId]);
+      return rows[0];
+    } catch (error) {
+      logger.error('Error updating pass group member status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Dissolve a group; the parent pass keeps its allowance and companion cards stop working
+   */
+  static async delete(groupId) {
+    try {
+      await executeTransaction([
+        { query: 'UPDATE passes SET group_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE group_id = ?', params: [groupId] },
+        { query: 'DELETE FROM pass_groups WHERE id = ?', params: [groupId] }
+      ]);
+      logger.info(`Pass group ${groupId} deleted`);
+    } catch (error) {
+      logger.error('Error deleting pass group:', error);
+      throw error;
+    }
+  }
+
+  static validateMemberData(memberData) {
+    const errors = [];
+    const { uid, label } = memberData || {};
+
+    if (!uid || typeof uid !== 'string' || !/^[a-zA-Z0-9]{4,128}$/.test(uid)) {
+      errors.push('UID is required and must be 4-128 alphanumeric characters');
+    }
+
+    if (label !== undefined && label !== null && (typeof label !== 'string' || label.length > 255)) {
+      errors.push('Label must be a string of at most 255 characters');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  static validateGroupData(groupData) {
+    const errors = [];
+    const { name, parent_pass_id, members } = groupData;
+
+    if (!name || typeof name !== 'string') {
+      errors.push('Name is required and must be a string');
+    } else if (name.length < 2 || name.length > 255) {
+      errors.push('Name must be between 2 and 255 characters');
+    }
+
+    if (!Number.isInteger(parent_pass_id) || parent_pass_id < 1) {
+      errors.push('parent_pass_id must be a pass ID');
+    }
+
+    if (members !== undefined) {
+      if (!Array.isArray(members) || members.length > 50) {
+        errors.push('Members must be an array of at most 50 cards');
+      } else {
+        members.forEach((member, index) => {
+          this.validateMemberData(member).errors.forEach(error => errors.push(`Member ${index}: ${error}`));
+        });
+
+        const uids = members.map(member => member && member.uid);
+        if (new Set(uids).size !== uids.length) {
+          errors.push('Member UIDs must be unique');
+        }
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+PassGroupsModel.MEMBER_STATUSES = MEMBER_STATUSES;
+
+module.exports = PassGroupsModel;
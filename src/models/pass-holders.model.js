@@ -0,0 +1,133 @@
+const { executeQuery } = require('../config/db');
+const logger = require('../utils/logger');
+
+const HOLDER_FIELDS = ['full_name', 'phone', 'email', 'photo_ref', 'id_last_digits', 'notes'];
+
+// Fields shown to users without the pass.holder_details permission
+const LIMITED_HOLDER_FIELDS = ['full_name', 'photo_ref'];
+
+class PassHoldersModel {
+  static async findByPassId(passId) {
+    try {
+      const rows = await executeQuery(`
+        SELECT h.*, cu.username as created_by_username, uu.username as updated_by_username
+        FROM pass_holders h
+        LEFT JOIN users cu ON h.created_by = cu.id
+        LEFT JOIN users uu ON h.updated_by = uu.id
+        WHERE h.pass_id = ?
+      `, [passId]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching pass holder:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or replace the holder profile of a pass
+   * @param {number} passId - Pass database ID
+   * @param {Object} holderData - Holder fields (missing optional fields are cleared)
+   * @param {number} userId - User making the change
+   * @returns {Promise<Object>} Saved holder
+   */
+  static async upsert(passId, holderData, userId) {
+    try {
+      const values = HOLDER_FIELDS.map(field => {
+        const value = holderData[field];
+        return typeof value === 'string' && value.trim() !== '' ? value.trim() : null;
+      });
+
+      await executeQuery(`
+        INSERT INTO pass_holders (pass_id, ${HOLDER_FIELDS.join(', ')}, created_by, updated_by)
+        VALUES (?, ${HOLDER_FIELDS.map(() => '?').join(', ')}, ?, ?)
+        ON DUPLICATE KEY UPDATE
+          ${HOLDER_FIELDS.map(field => `${field} = VALUES(${field})`).join(',\n          ')},
+          updated_by = VALUES(updated_by),
+          updated_at = CURRENT_TIMESTAMP
+      `, [passId, ...values, userId, userId]);
+
+      logger.info(`Holder profile saved for pass ${passId} by user ${userId}`);
+      return await this.findByPassId(passId);
+    } catch (error) {
+      logger.error('Error saving pass holder:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether a profile was removed
+   */
+  static async delete(passId) {
+    try {
+      const result = await executeQuery('DELETE FROM pass_holders WHERE pass_id = ?', [passId]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error deleting pass holder:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Keep only the holder fields the viewer may see
+   * @param {Object|null} holder - Holder profile
+   * @param {boolean} fullDetails - Viewer has the pass.holder_details permission
+   * @returns {Object|null} Filtered holder
+   */
+  static filterForAccess(holder, fullDetails) {
+    if (!holder) {
+      return null;
+    }
+
+    const fields = fullDetails ? HOLDER_FIELDS : LIMITED_HOLDER_FIELDS;
+    const filtered = { pass_id: holder.pass_id };
+    fields.forEach(field => {
+      filtered[field] = holder[field] ?? null;
+    });
+
+    if (fields === HOLDER_FIELDS) {
+      filtered.updated_at = holder.updated_at;
+    }
+
+    return filtered;
+  }
+
+  static validateHolderData(holderData) {
+    const errors = [];
+    const { full_name, phone, email, photo_ref, id_last_digits, notes } = holderData || {};
+    const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+    if (!full_name || typeof full_name !== 'string' || full_name.trim().length < 2 || full_name.length > 255) {
+      errors.push('Full name is required and must be between 2 and 255 characters');
+    }
+
+    if (isSet(phone) && (typeof phone !== 'string' || !/^\+?[0-9 ()-]{6,32}$/.test(phone))) {
+      errors.push('Phone must be 6-32 digits, spaces, dashes or parentheses, optionally starting with +');
+    }
+
+    if (isSet(email) && (typeof email !== 'string' || email.length > 255 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email))) {
+      errors.push('Email must be a valid email address');
+    }
+
+    if (isSet(photo_ref) && (typeof photo_ref !== 'string' || photo_ref.length > 512)) {
+      errors.push('Photo reference must be a string of at most 512 characters');
+    }
+
+    if (isSet(id_last_digits) && (typeof id_last_digits !== 'string' || !/^[a-zA-Z0-9]{2,8}$/.test(id_last_digits))) {
+      errors.push('ID document digits must be the last 2-8 alphanumeric characters, not the full number');
+    }
+
+    if (isSet(notes) && (typeof notes !== 'string' || notes.length > 2000)) {
+      errors.push('Notes must be a string of at most 2000 characters');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+PassHoldersModel.HOLDER_FIELDS = HOLDER_FIELDS;
+PassHoldersModel.LIMITED_HOLDER_FIELDS = LIMITED_HOLDER_FIELDS;
+
+module.exports = PassHoldersModel;
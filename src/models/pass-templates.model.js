@@ -0,0 +1,250 @@
+const { executeQuery } = require('../config/db');
+const logger = require('../utils/logger');
+
+const PASS_TYPES = ['daily', 'seasonal', 'unlimited'];
+
+const TEMPLATE_FIELDS = [
+  'name', 'description', 'pass_type', 'category', 'max_uses',
+  'people_allowed', 'validity_days', 'status'
+];
+
+class PassTemplatesModel {
+  /**
+   * Create a pass template
+   * @param {Object} templateData - Template data (see TEMPLATE_FIELDS)
+   * @param {number} createdBy - User ID
+   * @returns {Promise<Object>} Created template
+   */
+  static async create(templateData, createdBy) {
+    try {
+      const fields = TEMPLATE_FIELDS.filter(field => templateData[field] !== undefined);
+      const placeholders = fields.map(() => '?').join(', ');
+
+      const query = `
+        INSERT INTO pass_templates (${fields.join(', ')}, created_by)
+        VALUES (${placeholders}, ?)
+      `;
+
+      const result = await executeQuery(query, [
+        ...fields.map(field => (templateData[field] === '' ? null : templateData[field])),
+        createdBy ?? null
+      ]);
+
+      logger.info(`Pass template created: ${templateData.name} (ID: ${result.insertId})`);
+      return await this.findById(result.insertId);
+    } catch (error) {
+      logger.error('Error creating pass template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all templates, optionally filtered by status
+   * @param {string|null} status - active / inactive
+   * @returns {Promise<Array>} List of templates
+   */
+  static async findAll(status = null) {
+    try {
+      let query = `
+        SELECT t.*, u.username as created_by_username
+        FROM pass_templates t
+        LEFT JOIN users u ON t.created_by = u.id
+      `;
+      const params = [];
+
+      if (status) {
+        query += ' WHERE t.status = ?';
+        params.push(status);
+      }
+
+      query += ' ORDER BY t.name ASC';
+
+      return await executeQuery(query, params);
+    } catch (error) {
+      logger.error('Error fetching pass templates:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const rows = await executeQuery(`
+        SELECT t.*, u.username as created_by_username
+        FROM pass_templates t
+        LEFT JOIN users u ON t.created_by = u.id
+        WHERE t.id = ?
+      `, [id]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching pass template by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findByName(name) {
+    try {
+      const rows = await executeQuery('SELECT * FROM pass_templates WHERE name = ?', [name]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching pass template by name:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update template
+   * @param {number} id - Template ID
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<Object|null>} Updated template or null if not found
+   */
+  static async update(id, updateData) {
+    try {
+      const updates = [];
+      const values = [];
+
+      Object.keys(updateData).forEach(key => {
+        if (TEMPLATE_FIELDS.includes(key) && updateData[key] !== undefined) {
+          updates.push(`${key} = ?`);
+          values.push(updateData[key] === '' ? null : updateData[key]);
+        }
+      });
+
+      if (updates.length === 0) {
+        throw new Error('No valid fields to update');
+      }
+
+      values.push(id);
+
+      const result = await executeQuery(`
+        UPDATE pass_templates
+        SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, values);
+
+      if (result.affectedRows === 0) {
+        return null;
+      }
+
+      logger.info(`Pass template updated: ID ${id}`);
+      return await this.findById(id);
+    } catch (error) {
+      logger.error('Error updating pass template:', error);
+      throw error;
+    }
+  }
+
+  static async delete(id) {
+    try {
+      const result = await executeQuery('DELETE FROM pass_templates WHERE id = ?', [id]);
+      if (result.affectedRows > 0) {
+        logger.info(`Pass template deleted: ID ${id}`);
+      }
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error deleting pass template:', error);
+      throw error;
+    }
+  }
+
+  static async countPasses(id) {
+    try {
+      const rows = await executeQuery(
+        "SELECT COUNT(*) as count FROM passes WHERE template_id = ? AND status != 'deleted'",
+        [id]
+      );
+      return rows[0].count;
+    } catch (error) {
+      logger.error('Error counting passes of pass template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Passes created from each template and how much they have been used
+   * @returns {Promise<Array>} [{ template_id, name, status, passes_created, active_passes, total_uses, last_pass_created_at }]
+   */
+  static async getUsageStats() {
+    try {
+      return await executeQuery(`
+        SELECT t.id as template_id, t.name, t.status, t.pass_type, t.category,
+               COUNT(p.id) as passes_created,
+               COALESCE(SUM(p.status = 'active'), 0) as active_passes,
+               COALESCE(SUM(p.used_count), 0) as total_uses,
+               MAX(p.created_at) as last_pass_created_at
+        FROM pass_templates t
+        LEFT JOIN passes p ON p.template_id = t.id AND p.status != 'deleted'
+        GROUP BY t.id, t.name, t.status, t.pass_type, t.category
+        ORDER BY passes_created DESC, t.name ASC
+      `);
+    } catch (error) {
+      logger.error('Error getting pass template usage stats:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate template data
+   * @param {Object} templateData - Template data to validate
+   * @param {boolean} partial - Allow missing fields (for updates)
+   * @returns {Object} Validation result
+   */
+  static validateTemplateData(templateData, partial = false) {
+    const errors = [];
+    const {
+      name, description, pass_type, category, max_uses, people_allowed, validity_days, status
+    } = templateData;
+
+    if (!partial || name !== undefined) {
+      if (!name || typeof name !== 'string') {
+        errors.push('Name is required and must be a string');
+      } else if (name.length < 2 || name.length > 100) {
+        errors.push('Name must be between 2 and 100 characters');
+      }
+    }
+
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+      errors.push('Description must be a string');
+    }
+
+    if (!partial || pass_type !== undefined) {
+      if (!PASS_TYPES.includes(pass_type)) {
+        errors.push(`Pass type must be one of: ${PASS_TYPES.join(', ')}`);
+      }
+    }
+
+    if (!partial || category !== undefined) {
+      if (!category || typeof category !== 'string' || category.length > 100) {
+        errors.push('Category is required and must be at most 100 characters');
+      }
+    }
+
+    if (max_uses !== undefined && max_uses !== null) {
+      const limit = (pass_type || 'unlimited') === 'unlimited' ? 999999 : 100;
+      if (!Number.isInteger(max_uses) || max_uses < 1 || max_uses > limit) {
+        errors.push(`max_uses must be an integer between 1 and ${limit}, or null for the pass type default`);
+      }
+    }
+
+    if (people_allowed !== undefined && (!Number.isInteger(people_allowed) || people_allowed < 1 || people_allowed > 100)) {
+      errors.push('people_allowed must be an integer between 1 and 100');
+    }
+
+    if (validity_days !== undefined && validity_days !== null &&
+        (!Number.isInteger(validity_days) || validity_days < 1 || validity_days > 3650)) {
+      errors.push('validity_days must be an integer between 1 and 3650, or null for no expiry');
+    }
+
+    if (status !== undefined && !['active', 'inactive'].includes(status)) {
+      errors.push('Status must be active or inactive');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+PassTemplatesModel.PASS_TYPES = PASS_TYPES;
+
+module.exports = PassTemplatesModel;
@@ -1,6 +1,7 @@
-const { executeQuery, executeTransaction } = require('../config/db');
+const { executeQuery, executeTransaction, getDB } = require('../config/db');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
+const PassEventsModel = require('./pass-events.model');
 
 class PassModel {
   static async findById(id) {
@@ -71,6 +72,22 @@ class PassModel {
     }
   }
 
+  // Helper method to find pass by ID including deleted ones
+  static async findByIdIncludingDeleted(id) {
+    try {
+      const query = `
+        SELECT p.*, p.category as category_name
+        FROM passes p
+        WHERE p.id = ?
+      `;
+      const result = await executeQuery(query, [id]);
+      return result[0] || null;
+    } catch (error) {
+      logger.error('Error finding pass by ID (including deleted):', error);
+      throw error;
+    }
+  }
+
   // Helper method to hard delete a pass from database
   static async hardDelete(id) {
     try {
@@ -92,6 +109,7 @@ class PassModel {
         people_allowed = 1,
         valid_from = null,
         valid_to = null,
+        template_id = null,
         created_by
       } = passData;
       
@@ -135,13 +153,13 @@ class PassModel {
         INSERT INTO passes (
           uid, pass_id, pass_type, category, people_allowed, 
           created_by, status, max_uses, used_count,
-          created_at, updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?, 'active', ?, 0, NOW(), NOW())
+          valid_from, valid_to, template_id, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, 'active', ?, 0, ?, ?, ?, NOW(), NOW())
       `;
       
       const result = await executeQuery(query, [
         uid, pass_id, finalPassType, category, people_allowed,
-        created_by, maxUses
+        created_by, maxUses, valid_from, valid_to, template_id
       ]);
       
       // Return the created pass with remaining_uses calculated
@@ -216,6 +234,7 @@ class PassModel {
           people_allowed = 1,
           valid_from = null,
           valid_to = null,
+          template_id = null,
           created_by,
           max_uses = null
         } = passData;
@@ -246,12 +265,12 @@ class PassModel {
             INSERT INTO passes (
               uid, pass_id, pass_type, category, people_allowed, 
               created_by, status, max_uses, used_count,
-              created_at, updated_at
-            ) VALUES (?, ?, ?, ?, ?, ?, 'active', ?, 0, NOW(), NOW())
+              valid_from, valid_to, template_id, created_at, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, 'active', ?, 0, ?, ?, ?, NOW(), NOW())
           `,
           params: [
             uid, pass_id, finalPassType, category, people_allowed,
-            created_by, finalMaxUses
+            created_by, finalMaxUses, valid_from, valid_to, template_id
           ]
         });
         
@@ -268,8 +287,15 @@ class PassModel {
 
   static async updateStatus(id, status) {
     try {
-      const query = 'UPDATE passes SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
-      await executeQuery(query, [status, id]);
+      // blocked_at lets offline sync tell entries made before a block from entries after it
+      const query = `
+        UPDATE passes 
+        SET status = ?,
+            blocked_at = CASE WHEN ? = 'blocked' THEN CURRENT_TIMESTAMP WHEN ? = 'active' THEN NULL ELSE blocked_at END,
+            updated_at = CURRENT_TIMESTAMP 
+        WHERE id = ?
+      `;
+      await executeQuery(query, [status, status, status, id]);
       
       // For deleted status, we need to fetch the pass including deleted ones
       if (status === 'deleted') {
@@ -300,21 +326,32 @@ class PassModel {
     }
   }
 
-  static async resetDailyPasses() {
+  /**
+   * Reset used-up daily passes and clear today's successful scans
+   * @returns {Promise<Object>} { reset_count, uids } of the passes that were reset
+   */
+  static async resetDailyPasses(resetBy = null) {
     try {
       // Get current date for daily log table
       const currentDate = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
       const dailyLogTable = `daily_logs_${currentDate.replace(/-/g, '_')}`;
+      const resetWhere = "(status = 'used' OR used_count >= COALESCE(max_uses, 1)) AND pass_type = 'daily' AND status != 'deleted'";
       
-      // Start transaction to reset both passes and clear daily logs
+      // Start transaction to lock the passes being reset, record the reset in each pass history, reset passes and clear daily logs
       const queries = [
+        {
+          query: `SELECT uid FROM passes WHERE ${resetWhere} FOR UPDATE`,
+          params: []
+        },
+        PassEventsModel.resetEventsQuery(resetWhere, "'active'", {
+          id: resetBy?.id ?? null,
+          role: resetBy?.role ?? null
+        }, 'daily_reset'),
         {
           query: `
             UPDATE passes 
             SET status = 'active', used_count = 0, updated_at = CURRENT_TIMESTAMP 
-            WHERE (status = 'used' OR used_count >= COALESCE(max_uses, 1)) 
-            AND pass_type = 'daily' 
-            AND status != 'deleted'
+            WHERE ${resetWhere}
           `,
           params: []
         }
@@ -330,21 +367,11 @@ class PassModel {
         });
       }
       
-      // Get count of passes that will be reset before executing transaction
-      const countQuery = `
-        SELECT COUNT(*) as count 
-        FROM passes 
-        WHERE (status = 'used' OR used_count >= COALESCE(max_uses, 1)) 
-        AND pass_type = 'daily' 
-        AND status != 'deleted'
-      `;
-      const countResult = await executeQuery(countQuery);
-      const resetCount = countResult[0].count;
-      
       // Execute all queries in transaction
-      await executeTransaction(queries);
+      const results = await executeTransaction(queries);
+      const uids = results[0].map(row => row.uid);
       
-      return resetCount;
+      return { reset_count: uids.length, uids };
     } catch (error) {
       logger.error('Error resetting daily passes:', error);
       throw error;
@@ -354,7 +381,8 @@ class PassModel {
   static async getActivePasses() {
     try {
       const query = `
-        SELECT uid, pass_id, id as pass_db_id, status, people_allowed, pass_type, category
+        SELECT uid, pass_id, id as pass_db_id, status, people_allowed, pass_type, category, max_uses,
+               group_id, valid_from, valid_to
         FROM passes 
         WHERE status = 'active'
       `;
@@ -369,7 +397,19 @@ class PassModel {
 
   static async getBlockedPasses() {
     try {
-      const query = 'SELECT uid FROM passes WHERE status = "blocked"';
+      // Replaced cards stay blocked for good; companion cards of a pass group are
+      // blocked with their parent or on their own
+      const query = `
+        SELECT uid FROM passes WHERE status = 'blocked'
+        UNION
+        SELECT old_uid FROM pass_uid_history
+        UNION
+        SELECT m.uid
+        FROM pass_group_members m
+        JOIN pass_groups g ON m.group_id = g.id
+        JOIN passes p ON g.parent_pass_id = p.id
+        WHERE m.status = 'blocked' OR p.status = 'blocked'
+      `;
       const result = await executeQuery(query);
       return result.map(row => row.uid);
     } catch (error) {
@@ -378,6 +418,93 @@ class PassModel {
     }
   }
 
+  static async getCategoriesByUids(uids) {
+    try {
+      if (!uids || uids.length === 0) return {};
+      
+      const placeholders = uids.map(() => '?').join(',');
+      const query = `SELECT uid, category FROM passes WHERE uid IN (${placeholders}) AND status != 'deleted'`;
+      const result = await executeQuery(query, uids);
+      
+      const categories = {};
+      result.forEach(row => {
+        categories[row.uid] = row.category;
+      });
+      return categories;
+    } catch (error) {
+      logger.error('Error getting pass categories by UIDs:', error);
+      throw error;
+    }
+  }
+
+  static async getUsedCountsByUids(uids) {
+    try {
+      if (!uids || uids.length === 0) return {};
+      
+      const placeholders = uids.map(() => '?').join(',');
+      const query = `SELECT uid, used_count FROM passes WHERE uid IN (${placeholders}) AND status != 'deleted'`;
+      const result = await executeQuery(query, uids);
+      
+      const usedCounts = {};
+      result.forEach(row => {
+        usedCounts[row.uid] = row.used_count;
+      });
+      return usedCounts;
+    } catch (error) {
+      logger.error('Error getting pass used counts by UIDs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Active passes whose valid_to has passed
+   * @param {number} limit - Maximum passes to return
+   * @returns {Promise<Array>} [{ id, uid, pass_id, category, valid_to }]
+   */
+  static async getPastDuePasses(limit = 500) {
+    try {
+      const query = `
+        SELECT id, uid, pass_id, category, valid_to
+        FROM passes
+        WHERE status = 'active' AND valid_to IS NOT NULL AND valid_to < NOW()
+        ORDER BY valid_to ASC
+        LIMIT ${parseInt(limit)}
+      `;
+      return await executeQuery(query);
+    } catch (error) {
+      logger.error('Error getting past-due passes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move past-due passes to expired. Passes that were blocked, changed or
+   * extended since they were read are left alone.
+   * @param {number[]} ids - Pass IDs
+   * @returns {Promise<Array>} Passes now expired [{ id, uid, pass_id, category }]
+   */
+  static async markExpired(ids) {
+    try {
+      if (!ids || ids.length === 0) return [];
+      
+      const placeholders = ids.map(() => '?').join(',');
+      await executeQuery(`
+        UPDATE passes
+        SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+        WHERE id IN (${placeholders}) AND status = 'active' AND valid_to IS NOT NULL AND valid_to < NOW()
+      `, ids);
+      
+      return await executeQuery(`
+        SELECT id, uid, pass_id, category
+        FROM passes
+        WHERE id IN (${placeholders}) AND status = 'expired'
+      `, ids);
+    } catch (error) {
+      logger.error('Error marking passes as expired:', error);
+      throw error;
+    }
+  }
+
   static async getAllPasses(filters = {}) {
     try {
       let query = `
@@ -459,6 +586,120 @@ class PassModel {
     }
   }
 
+  /**
+   * Move a pass to a new card UID and record the old one in the UID history
+   * @param {number} id - Pass database ID
+   * @param {string} oldUid - Current UID (the move fails if the pass no longer has it)
+   * @param {string} newUid - New card UID
+   * @param {number|null} replacedBy - User ID
+   * @param {string|null} reason - Why the card was replaced
+   * @returns {Promise<Object|null>} Updated pass, or null if the pass no longer has oldUid
+   */
+  static async replaceUid(id, oldUid, newUid, replacedBy = null, reason = null) {
+    const connection = await getDB().getConnection();
+    try {
+      await connection.beginTransaction();
+
+      // A deleted pass may still hold the new UID; free it like create() does
+      await connection.execute("DELETE FROM passes WHERE uid = ? AND status = 'deleted'", [newUid]);
+
+      const [updateResult] = await connection.execute(`
+        UPDATE passes
+        SET uid = ?, signed_payload = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND uid = ? AND status != 'deleted'
+      `, [newUid, id, oldUid]);
+
+      if (updateResult.affectedRows === 0) {
+        await connection.rollback();
+        return null;
+      }
+
+      await connection.execute(`
+        INSERT INTO pass_uid_history (pass_id, old_uid, new_uid, reason, replaced_by)
+        VALUES (?, ?, ?, ?, ?)
+      `, [id, oldUid, newUid, reason, replacedBy]);
+
+      await connection.commit();
+      logger.info(`Pass UID replaced: ID=${id}, ${oldUid} -> ${newUid}`);
+      return await this.findById(id);
+    } catch (error) {
+      await connection.rollback();
+      logger.error('Error replacing pass UID:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Move a pass to another category. The update only applies while the pass still
+   * has the category and used_count the change was computed from.
+   * @param {number} id - Pass database ID
+   * @param {Object} expected - { category, used_count } as read before the change
+   * @param {Object} changes - { category, category_id, max_uses, used_count }
+   * @returns {Promise<Object|null>} Updated pass, or null if the pass changed meanwhile
+   */
+  static async changeCategory(id, expected, changes) {
+    try {
+      const query = `
+        UPDATE passes
+        SET category = ?, category_id = ?, max_uses = ?, used_count = ?,
+            signed_payload = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND category = ? AND used_count = ? AND status != 'deleted'
+      `;
+      const result = await executeQuery(query, [
+        changes.category, changes.category_id, changes.max_uses, changes.used_count,
+        id, expected.category, expected.used_count
+      ]);
+
+      if (result.affectedRows === 0) {
+        return null;
+      }
+
+      return await this.findById(id);
+    } catch (error) {
+      logger.error('Error changing pass category:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * UIDs a pass has been moved away from, oldest first
+   */
+  static async getUidHistory(id) {
+    try {
+      return await executeQuery(`
+        SELECT h.id, h.old_uid, h.new_uid, h.reason, h.replaced_by, u.username as replaced_by_username, h.replaced_at
+        FROM pass_uid_history h
+        LEFT JOIN users u ON h.replaced_by = u.id
+        WHERE h.pass_id = ?
+        ORDER BY h.replaced_at ASC, h.id ASC
+      `, [id]);
+    } catch (error) {
+      logger.error('Error getting pass UID history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replacement record for a retired card UID
+   * @returns {Promise<Object|null>} History row with the pass's current uid and pass_id, or null
+   */
+  static async findUidReplacement(uid) {
+    try {
+      const result = await executeQuery(`
+        SELECT h.*, p.uid as current_uid, p.pass_id as pass_code
+        FROM pass_uid_history h
+        JOIN passes p ON h.pass_id = p.id
+        WHERE h.old_uid = ?
+      `, [uid]);
+      return result[0] || null;
+    } catch (error) {
+      logger.error('Error finding pass UID replacement:', error);
+      throw error;
+    }
+  }
+
   static async updateScanInfo(id, scannedBy) {
     try {
       const query = `
@@ -504,6 +745,39 @@ class PassModel {
     }
   }
 
+  static async updatePresence(id, state, scannedBy = null) {
+    try {
+      const query = `
+        UPDATE passes 
+        SET presence_state = ?,
+            last_entry_at = IF(? = 'inside', CURRENT_TIMESTAMP, last_entry_at),
+            last_exit_at = IF(? = 'outside', CURRENT_TIMESTAMP, last_exit_at),
+            last_presence_by = ?,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `;
+      await executeQuery(query, [state, state, state, scannedBy, id]);
+      return await this.findById(id);
+    } catch (error) {
+      logger.error('Error updating pass presence:', error);
+      throw error;
+    }
+  }
+
+  static async updateSignedPayload(id, signedPayload) {
+    try {
+      const query = `
+        UPDATE passes 
+        SET signed_payload = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `;
+      await executeQuery(query, [signedPayload, id]);
+    } catch (error) {
+      logger.error('Error updating pass signed payload:', error);
+      throw error;
+    }
+  }
+
   static async findByUidWithUsage(uid) {
     try {
       const query = `
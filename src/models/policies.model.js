@@ -0,0 +1,252 @@
+const { executeQuery } = require('../config/db');
+const logger = require('../utils/logger');
+
+const PASS_TYPES = ['daily', 'seasonal', 'session', 'unlimited'];
+const PROMPT_MODES = ['never', 'within_cooldown', 'always'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const POLICY_FIELDS = [
+  'name', 'description', 'category', 'pass_type', 'priority', 'consume_uses',
+  'cooldown_seconds', 'reentry_allowed', 'max_entries_per_day', 'prompt_mode',
+  'prompt_ttl_seconds', 'allowed_from', 'allowed_to', 'status'
+];
+
+class PoliciesModel {
+  /**
+   * Create a verification policy
+   * @param {Object} policyData - Policy data (see POLICY_FIELDS)
+   * @returns {Promise<Object>} Created policy
+   */
+  static async create(policyData) {
+    try {
+      const fields = POLICY_FIELDS.filter(field => policyData[field] !== undefined);
+      const placeholders = fields.map(() => '?').join(', ');
+
+      const query = `
+        INSERT INTO verification_policies (${fields.join(', ')})
+        VALUES (${placeholders})
+      `;
+
+      const result = await executeQuery(query, fields.map(field => this.toColumnValue(field, policyData[field])));
+
+      logger.info(`Verification policy created: ${policyData.name} (ID: ${result.insertId})`);
+      return await this.findById(result.insertId);
+    } catch (error) {
+      logger.error('Error creating verification policy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all policies, optionally filtered by status
+   * @param {string|null} status - active / inactive
+   * @returns {Promise<Array>} List of policies
+   */
+  static async findAll(status = null) {
+    try {
+      let query = 'SELECT * FROM verification_policies';
+      const params = [];
+
+      if (status) {
+        query += ' WHERE status = ?';
+        params.push(status);
+      }
+
+      query += ' ORDER BY priority DESC, name ASC';
+
+      const rows = await executeQuery(query, params);
+      return rows.map(row => this.fromRow(row));
+    } catch (error) {
+      logger.error('Error fetching verification policies:', error);
+      throw error;
+    }
+  }
+
+  static async findActive() {
+    return this.findAll('active');
+  }
+
+  static async findById(id) {
+    try {
+      const rows = await executeQuery('SELECT * FROM verification_policies WHERE id = ?', [id]);
+      return rows[0] ? this.fromRow(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error fetching verification policy by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findByName(name) {
+    try {
+      const rows = await executeQuery('SELECT * FROM verification_policies WHERE name = ?', [name]);
+      return rows[0] ? this.fromRow(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error fetching verification policy by name:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update policy
+   * @param {number} id - Policy ID
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<Object|null>} Updated policy or null if not found
+   */
+  static async update(id, updateData) {
+    try {
+      const updates = [];
+      const values = [];
+
+      Object.keys(updateData).forEach(key => {
+        if (POLICY_FIELDS.includes(key) && updateData[key] !== undefined) {
+          updates.push(`${key} = ?`);
+          values.push(this.toColumnValue(key, updateData[key]));
+        }
+      });
+
+      if (updates.length === 0) {
+        throw new Error('No valid fields to update');
+      }
+
+      values.push(id);
+
+      const query = `
+        UPDATE verification_policies
+        SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `;
+
+      const result = await executeQuery(query, values);
+      if (result.affectedRows === 0) {
+        return null;
+      }
+
+      logger.info(`Verification policy updated: ID ${id}`);
+      return await this.findById(id);
+    } catch (error) {
+      logger.error('Error updating verification policy:', error);
+      throw error;
+    }
+  }
+
+  static async delete(id) {
+    try {
+      const result = await executeQuery('DELETE FROM verification_policies WHERE id = ?', [id]);
+      if (result.affectedRows > 0) {
+        logger.info(`Verification policy deleted: ID ${id}`);
+      }
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error deleting verification policy:', error);
+      throw error;
+    }
+  }
+
+  static toColumnValue(field, value) {
+    if (field === 'consume_uses' || field === 'reentry_allowed') {
+      return value ? 1 : 0;
+    }
+    if (value === '') {
+      return null;
+    }
+    return value;
+  }
+
+  static fromRow(row) {
+    return {
+      ...row,
+      consume_uses: !!row.consume_uses,
+      reentry_allowed: !!row.reentry_allowed
+    };
+  }
+
+  /**
+   * Validate policy data
+   * @param {Object} policyData - Policy data to validate
+   * @param {boolean} partial - Allow missing fields (for updates)
+   * @returns {Object} Validation result
+   */
+  static validatePolicyData(policyData, partial = false) {
+    const errors = [];
+    const {
+      name, description, category, pass_type, priority, consume_uses, cooldown_seconds,
+      reentry_allowed, max_entries_per_day, prompt_mode, prompt_ttl_seconds,
+      allowed_from, allowed_to, status
+    } = policyData;
+
+    const isNonNegativeInt = (value) => Number.isInteger(value) && value >= 0;
+
+    if (!partial || name !== undefined) {
+      if (!name || typeof name !== 'string') {
+        errors.push('Name is required and must be a string');
+      } else if (name.length < 2 || name.length > 100) {
+        errors.push('Name must be between 2 and 100 characters');
+      }
+    }
+
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+      errors.push('Description must be a string');
+    }
+
+    if (category !== undefined && category !== null && (typeof category !== 'string' || category.length > 100)) {
+      errors.push('Category must be a category name or null for any category');
+    }
+
+    if (pass_type !== undefined && pass_type !== null && !PASS_TYPES.includes(pass_type)) {
+      errors.push(`Pass type must be one of: ${PASS_TYPES.join(', ')} or null for any pass type`);
+    }
+
+    if (priority !== undefined && !Number.isInteger(priority)) {
+      errors.push('Priority must be an integer');
+    }
+
+    if (consume_uses !== undefined && typeof consume_uses !== 'boolean') {
+      errors.push('consume_uses must be a boolean');
+    }
+
+    if (reentry_allowed !== undefined && typeof reentry_allowed !== 'boolean') {
+      errors.push('reentry_allowed must be a boolean');
+    }
+
+    if (cooldown_seconds !== undefined && cooldown_seconds !== null && !isNonNegativeInt(cooldown_seconds)) {
+      errors.push('cooldown_seconds must be a non-negative integer or null');
+    }
+
+    if (max_entries_per_day !== undefined && max_entries_per_day !== null &&
+        (!Number.isInteger(max_entries_per_day) || max_entries_per_day < 1)) {
+      errors.push('max_entries_per_day must be a positive integer or null for no limit');
+    }
+
+    if (prompt_mode !== undefined && !PROMPT_MODES.includes(prompt_mode)) {
+      errors.push(`prompt_mode must be one of: ${PROMPT_MODES.join(', ')}`);
+    }
+
+    if (prompt_ttl_seconds !== undefined && (!Number.isInteger(prompt_ttl_seconds) || prompt_ttl_seconds < 10)) {
+      errors.push('prompt_ttl_seconds must be an integer of at least 10');
+    }
+
+    [['allowed_from', allowed_from], ['allowed_to', allowed_to]].forEach(([field, value]) => {
+      if (value !== undefined && value !== null && (typeof value !== 'string' || !TIME_PATTERN.test(value))) {
+        errors.push(`${field} must be a time in HH:MM or HH:MM:SS format, or null`);
+      }
+    });
+
+    if (!partial && !!allowed_from !== !!allowed_to) {
+      errors.push('allowed_from and allowed_to must be set together');
+    }
+
+    if (status !== undefined && !['active', 'inactive'].includes(status)) {
+      errors.push('Status must be active or inactive');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+PoliciesModel.PASS_TYPES = PASS_TYPES;
+PoliciesModel.PROMPT_MODES = PROMPT_MODES;
+
+module.exports = PoliciesModel;
@@ -0,0 +1,200 @@
+const { executeQuery, executeTransaction } = require('../config/db');
+const logger = require('../utils/logger');
+const { ALL_PERMISSIONS, isKnownPermission } = require('../config/permissions');
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{1,49}$/;
+
+class RolesModel {
+  /**
+   * Attach permissions and user counts to role rows
+   */
+  static async withDetails(roles) {
+    if (roles.length === 0) return roles;
+
+    const ids = roles.map(role => role.id);
+    const placeholders = ids.map(() => '?').join(',');
+    const [permissions, counts] = await Promise.all([
+      executeQuery(
+        `SELECT role_id, permission FROM role_permissions WHERE role_id IN (${placeholders}) ORDER BY permission`,
+        ids
+      ),
+      executeQuery(
+        `SELECT role, COUNT(*) as count FROM users WHERE status != 'deleted' AND role IN (${placeholders}) GROUP BY role`,
+        roles.map(role => role.name)
+      )
+    ]);
+
+    return roles.map(role => ({
+      ...role,
+      is_system: Boolean(role.is_system),
+      permissions: permissions.filter(row => row.role_id === role.id).map(row => row.permission),
+      user_count: (counts.find(row => row.role === role.name) || { count: 0 }).count
+    }));
+  }
+
+  static async findAll() {
+    try {
+      const roles = await executeQuery('SELECT * FROM roles ORDER BY is_system DESC, name ASC');
+      return await this.withDetails(roles);
+    } catch (error) {
+      logger.error('Error fetching roles:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const roles = await executeQuery('SELECT * FROM roles WHERE id = ?', [id]);
+      const [role] = await this.withDetails(roles);
+      return role || null;
+    } catch (error) {
+      logger.error('Error fetching role:', error);
+      throw error;
+    }
+  }
+
+  static async findByName(name) {
+    try {
+      const roles = await executeQuery('SELECT * FROM roles WHERE name = ?', [name]);
+      const [role] = await this.withDetails(roles);
+      return role || null;
+    } catch (error) {
+      logger.error('Error fetching role by name:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Permissions of every role, for the permission cache
+   * @returns {Promise<Object>} Role name -> permission names
+   */
+  static async getPermissionMap() {
+    try {
+      const rows = await executeQuery(`
+        SELECT r.name, rp.permission
+        FROM roles r
+        LEFT JOIN role_permissions rp ON rp.role_id = r.id
+      `);
+
+      return rows.reduce((map, row) => {
+        map[row.name] = map[row.name] || [];
+        if (row.permission) {
+          map[row.name].push(row.permission);
+        }
+        return map;
+      }, {});
+    } catch (error) {
+      logger.error('Error fetching role permissions:', error);
+      throw error;
+    }
+  }
+
+  static async create({ name, description = null, permissions = [] }) {
+    try {
+      const [result] = await executeTransaction([
+        {
+          query: 'INSERT INTO roles (name, description) VALUES (?, ?)',
+          params: [name, description]
+        },
+        ...permissions.map(permission => ({
+          query: 'INSERT INTO role_permissions (role_id, permission) SELECT id, ? FROM roles WHERE name = ?',
+          params: [permission, name]
+        }))
+      ]);
+
+      return await this.findById(result.insertId);
+    } catch (error) {
+      logger.error('Error creating role:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @param {number} id - Role ID
+   * @param {Object} updates - { name, description, permissions } (permissions replace the current set)
+   */
+  static async update(id, updates) {
+    try {
+      const fields = [];
+      const params = [];
+
+      if (updates.name !== undefined) {
+        fields.push('name = ?');
+        params.push(updates.name);
+      }
+
+      if (updates.description !== undefined) {
+        fields.push('description = ?');
+        params.push(updates.description);
+      }
+
+      const queries = [];
+      if (fields.length > 0) {
+        queries.push({ query: `UPDATE roles SET ${fields.join(', ')} WHERE id = ?`, params: [...params, id] });
+      }
+
+      if (updates.permissions !== undefined) {
+        queries.push(
+          { query: 'DELETE FROM role_permissions WHERE role_id = ?', params: [id] },
+          ...updates.permissions.map(permission => ({
+            query: 'INSERT INTO role_permissions (role_id, permission) VALUES (?, ?)',
+            params: [id, permission]
+          }))
+        );
+      }
+
+      if (queries.length > 0) {
+        await executeTransaction(queries);
+      }
+
+      return await this.findById(id);
+    } catch (error) {
+      logger.error('Error updating role:', error);
+      throw error;
+    }
+  }
+
+  static async delete(id) {
+    try {
+      const result = await executeQuery('DELETE FROM roles WHERE id = ? AND is_system = 0', [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error deleting role:', error);
+      throw error;
+    }
+  }
+
+  static validateRoleData(roleData, partial = false) {
+    const errors = [];
+    const { name, description, permissions } = roleData;
+
+    if (!partial || name !== undefined) {
+      if (typeof name !== 'string' || !ROLE_NAME_PATTERN.test(name)) {
+        errors.push('Name must be 2-50 lowercase letters, digits, hyphens or underscores, starting with a letter');
+      }
+    }
+
+    if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 255)) {
+      errors.push('Description must be a string of at most 255 characters');
+    }
+
+    if (!partial || permissions !== undefined) {
+      if (!Array.isArray(permissions)) {
+        errors.push('Permissions must be an array of permission names');
+      } else {
+        // The wildcard stays reserved for the built-in admin role
+        const unknown = permissions.filter(permission => permission === ALL_PERMISSIONS || !isKnownPermission(permission));
+        if (unknown.length > 0) {
+          errors.push(`Unknown permissions: ${unknown.join(', ')}`);
+        }
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+module.exports = RolesModel;
@@ -0,0 +1,151 @@
+const { executeQuery } = require('../config/db');
+const logger = require('../utils/logger');
+
+// Columns returned to clients (never the refresh token hash)
+const SESSION_COLUMNS = `
+  s.id, s.user_id, s.device_id, d.name as device_name, s.rotation_count, s.ip_address, s.user_agent,
+  s.created_at, s.last_used_at, s.expires_at, s.revoked_at, s.revoked_by, s.revoked_reason
+`;
+
+class SessionsModel {
+  /**
+   * Record a new login session
+   * @param {Object} sessionData - { id, user_id, device_id, refresh_token_hash, ip_address, user_agent, expires_at }
+   */
+  static async create(sessionData) {
+    try {
+      await executeQuery(`
+        INSERT INTO user_sessions (
+          id, user_id, device_id, refresh_token_hash, ip_address, user_agent, last_used_at, expires_at
+        ) VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, ?)
+      `, [
+        sessionData.id,
+        sessionData.user_id,
+        sessionData.device_id ?? null,
+        sessionData.refresh_token_hash,
+        sessionData.ip_address ?? null,
+        sessionData.user_agent ? String(sessionData.user_agent).substring(0, 255) : null,
+        sessionData.expires_at
+      ]);
+    } catch (error) {
+      logger.error('Error creating session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get session by ID, including its refresh token hash
+   */
+  static async findById(id) {
+    try {
+      const rows = await executeQuery('SELECT * FROM user_sessions WHERE id = ?', [id]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching session by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sessions of a user that are neither revoked nor expired, most recently used first
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} Sessions
+   */
+  static async findActiveByUser(userId) {
+    try {
+      return await executeQuery(`
+        SELECT ${SESSION_COLUMNS}
+        FROM user_sessions s
+        LEFT JOIN devices d ON s.device_id = d.id
+        WHERE s.user_id = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()
+        ORDER BY s.last_used_at DESC
+      `, [userId]);
+    } catch (error) {
+      logger.error('Error fetching user sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Swap the refresh token of a session. Conditional on the presented token still being
+   * the current one, so two refreshes racing with the same token cannot both succeed.
+   * @returns {Promise<boolean>} True if the session was rotated
+   */
+  static async rotate(id, presentedHash, newHash, { ip_address, expires_at }) {
+    try {
+      const result = await executeQuery(`
+        UPDATE user_sessions
+        SET refresh_token_hash = ?, rotation_count = rotation_count + 1,
+            ip_address = COALESCE(?, ip_address), last_used_at = CURRENT_TIMESTAMP, expires_at = ?
+        WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL
+      `, [newHash, ip_address ?? null, expires_at, id, presentedHash]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error rotating session refresh token:', error);
+      throw error;
+    }
+  }
+
+  static async touch(id, ipAddress = null) {
+    try {
+      await executeQuery(`
+        UPDATE user_sessions
+        SET last_used_at = CURRENT_TIMESTAMP, ip_address = COALESCE(?, ip_address)
+        WHERE id = ? AND revoked_at IS NULL
+      `, [ipAddress, id]);
+    } catch (error) {
+      logger.error('Error updating session last use:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke one session
+   * @returns {Promise<boolean>} True if the session was active
+   */
+  static async revoke(id, reason, revokedBy = null) {
+    try {
+      const result = await executeQuery(`
+        UPDATE user_sessions
+        SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?, revoked_by = ?
+        WHERE id = ? AND revoked_at IS NULL
+      `, [reason, revokedBy, id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error revoking session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every active session matching a column (user_id or device_id)
+   * @param {string|null} exceptId - Session to leave active (e.g. the one making the request)
+   * @returns {Promise<Array>} Sessions that were revoked ({ id, expires_at })
+   */
+  static async revokeAllBy(column, value, reason, revokedBy = null, exceptId = null) {
+    if (!['user_id', 'device_id'].includes(column)) {
+      throw new Error(`Cannot revoke sessions by ${column}`);
+    }
+
+    try {
+      const rows = await executeQuery(
+        `SELECT id, expires_at FROM user_sessions WHERE ${column} = ? AND revoked_at IS NULL AND expires_at > NOW() AND id != ?`,
+        [value, exceptId || '']
+      );
+      if (rows.length === 0) return [];
+
+      const ids = rows.map(row => row.id);
+      await executeQuery(`
+        UPDATE user_sessions
+        SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?, revoked_by = ?
+        WHERE id IN (${ids.map(() => '?').join(',')}) AND revoked_at IS NULL
+      `, [reason, revokedBy, ...ids]);
+      return rows;
+    } catch (error) {
+      logger.error(`Error revoking sessions by ${column}:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SessionsModel;
@@ -149,6 +149,43 @@ class SettingsModel {
     }
   }
 
+  static async getAntiPassbackSettings() {
+    try {
+      const values = await this.getMultiple(['anti_passback_enabled', 'anti_passback_window_minutes']);
+      return {
+        enabled: values.anti_passback_enabled === 'true',
+        window_minutes: parseInt(values.anti_passback_window_minutes) || 0
+      };
+    } catch (error) {
+      logger.error('Error getting anti-passback settings:', error);
+      throw error;
+    }
+  }
+
+  static async getFraudSettings() {
+    try {
+      const values = await this.getMultiple([
+        'fraud_detection_enabled',
+        'fraud_clone_window_seconds',
+        'fraud_invalid_scan_threshold',
+        'fraud_invalid_scan_window_seconds',
+        'fraud_auto_block_enabled',
+        'fraud_auto_block_alert_threshold'
+      ]);
+      return {
+        enabled: values.fraud_detection_enabled !== 'false',
+        clone_window_seconds: parseInt(values.fraud_clone_window_seconds) || 10,
+        invalid_scan_threshold: parseInt(values.fraud_invalid_scan_threshold) || 20,
+        invalid_scan_window_seconds: parseInt(values.fraud_invalid_scan_window_seconds) || 60,
+        auto_block_enabled: values.fraud_auto_block_enabled === 'true',
+        auto_block_alert_threshold: parseInt(values.fraud_auto_block_alert_threshold) || 1
+      };
+    } catch (error) {
+      logger.error('Error getting fraud detection settings:', error);
+      throw error;
+    }
+  }
+
   static async updateMultiple(settings) {
     try {
       const promises = Object.entries(settings).map(([key, value]) => 
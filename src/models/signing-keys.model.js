@@ -0,0 +1,171 @@
+const { executeQuery, executeTransaction } = require('../config/db');
+const logger = require('../utils/logger');
+
+const ALGORITHMS = ['hmac-sha256', 'ed25519'];
+
+// Columns that are safe to return from the API (never the secret)
+const PUBLIC_COLUMNS = 'id, kid, algorithm, public_key, status, created_by, created_at, retired_at, revoked_at';
+
+class SigningKeysModel {
+  /**
+   * Store a new signing key
+   * @param {Object} keyData - { kid, algorithm, secret, public_key, status, created_by }
+   * @returns {Promise<Object>} Created key (without secret)
+   */
+  static async create(keyData) {
+    const { kid, algorithm, secret, public_key = null, status = 'active', created_by = null } = keyData;
+
+    try {
+      const query = `
+        INSERT INTO pass_signing_keys (kid, algorithm, secret, public_key, status, created_by)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `;
+
+      const result = await executeQuery(query, [kid, algorithm, secret, public_key, status, created_by]);
+
+      logger.info(`Pass signing key created: ${kid} (${algorithm})`);
+      return await this.findById(result.insertId);
+    } catch (error) {
+      logger.error('Error creating pass signing key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List keys, newest first (without secrets)
+   * @returns {Promise<Array>} Keys
+   */
+  static async findAll() {
+    try {
+      return await executeQuery(`SELECT ${PUBLIC_COLUMNS} FROM pass_signing_keys ORDER BY created_at DESC, id DESC`);
+    } catch (error) {
+      logger.error('Error fetching pass signing keys:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const rows = await executeQuery(`SELECT ${PUBLIC_COLUMNS} FROM pass_signing_keys WHERE id = ?`, [id]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching pass signing key by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findByKid(kid) {
+    try {
+      const rows = await executeQuery(`SELECT ${PUBLIC_COLUMNS} FROM pass_signing_keys WHERE kid = ?`, [kid]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching pass signing key by kid:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Keys that can still verify payloads (active and retired), including secrets.
+   * Only the signing service should call this.
+   * @returns {Promise<Array>} Keys with secret material
+   */
+  static async findUsableWithSecrets() {
+    try {
+      return await executeQuery(`
+        SELECT id, kid, algorithm, secret, public_key, status, created_at
+        FROM pass_signing_keys
+        WHERE status IN ('active', 'retired')
+        ORDER BY created_at DESC, id DESC
+      `);
+    } catch (error) {
+      logger.error('Error fetching usable pass signing keys:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Retire the active key(s) and store a new active key in one transaction.
+   * Retired keys keep verifying existing payloads but no longer sign.
+   * @param {Object} keyData - { kid, algorithm, secret, public_key, created_by }
+   * @returns {Promise<Object>} New key (without secret)
+   */
+  static async rotate(keyData) {
+    const { kid, algorithm, secret, public_key = null, created_by = null } = keyData;
+
+    try {
+      await executeTransaction([
+        {
+          query: `UPDATE pass_signing_keys SET status = 'retired', retired_at = CURRENT_TIMESTAMP WHERE status = 'active'`
+        },
+        {
+          query: `
+            INSERT INTO pass_signing_keys (kid, algorithm, secret, public_key, status, created_by)
+            VALUES (?, ?, ?, ?, 'active', ?)
+          `,
+          params: [kid, algorithm, secret, public_key, created_by]
+        }
+      ]);
+
+      logger.info(`Pass signing key rotated, new active key: ${kid} (${algorithm})`);
+      return await this.findByKid(kid);
+    } catch (error) {
+      logger.error('Error rotating pass signing key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the first active key. The single active key constraint turns away a key
+   * created at the same time by another request or worker.
+   * @param {Object} keyData - { kid, algorithm, secret, public_key, created_by }
+   * @returns {Promise<Object|null>} Created key (without secret), or null if a key is already active
+   */
+  static async createActiveIfNone(keyData) {
+    const { kid, algorithm, secret, public_key = null, created_by = null } = keyData;
+
+    try {
+      const result = await executeQuery(`
+        INSERT INTO pass_signing_keys (kid, algorithm, secret, public_key, status, created_by)
+        VALUES (?, ?, ?, ?, 'active', ?)
+      `, [kid, algorithm, secret, public_key, created_by]);
+
+      logger.info(`Pass signing key created: ${kid} (${algorithm})`);
+      return await this.findById(result.insertId);
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return null;
+      }
+      logger.error('Error creating first pass signing key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a key; payloads signed with it stop verifying
+   * @param {string} kid - Key ID
+   * @returns {Promise<Object|null>} Updated key or null if not found
+   */
+  static async revoke(kid) {
+    try {
+      const result = await executeQuery(`
+        UPDATE pass_signing_keys
+        SET status = 'revoked', revoked_at = CURRENT_TIMESTAMP
+        WHERE kid = ?
+      `, [kid]);
+
+      if (result.affectedRows === 0) {
+        return null;
+      }
+
+      logger.info(`Pass signing key revoked: ${kid}`);
+      return await this.findByKid(kid);
+    } catch (error) {
+      logger.error('Error revoking pass signing key:', error);
+      throw error;
+    }
+  }
+}
+
+SigningKeysModel.ALGORITHMS = ALGORITHMS;
+
+module.exports = SigningKeysModel;
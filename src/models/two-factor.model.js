@@ -0,0 +1,151 @@
+const { executeQuery, executeTransaction } = require('../config/db');
+const logger = require('../utils/logger');
+
+class TwoFactorModel {
+  /**
+   * Two-factor record of a user (encrypted secrets included)
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} Record or null if the user never started setup
+   */
+  static async findByUserId(userId) {
+    try {
+      const rows = await executeQuery('SELECT * FROM user_two_factor WHERE user_id = ?', [userId]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching two-factor record:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a secret waiting to be confirmed with a first code
+   */
+  static async setPendingSecret(userId, encryptedSecret) {
+    try {
+      await executeQuery(`
+        INSERT INTO user_two_factor (user_id, pending_secret_encrypted, pending_created_at)
+        VALUES (?, ?, CURRENT_TIMESTAMP)
+        ON DUPLICATE KEY UPDATE
+          pending_secret_encrypted = VALUES(pending_secret_encrypted),
+          pending_created_at = CURRENT_TIMESTAMP
+      `, [userId, encryptedSecret]);
+    } catch (error) {
+      logger.error('Error storing pending two-factor secret:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Promote the pending secret and replace the recovery codes, in one transaction
+   * @param {number} userId - User ID
+   * @param {number} step - Time step of the confirming code
+   * @param {string[]} recoveryCodeHashes - SHA-256 hashes of the new recovery codes
+   * @returns {Promise<boolean>} True if a pending secret was promoted
+   */
+  static async enable(userId, step, recoveryCodeHashes) {
+    try {
+      const results = await executeTransaction([
+        {
+          query: `
+            UPDATE user_two_factor
+            SET secret_encrypted = pending_secret_encrypted, pending_secret_encrypted = NULL,
+                pending_created_at = NULL, enabled_at = CURRENT_TIMESTAMP, last_used_step = ?
+            WHERE user_id = ? AND pending_secret_encrypted IS NOT NULL
+          `,
+          params: [step, userId]
+        },
+        { query: 'DELETE FROM user_recovery_codes WHERE user_id = ?', params: [userId] },
+        ...recoveryCodeHashes.map(hash => ({
+          query: 'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+          params: [userId, hash]
+        }))
+      ]);
+      return results[0].affectedRows > 0;
+    } catch (error) {
+      logger.error('Error enabling two-factor authentication:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Accept a code only if it is newer than the last accepted one (no replays)
+   * @returns {Promise<boolean>} True if the step was recorded
+   */
+  static async claimStep(userId, step) {
+    try {
+      const result = await executeQuery(`
+        UPDATE user_two_factor
+        SET last_used_step = ?
+        WHERE user_id = ? AND enabled_at IS NOT NULL AND (last_used_step IS NULL OR last_used_step < ?)
+      `, [step, userId, step]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error recording two-factor code use:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a recovery code as used
+   * @returns {Promise<boolean>} True if the code existed and was unused
+   */
+  static async useRecoveryCode(userId, codeHash) {
+    try {
+      const result = await executeQuery(`
+        UPDATE user_recovery_codes
+        SET used_at = CURRENT_TIMESTAMP
+        WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+      `, [userId, codeHash]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error using recovery code:', error);
+      throw error;
+    }
+  }
+
+  static async replaceRecoveryCodes(userId, recoveryCodeHashes) {
+    try {
+      await executeTransaction([
+        { query: 'DELETE FROM user_recovery_codes WHERE user_id = ?', params: [userId] },
+        ...recoveryCodeHashes.map(hash => ({
+          query: 'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+          params: [userId, hash]
+        }))
+      ]);
+    } catch (error) {
+      logger.error('Error replacing recovery codes:', error);
+      throw error;
+    }
+  }
+
+  static async countUnusedRecoveryCodes(userId) {
+    try {
+      const rows = await executeQuery(
+        'SELECT COUNT(*) as count FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+        [userId]
+      );
+      return rows[0].count;
+    } catch (error) {
+      logger.error('Error counting recovery codes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Turn two-factor authentication off and drop the secret and recovery codes
+   */
+  static async disable(userId) {
+    try {
+      const results = await executeTransaction([
+        { query: 'DELETE FROM user_two_factor WHERE user_id = ?', params: [userId] },
+        { query: 'DELETE FROM user_recovery_codes WHERE user_id = ?', params: [userId] }
+      ]);
+      return results[0].affectedRows > 0;
+    } catch (error) {
+      logger.error('Error disabling two-factor authentication:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = TwoFactorModel;
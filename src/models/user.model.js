@@ -1,11 +1,12 @@
-const { executeQuery } = require('../config/db');
+const { executeQuery, executeTransaction } = require('../config/db');
 const bcrypt = require('bcryptjs');
 const logger = require('../utils/logger');
+const passwordPolicy = require('../services/password-policy.service');
 
 class UserModel {
   static async findById(id) {
     try {
-      const query = 'SELECT id, username, role, status, assigned_category, created_at, updated_at, blocked_at, blocked_by, block_reason FROM users WHERE id = ? AND status != "deleted"';
+      const query = 'SELECT id, username, role, status, assigned_category, checkpoint_id, must_change_password, password_changed_at, created_at, updated_at, blocked_at, blocked_by, block_reason FROM users WHERE id = ? AND status != "deleted"';
       const result = await executeQuery(query, [id]);
       return result[0] || null;
     } catch (error) {
@@ -25,20 +26,27 @@ class UserModel {
     }
   }
 
+  /**
+   * Create a user. The password must satisfy the password policy; users created by
+   * an admin (createdBy set) must change it at their first login.
+   * @throws {Error} PASSWORD_POLICY_VIOLATION (statusCode 400)
+   */
   static async create(userData) {
+    const { username, password, role = 'bouncer', status = 'active', assigned_category = null, createdBy = null } = userData;
+    await passwordPolicy.assertValid(password, { username });
+
     try {
-      const { username, password, role = 'bouncer', status = 'active', assigned_category = null } = userData;
-      
       // Hash password
       const saltRounds = 12;
       const password_hash = await bcrypt.hash(password, saltRounds);
+      const must_change_password = Boolean(createdBy) && passwordPolicy.FORCE_CHANGE_AFTER_ADMIN_SET;
       
       const query = `
-        INSERT INTO users (username, password_hash, role, status, assigned_category, created_at, updated_at) 
-        VALUES (?, ?, ?, ?, ?, NOW(), NOW())
+        INSERT INTO users (username, password_hash, role, status, assigned_category, must_change_password, password_changed_at, created_at, updated_at) 
+        VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW(), NOW())
       `;
       
-      const result = await executeQuery(query, [username, password_hash, role, status, assigned_category]);
+      const result = await executeQuery(query, [username, password_hash, role, status, assigned_category, must_change_password]);
       
       // Return the created user (without password)
       return await this.findById(result.insertId);
@@ -48,13 +56,55 @@ class UserModel {
     }
   }
 
-  static async updatePassword(id, newPassword) {
+  /**
+   * Set a new password. The password must satisfy the password policy and not match
+   * the current or a recent password; the replaced hash goes to password_history.
+   * @param {number} id - User ID
+   * @param {string} newPassword - New password
+   * @param {Object} options - { mustChange } true when an admin set it for the user
+   * @returns {Promise<boolean>} False if the user does not exist
+   * @throws {Error} PASSWORD_POLICY_VIOLATION (statusCode 400)
+   */
+  static async updatePassword(id, newPassword, { mustChange = false } = {}) {
+    const users = await executeQuery('SELECT id, username, password_hash FROM users WHERE id = ?', [id]);
+    const user = users[0];
+    if (!user) {
+      return false;
+    }
+
+    const history = await this.getPasswordHistory(id, passwordPolicy.HISTORY_SIZE);
+    await passwordPolicy.assertValid(newPassword, {
+      username: user.username,
+      previousHashes: [user.password_hash, ...history]
+    });
+
     try {
       const saltRounds = 10;
       const password_hash = await bcrypt.hash(newPassword, saltRounds);
-      
-      const query = 'UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
-      await executeQuery(query, [password_hash, id]);
+      const must_change_password = mustChange && passwordPolicy.FORCE_CHANGE_AFTER_ADMIN_SET;
+      
+      await executeTransaction([
+        {
+          query: 'INSERT INTO password_history (user_id, password_hash) VALUES (?, ?)',
+          params: [id, user.password_hash]
+        },
+        {
+          query: 'UPDATE users SET password_hash = ?, must_change_password = ?, password_changed_at = NOW(), updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          params: [password_hash, must_change_password, id]
+        },
+        {
+          // Keep only as much history as the reuse check looks at
+          query: `
+            DELETE FROM password_history
+            WHERE user_id = ? AND id NOT IN (
+              SELECT id FROM (
+                SELECT id FROM password_history WHERE user_id = ? ORDER BY id DESC LIMIT ?
+              ) AS recent
+            )
+          `,
+          params: [id, id, passwordPolicy.HISTORY_SIZE]
+        }
+      ]);
       
       return true;
     } catch (error) {
@@ -63,6 +113,26 @@ class UserModel {
     }
   }
 
+  /**
+   * Previous password hashes of a user, newest first
+   */
+  static async getPasswordHistory(id, limit) {
+    if (limit <= 0) {
+      return [];
+    }
+
+    try {
+      const rows = await executeQuery(
+        'SELECT password_hash FROM password_history WHERE user_id = ? ORDER BY id DESC LIMIT ?',
+        [id, limit]
+      );
+      return rows.map(row => row.password_hash);
+    } catch (error) {
+      logger.error('Error fetching password history:', error);
+      throw error;
+    }
+  }
+
   static async updateStatus(id, status) {
     try {
       const query = 'UPDATE users SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
@@ -127,6 +197,18 @@ class UserModel {
     }
   }
 
+  static async assignCheckpoint(id, checkpointId) {
+    try {
+      const query = 'UPDATE users SET checkpoint_id = ?, updated_at = NOW() WHERE id = ?';
+      await executeQuery(query, [checkpointId, id]);
+      
+      return await this.findById(id);
+    } catch (error) {
+      logger.error('Error assigning checkpoint to user:', error);
+      throw error;
+    }
+  }
+
   static async verifyPassword(plainPassword, hashedPassword) {
     try {
       return await bcrypt.compare(plainPassword, hashedPassword);
@@ -139,7 +221,7 @@ class UserModel {
   static async getAllUsers(filters = {}) {
     try {
       // Simple query with audit fields
-      const query = 'SELECT id, username, role, status, assigned_category, created_at, updated_at, blocked_at, blocked_by, block_reason FROM users ORDER BY created_at DESC';
+      const query = 'SELECT id, username, role, status, assigned_category, checkpoint_id, created_at, updated_at, blocked_at, blocked_by, block_reason FROM users ORDER BY created_at DESC';
       const result = await executeQuery(query, []);
       return result;
     } catch (error) {
@@ -198,7 +280,7 @@ class UserModel {
 
       // Get paginated results
       const dataQuery = `
-        SELECT id, username, role, status, assigned_category, created_at, updated_at, blocked_at, blocked_by, block_reason
+        SELECT id, username, role, status, assigned_category, checkpoint_id, created_at, updated_at, blocked_at, blocked_by, block_reason
         FROM users 
         ${whereClause} 
         ORDER BY ${safeSortBy} ${safeSortOrder} 
@@ -260,7 +342,7 @@ class UserModel {
     try {
       const { where = {}, limit, offset, orderBy = 'created_at', orderDirection = 'DESC' } = options;
       
-      let query = 'SELECT id, username, role, status, assigned_category, created_at, updated_at, blocked_at, blocked_by, block_reason FROM users';
+      let query = 'SELECT id, username, role, status, assigned_category, checkpoint_id, created_at, updated_at, blocked_at, blocked_by, block_reason FROM users';
       const params = [];
       const conditions = [];
       
@@ -429,7 +511,7 @@ class UserModel {
 
   static async findByIdIncludeInactive(id) {
     try {
-      const query = 'SELECT id, username, role, status, assigned_category, created_at, updated_at, blocked_at, blocked_by, block_reason FROM users WHERE id = ?';
+      const query = 'SELECT id, username, role, status, assigned_category, checkpoint_id, created_at, updated_at, blocked_at, blocked_by, block_reason FROM users WHERE id = ?';
       const result = await executeQuery(query, [id]);
       return result[0] || null;
     } catch (error) {
@@ -555,6 +637,12 @@ class UserModel {
         params.push(...whereConditions.role);
       }
       
+      if (whereConditions.excludeIds && whereConditions.excludeIds.length > 0) {
+        const placeholders = whereConditions.excludeIds.map(() => '?').join(', ');
+        whereConditionsList.push(`id NOT IN (${placeholders})`);
+        params.push(...whereConditions.excludeIds);
+      }
+      
       // Always exclude admin users from bulk delete
       whereConditionsList.push('role != ?');
       params.push('admin');
@@ -0,0 +1,329 @@
+const { executeQuery, executeTransaction } = require('../config/db');
+const logger = require('../utils/logger');
+
+class ZonesModel {
+  /**
+   * Create a new zone
+   * @param {Object} zoneData - Zone data
+   * @param {string} zoneData.name - Zone name
+   * @param {string} zoneData.description - Zone description
+   * @param {number|null} zoneData.capacity - Maximum people inside (null for unlimited)
+   * @param {Array<number>} zoneData.category_ids - Categories allowed to enter
+   * @returns {Promise<Object>} Created zone
+   */
+  static async create(zoneData) {
+    const { name, description, status, capacity, category_ids = [] } = zoneData;
+
+    try {
+      const query = `
+        INSERT INTO zones (name, description, status, capacity)
+        VALUES (?, ?, ?, ?)
+      `;
+
+      const result = await executeQuery(query, [
+        name,
+        description === undefined ? null : description,
+        status || 'active',
+        capacity || null
+      ]);
+
+      if (category_ids.length > 0) {
+        await this.setAllowedCategories(result.insertId, category_ids);
+      }
+
+      logger.info(`Zone created: ${name} (ID: ${result.insertId})`);
+      return await this.findById(result.insertId);
+    } catch (error) {
+      logger.error('Error creating zone:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all zones with their allowed categories and checkpoint count
+   * @returns {Promise<Array>} List of zones
+   */
+  static async findAll() {
+    try {
+      const query = `
+        SELECT z.id, z.name, z.description, z.status, z.capacity, z.created_at, z.updated_at,
+               (SELECT COUNT(*) FROM checkpoints c WHERE c.zone_id = z.id) as checkpoint_count
+        FROM zones z
+        ORDER BY z.name ASC
+      `;
+
+      const zones = await executeQuery(query);
+      const allowed = await this.getAllowedCategoriesForZones(zones.map(zone => zone.id));
+
+      return zones.map(zone => ({
+        ...zone,
+        allowed_categories: allowed[zone.id] || []
+      }));
+    } catch (error) {
+      logger.error('Error fetching zones:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get zone by ID
+   * @param {number} id - Zone ID
+   * @returns {Promise<Object|null>} Zone or null if not found
+   */
+  static async findById(id) {
+    try {
+      const query = `
+        SELECT id, name, description, status, capacity, created_at, updated_at
+        FROM zones
+        WHERE id = ?
+      `;
+
+      const rows = await executeQuery(query, [id]);
+      if (!rows[0]) {
+        return null;
+      }
+
+      const allowed = await this.getAllowedCategoriesForZones([id]);
+      return {
+        ...rows[0],
+        allowed_categories: allowed[id] || []
+      };
+    } catch (error) {
+      logger.error('Error fetching zone by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get zone by name
+   * @param {string} name - Zone name
+   * @returns {Promise<Object|null>} Zone or null if not found
+   */
+  static async findByName(name) {
+    try {
+      const query = `
+        SELECT id, name, description, status, capacity, created_at, updated_at
+        FROM zones
+        WHERE name = ?
+      `;
+
+      const rows = await executeQuery(query, [name]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('Error fetching zone by name:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update zone
+   * @param {number} id - Zone ID
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<Object|null>} Updated zone or null if not found
+   */
+  static async update(id, updateData) {
+    try {
+      const allowedFields = ['name', 'description', 'status', 'capacity'];
+      const updates = [];
+      const values = [];
+
+      Object.keys(updateData).forEach(key => {
+        if (allowedFields.includes(key) && updateData[key] !== undefined) {
+          updates.push(`${key} = ?`);
+          values.push(updateData[key]);
+        }
+      });
+
+      if (updates.length === 0 && !Array.isArray(updateData.category_ids)) {
+        throw new Error('No valid fields to update');
+      }
+
+      if (updates.length > 0) {
+        values.push(id);
+
+        const query = `
+          UPDATE zones
+          SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `;
+
+        const result = await executeQuery(query, values);
+        if (result.affectedRows === 0) {
+          return null;
+        }
+      }
+
+      if (Array.isArray(updateData.category_ids)) {
+        await this.setAllowedCategories(id, updateData.category_ids);
+      }
+
+      logger.info(`Zone updated: ID ${id}`);
+      return await this.findById(id);
+    } catch (error) {
+      logger.error('Error updating zone:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete zone
+   * @param {number} id - Zone ID
+   * @returns {Promise<boolean>} True if deleted, false if not found
+   */
+  static async delete(id) {
+    try {
+      const zone = await this.findById(id);
+      if (!zone) {
+        return false;
+      }
+
+      const checkpointCount = await executeQuery(
+        'SELECT COUNT(*) as count FROM checkpoints WHERE zone_id = ?',
+        [id]
+      );
+
+      if (checkpointCount[0].count > 0) {
+        throw new Error(`Cannot delete zone. It has ${checkpointCount[0].count} checkpoint(s)`);
+      }
+
+      const result = await executeQuery('DELETE FROM zones WHERE id = ?', [id]);
+
+      logger.info(`Zone deleted: ${zone.name} (ID: ${id})`);
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error deleting zone:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the list of categories allowed to enter a zone
+   * @param {number} zoneId - Zone ID
+   * @param {Array<number>} categoryIds - Category IDs
+   */
+  static async setAllowedCategories(zoneId, categoryIds) {
+    try {
+      const uniqueIds = [...new Set(categoryIds.map(id => parseInt(id)))];
+      const queries = [
+        { query: 'DELETE FROM zone_categories WHERE zone_id = ?', params: [zoneId] },
+        ...uniqueIds.map(categoryId => ({
+          query: 'INSERT INTO zone_categories (zone_id, category_id) VALUES (?, ?)',
+          params: [zoneId, categoryId]
+        }))
+      ];
+
+      await executeTransaction(queries);
+      logger.info(`Zone ${zoneId} allowed categories set: [${uniqueIds.join(', ')}]`);
+    } catch (error) {
+      logger.error('Error setting zone categories:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get allowed categories for a set of zones, keyed by zone ID
+   * @param {Array<number>} zoneIds - Zone IDs
+   * @returns {Promise<Object>} { [zoneId]: [{ id, name, color_code }] }
+   */
+  static async getAllowedCategoriesForZones(zoneIds) {
+    try {
+      if (!zoneIds || zoneIds.length === 0) return {};
+
+      const placeholders = zoneIds.map(() => '?').join(',');
+      const query = `
+        SELECT zc.zone_id, c.id, c.name, c.color_code
+        FROM zone_categories zc
+        INNER JOIN categories c ON zc.category_id = c.id
+        WHERE zc.zone_id IN (${placeholders})
+        ORDER BY c.name ASC
+      `;
+
+      const rows = await executeQuery(query, zoneIds);
+      const allowed = {};
+      rows.forEach(row => {
+        if (!allowed[row.zone_id]) {
+          allowed[row.zone_id] = [];
+        }
+        allowed[row.zone_id].push({ id: row.id, name: row.name, color_code: row.color_code });
+      });
+
+      return allowed;
+    } catch (error) {
+      logger.error('Error fetching zone categories:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a pass category may enter a zone
+   * @param {number} zoneId - Zone ID
+   * @param {string} categoryName - Pass category name
+   * @returns {Promise<boolean>} True if allowed
+   */
+  static async isCategoryAllowed(zoneId, categoryName) {
+    try {
+      const query = `
+        SELECT COUNT(*) as count
+        FROM zone_categories zc
+        INNER JOIN categories c ON zc.category_id = c.id
+        WHERE zc.zone_id = ? AND c.name = ?
+      `;
+
+      const rows = await executeQuery(query, [zoneId, categoryName]);
+      return rows[0].count > 0;
+    } catch (error) {
+      logger.error('Error checking zone category access:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate zone data
+   * @param {Object} zoneData - Zone data to validate
+   * @param {boolean} partial - Allow missing fields (for updates)
+   * @returns {Object} Validation result
+   */
+  static validateZoneData(zoneData, partial = false) {
+    const errors = [];
+    const { name, description, status, capacity, category_ids } = zoneData;
+
+    if (!partial || name !== undefined) {
+      if (!name || typeof name !== 'string') {
+        errors.push('Name is required and must be a string');
+      } else if (name.length < 2 || name.length > 100) {
+        errors.push('Name must be between 2 and 100 characters');
+      }
+    }
+
+    if (description !== undefined && description !== null) {
+      if (typeof description !== 'string') {
+        errors.push('Description must be a string');
+      } else if (description.length > 500) {
+        errors.push('Description must not exceed 500 characters');
+      }
+    }
+
+    if (status !== undefined && !['active', 'inactive'].includes(status)) {
+      errors.push('Status must be active or inactive');
+    }
+
+    if (capacity !== undefined && capacity !== null) {
+      if (!Number.isInteger(capacity) || capacity < 1) {
+        errors.push('Capacity must be a positive integer or null for unlimited');
+      }
+    }
+
+    if (category_ids !== undefined) {
+      if (!Array.isArray(category_ids) || category_ids.some(id => !Number.isInteger(parseInt(id)) || parseInt(id) < 1)) {
+        errors.push('category_ids must be an array of category IDs');
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+module.exports = ZonesModel;
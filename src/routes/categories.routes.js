@@ -1,10 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const categoriesController = require('../controllers/categories.controller');
-const { authenticateToken, authorizeRoles } = require('../utils/auth.middleware');
-
-// All category management routes require admin role
-const requireAdmin = authorizeRoles('admin');
+const { authenticateToken, requirePermission } = require('../utils/auth.middleware');
 
 // Apply authentication to all routes
 router.use(authenticateToken);
@@ -20,9 +17,9 @@ router.get('/', categoriesController.getCategories);
 /**
  * @route   GET /api/categories/debug/sql
  * @desc    Debug SQL query comparison
- * @access  Private (Admin only)
+ * @access  Private (system.maintenance)
  */
-router.get('/debug/sql', requireAdmin, categoriesController.debugSqlQuery);
+router.get('/debug/sql', requirePermission('system.maintenance'), categoriesController.debugSqlQuery);
 
 /**
  * @route   GET /api/categories/all-access
@@ -38,25 +35,40 @@ router.get('/all-access', categoriesController.getAllAccessCategory);
  */
 router.get('/:id', categoriesController.getCategoryById);
 
+/**
+ * @route   GET /api/categories/:id/schedules
+ * @desc    Get category access schedules
+ * @access  Private (Authenticated users)
+ */
+router.get('/:id/schedules', categoriesController.getCategorySchedules);
+
+/**
+ * @route   PUT /api/categories/:id/schedules
+ * @desc    Replace category access schedules (date ranges and daily hour windows)
+ * @access  Private (categories.manage)
+ * @body    schedules - [{ start_date, end_date, daily_start, daily_end }], timezone
+ */
+router.put('/:id/schedules', requirePermission('categories.manage'), categoriesController.setCategorySchedules);
+
 /**
  * @route   POST /api/categories
  * @desc    Create a new category
- * @access  Private (Admin only)
+ * @access  Private (categories.manage)
  */
-router.post('/', requireAdmin, categoriesController.createCategory);
+router.post('/', requirePermission('categories.manage'), categoriesController.createCategory);
 
 /**
  * @route   PATCH /api/categories/:id
  * @desc    Update category
- * @access  Private (Admin only)
+ * @access  Private (categories.manage)
  */
-router.patch('/:id', requireAdmin, categoriesController.updateCategory);
+router.patch('/:id', requirePermission('categories.manage'), categoriesController.updateCategory);
 
 /**
  * @route   DELETE /api/categories/:id
  * @desc    Delete category
- * @access  Private (Admin only)
+ * @access  Private (categories.manage)
  */
-router.delete('/:id', requireAdmin, categoriesController.deleteCategory);
+router.delete('/:id', requirePermission('categories.manage'), categoriesController.deleteCategory);
 
 module.exports = router;
\ No newline at end of file
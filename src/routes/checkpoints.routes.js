@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const zonesController = require('../controllers/zones.controller');
+const { authenticateToken, requirePermission, auditLog } = require('../utils/auth.middleware');
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/checkpoints
+ * @desc    Get all checkpoints
+ * @access  Private (Authenticated users)
+ * @query   zone_id - Only checkpoints in this zone
+ */
+router.get('/', zonesController.getCheckpoints);
+
+/**
+ * @route   GET /api/checkpoints/:id
+ * @desc    Get checkpoint by ID
+ * @access  Private (Authenticated users)
+ */
+router.get('/:id', zonesController.getCheckpointById);
+
+/**
+ * @route   POST /api/checkpoints
+ * @desc    Create a checkpoint in a zone
+ * @access  Private (zones.manage)
+ * @body    zone_id, name, description, status
+ */
+router.post('/', requirePermission('zones.manage'), auditLog('CREATE_CHECKPOINT'), zonesController.createCheckpoint);
+
+/**
+ * @route   PATCH /api/checkpoints/:id
+ * @desc    Update checkpoint
+ * @access  Private (zones.manage)
+ */
+router.patch('/:id', requirePermission('zones.manage'), auditLog('UPDATE_CHECKPOINT'), zonesController.updateCheckpoint);
+
+/**
+ * @route   DELETE /api/checkpoints/:id
+ * @desc    Delete checkpoint (bound bouncers are unassigned)
+ * @access  Private (zones.manage)
+ */
+router.delete('/:id', requirePermission('zones.manage'), auditLog('DELETE_CHECKPOINT'), zonesController.deleteCheckpoint);
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const devicesController = require('../controllers/devices.controller');
+const { authenticateToken, requirePermission, auditLog } = require('../utils/auth.middleware');
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/devices
+ * @desc    Get all scanner devices with last seen, app version and checkpoint
+ * @access  Private (devices.manage)
+ * @query   status, checkpoint_id
+ */
+router.get('/', requirePermission('devices.manage'), devicesController.getDevices);
+
+/**
+ * @route   GET /api/devices/:id
+ * @desc    Get device by ID
+ * @access  Private (devices.manage)
+ */
+router.get('/:id', requirePermission('devices.manage'), devicesController.getDeviceById);
+
+/**
+ * @route   POST /api/devices
+ * @desc    Register a device; returns its one-time enrollment code
+ * @access  Private (devices.manage)
+ * @body    name, checkpoint_id
+ */
+router.post('/', requirePermission('devices.manage'), auditLog('CREATE_DEVICE'), devicesController.createDevice);
+
+/**
+ * @route   PATCH /api/devices/:id
+ * @desc    Rename a device or change its checkpoint
+ * @access  Private (devices.manage)
+ * @body    name, checkpoint_id
+ */
+router.patch('/:id', requirePermission('devices.manage'), auditLog('UPDATE_DEVICE'), devicesController.updateDevice);
+
+/**
+ * @route   POST /api/devices/:id/enrollment-code
+ * @desc    Issue a new enrollment code and revoke the current device token
+ * @access  Private (devices.manage)
+ */
+router.post('/:id/enrollment-code', requirePermission('devices.manage'), auditLog('REISSUE_DEVICE_ENROLLMENT'), devicesController.regenerateEnrollmentCode);
+
+/**
+ * @route   PATCH /api/devices/:id/disable
+ * @desc    Remotely disable a device and log out sessions bound to it
+ * @access  Private (devices.manage)
+ * @body    reason
+ */
+router.patch('/:id/disable', requirePermission('devices.manage'), auditLog('DISABLE_DEVICE'), devicesController.disableDevice);
+
+/**
+ * @route   PATCH /api/devices/:id/enable
+ * @desc    Re-enable a disabled device (it has to enroll again)
+ * @access  Private (devices.manage)
+ */
+router.patch('/:id/enable', requirePermission('devices.manage'), auditLog('ENABLE_DEVICE'), devicesController.enableDevice);
+
+module.exports = router;
@@ -1,13 +1,13 @@
 const express = require('express');
 const logsController = require('../controllers/logs.controller');
-const { authenticateToken, authorizeRoles } = require('../utils/auth.middleware');
+const { authenticateToken, requirePermission } = require('../utils/auth.middleware');
 
 const router = express.Router();
 
-// Admin-only logs endpoints
-router.get('/system', authenticateToken, authorizeRoles('admin'), logsController.getSystemLogs);
-router.get('/daily', authenticateToken, authorizeRoles('admin'), logsController.getDailyLogs);
-router.get('/combined', authenticateToken, authorizeRoles('admin'), logsController.getCombinedLogs);
-router.get('/stats', authenticateToken, authorizeRoles('admin'), logsController.getLogStats);
+// Audit logs endpoints
+router.get('/system', authenticateToken, requirePermission('audit.read'), logsController.getSystemLogs);
+router.get('/daily', authenticateToken, requirePermission('audit.read'), logsController.getDailyLogs);
+router.get('/combined', authenticateToken, requirePermission('audit.read'), logsController.getCombinedLogs);
+router.get('/stats', authenticateToken, requirePermission('audit.read'), logsController.getLogStats);
 
 module.exports = router;
@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+const passGroupsController = require('../controllers/pass-groups.controller');
+const { authenticateToken, requirePermission, auditLog } = require('../utils/auth.middleware');
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/pass-groups
+ * @desc    Get pass groups with their pooled allowance and card count
+ * @access  Private (pass_groups.read)
+ * @query   page, limit
+ */
+router.get('/', requirePermission('pass_groups.read'), passGroupsController.getGroups);
+
+/**
+ * @route   GET /api/pass-groups/:id
+ * @desc    Get a pass group with its parent pass and cards
+ * @access  Private (pass_groups.read)
+ */
+router.get('/:id', requirePermission('pass_groups.read'), passGroupsController.getGroupById);
+
+/**
+ * @route   POST /api/pass-groups
+ * @desc    Group a parent pass with companion cards sharing its allowance
+ * @access  Private (pass_groups.manage)
+ * @body    name, parent_pass_id, members: [{ uid, label }]
+ */
+router.post('/', requirePermission('pass_groups.manage'), auditLog('CREATE_PASS_GROUP'), passGroupsController.createGroup);
+
+/**
+ * @route   DELETE /api/pass-groups/:id
+ * @desc    Dissolve a pass group; the parent pass is kept
+ * @access  Private (pass_groups.manage)
+ */
+router.delete('/:id', requirePermission('pass_groups.manage'), auditLog('DELETE_PASS_GROUP'), passGroupsController.deleteGroup);
+
+/**
+ * @route   PATCH /api/pass-groups/:id/block
+ * @desc    Block the parent pass and every card in the group
+ * @access  Private (pass_groups.manage)
+ */
+router.patch('/:id/block', requirePermission('pass_groups.manage'), auditLog('PASS_GROUP_BLOCK'), passGroupsController.blockGroup);
+
+/**
+ * @route   PATCH /api/pass-groups/:id/unblock
+ * @desc    Unblock the group; cards blocked on their own stay blocked
+ * @access  Private (pass_groups.manage)
+ */
+router.patch('/:id/unblock', requirePermission('pass_groups.manage'), auditLog('PASS_GROUP_UNBLOCK'), passGroupsController.unblockGroup);
+
+/**
+ * @route   PATCH /api/pass-groups/:id/reset
+ * @desc    Reset the pooled allowance
+ * @access  Private (pass.reset)
+ * @body    reason
+ */
+router.patch('/:id/reset', requirePermission('pass.reset'), auditLog('PASS_GROUP_RESET'), passGroupsController.resetGroup);
+
+/**
+ * @route   POST /api/pass-groups/:id/members
+ * @desc    Link a companion card to the group
+ * @access  Private (pass_groups.manage)
+ * @body    uid, label
+ */
+router.post('/:id/members', requirePermission('pass_groups.manage'), auditLog('ADD_PASS_GROUP_MEMBER'), passGroupsController.addMember);
+
+/**
+ * @route   GET /api/pass-groups/:id/members/:memberId/payload
+ * @desc    Signed payload to write to a card, re-signed from the parent pass
+ * @access  Private (pass_groups.read)
+ */
+router.get('/:id/members/:memberId/payload', requirePermission('pass_groups.read'), auditLog('PASS_GROUP_MEMBER_PAYLOAD'), passGroupsController.getMemberPayload);
+
+/**
+ * @route   PATCH /api/pass-groups/:id/members/:memberId
+ * @desc    Block or unblock a single card (e.g. a lost card)
+ * @access  Private (pass_groups.manage)
+ * @body    status: active | blocked
+ */
+router.patch('/:id/members/:memberId', requirePermission('pass_groups.manage'), auditLog('UPDATE_PASS_GROUP_MEMBER'), passGroupsController.updateMemberStatus);
+
+/**
+ * @route   DELETE /api/pass-groups/:id/members/:memberId
+ * @desc    Unlink a companion card
+ * @access  Private (pass_groups.manage)
+ */
+router.delete('/:id/members/:memberId', requirePermission('pass_groups.manage'), auditLog('REMOVE_PASS_GROUP_MEMBER'), passGroupsController.removeMember);
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const passTemplatesController = require('../controllers/pass-templates.controller');
+const { authenticateToken, requirePermission, auditLog } = require('../utils/auth.middleware');
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/admin/pass-templates
+ * @desc    Get all pass templates
+ * @access  Private (templates.read)
+ * @query   status - Filter by active / inactive
+ */
+router.get('/', requirePermission('templates.read'), passTemplatesController.getTemplates);
+
+/**
+ * @route   GET /api/admin/pass-templates/:id
+ * @desc    Get pass template by ID with the number of passes created from it
+ * @access  Private (templates.read)
+ */
+router.get('/:id', requirePermission('templates.read'), passTemplatesController.getTemplateById);
+
+/**
+ * @route   POST /api/admin/pass-templates
+ * @desc    Create a pass template
+ * @access  Private (templates.manage)
+ * @body    name, description, pass_type, category, max_uses, people_allowed, validity_days, status
+ */
+router.post('/', requirePermission('templates.manage'), auditLog('CREATE_PASS_TEMPLATE'), passTemplatesController.createTemplate);
+
+/**
+ * @route   PATCH /api/admin/pass-templates/:id
+ * @desc    Update a pass template
+ * @access  Private (templates.manage)
+ */
+router.patch('/:id', requirePermission('templates.manage'), auditLog('UPDATE_PASS_TEMPLATE'), passTemplatesController.updateTemplate);
+
+/**
+ * @route   DELETE /api/admin/pass-templates/:id
+ * @desc    Delete a pass template that has no passes
+ * @access  Private (templates.manage)
+ */
+router.delete('/:id', requirePermission('templates.manage'), auditLog('DELETE_PASS_TEMPLATE'), passTemplatesController.deleteTemplate);
+
+module.exports = router;
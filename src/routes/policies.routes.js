@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const policiesController = require('../controllers/policies.controller');
+const { authenticateToken, requirePermission, auditLog } = require('../utils/auth.middleware');
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/admin/policies
+ * @desc    Get all verification policies plus the built-in fallbacks
+ * @access  Private (policies.read)
+ * @query   status - Filter by active / inactive
+ */
+router.get('/', requirePermission('policies.read'), policiesController.getPolicies);
+
+/**
+ * @route   GET /api/admin/policies/resolve
+ * @desc    Show the policy that applies to a category and pass type
+ * @access  Private (policies.read)
+ * @query   category, pass_type
+ */
+router.get('/resolve', requirePermission('policies.read'), policiesController.resolvePolicy);
+
+/**
+ * @route   GET /api/admin/policies/:id
+ * @desc    Get verification policy by ID
+ * @access  Private (policies.read)
+ */
+router.get('/:id', requirePermission('policies.read'), policiesController.getPolicyById);
+
+/**
+ * @route   POST /api/admin/policies
+ * @desc    Create a verification policy
+ * @access  Private (policies.manage)
+ * @body    name, description, category, pass_type, priority, consume_uses, cooldown_seconds,
+ *          reentry_allowed, max_entries_per_day, prompt_mode, prompt_ttl_seconds,
+ *          allowed_from, allowed_to, status
+ */
+router.post('/', requirePermission('policies.manage'), auditLog('CREATE_POLICY'), policiesController.createPolicy);
+
+/**
+ * @route   PATCH /api/admin/policies/:id
+ * @desc    Update a verification policy
+ * @access  Private (policies.manage)
+ */
+router.patch('/:id', requirePermission('policies.manage'), auditLog('UPDATE_POLICY'), policiesController.updatePolicy);
+
+/**
+ * @route   DELETE /api/admin/policies/:id
+ * @desc    Delete a verification policy
+ * @access  Private (policies.manage)
+ */
+router.delete('/:id', requirePermission('policies.manage'), auditLog('DELETE_POLICY'), policiesController.deletePolicy);
+
+module.exports = router;
@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const rolesController = require('../controllers/roles.controller');
+const { authenticateToken, requirePermission, requireAnyPermission, auditLog } = require('../utils/auth.middleware');
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// User managers read roles to pick one for a user; only roles.manage can change them
+const canViewRoles = requireAnyPermission('users.manage', 'roles.manage');
+
+/**
+ * @route   GET /api/roles
+ * @desc    Get all roles with their permissions and user counts
+ * @access  Private (users.manage or roles.manage)
+ */
+router.get('/', canViewRoles, rolesController.getRoles);
+
+/**
+ * @route   GET /api/roles/permissions
+ * @desc    Get the catalog of permissions roles can grant
+ * @access  Private (users.manage or roles.manage)
+ */
+router.get('/permissions', canViewRoles, rolesController.getPermissions);
+
+/**
+ * @route   GET /api/roles/:id
+ * @desc    Get role by ID
+ * @access  Private (users.manage or roles.manage)
+ */
+router.get('/:id', canViewRoles, rolesController.getRoleById);
+
+/**
+ * @route   POST /api/roles
+ * @desc    Create a role; only permissions the caller holds can be granted
+ * @access  Private (roles.manage)
+ * @body    name, description, permissions: [permission names]
+ */
+router.post('/', requirePermission('roles.manage'), auditLog('CREATE_ROLE'), rolesController.createRole);
+
+/**
+ * @route   PATCH /api/roles/:id
+ * @desc    Rename a custom role, change its description or replace its permissions
+ * @access  Private (roles.manage)
+ * @body    name, description, permissions
+ */
+router.patch('/:id', requirePermission('roles.manage'), auditLog('UPDATE_ROLE'), rolesController.updateRole);
+
+/**
+ * @route   DELETE /api/roles/:id
+ * @desc    Delete a custom role that no user has
+ * @access  Private (roles.manage)
+ */
+router.delete('/:id', requirePermission('roles.manage'), auditLog('DELETE_ROLE'), rolesController.deleteRole);
+
+module.exports = router;
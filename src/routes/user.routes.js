@@ -7,93 +7,130 @@ const {
   updateUser,
   changePassword,
   assignCategory,
+  assignCheckpoint,
   blockUser,
   unblockUser,
+  unlockUser,
   deleteUser,
   deleteAllUsers,
-  getUserStats
+  getUserStats,
+  getUserSessions,
+  revokeUserSessions,
+  resetTwoFactor
 } = require('../controllers/user.controller');
-const { authenticateToken, authorizeRoles, adminOrManager } = require('../utils/auth.middleware');
-
-// User management routes require admin or manager role
-const requireAdminOrManager = adminOrManager;
+const { authenticateToken, requirePermission, auditLog } = require('../utils/auth.middleware');
 
 /**
  * @route   POST /api/users
- * @desc    Create a new user (Admin/Manager)
- * @access  Private (Admin/Manager)
+ * @desc    Create a new user
+ * @access  Private (users.manage)
  */
-router.post('/', authenticateToken, requireAdminOrManager, createUser);
+router.post('/', authenticateToken, requirePermission('users.manage'), createUser);
 
 /**
  * @route   GET /api/users/stats
- * @desc    Get user statistics (Admin/Manager)
- * @access  Private (Admin/Manager)
+ * @desc    Get user statistics
+ * @access  Private (users.manage)
  */
-router.get('/stats', authenticateToken, requireAdminOrManager, getUserStats);
+router.get('/stats', authenticateToken, requirePermission('users.manage'), getUserStats);
 
 /**
  * @route   GET /api/users
- * @desc    Get all users with search, filter, and pagination (Admin/Manager)
- * @access  Private (Admin/Manager)
+ * @desc    Get all users with search, filter, and pagination
+ * @access  Private (users.manage)
  * @query   page, limit, search, role, status, sortBy, sortOrder
  */
-router.get('/', authenticateToken, requireAdminOrManager, getUsers);
+router.get('/', authenticateToken, requirePermission('users.manage'), getUsers);
 
 /**
  * @route   GET /api/users/:id
- * @desc    Get single user by ID (Admin/Manager)
- * @access  Private (Admin/Manager)
+ * @desc    Get single user by ID
+ * @access  Private (users.manage)
  */
-router.get('/:id', authenticateToken, requireAdminOrManager, getUserById);
+router.get('/:id', authenticateToken, requirePermission('users.manage'), getUserById);
 
 /**
  * @route   PATCH /api/users/:id
- * @desc    Update user details (Admin/Manager)
- * @access  Private (Admin/Manager)
+ * @desc    Update user details
+ * @access  Private (users.manage)
  */
-router.patch('/:id', authenticateToken, requireAdminOrManager, updateUser);
+router.patch('/:id', authenticateToken, requirePermission('users.manage'), updateUser);
 
 /**
  * @route   PATCH /api/users/:id/password
- * @desc    Change user password (Admin/Manager)
- * @access  Private (Admin/Manager)
+ * @desc    Change user password
+ * @access  Private (users.manage)
  */
-router.patch('/:id/password', authenticateToken, requireAdminOrManager, changePassword);
+router.patch('/:id/password', authenticateToken, requirePermission('users.manage'), changePassword);
 
 /**
  * @route   PATCH /api/users/:id/assign-category
- * @desc    Assign category to bouncer (Admin/Manager)
- * @access  Private (Admin/Manager)
+ * @desc    Assign category to bouncer
+ * @access  Private (users.manage)
+ */
+router.patch('/:id/assign-category', authenticateToken, requirePermission('users.manage'), assignCategory);
+
+/**
+ * @route   PATCH /api/users/:id/assign-checkpoint
+ * @desc    Bind bouncer to a checkpoint
+ * @access  Private (users.manage)
  */
-router.patch('/:id/assign-category', authenticateToken, requireAdminOrManager, assignCategory);
+router.patch('/:id/assign-checkpoint', authenticateToken, requirePermission('users.manage'), assignCheckpoint);
 
 /**
  * @route   PATCH /api/users/:id/block
- * @desc    Block user (Admin/Manager)
- * @access  Private (Admin/Manager)
+ * @desc    Block user
+ * @access  Private (users.manage)
  */
-router.patch('/:id/block', authenticateToken, requireAdminOrManager, blockUser);
+router.patch('/:id/block', authenticateToken, requirePermission('users.manage'), blockUser);
 
 /**
  * @route   PATCH /api/users/:id/unblock
- * @desc    Unblock user (Admin/Manager)
- * @access  Private (Admin/Manager)
+ * @desc    Unblock user
+ * @access  Private (users.manage)
+ */
+router.patch('/:id/unblock', authenticateToken, requirePermission('users.manage'), unblockUser);
+
+/**
+ * @route   POST /api/users/:id/unlock
+ * @desc    Lift a lockout caused by failed logins
+ * @access  Private (users.manage)
+ */
+router.post('/:id/unlock', authenticateToken, requirePermission('users.manage'), auditLog('UNLOCK_USER'), unlockUser);
+
+/**
+ * @route   GET /api/users/:id/sessions
+ * @desc    Get active login sessions of a user
+ * @access  Private (users.security)
+ */
+router.get('/:id/sessions', authenticateToken, requirePermission('users.security'), getUserSessions);
+
+/**
+ * @route   DELETE /api/users/:id/sessions
+ * @desc    Revoke all login sessions of a user
+ * @access  Private (users.security)
+ */
+router.delete('/:id/sessions', authenticateToken, requirePermission('users.security'), auditLog('REVOKE_USER_SESSIONS'), revokeUserSessions);
+
+/**
+ * @route   DELETE /api/users/:id/2fa
+ * @desc    Reset two-factor authentication of a user
+ * @access  Private (users.security)
  */
-router.patch('/:id/unblock', authenticateToken, requireAdminOrManager, unblockUser);
+router.delete('/:id/2fa', authenticateToken, requirePermission('users.security'), auditLog('RESET_USER_TWO_FACTOR'), resetTwoFactor);
 
 /**
  * @route   DELETE /api/users/:id
- * @desc    Delete single user (Admin/Manager)
- * @access  Private (Admin/Manager)
+ * @desc    Delete single user
+ * @access  Private (users.manage)
  */
-router.delete('/:id', authenticateToken, requireAdminOrManager, deleteUser);
+router.delete('/:id', authenticateToken, requirePermission('users.manage'), deleteUser);
 
 /**
  * @route   DELETE /api/users
- * @desc    Delete all users except admins (Admin/Manager)
- * @access  Private (Admin/Manager)
+ * @desc    Delete all users except admins
+ * @access  Private (users.manage)
  */
-router.delete('/', authenticateToken, requireAdminOrManager, deleteAllUsers);
+router.delete('/', authenticateToken, requirePermission('users.manage'), deleteAllUsers);
 
 module.exports = router;
\ No newline at end of file
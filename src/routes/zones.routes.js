@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const zonesController = require('../controllers/zones.controller');
+const { authenticateToken, requirePermission, auditLog } = require('../utils/auth.middleware');
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/zones
+ * @desc    Get all zones with allowed categories
+ * @access  Private (Authenticated users)
+ */
+router.get('/', zonesController.getZones);
+
+/**
+ * @route   GET /api/zones/:id
+ * @desc    Get zone by ID with its checkpoints
+ * @access  Private (Authenticated users)
+ */
+router.get('/:id', zonesController.getZoneById);
+
+/**
+ * @route   GET /api/zones/:id/checkpoints
+ * @desc    Get checkpoints in a zone
+ * @access  Private (Authenticated users)
+ */
+router.get('/:id/checkpoints', zonesController.getCheckpoints);
+
+/**
+ * @route   POST /api/zones
+ * @desc    Create a new zone
+ * @access  Private (zones.manage)
+ * @body    name, description, status, category_ids
+ */
+router.post('/', requirePermission('zones.manage'), auditLog('CREATE_ZONE'), zonesController.createZone);
+
+/**
+ * @route   PATCH /api/zones/:id
+ * @desc    Update zone and/or replace its allowed categories
+ * @access  Private (zones.manage)
+ */
+router.patch('/:id', requirePermission('zones.manage'), auditLog('UPDATE_ZONE'), zonesController.updateZone);
+
+/**
+ * @route   DELETE /api/zones/:id
+ * @desc    Delete zone (must have no checkpoints)
+ * @access  Private (zones.manage)
+ */
+router.delete('/:id', requirePermission('zones.manage'), auditLog('DELETE_ZONE'), zonesController.deleteZone);
+
+module.exports = router;
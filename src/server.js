@@ -12,6 +12,8 @@ process.env.TZ = 'Asia/Kolkata';
 const { connectDB } = require('./config/db');
 const { connectRedis } = require('./config/redis');
 const logger = require('./utils/logger');
+const usageService = require('./services/usage.service');
+const validityService = require('./services/validity.service');
 
 // Import routes
 const authRoutes = require('./controllers/auth.controller');
@@ -22,6 +24,13 @@ const systemLogsRoutes = require('./controllers/system-logs.controller');
 const adminRoutes = require('./controllers/admin.controller');
 const userRoutes = require('./routes/user.routes');
 const categoriesRoutes = require('./routes/categories.routes');
+const zonesRoutes = require('./routes/zones.routes');
+const checkpointsRoutes = require('./routes/checkpoints.routes');
+const policiesRoutes = require('./routes/policies.routes');
+const passTemplatesRoutes = require('./routes/pass-templates.routes');
+const passGroupsRoutes = require('./routes/pass-groups.routes');
+const devicesRoutes = require('./routes/devices.routes');
+const rolesRoutes = require('./routes/roles.routes');
 const healthRoutes = require('./controllers/health.controller');
 
 // Import socket handlers
@@ -103,10 +112,17 @@ app.use('/api/pass', verifyRoutes);
 app.use('/api/logs', logsRoutes);
 app.use('/api/system-logs', systemLogsRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/admin/policies', policiesRoutes);
+app.use('/api/admin/pass-templates', passTemplatesRoutes);
 
 // Admin logs endpoints are now handled by logs routes
 app.use('/api/users', userRoutes);
 app.use('/api/categories', categoriesRoutes);
+app.use('/api/zones', zonesRoutes);
+app.use('/api/checkpoints', checkpointsRoutes);
+app.use('/api/pass-groups', passGroupsRoutes);
+app.use('/api/devices', devicesRoutes);
+app.use('/api/roles', rolesRoutes);
 
 // Initialize socket handlers
 const userSocket = new UserSocket(io);
@@ -156,12 +172,16 @@ async function startServer() {
   try {
     // Connect to databases
     await connectDB();
+    // Expire passes whose validity window has ended
+    validityService.start(io);
     // Conditionally connect to Redis based on env flag
     if (process.env.SKIP_REDIS === 'true') {
       logger.warn('Skipping Redis connection as SKIP_REDIS=true');
     } else {
       try {
         await connectRedis();
+        // Write uses consumed on the Redis fast path back to MySQL
+        usageService.start();
       } catch (redisError) {
         logger.warn('Redis connection failed, continuing without Redis:', redisError.message);
       }
@@ -185,7 +205,9 @@ async function startServer() {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
-  server.close(() => {
+  server.close(async () => {
+    validityService.stop();
+    await usageService.stop();
     logger.info('Process terminated');
     process.exit(0);
   });
@@ -193,7 +215,9 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
-  server.close(() => {
+  server.close(async () => {
+    validityService.stop();
+    await usageService.stop();
     logger.info('Process terminated');
     process.exit(0);
   });
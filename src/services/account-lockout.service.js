@@ -0,0 +1,93 @@
+const redisService = require('./redis.service');
+const logger = require('../utils/logger');
+
+/**
+ * Per-account login lockout. After LOGIN_LOCKOUT_THRESHOLD failed passwords or two-factor
+ * codes within the failure window the username is locked; every further lockout within
+ * LOGIN_LOCKOUT_RESET_HOURS doubles the lock, up to LOGIN_LOCKOUT_MAX_SECONDS. Complements the per-IP authLimiter,
+ * which does not stop a slow attack spread over many addresses.
+ */
+class AccountLockoutService {
+  constructor() {
+    this.THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+    this.FAILURE_WINDOW_SECONDS = (parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15) * 60;
+    this.BASE_LOCK_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 60;
+    this.MAX_LOCK_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 3600;
+    this.HISTORY_SECONDS = (parseInt(process.env.LOGIN_LOCKOUT_RESET_HOURS) || 24) * 3600;
+  }
+
+  // Usernames are matched case-insensitively by MySQL, so the lock must be too
+  normalize(username) {
+    return String(username || '').trim().toLowerCase();
+  }
+
+  getLockDuration(lockouts) {
+    return Math.min(this.BASE_LOCK_SECONDS * 2 ** (lockouts - 1), this.MAX_LOCK_SECONDS);
+  }
+
+  /**
+   * Seconds until the account may try again. Fails open when Redis is unavailable
+   * so an outage does not lock everyone out; the IP rate limit still applies.
+   * @returns {Promise<number>} 0 when the account is not locked
+   */
+  async getRetryAfter(username) {
+    try {
+      return await redisService.getLoginLockTtl(this.normalize(username));
+    } catch (error) {
+      logger.error('Login lockout check failed, allowing attempt:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Count a failed password or two-factor code and lock the account once the threshold is reached
+   * @returns {Promise<Object>} { locked, retry_after, lockouts, attempts_remaining }
+   */
+  async recordFailure(username) {
+    const key = this.normalize(username);
+
+    try {
+      const failures = await redisService.incrementLoginFailures(key, this.FAILURE_WINDOW_SECONDS);
+      if (failures < this.THRESHOLD) {
+        return { locked: false, retry_after: 0, attempts_remaining: this.THRESHOLD - failures };
+      }
+
+      const { lockouts, duration } = await redisService.lockLogin(
+        key,
+        count => this.getLockDuration(count),
+        this.HISTORY_SECONDS
+      );
+      logger.warn(`Account ${key} locked for ${duration}s after ${failures} failed logins (lockout #${lockouts})`);
+
+      return { locked: true, retry_after: duration, lockouts, attempts_remaining: 0 };
+    } catch (error) {
+      logger.error('Failed to record failed login:', error);
+      return { locked: false, retry_after: 0, attempts_remaining: null };
+    }
+  }
+
+  /**
+   * Reset the failure count once a login passed every factor. Past lockouts are kept until
+   * they expire, so an attacker cannot reset the backoff by waiting for the owner to log in.
+   */
+  async recordSuccess(username) {
+    try {
+      await redisService.clearLoginFailures(this.normalize(username));
+    } catch (error) {
+      logger.error('Failed to clear failed logins:', error);
+    }
+  }
+
+  /**
+   * Lift a lock (admin action)
+   * @returns {Promise<boolean>} True if the account was locked
+   */
+  async unlock(username) {
+    const key = this.normalize(username);
+    const wasLocked = await redisService.getLoginLockTtl(key) > 0;
+    await redisService.clearLoginFailures(key, true);
+    return wasLocked;
+  }
+}
+
+module.exports = new AccountLockoutService();
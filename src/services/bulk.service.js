@@ -1,6 +1,8 @@
 const { v4: uuidv4 } = require('uuid');
 const PassModel = require('../models/pass.model');
+const PassGroupsModel = require('../models/pass-groups.model');
 const redisService = require('./redis.service');
+const passEventsService = require('./pass-events.service');
 const SettingsModel = require('../models/settings.model');
 const logger = require('../utils/logger');
 const { formatDateForDB } = require('../utils/validators');
@@ -255,6 +257,14 @@ class BulkService {
         uniqueUids.filter((uid, index) => existingChecks[index])
       );
 
+      // UIDs of group companion cards and of cards retired by a replacement cannot become passes either
+      const inUseChecks = await Promise.all(
+        uniqueUids.map(async uid => await PassGroupsModel.isMemberUid(uid) || Boolean(await PassModel.findUidReplacement(uid)))
+      );
+      const inUseUids = new Set(
+        uniqueUids.filter((uid, index) => inUseChecks[index])
+      );
+
       // Prepare valid passes for creation (only process first occurrence of each UID)
       const processedUids = new Set();
       
@@ -266,6 +276,13 @@ class BulkService {
             error: 'UID already exists in database',
             batch: batchNumber
           });
+        } else if (inUseUids.has(pass.uid)) {
+          results.duplicates++;
+          results.errors.push({
+            uid: pass.uid,
+            error: 'UID is already in use',
+            batch: batchNumber
+          });
         } else if (uniqueUids.includes(pass.uid) && !processedUids.has(pass.uid)) {
           // Mark this UID as processed to skip later duplicates
           processedUids.add(pass.uid);
@@ -281,6 +298,8 @@ class BulkService {
           } else {
             const passWithScanId = {
               ...pass,
+              valid_from: pass.valid_from ? formatDateForDB(pass.valid_from) : null,
+              valid_to: pass.valid_to ? formatDateForDB(pass.valid_to) : null,
               created_by: createdBy,
                scanId
             };
@@ -294,6 +313,7 @@ class BulkService {
       if (validPasses.length > 0) {
         const createdPasses = await PassModel.createBulk(validPasses);
         results.created = createdPasses.length;
+        await passEventsService.recordCreated(createdPasses.map(created => created.pass_id), createdBy);
 
         // Add active passes to Redis cache (in background)
         this.addPassesToRedisCache(validPasses).catch(error => {
@@ -353,6 +373,15 @@ class BulkService {
       errors.push('People allowed must be between 1 and 100');
     }
 
+    // Validate validity window
+    const validFrom = passData.valid_from ? new Date(passData.valid_from) : null;
+    const validTo = passData.valid_to ? new Date(passData.valid_to) : null;
+    if ((validFrom && isNaN(validFrom.getTime())) || (validTo && isNaN(validTo.getTime()))) {
+      errors.push('Valid from and valid to must be valid dates');
+    } else if (validFrom && validTo && validFrom >= validTo) {
+      errors.push('Valid from date must be before valid to date');
+    }
+
     return errors;
   }
 
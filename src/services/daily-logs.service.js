@@ -42,7 +42,7 @@ class DailyLogsService {
             'delete_pass', 'block_pass', 'unblock_pass', 'reset_single_pass'
           ) NOT NULL,
           user_id BIGINT NULL,
-          role ENUM('admin', 'manager', 'bouncer', 'system') NULL,
+          role VARCHAR(50) NULL,
           pass_id CHAR(36) NULL,
           uid VARCHAR(128) NULL,
           scanned_at TIMESTAMP NULL,
@@ -51,6 +51,10 @@ class DailyLogsService {
           consumed_count INT NULL,
           category VARCHAR(50) NULL,
           pass_type VARCHAR(20) NULL,
+          direction ENUM('entry', 'exit') NULL,
+          zone_id INT NULL,
+          checkpoint_id INT NULL,
+          device_id BIGINT NULL,
           ip_address VARCHAR(45) NULL,
           user_agent TEXT NULL,
           details JSON NULL,
@@ -63,6 +67,10 @@ class DailyLogsService {
           INDEX idx_pass_id (pass_id),
           INDEX idx_uid (uid),
           INDEX idx_result (result),
+          INDEX idx_direction (direction),
+          INDEX idx_zone_id (zone_id),
+          INDEX idx_checkpoint_id (checkpoint_id),
+          INDEX idx_device_id (device_id),
           INDEX idx_created_at (created_at),
           INDEX idx_action_user (action_type, user_id),
           INDEX idx_action_date (action_type, created_at)
@@ -78,6 +86,32 @@ class DailyLogsService {
     }
   }
 
+  // Column order used by insertLog/insertLogs
+  static getLogParams(logData) {
+    return [
+      logData.action_type,
+      logData.user_id ?? null,
+      logData.role ?? null,
+      logData.pass_id ?? null,
+      logData.uid ?? null,
+      logData.scanned_at ?? null,
+      logData.scanned_by ?? null,
+      logData.remaining_uses ?? null,
+      logData.consumed_count ?? null,
+      logData.category ?? null,
+      logData.pass_type ?? null,
+      logData.direction ?? null,
+      logData.zone_id ?? null,
+      logData.checkpoint_id ?? null,
+      logData.device_id ?? null,
+      logData.ip_address ?? null,
+      logData.user_agent ?? null,
+      logData.details ? JSON.stringify(logData.details) : null,
+      logData.result ?? 'success',
+      logData.error_message ?? null
+    ];
+  }
+
   // Insert log into daily table
   static async insertLog(logData, date = null) {
     const tableName = this.getTableName(date);
@@ -90,30 +124,12 @@ class DailyLogsService {
         INSERT INTO \`${tableName}\` (
           action_type, user_id, role, pass_id, uid,
           scanned_at, scanned_by, remaining_uses, consumed_count, 
-          category, pass_type, ip_address, user_agent, details, result, error_message
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          category, pass_type, direction, zone_id, checkpoint_id, device_id,
+          ip_address, user_agent, details, result, error_message
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
       
-      const params = [
-        logData.action_type,
-        logData.user_id ?? null,
-        logData.role ?? null,
-        logData.pass_id ?? null,
-        logData.uid ?? null,
-        logData.scanned_at ?? null,
-        logData.scanned_by ?? null,
-        logData.remaining_uses ?? null,
-        logData.consumed_count ?? null,
-        logData.category ?? null,
-        logData.pass_type ?? null,
-        logData.ip_address ?? null,
-        logData.user_agent ?? null,
-        logData.details ? JSON.stringify(logData.details) : null,
-        logData.result ?? 'success',
-        logData.error_message ?? null
-      ];
-      
-      const result = await executeQuery(query, params);
+      const result = await executeQuery(query, this.getLogParams(logData));
       logger.debug(`Log inserted into ${tableName}: ID ${result.insertId}`);
       return result.insertId;
     } catch (error) {
@@ -122,6 +138,38 @@ class DailyLogsService {
     }
   }
 
+  // Insert several logs into a daily table with one statement
+  static async insertLogs(logs, date = null) {
+    const tableName = this.getTableName(date);
+    
+    if (!logs || logs.length === 0) {
+      return 0;
+    }
+    
+    try {
+      // Ensure table exists
+      await this.createDailyTable(date);
+      
+      const placeholders = logs.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ');
+      const query = `
+        INSERT INTO \`${tableName}\` (
+          action_type, user_id, role, pass_id, uid,
+          scanned_at, scanned_by, remaining_uses, consumed_count, 
+          category, pass_type, direction, zone_id, checkpoint_id, device_id,
+          ip_address, user_agent, details, result, error_message
+        ) VALUES ${placeholders}
+      `;
+      
+      const params = logs.flatMap(logData => this.getLogParams(logData));
+      const result = await executeQuery(query, params);
+      logger.debug(`${result.affectedRows} logs inserted into ${tableName}`);
+      return result.affectedRows;
+    } catch (error) {
+      logger.error(`Failed to insert logs into ${tableName}:`, error);
+      throw error;
+    }
+  }
+
   // Get logs from daily table
   static async getLogs(date = null, options = {}) {
     const tableName = this.getTableName(date);
@@ -139,6 +187,9 @@ class DailyLogsService {
         role = null,
         pass_id = null,
         uid = null,
+        zone_id = null,
+        checkpoint_id = null,
+        device_id = null,
         result = null,
         start_date = null,
         end_date = null,
@@ -169,6 +220,18 @@ class DailyLogsService {
         query += ` AND uid = ?`;
         params.push(uid);
       }
+      if (zone_id) {
+        query += ` AND zone_id = ?`;
+        params.push(zone_id);
+      }
+      if (checkpoint_id) {
+        query += ` AND checkpoint_id = ?`;
+        params.push(checkpoint_id);
+      }
+      if (device_id) {
+        query += ` AND device_id = ?`;
+        params.push(device_id);
+      }
       if (result) {
         query += ` AND result = ?`;
         params.push(result);
@@ -192,6 +255,32 @@ class DailyLogsService {
     }
   }
 
+  // Get successful entries (people let in) and last entry time for a pass on a given day
+  static async getEntryStats(uid, date = null) {
+    const tableName = this.getTableName(date);
+
+    try {
+      if (!(await this.tableExists(tableName))) {
+        return { entries: 0, last_entry_at: null };
+      }
+
+      const query = `
+        SELECT COALESCE(SUM(GREATEST(consumed_count, 1)), 0) as entries, MAX(scanned_at) as last_entry_at
+        FROM \`${tableName}\`
+        WHERE uid = ? AND action_type = 'verify_pass' AND result = 'success'
+        AND (direction IS NULL OR direction = 'entry')
+      `;
+      const result = await executeQuery(query, [uid]);
+      return {
+        entries: parseInt(result[0].entries) || 0,
+        last_entry_at: result[0].last_entry_at || null
+      };
+    } catch (error) {
+      logger.error(`Failed to get entry stats from ${tableName}:`, error);
+      throw error;
+    }
+  }
+
   // Check if table exists
   static async tableExists(tableName) {
     try {
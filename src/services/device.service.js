@@ -0,0 +1,294 @@
+const crypto = require('crypto');
+const DevicesModel = require('../models/devices.model');
+const CheckpointsModel = require('../models/checkpoints.model');
+const JWTService = require('../config/jwt');
+const sessionService = require('./session.service');
+const logger = require('../utils/logger');
+
+/**
+ * Scanner device registry: admins register a device and get a one-time enrollment
+ * code, the app trades the code for a device token, and logins made with that token
+ * are bound to the device until it is disabled.
+ */
+class DeviceService {
+  constructor() {
+    this.ENROLLMENT_TTL_MINUTES = parseInt(process.env.DEVICE_ENROLLMENT_TTL_MINUTES) || 60;
+    // Roles that may only log in from an enrolled device (comma separated, e.g. "bouncer")
+    this.DEVICE_BINDING_ROLES = (process.env.DEVICE_BINDING_ROLES || '')
+      .split(',')
+      .map(role => role.trim())
+      .filter(Boolean);
+    // Last seen is written at most this often per device
+    this.TOUCH_INTERVAL_MS = 60 * 1000;
+    this.lastTouched = new Map();
+  }
+
+  isDeviceRequired(role) {
+    return this.DEVICE_BINDING_ROLES.includes(role);
+  }
+
+  hashCode(code) {
+    return crypto.createHash('sha256').update(code).digest('hex');
+  }
+
+  /**
+   * New enrollment code, e.g. "7KQ4-M9XD-2RTF". Only its hash is stored.
+   */
+  generateEnrollmentCode() {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    const bytes = crypto.randomBytes(12);
+    const chars = Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
+    const code = chars.match(/.{4}/g).join('-');
+
+    return {
+      code,
+      hash: this.hashCode(code),
+      expires_at: new Date(Date.now() + this.ENROLLMENT_TTL_MINUTES * 60 * 1000)
+    };
+  }
+
+  normalizeCode(code) {
+    const chars = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return (chars.match(/.{1,4}/g) || []).join('-');
+  }
+
+  async assertCheckpointExists(checkpointId) {
+    if (checkpointId === null || checkpointId === undefined) return;
+
+    const checkpoint = await CheckpointsModel.findById(checkpointId);
+    if (!checkpoint) {
+      const error = new Error('Checkpoint not found');
+      error.code = 'CHECKPOINT_NOT_FOUND';
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  /**
+   * Register a device
+   * @param {Object} data - { name, checkpoint_id }
+   * @param {Object} createdBy - Admin user
+   * @returns {Promise<Object>} { device, enrollment_code } - the code is only ever returned here
+   */
+  async createDevice(data, createdBy) {
+    const existing = await DevicesModel.findByName(data.name);
+    if (existing) {
+      const error = new Error('A device with this name already exists');
+      error.code = 'DEVICE_EXISTS';
+      error.statusCode = 409;
+      throw error;
+    }
+
+    await this.assertCheckpointExists(data.checkpoint_id);
+
+    const enrollment = this.generateEnrollmentCode();
+    const device = await DevicesModel.create({
+      name: data.name,
+      checkpoint_id: data.checkpoint_id ?? null,
+      enrollment_code_hash: enrollment.hash,
+      enrollment_expires_at: enrollment.expires_at,
+      created_by: createdBy?.id
+    });
+
+    return { device, enrollment_code: enrollment.code, enrollment_expires_at: enrollment.expires_at };
+  }
+
+  async updateDevice(id, data) {
+    if (data.name !== undefined) {
+      const existing = await DevicesModel.findByName(data.name);
+      if (existing && existing.id !== id) {
+        const error = new Error('A device with this name already exists');
+        error.code = 'DEVICE_EXISTS';
+        error.statusCode = 409;
+        throw error;
+      }
+    }
+
+    await this.assertCheckpointExists(data.checkpoint_id);
+
+    return await DevicesModel.update(id, data);
+  }
+
+  /**
+   * Issue a fresh enrollment code. The device's current token stops working.
+   * @returns {Promise<Object|null>} { device, enrollment_code, event } or null if not found
+   */
+  async regenerateEnrollmentCode(id) {
+    const enrollment = this.generateEnrollmentCode();
+    const updated = await DevicesModel.setEnrollmentCode(id, enrollment.hash, enrollment.expires_at);
+    if (!updated) return null;
+
+    const device = await DevicesModel.findById(id);
+    this.lastTouched.delete(id);
+    await sessionService.revokeDeviceSessions(id, 'device_reenrolled');
+
+    return {
+      device,
+      enrollment_code: enrollment.code,
+      enrollment_expires_at: enrollment.expires_at,
+      event: { type: 'device:revoked', data: { device_id: id, name: device.name } }
+    };
+  }
+
+  /**
+   * Trade an enrollment code for a device token
+   * @param {string} code - Enrollment code shown to the admin
+   * @param {Object} info - { platform, app_version }
+   * @returns {Promise<Object>} { device, device_token }
+   */
+  async enroll(code, info = {}) {
+    const hash = this.hashCode(this.normalizeCode(code));
+    const pending = await DevicesModel.findByEnrollmentCodeHash(hash);
+
+    if (!pending || new Date(pending.enrollment_expires_at) <= new Date()) {
+      const error = new Error('Enrollment code is invalid or has expired');
+      error.code = 'INVALID_ENROLLMENT_CODE';
+      error.statusCode = 401;
+      throw error;
+    }
+
+    // Conditional on the code still being there, so two devices cannot enroll with one code
+    const activated = await DevicesModel.activate(pending.id, hash, info);
+    if (!activated) {
+      const error = new Error('Enrollment code is invalid or has expired');
+      error.code = 'INVALID_ENROLLMENT_CODE';
+      error.statusCode = 401;
+      throw error;
+    }
+
+    const device = await DevicesModel.findById(pending.id);
+    const deviceToken = JWTService.generateDeviceToken({
+      deviceId: device.id,
+      tokenVersion: device.token_version
+    });
+
+    logger.info(`Device enrolled: ${device.name} (ID: ${device.id})`);
+    return { device, device_token: deviceToken };
+  }
+
+  /**
+   * Check a device token presented at login
+   * @returns {Promise<Object>} Active device
+   */
+  async verifyDeviceToken(token) {
+    let decoded;
+    try {
+      decoded = JWTService.verifyDeviceToken(token);
+    } catch (jwtError) {
+      const error = new Error('Invalid device token');
+      error.code = 'DEVICE_TOKEN_INVALID';
+      error.statusCode = 401;
+      throw error;
+    }
+
+    return await this.validateBoundDevice(decoded.deviceId, decoded.tokenVersion);
+  }
+
+  /**
+   * Check that a device a credential is bound to is still trusted
+   * @param {number} deviceId - Device ID from the token
+   * @param {number} tokenVersion - Device token version from the token
+   * @returns {Promise<Object>} { id, name, status, checkpoint_id, token_version }
+   */
+  async validateBoundDevice(deviceId, tokenVersion) {
+    const device = await DevicesModel.findStatus(deviceId);
+
+    if (!device) {
+      const error = new Error('Device is not registered');
+      error.code = 'DEVICE_REVOKED';
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (device.status === 'disabled') {
+      const error = new Error('This device has been disabled by Admin');
+      error.code = 'DEVICE_DISABLED';
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (device.status !== 'active' || device.token_version !== tokenVersion) {
+      const error = new Error('Device credential has been revoked');
+      error.code = 'DEVICE_REVOKED';
+      error.statusCode = 403;
+      throw error;
+    }
+
+    return device;
+  }
+
+  /**
+   * Update last seen / app version, throttled per device. Never throws.
+   */
+  async touch(deviceId, { app_version, ip, user_id } = {}) {
+    const now = Date.now();
+    const last = this.lastTouched.get(deviceId);
+    if (last && now - last.at < this.TOUCH_INTERVAL_MS && last.app_version === app_version) {
+      return;
+    }
+    this.lastTouched.set(deviceId, { at: now, app_version });
+
+    try {
+      await DevicesModel.touch(deviceId, { app_version, ip, user_id });
+    } catch (error) {
+      logger.warn(`Failed to update last seen of device ${deviceId}:`, error.message);
+    }
+  }
+
+  /**
+   * Remotely disable a device. Sessions bound to it are rejected on their next request.
+   * @returns {Promise<Object|null>} { device, event } or null if not found
+   */
+  async disableDevice(id, disabledBy, reason = null) {
+    const device = await DevicesModel.findById(id);
+    if (!device) return null;
+
+    if (device.status === 'disabled') {
+      const error = new Error('Device is already disabled');
+      error.code = 'DEVICE_ALREADY_DISABLED';
+      error.statusCode = 400;
+      throw error;
+    }
+
+    await DevicesModel.disable(id, disabledBy?.id, reason);
+    this.lastTouched.delete(id);
+    await sessionService.revokeDeviceSessions(id, 'device_disabled', disabledBy?.id);
+
+    logger.info(`Device disabled: ${device.name} (ID: ${id}) by ${disabledBy?.username}`);
+    return {
+      device: await DevicesModel.findById(id),
+      event: {
+        type: 'device:disabled',
+        data: { device_id: id, name: device.name, reason, disabled_by: disabledBy?.username }
+      }
+    };
+  }
+
+  /**
+   * Re-enable a disabled device. It gets a new enrollment code and has to enroll again.
+   * @returns {Promise<Object|null>} { device, enrollment_code, event } or null if not found
+   */
+  async enableDevice(id) {
+    const device = await DevicesModel.findById(id);
+    if (!device) return null;
+
+    if (device.status !== 'disabled') {
+      const error = new Error('Device is not disabled');
+      error.code = 'DEVICE_NOT_DISABLED';
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const enrollment = this.generateEnrollmentCode();
+    await DevicesModel.enable(id, enrollment.hash, enrollment.expires_at);
+
+    return {
+      device: await DevicesModel.findById(id),
+      enrollment_code: enrollment.code,
+      enrollment_expires_at: enrollment.expires_at,
+      event: { type: 'device:enabled', data: { device_id: id, name: device.name } }
+    };
+  }
+}
+
+module.exports = new DeviceService();
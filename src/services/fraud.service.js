@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const PassModel = require('../models/pass.model');
+const SettingsModel = require('../models/settings.model');
+const FraudAlertsModel = require('../models/fraud-alerts.model');
+const redisService = require('./redis.service');
+const passService = require('./pass.service');
+const { emitFraudAlert } = require('../sockets/notifications.socket');
+const logger = require('../utils/logger');
+
+class FraudService {
+  constructor() {
+    this.SETTINGS_CACHE_TTL_MS = 30 * 1000;
+    // Auto-block counts clone alerts for a pass over this window
+    this.AUTO_BLOCK_WINDOW_SECONDS = 24 * 60 * 60;
+    this.settingsCache = null;
+    this.settingsLoadedAt = 0;
+  }
+
+  async getSettings() {
+    if (this.settingsCache && Date.now() - this.settingsLoadedAt < this.SETTINGS_CACHE_TTL_MS) {
+      return this.settingsCache;
+    }
+
+    this.settingsCache = await SettingsModel.getFraudSettings();
+    this.settingsLoadedAt = Date.now();
+    return this.settingsCache;
+  }
+
+  invalidateSettings() {
+    this.settingsCache = null;
+    this.settingsLoadedAt = 0;
+  }
+
+  /**
+   * Feed a logged scan into the detectors. Called from logVerification without
+   * awaiting, so detection never slows down or fails a scan.
+   * @param {Object} scan - { uid, pass_id, result, scanned_by (user, with device_id), checkpoint_id, zone_id }
+   * @returns {Promise<Array>} Alerts raised for this scan
+   */
+  async analyze(scan) {
+    const settings = await this.getSettings();
+    if (!settings.enabled || !scan.uid || !scan.scanned_by?.id) {
+      return [];
+    }
+
+    const alerts = [];
+
+    const cloneAlert = await this.detectClone(scan, settings);
+    if (cloneAlert) {
+      alerts.push(cloneAlert);
+    }
+
+    if (scan.result === 'invalid') {
+      const burstAlert = await this.detectInvalidBurst(scan, settings);
+      if (burstAlert) {
+        alerts.push(burstAlert);
+      }
+    }
+
+    return alerts;
+  }
+
+  /**
+   * Scanner a scan came from: the enrolled device, or the scanning user for sessions
+   * without one. Several users may share a device and one user may switch devices.
+   */
+  getScannerKey(scannedBy) {
+    return scannedBy.device_id ? `device-${scannedBy.device_id}` : `user-${scannedBy.id}`;
+  }
+
+  /**
+   * The same UID presented at two or more devices within the clone window
+   */
+  async detectClone(scan, settings) {
+    const scannerKey = this.getScannerKey(scan.scanned_by);
+    const window = settings.clone_window_seconds;
+    const member = `${scannerKey}:${Date.now()}:${crypto.randomBytes(3).toString('hex')}`;
+
+    const members = await redisService.recordFraudWindowEvent(`uid:${scan.uid}`, member, window);
+    const devices = [...new Set(members.map(entry => entry.split(':')[0]))];
+    if (devices.length < 2) {
+      return null;
+    }
+
+    if (!await redisService.claimFraudCooldown(`clone_suspected:${scan.uid}`, window)) {
+      return null;
+    }
+
+    const alert = await this.raise({
+      alert_type: 'clone_suspected',
+      severity: 'high',
+      uid: scan.uid,
+      pass_id: scan.pass_id || null,
+      scanned_by: scan.scanned_by.id,
+      checkpoint_id: scan.checkpoint_id || null,
+      details: {
+        devices,
+        device_id: scan.scanned_by.device_id || null,
+        window_seconds: window,
+        scans_in_window: members.length,
+        last_result: scan.result,
+        zone_id: scan.zone_id || null
+      }
+    });
+
+    if (settings.auto_block_enabled && scan.pass_id) {
+      await this.applyAutoBlock(alert, settings);
+    }
+
+    return alert;
+  }
+
+  /**
+   * Many invalid scans from one device within the window (tag brute forcing)
+   */
+  async detectInvalidBurst(scan, settings) {
+    const scannerKey = this.getScannerKey(scan.scanned_by);
+    const window = settings.invalid_scan_window_seconds;
+    const member = `${Date.now()}:${scan.uid}:${crypto.randomBytes(3).toString('hex')}`;
+
+    const members = await redisService.recordFraudWindowEvent(`scanner:${scannerKey}:invalid`, member, window);
+    if (members.length < settings.invalid_scan_threshold) {
+      return null;
+    }
+
+    if (!await redisService.claimFraudCooldown(`invalid_scan_burst:${scannerKey}`, window)) {
+      return null;
+    }
+
+    const uids = [...new Set(members.map(entry => entry.split(':')[1]))];
+
+    return this.raise({
+      alert_type: 'invalid_scan_burst',
+      severity: 'medium',
+      uid: null,
+      pass_id: null,
+      scanned_by: scan.scanned_by.id,
+      checkpoint_id: scan.checkpoint_id || null,
+      details: {
+        device_id: scan.scanned_by.device_id || null,
+        invalid_scans: members.length,
+        distinct_uids: uids.length,
+        sample_uids: uids.slice(0, 10),
+        threshold: settings.invalid_scan_threshold,
+        window_seconds: window,
+        zone_id: scan.zone_id || null
+      }
+    });
+  }
+
+  async raise(alertData) {
+    const alert = await FraudAlertsModel.create(alertData);
+
+    const io = require('../server').io;
+    if (io) {
+      emitFraudAlert(io, alert);
+    }
+
+    return alert;
+  }
+
+  /**
+   * Block the pass once it has raised the configured number of clone alerts
+   */
+  async applyAutoBlock(alert, settings) {
+    try {
+      const count = await redisService.incrementFraudAlertCount(`pass:${alert.pass_id}`, this.AUTO_BLOCK_WINDOW_SECONDS);
+      if (count < settings.auto_block_alert_threshold) {
+        return;
+      }
+
+      const pass = await PassModel.findByPassId(alert.pass_id);
+      if (!pass || pass.status !== 'active') {
+        return;
+      }
+
+      const result = await passService.blockPass(pass.id, null);
+      await FraudAlertsModel.setActionTaken(alert.id, 'pass_blocked');
+      alert.action_taken = 'pass_blocked';
+
+      const io = require('../server').io;
+      if (io) {
+        io.emit(result.event.type, { ...result.event.data, reason: 'fraud_alert', alert_id: alert.id });
+      }
+
+      logger.warn(`Pass auto-blocked after fraud alert ${alert.id}: UID=${pass.uid}`);
+    } catch (error) {
+      logger.error('Error auto-blocking pass for fraud alert:', error);
+    }
+  }
+}
+
+module.exports = new FraudService();
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const redisService = require('./redis.service');
+const logger = require('../utils/logger');
+
+class IdempotencyService {
+  constructor() {
+    this.RETENTION_SECONDS = parseInt(process.env.IDEMPOTENCY_TTL_SECONDS) || 24 * 60 * 60;
+    // A claim that is never completed (e.g. the process died) expires after this
+    this.IN_PROGRESS_TTL_SECONDS = 30;
+  }
+
+  fingerprint(request) {
+    return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+  }
+
+  /**
+   * Identity that device-chosen keys are unique within: the enrolled device the request
+   * came from, or the scanning user for sessions without a device
+   * @param {Object} user - Authenticated user (req.user)
+   * @param {number} scannedBy - Scanning user ID
+   * @returns {string} Scanner identity
+   */
+  getScannerId(user, scannedBy) {
+    return user && user.device_id ? `device:${user.device_id}` : `user:${scannedBy}`;
+  }
+
+  /**
+   * Start an idempotent request
+   * @param {string} scope - Endpoint scope (e.g. verify, consume_prompt)
+   * @param {string} deviceId - Scanner identity from getScannerId()
+   * @param {string|null} requestKey - Device-chosen key such as device_local_id
+   * @param {Object} request - Request fields that must match on retries
+   * @returns {Promise<Object>} Ticket { state: new|replay|in_progress|mismatch|untracked, ... }
+   */
+  async begin(scope, deviceId, requestKey, request) {
+    if (!requestKey) {
+      return { state: 'untracked' };
+    }
+
+    const key = `${scope}:${deviceId}:${requestKey}`;
+    const fingerprint = this.fingerprint(request);
+
+    try {
+      const claimed = await redisService.claimIdempotencyKey(key, { status: 'in_progress', fingerprint }, this.IN_PROGRESS_TTL_SECONDS);
+      if (claimed) {
+        return { state: 'new', key, fingerprint };
+      }
+
+      const record = await redisService.getIdempotencyRecord(key);
+      if (!record) {
+        // Expired between the two calls; claim it again
+        const reclaimed = await redisService.claimIdempotencyKey(key, { status: 'in_progress', fingerprint }, this.IN_PROGRESS_TTL_SECONDS);
+        return reclaimed ? { state: 'new', key, fingerprint } : { state: 'in_progress', key };
+      }
+
+      if (record.fingerprint !== fingerprint) {
+        return { state: 'mismatch', key };
+      }
+
+      if (record.status === 'in_progress') {
+        return { state: 'in_progress', key };
+      }
+
+      logger.info(`Idempotent replay for ${scope} request ${requestKey} from device ${deviceId}`);
+      return {
+        state: 'replay',
+        key,
+        status_code: record.status_code,
+        body: record.body
+      };
+    } catch (error) {
+      // Without Redis requests are processed normally (retries are not deduplicated)
+      logger.warn('Idempotency store unavailable, processing request without it:', error.message);
+      return { state: 'untracked' };
+    }
+  }
+
+  /**
+   * Store the response of a request started with begin() for the retention window
+   */
+  async complete(ticket, statusCode, body) {
+    if (ticket.state !== 'new') {
+      return;
+    }
+
+    try {
+      await redisService.setIdempotencyRecord(ticket.key, {
+        status: 'done',
+        fingerprint: ticket.fingerprint,
+        status_code: statusCode,
+        body,
+        completed_at: new Date().toISOString()
+      }, this.RETENTION_SECONDS);
+    } catch (error) {
+      logger.warn('Failed to store idempotent response:', error.message);
+    }
+  }
+
+  /**
+   * Forget a request that failed so the device can retry it for real
+   */
+  async release(ticket) {
+    if (ticket.state !== 'new') {
+      return;
+    }
+
+    try {
+      await redisService.deleteIdempotencyRecord(ticket.key);
+    } catch (error) {
+      logger.warn('Failed to release idempotency key:', error.message);
+    }
+  }
+
+  /**
+   * Response for tickets that must not be processed, or null to continue
+   * @returns {Object|null} { status_code, body }
+   */
+  getShortCircuit(ticket) {
+    switch (ticket.state) {
+      case 'replay':
+        return { status_code: ticket.status_code, body: { ...ticket.body, idempotent_replay: true } };
+      case 'in_progress':
+        return {
+          status_code: 409,
+          body: {
+            error: 'A request with this device_local_id is still being processed',
+            code: 'REQUEST_IN_PROGRESS'
+          }
+        };
+      case 'mismatch':
+        return {
+          status_code: 422,
+          body: {
+            error: 'device_local_id was already used for a different request',
+            code: 'IDEMPOTENCY_KEY_MISMATCH'
+          }
+        };
+      default:
+        return null;
+    }
+  }
+}
+
+module.exports = new IdempotencyService();
@@ -143,6 +143,85 @@ class LoggingService {
     }
   }
 
+  /**
+   * Two-factor authentication audit events
+   * @param {Object} user - User the event is about
+   * @param {Object} req - Request
+   * @param {string} event - 'enrolled', 'disabled', 'success' or 'failed'
+   * @param {Object} details - method, reason, reset_by, ...
+   */
+  static async logTwoFactor(user, req, event, details = {}) {
+    const { ip_address, user_agent } = this.extractRequestInfo(req);
+    const failed = event === 'failed';
+
+    try {
+      const logId = await LogsModel.createLog({
+        action_type: `two_factor_${event}`,
+        user_id: user.id,
+        role: user.role,
+        ip_address,
+        user_agent,
+        details: {
+          username: user.username,
+          event_time: new Date().toISOString(),
+          ...details
+        },
+        result: failed ? 'failure' : 'success',
+        error_message: failed ? details.reason || 'Two-factor verification failed' : null
+      });
+
+      // Emit real-time update
+      if (logId) {
+        await this.emitNewSystemLog({ id: logId });
+      }
+
+      return logId;
+    } catch (error) {
+      logger.error('Failed to log two-factor event:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Log a login lockout being applied or lifted
+   * @param {Object} user - Locked user ({ id: null, username } for unknown usernames)
+   * @param {Object} req - Request
+   * @param {string} event - 'locked' or 'unlocked'
+   * @param {Object} details - retry_after, lockouts, unlocked_by, ...
+   */
+  static async logAccountLockout(user, req, event, details = {}) {
+    const { ip_address, user_agent } = this.extractRequestInfo(req);
+    const locked = event === 'locked';
+
+    try {
+      const logId = await LogsModel.createLog({
+        action_type: `account_${event}`,
+        user_id: locked ? user.id : req.user.id,
+        role: locked ? user.role : req.user.role,
+        target_user_id: locked ? null : user.id,
+        ip_address,
+        user_agent,
+        details: {
+          username: user.username,
+          event_time: new Date().toISOString(),
+          ...details
+        },
+        result: locked ? 'failure' : 'success',
+        error_message: locked ? 'Too many failed login attempts' : null
+      });
+
+      // Emit real-time update
+      if (logId) {
+        await this.emitNewSystemLog({ id: logId });
+      }
+
+      return logId;
+    } catch (error) {
+      logger.error('Failed to log account lockout:', error);
+      return null;
+    }
+  }
+
   // Pass Management Logs
   static async logCreatePass(pass, createdBy, req) {
     const { ip_address, user_agent } = this.extractRequestInfo(req);
@@ -396,6 +475,46 @@ class LoggingService {
     }
   }
 
+  static async logChangePassCategory(pass, previous, changedBy, req, options = {}) {
+    const { ip_address, user_agent } = this.extractRequestInfo(req);
+
+    try {
+      const logId = await LogsModel.createLog({
+        action_type: 'change_pass_category',
+        user_id: changedBy.id,
+        role: changedBy.role,
+        pass_id: pass.pass_id,
+        uid: pass.uid,
+        ip_address,
+        user_agent,
+        details: {
+          pass_type: pass.pass_type,
+          old_category: previous.category,
+          new_category: pass.category,
+          usage: options.usage || 'keep',
+          previous_max_uses: previous.max_uses,
+          previous_used_count: previous.used_count,
+          max_uses: pass.max_uses,
+          used_count: pass.used_count,
+          reason: options.reason || null,
+          changed_by_username: changedBy.username,
+          change_time: new Date().toISOString()
+        },
+        result: 'success'
+      });
+
+      // Emit real-time update
+      if (logId) {
+        await this.emitNewSystemLog({ id: logId });
+      }
+
+      return logId;
+    } catch (error) {
+      logger.error('Failed to log pass category change:', error);
+      return null;
+    }
+  }
+
   static async logResetDailyPasses(resetResult, resetBy, req) {
     const { ip_address, user_agent } = this.extractRequestInfo(req);
     
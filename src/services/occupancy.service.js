@@ -0,0 +1,112 @@
+const ZonesModel = require('../models/zones.model');
+const redisService = require('./redis.service');
+const { emitOccupancyUpdate } = require('../sockets/notifications.socket');
+const logger = require('../utils/logger');
+
+class OccupancyService {
+  /**
+   * Number of people a scan lets in: the prompt consume_count when given,
+   * otherwise the pass people_allowed
+   */
+  getHeadcount(pass, consumeCount = null) {
+    const headcount = parseInt(consumeCount || pass?.people_allowed) || 1;
+    return Math.max(1, headcount);
+  }
+
+  /**
+   * Count an entry against the zone, category and venue totals
+   * @param {string} uid - Pass UID
+   * @param {Object} entry - { zone_id, category, headcount }
+   * @param {number|null} capacity - Zone capacity (null for unlimited)
+   * @returns {Promise<Object>} { allowed, zone_count, capacity }
+   */
+  async recordEntry(uid, entry, capacity = null) {
+    try {
+      const result = await redisService.incrementOccupancy(uid, entry, capacity);
+
+      if (result.allowed) {
+        logger.debug(`Occupancy entry: UID=${uid}, Zone=${entry.zone_id || 'none'}, People=${entry.headcount}`);
+        this.broadcast();
+      } else {
+        logger.info(`Zone ${entry.zone_id} at capacity (${result.zone_count}/${capacity}), entry refused for UID=${uid}`);
+      }
+
+      return { ...result, capacity: capacity || null };
+    } catch (error) {
+      // Counters live in Redis only; without Redis capacity cannot be enforced
+      logger.warn('Occupancy tracking unavailable, allowing entry:', error.message);
+      return { allowed: true, zone_count: null, capacity: capacity || null };
+    }
+  }
+
+  /**
+   * Remove people recorded against a pass
+   * @param {string} uid - Pass UID
+   * @param {number} headcount - People leaving (0 for everyone on the pass)
+   * @returns {Promise<number>} Number of people removed
+   */
+  async recordExit(uid, headcount = 0) {
+    try {
+      const removed = await redisService.decrementOccupancy(uid, headcount);
+
+      if (removed > 0) {
+        logger.debug(`Occupancy exit: UID=${uid}, People=${removed}`);
+        this.broadcast();
+      }
+
+      return removed;
+    } catch (error) {
+      logger.warn('Occupancy tracking unavailable, exit not counted:', error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Current occupancy per zone (with capacity) and per category
+   * @returns {Promise<Object>} Occupancy snapshot
+   */
+  async getSnapshot() {
+    const counters = await redisService.getOccupancyCounters();
+    const zones = await ZonesModel.findAll();
+
+    const zoneOccupancy = zones.map(zone => {
+      const current = counters.zones[zone.id] || 0;
+      return {
+        zone_id: zone.id,
+        zone_name: zone.name,
+        status: zone.status,
+        current,
+        capacity: zone.capacity,
+        available: zone.capacity ? Math.max(0, zone.capacity - current) : null,
+        is_full: !!zone.capacity && current >= zone.capacity
+      };
+    });
+
+    return {
+      total: counters.total,
+      zones: zoneOccupancy,
+      categories: counters.categories
+    };
+  }
+
+  async reset() {
+    await redisService.resetOccupancy();
+    this.broadcast();
+  }
+
+  /**
+   * Push the latest counters to dashboards. Fire-and-forget so scans never wait on it.
+   */
+  broadcast() {
+    const io = require('../server').io;
+    if (!io) {
+      return;
+    }
+
+    this.getSnapshot()
+      .then(snapshot => emitOccupancyUpdate(io, snapshot))
+      .catch(error => logger.warn('Failed to broadcast occupancy update:', error.message));
+  }
+}
+
+module.exports = new OccupancyService();
@@ -0,0 +1,140 @@
+const PassModel = require('../models/pass.model');
+const redisService = require('./redis.service');
+const signingService = require('./signing.service');
+const permissionService = require('./permission.service');
+const logger = require('../utils/logger');
+const { getCurrentDateTime } = require('../utils/validators');
+
+const BUNDLE_FORMAT = 1;
+
+// Column order of each pass row in a bundle; rows are arrays to keep bundles small
+const PASS_FIELDS = ['uid', 'pass_id', 'category', 'pass_type', 'people_allowed', 'max_uses', 'status', 'valid_from', 'valid_to'];
+
+class OfflineService {
+  constructor() {
+    this.PASS_FIELDS = PASS_FIELDS;
+    this.MAX_DELTA_CHANGES = parseInt(process.env.OFFLINE_DELTA_LIMIT) || 1000;
+  }
+
+  /**
+   * Category a device may download: users without verify.any_scope are limited to
+   * their assigned category, others may ask for one (or get everything)
+   * @param {Object} user - Authenticated user (req.user, with permissions)
+   */
+  resolveCategory(user, requestedCategory = null) {
+    if (!permissionService.hasPermission(user.permissions || [], 'verify.any_scope')) {
+      return user.assigned_category || null;
+    }
+    return requestedCategory || null;
+  }
+
+  toRow(uid, passInfo) {
+    return PASS_FIELDS.map(field => (field === 'uid' ? uid : passInfo[field] ?? null));
+  }
+
+  /**
+   * Full signed snapshot of active and blocked passes
+   * @param {string|null} category - Only include passes of this category
+   * @returns {Promise<Object>} { bundle, signature }
+   */
+  async getBundle(category = null) {
+    const snapshot = await redisService.getOfflineSnapshot();
+
+    const active = Object.entries(snapshot.active)
+      .filter(([, passInfo]) => !category || passInfo.category === category)
+      .map(([uid, passInfo]) => this.toRow(uid, passInfo));
+
+    let blocked = snapshot.blocked;
+    if (category && blocked.length > 0) {
+      // The blocked set only holds UIDs, so look up their categories
+      const categories = await PassModel.getCategoriesByUids(blocked);
+      blocked = blocked.filter(uid => categories[uid] === category);
+    }
+
+    // Resolved first so a newly created bundle key is among the published keys
+    const signingKey = await signingService.getBundleSigningKey();
+
+    const bundle = {
+      format: BUNDLE_FORMAT,
+      version: snapshot.version,
+      generated_at: getCurrentDateTime(),
+      category,
+      fields: PASS_FIELDS,
+      active,
+      blocked,
+      verification_keys: await signingService.getVerificationKeys()
+    };
+
+    logger.info(`Offline bundle generated: version=${bundle.version}, category=${category || 'all'}, active=${active.length}, blocked=${blocked.length}`);
+
+    return {
+      bundle,
+      signature: await signingService.signData(bundle, signingKey)
+    };
+  }
+
+  /**
+   * Signed list of changes made after the version a device already holds
+   * @param {number} since - Version (sequence number) held by the device
+   * @param {string|null} category - Only include changes for this category
+   * @returns {Promise<Object>} { delta, signature }
+   */
+  async getDelta(since, category = null) {
+    const feed = await redisService.getPassChanges(since, this.MAX_DELTA_CHANGES);
+
+    // Changes the device missed were trimmed from the feed (or the caches were
+    // rebuilt), or the device holds a version this server never issued
+    const fullResyncRequired = since < feed.floor || since > feed.version;
+
+    const changes = [];
+    if (!fullResyncRequired) {
+      feed.changes.forEach(change => {
+        const entry = this.toDeltaEntry(change, category);
+        if (entry) {
+          changes.push(entry);
+        }
+      });
+    }
+
+    const hasMore = !fullResyncRequired && feed.changes.length === this.MAX_DELTA_CHANGES;
+    const lastSeq = feed.changes.length > 0 ? feed.changes[feed.changes.length - 1].seq : since;
+
+    const delta = {
+      format: BUNDLE_FORMAT,
+      since,
+      version: fullResyncRequired ? feed.version : (hasMore ? lastSeq : Math.max(lastSeq, feed.version)),
+      full_resync_required: fullResyncRequired,
+      has_more: hasMore,
+      generated_at: getCurrentDateTime(),
+      category,
+      fields: PASS_FIELDS,
+      changes
+    };
+
+    return {
+      delta,
+      signature: await signingService.signData(delta)
+    };
+  }
+
+  /**
+   * Shape a feed change for a device. A pass that moved out of the device's
+   * category is sent as a removal.
+   */
+  toDeltaEntry(change, category) {
+    if (category && change.category && change.category !== category && change.previous_category !== category) {
+      return null;
+    }
+
+    if (change.op === 'upsert') {
+      if (category && change.category !== category) {
+        return { seq: change.seq, op: 'remove', uid: change.uid };
+      }
+      return { seq: change.seq, op: 'upsert', uid: change.uid, pass: this.toRow(change.uid, change.pass) };
+    }
+
+    return { seq: change.seq, op: change.op, uid: change.uid };
+  }
+}
+
+module.exports = new OfflineService();
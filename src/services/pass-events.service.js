@@ -0,0 +1,216 @@
+const moment = require('moment');
+const PassModel = require('../models/pass.model');
+const PassEventsModel = require('../models/pass-events.model');
+const usageService = require('./usage.service');
+const logger = require('../utils/logger');
+
+// Pass fields a replay of the events rebuilds
+const STATE_FIELDS = [
+  'uid', 'category', 'pass_type', 'people_allowed', 'max_uses', 'used_count',
+  'status', 'valid_from', 'valid_to'
+];
+
+const DATE_FIELDS = ['valid_from', 'valid_to'];
+
+/**
+ * Per-pass history of lifecycle changes (pass_events). Recording is best effort:
+ * a failure to write an event is logged and never fails the change itself.
+ */
+class PassEventsService {
+  /**
+   * @param {string} type - One of PassEventsModel.EVENT_TYPES
+   * @param {Object} pass - Pass the event is about (id, pass_id, uid)
+   * @param {Object|number|null} actor - User (or user ID) behind the change
+   * @param {Object} data - State the event changed
+   * @param {Object} options - { device_id (enrolled device), occurred_at, uid }
+   * @returns {Promise<number|null>} Event ID, or null if it could not be recorded
+   */
+  async record(type, pass, actor, data = {}, options = {}) {
+    try {
+      const { id: actorId, role: actorRole } = this.describeActor(actor);
+
+      return await PassEventsModel.create({
+        pass_db_id: pass.id,
+        pass_id: pass.pass_id,
+        uid: options.uid || pass.uid,
+        event_type: type,
+        actor_id: actorId,
+        actor_role: actorRole,
+        device_id: options.device_id || null,
+        data,
+        occurred_at: options.occurred_at || null
+      });
+    } catch (error) {
+      logger.warn(`Failed to record ${type} event for pass ${pass?.id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record 'created' events for passes that were just inserted
+   * @param {string[]} passIds - Pass UUIDs
+   * @param {Object|number|null} actor - Creating user (or user ID)
+   */
+  async recordCreated(passIds, actor) {
+    try {
+      return await PassEventsModel.createForNewPasses(passIds, this.describeActor(actor));
+    } catch (error) {
+      logger.warn(`Failed to record created events for ${passIds.length} passes:`, error.message);
+      return 0;
+    }
+  }
+
+  describeActor(actor) {
+    if (actor && typeof actor === 'object') {
+      return { id: actor.id ?? null, role: actor.role ?? null };
+    }
+    return { id: actor ?? null, role: null };
+  }
+
+  /**
+   * Timeline of a pass, newest first
+   * @param {number} passId - Pass database ID
+   * @param {Object} pagination - { page, limit, offset }
+   * @param {string[]|null} types - Only these event types
+   * @returns {Promise<Object>} { pass, events, total }
+   */
+  async getTimeline(passId, pagination, types = null) {
+    const pass = await PassModel.findByIdIncludingDeleted(passId);
+    if (!pass) {
+      throw new Error('Pass not found');
+    }
+
+    const { events, total } = await PassEventsModel.findByPass(passId, {
+      types,
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    return {
+      pass: { id: pass.id, pass_id: pass.pass_id, uid: pass.uid, status: pass.status },
+      events,
+      total
+    };
+  }
+
+  /**
+   * Replay the events of a pass and compare the result with the stored pass
+   * @param {number} passId - Pass database ID
+   * @returns {Promise<Object>} { pass_id, rebuilt, current, consistent, differences, events_applied, events_skipped }
+   */
+  async rebuildState(passId) {
+    // Uses still queued by the fast path are not in passes.used_count yet
+    try {
+      await usageService.flush();
+    } catch (flushError) {
+      logger.warn('Could not flush queued uses before rebuilding pass state:', flushError.message);
+    }
+
+    const pass = await PassModel.findByIdIncludingDeleted(passId);
+    if (!pass) {
+      throw new Error('Pass not found');
+    }
+
+    const events = await PassEventsModel.findAllByPassForReplay(passId);
+
+    let state = null;
+    let skipped = 0;
+    for (const event of events) {
+      const next = this.applyEvent(state, event);
+      if (next === state) {
+        skipped++;
+      }
+      state = next;
+    }
+
+    const current = this.pickState(pass);
+    const differences = state
+      ? STATE_FIELDS
+        .filter(field => this.normalizeField(field, state[field]) !== this.normalizeField(field, current[field]))
+        .map(field => ({ field, rebuilt: state[field] ?? null, current: current[field] ?? null }))
+      : STATE_FIELDS.map(field => ({ field, rebuilt: null, current: current[field] ?? null }));
+
+    return {
+      pass_id: pass.id,
+      rebuilt: state,
+      current,
+      consistent: differences.length === 0,
+      differences,
+      events_applied: events.length - skipped,
+      events_skipped: skipped
+    };
+  }
+
+  /**
+   * Apply one event to a rebuilt pass state
+   * @param {Object|null} state - State before the event (null before 'created')
+   * @param {Object} event - Event with parsed data
+   * @returns {Object|null} New state (the same object if the event does not apply)
+   */
+  applyEvent(state, event) {
+    const data = event.data || {};
+
+    if (event.event_type === 'created') {
+      return {
+        ...this.pickState(data),
+        uid: event.uid,
+        used_count: data.used_count ?? 0,
+        status: data.status || 'active'
+      };
+    }
+
+    // Nothing to apply events to until the pass was created
+    if (!state) {
+      return state;
+    }
+
+    switch (event.event_type) {
+      case 'verified':
+      case 'prompt_consumed':
+        return { ...state, used_count: state.used_count + (parseInt(data.consumed_count) || 0) };
+      case 'blocked':
+        return { ...state, status: 'blocked' };
+      case 'unblocked':
+        return { ...state, status: 'active' };
+      case 'reset':
+        return { ...state, used_count: data.used_count ?? 0, status: data.status || state.status };
+      case 'category_changed':
+        return {
+          ...state,
+          category: data.new_category,
+          max_uses: data.max_uses ?? state.max_uses,
+          used_count: data.used_count ?? state.used_count
+        };
+      case 'uid_replaced':
+        return { ...state, uid: data.new_uid };
+      case 'expired':
+        return { ...state, status: 'expired' };
+      case 'deleted':
+        return { ...state, status: 'deleted' };
+      default:
+        return state;
+    }
+  }
+
+  pickState(source) {
+    const state = {};
+    STATE_FIELDS.forEach(field => {
+      if (source[field] !== undefined) {
+        state[field] = source[field];
+      }
+    });
+    return state;
+  }
+
+  normalizeField(field, value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    if (DATE_FIELDS.includes(field)) {
+      return moment(value).format('YYYY-MM-DD HH:mm:ss');
+    }
+    return String(value);
+  }
+}
+
+module.exports = new PassEventsService();
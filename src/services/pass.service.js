@@ -1,8 +1,16 @@
+const moment = require('moment');
 const PassModel = require('../models/pass.model');
+const PassGroupsModel = require('../models/pass-groups.model');
+const PassHoldersModel = require('../models/pass-holders.model');
+const PassTemplatesModel = require('../models/pass-templates.model');
 const CategoriesModel = require('../models/categories.model');
 const DailyLogsService = require('./daily-logs.service');
-const { executeQuery } = require('../config/db');
+const { executeQuery, executeTransaction } = require('../config/db');
+const PassEventsModel = require('../models/pass-events.model');
 const redisService = require('./redis.service');
+const usageService = require('./usage.service');
+const signingService = require('./signing.service');
+const passEventsService = require('./pass-events.service');
 const logger = require('../utils/logger');
 const { formatDateForDB } = require('../utils/validators');
 
@@ -52,12 +60,19 @@ class PassService {
         throw error;
       }
 
+      if (await PassGroupsModel.isMemberUid(passData.uid) || await PassModel.findUidReplacement(passData.uid)) {
+        const error = new Error(`UID ${passData.uid} is already in use`);
+        error.code = 'DUPLICATE_UID';
+        error.statusCode = 409;
+        throw error;
+      }
+
       // Check Redis cache for stale data and clean if necessary
       const cachedPass = await redisService.getActivePass(passData.uid);
       if (cachedPass) {
         logger.warn(`Found stale cache data for UID ${passData.uid}, removing...`);
         await redisService.removeActivePass(passData.uid);
-        await redisService.removeBlockedPass(passData.uid);
+        await redisService.removeBlockedPass(passData.uid, cachedPass.category);
       }
 
       // Format pass data
@@ -70,6 +85,16 @@ class PassService {
 
       // Create pass in database (model will handle duplicate UID errors)
       const newPass = await PassModel.create(formattedData);
+      await passEventsService.recordCreated([newPass.pass_id], createdBy);
+
+      // Sign the pass so the payload can be written to the tag alongside the UID
+      try {
+        const signed = await signingService.issuePayload(newPass);
+        newPass.signed_payload = signed.payload;
+      } catch (signError) {
+        // The payload can be issued later from GET /api/pass/:id/payload
+        logger.error(`Failed to sign payload for UID=${newPass.uid}:`, signError);
+      }
 
       // Add to Redis cache if active
       if (newPass.status === 'active') {
@@ -147,6 +172,11 @@ class PassService {
       const existingChecks = await Promise.all(
         uids.map(uid => PassModel.isUidExists(uid))
       );
+
+      // UIDs of group companion cards and of cards retired by a replacement cannot become passes either
+      const inUseChecks = await Promise.all(
+        uids.map(async uid => await PassGroupsModel.isMemberUid(uid) || Boolean(await PassModel.findUidReplacement(uid)))
+      );
       
       const validPasses = [];
       for (let i = 0; i < passesData.length; i++) {
@@ -156,6 +186,12 @@ class PassService {
             uid: passesData[i].uid,
             error: 'UID already exists'
           });
+        } else if (inUseChecks[i]) {
+          results.duplicates++;
+          results.errors.push({
+            uid: passesData[i].uid,
+            error: 'UID is already in use'
+          });
         } else {
           validPasses.push({
             ...passesData[i],
@@ -168,6 +204,7 @@ class PassService {
         // Create passes in database
         const createdPasses = await PassModel.createBulk(validPasses);
         results.created = createdPasses.length;
+        await passEventsService.recordCreated(createdPasses.map(created => created.pass_id), createdBy);
 
         // Add active passes to Redis cache
         const activePassPromises = validPasses
@@ -323,10 +360,11 @@ class PassService {
 
       // Soft delete the pass
       const deletedPass = await PassModel.softDelete(passId);
+      await passEventsService.record('deleted', pass, deletedBy, { previous_status: pass.status });
 
       // Remove from Redis caches completely
       await redisService.removeActivePass(pass.uid);
-      await redisService.removeBlockedPass(pass.uid);
+      await redisService.removeBlockedPass(pass.uid, pass.category);
       
       // Also clear any verification locks for this UID
       try {
@@ -356,10 +394,14 @@ class PassService {
 
       // Update pass status to blocked
       const blockedPass = await PassModel.updateStatus(passId, 'blocked');
+      await passEventsService.record('blocked', pass, blockedBy, { previous_status: pass.status });
 
       // Update Redis caches
       await redisService.removeActivePass(pass.uid);
-      await redisService.addBlockedPass(pass.uid);
+      await redisService.addBlockedPass(pass.uid, pass.category);
+      if (pass.group_id) {
+        await this.syncGroupMembersBlocked(pass.group_id, pass.category, true);
+      }
 
       logger.info(`Pass blocked: UID=${pass.uid}, ID=${passId}, BlockedBy=${blockedBy}`);
       return {
@@ -393,10 +435,14 @@ class PassService {
 
       // Update pass status to active
       const unblockedPass = await PassModel.updateStatus(passId, 'active');
+      await passEventsService.record('unblocked', pass, unblockedBy, { previous_status: pass.status });
 
       // Update Redis caches
-      await redisService.removeBlockedPass(pass.uid);
+      await redisService.removeBlockedPass(pass.uid, pass.category);
       await redisService.addActivePass(pass.uid, unblockedPass);
+      if (pass.group_id) {
+        await this.syncGroupMembersBlocked(pass.group_id, pass.category, false);
+      }
 
       logger.info(`Pass unblocked: UID=${pass.uid}, ID=${passId}, UnblockedBy=${unblockedBy}`);
       return {
@@ -455,11 +501,26 @@ class PassService {
         newStatus = 'active';
       }
 
+      // Write uses still queued by the fast path so they are not added back after the reset
+      try {
+        await usageService.flush();
+      } catch (flushError) {
+        logger.warn('Could not flush queued uses before pass reset:', flushError.message);
+      }
+
       // Reset usage counts and update status appropriately
       await PassModel.updateStatus(passId, newStatus);
       const query = 'UPDATE passes SET used_count = 0, updated_at = NOW() WHERE id = ?';
       await executeQuery(query, [passId]);
       resetPass = await PassModel.findById(passId);
+      await redisService.clearPassLastUsed([pass.uid]);
+      await passEventsService.record('reset', pass, resetBy, {
+        previous_status: pass.status,
+        previous_used_count: pass.used_count,
+        status: newStatus,
+        used_count: 0,
+        reason
+      });
 
       // Update Redis cache - only add to active cache if not blocked
       if (newStatus !== 'blocked') {
@@ -491,6 +552,499 @@ class PassService {
     }
   }
 
+  /**
+   * Move a pass to a new card (lost card replacement). used_count, history and
+   * pass_id stay with the pass; the old UID stays blocked for good and is answered
+   * with a 'replaced' status when it is scanned again.
+   * @param {number} passId - Pass database ID
+   * @param {string} newUid - UID of the replacement card
+   * @param {Object} replacedBy - User replacing the card
+   * @param {string|null} reason - Why the card was replaced
+   * @returns {Promise<Object>} { pass, uid_history, event }
+   */
+  async replacePassUid(passId, newUid, replacedBy, reason = null) {
+    try {
+      const pass = await PassModel.findById(passId);
+      if (!pass) {
+        throw new Error('Pass not found');
+      }
+
+      if (pass.uid === newUid) {
+        const error = new Error('The new UID is the current UID of this pass');
+        error.code = 'SAME_UID';
+        error.statusCode = 400;
+        throw error;
+      }
+
+      if (await PassModel.findByUid(newUid) || await PassGroupsModel.isMemberUid(newUid) || await PassModel.findUidReplacement(newUid)) {
+        const error = new Error(`UID ${newUid} is already in use`);
+        error.code = 'DUPLICATE_UID';
+        error.statusCode = 409;
+        throw error;
+      }
+
+      // Write uses still queued by the fast path while the pass has its old UID
+      try {
+        await usageService.flush();
+      } catch (flushError) {
+        logger.warn('Could not flush queued uses before UID replacement:', flushError.message);
+      }
+
+      const updatedPass = await PassModel.replaceUid(pass.id, pass.uid, newUid, replacedBy?.id || null, reason);
+      if (!updatedPass) {
+        const error = new Error('Pass was changed during replacement, try again');
+        error.code = 'REPLACE_CONFLICT';
+        error.statusCode = 409;
+        throw error;
+      }
+      await passEventsService.record('uid_replaced', updatedPass, replacedBy, {
+        old_uid: pass.uid,
+        new_uid: newUid,
+        reason
+      });
+
+      // Retire the old card and serve the pass from the new one
+      await redisService.removeActivePass(pass.uid);
+      await redisService.addBlockedPass(pass.uid, pass.category);
+      if (updatedPass.status === 'active') {
+        await redisService.addActivePass(newUid, updatedPass);
+      } else if (updatedPass.status === 'blocked') {
+        await redisService.addBlockedPass(newUid, updatedPass.category);
+      }
+
+      try {
+        await redisService.moveCardState(pass.uid, newUid);
+      } catch (stateError) {
+        logger.warn(`Failed to move presence/occupancy from ${pass.uid} to ${newUid}:`, stateError.message);
+      }
+
+      // The signed payload names the UID, so the new card needs its own
+      try {
+        const signed = await signingService.issuePayload(updatedPass);
+        updatedPass.signed_payload = signed.payload;
+      } catch (signError) {
+        logger.error(`Failed to sign payload for UID=${newUid}:`, signError);
+      }
+
+      logger.info(`Pass UID replaced: ID=${passId}, ${pass.uid} -> ${newUid}, ReplacedBy=${replacedBy?.id}, Reason=${reason}`);
+      return {
+        pass: updatedPass,
+        uid_history: await PassModel.getUidHistory(pass.id),
+        event: {
+          type: 'pass:uid_replaced',
+          data: {
+            pass_id: pass.pass_id,
+            old_uid: pass.uid,
+            new_uid: newUid,
+            replaced_by: replacedBy?.id || null,
+            timestamp: new Date().toISOString()
+          }
+        }
+      };
+    } catch (error) {
+      logger.error('Error replacing pass UID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a pass to another category (upgrade or downgrade). How the uses already
+   * consumed carry over is chosen with options.usage:
+   * - keep: used_count stays as it is (capped at the new max_uses)
+   * - carry_remaining: the pass keeps the number of uses it had left
+   * - reset: used_count starts again from 0
+   * @param {number} passId - Pass database ID
+   * @param {string} category - New category name
+   * @param {Object} changedBy - User making the change
+   * @param {Object} options - { usage, max_uses, reason }
+   * @returns {Promise<Object>} { pass, previous, event }
+   */
+  async changePassCategory(passId, category, changedBy, options = {}) {
+    try {
+      const { usage = 'keep', reason = null } = options;
+
+      const pass = await PassModel.findById(passId);
+      if (!pass) {
+        throw new Error('Pass not found');
+      }
+
+      const newMaxUses = options.max_uses || pass.max_uses;
+      if (pass.category === category && newMaxUses === pass.max_uses && usage === 'keep') {
+        const error = new Error(`Pass is already in category ${category}`);
+        error.code = 'SAME_CATEGORY';
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const categoryRecord = await CategoriesModel.findByName(category);
+      if (!categoryRecord) {
+        const error = new Error(`Category ${category} does not exist`);
+        error.code = 'CATEGORY_NOT_FOUND';
+        error.statusCode = 400;
+        throw error;
+      }
+
+      // Count uses still queued by the fast path before carrying them over
+      try {
+        await usageService.flush();
+      } catch (flushError) {
+        logger.warn('Could not flush queued uses before category change:', flushError.message);
+      }
+
+      const current = await PassModel.findById(pass.id);
+      const remainingUses = Math.max(0, current.max_uses - current.used_count);
+      const newUsedCount = usage === 'reset' ? 0
+        : usage === 'carry_remaining' ? Math.max(0, newMaxUses - remainingUses)
+        : Math.min(current.used_count, newMaxUses);
+
+      const updatedPass = await PassModel.changeCategory(current.id, current, {
+        category: categoryRecord.name,
+        category_id: categoryRecord.id,
+        max_uses: newMaxUses,
+        used_count: newUsedCount
+      });
+      if (!updatedPass) {
+        const error = new Error('Pass was changed during the category change, try again');
+        error.code = 'CATEGORY_CHANGE_CONFLICT';
+        error.statusCode = 409;
+        throw error;
+      }
+      await passEventsService.record('category_changed', updatedPass, changedBy, {
+        old_category: current.category,
+        new_category: updatedPass.category,
+        usage,
+        previous_max_uses: current.max_uses,
+        previous_used_count: current.used_count,
+        max_uses: updatedPass.max_uses,
+        used_count: updatedPass.used_count,
+        reason
+      });
+
+      // Scanners must see the new category and reseed the used count
+      if (updatedPass.status === 'active') {
+        await redisService.addActivePass(updatedPass.uid, updatedPass);
+      } else {
+        await redisService.invalidatePassUsage(updatedPass.uid);
+      }
+
+      // The signed payload names the category, so the tag needs a new one
+      try {
+        const signed = await signingService.issuePayload(updatedPass);
+        updatedPass.signed_payload = signed.payload;
+      } catch (signError) {
+        logger.error(`Failed to sign payload for UID=${updatedPass.uid}:`, signError);
+      }
+
+      const previous = {
+        category: current.category,
+        max_uses: current.max_uses,
+        used_count: current.used_count
+      };
+
+      logger.info(`Pass category changed: ID=${passId}, ${previous.category} -> ${updatedPass.category}, Usage=${usage}, ChangedBy=${changedBy?.id}, Reason=${reason}`);
+      return {
+        pass: {
+          ...updatedPass,
+          remaining_uses: updatedPass.max_uses - updatedPass.used_count
+        },
+        previous,
+        event: {
+          type: 'pass:category_changed',
+          data: {
+            id: updatedPass.id,
+            uid: updatedPass.uid,
+            pass_id: updatedPass.pass_id,
+            old_category: previous.category,
+            new_category: updatedPass.category,
+            usage,
+            max_uses: updatedPass.max_uses,
+            used_count: updatedPass.used_count,
+            changed_by: changedBy?.id || null,
+            timestamp: new Date().toISOString()
+          }
+        }
+      };
+    } catch (error) {
+      logger.error('Error changing pass category:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Group a parent pass with companion cards. Every card in the group draws from the
+   * parent pass's max_uses/used_count and admits one person per scan.
+   * @param {Object} groupData - { name, parent_pass_id, members: [{ uid, label }] }
+   * @param {Object} createdBy - User creating the group
+   * @returns {Promise<Object>} Group with members
+   */
+  async createGroup(groupData, createdBy) {
+    try {
+      const parent = await PassModel.findById(groupData.parent_pass_id);
+      if (!parent) {
+        throw new Error('Pass not found');
+      }
+
+      if (parent.group_id) {
+        const error = new Error('Pass is already the parent of a group');
+        error.code = 'GROUP_EXISTS';
+        error.statusCode = 409;
+        throw error;
+      }
+
+      // Check every card before inserting anything so a taken UID cannot leave a partial group
+      const members = groupData.members || [];
+      const seen = new Set();
+      for (const member of members) {
+        if (seen.has(member.uid) || await PassModel.findByUid(member.uid) || await PassGroupsModel.isMemberUid(member.uid) || await PassModel.findUidReplacement(member.uid)) {
+          const error = new Error(`UID ${member.uid} is already in use`);
+          error.code = 'DUPLICATE_UID';
+          error.statusCode = 409;
+          throw error;
+        }
+        seen.add(member.uid);
+      }
+
+      const group = await PassGroupsModel.create({
+        name: groupData.name,
+        parent_pass_id: parent.id,
+        created_by: createdBy?.id || null
+      }, members);
+
+      // Cards linked to a blocked parent are blocked from the start
+      if (parent.status === 'blocked') {
+        for (const member of members) {
+          await redisService.addBlockedPass(member.uid, parent.category);
+        }
+      }
+
+      // The cached pass carries group_id so scans of the parent card show the pool
+      if (parent.status === 'active') {
+        await redisService.addActivePass(parent.uid, { ...parent, group_id: group.id });
+      }
+
+      logger.info(`Pass group created: ID=${group.id}, Parent UID=${parent.uid}, CreatedBy=${createdBy?.id}`);
+
+      // Payloads are not stored for companion cards, so hand them out with the new members
+      const createdGroup = await PassGroupsModel.findById(group.id);
+      for (const member of createdGroup.members) {
+        member.signed_payload = await this.signGroupMember(parent, member.uid);
+      }
+      return createdGroup;
+    } catch (error) {
+      logger.error('Error creating pass group:', error);
+      throw error;
+    }
+  }
+
+  async getGroup(groupId) {
+    const group = await PassGroupsModel.findById(groupId);
+    if (!group) {
+      throw new Error('Pass group not found');
+    }
+    return group;
+  }
+
+  /**
+   * Link a companion card to a group. Companion cards have no passes row; the
+   * returned member carries a signed payload for categories that require one.
+   * @param {number} groupId - Group ID
+   * @param {Object} memberData - { uid, label }
+   * @param {Object} createdBy - User linking the card
+   * @returns {Promise<Object>} Member
+   */
+  async addGroupMember(groupId, memberData, createdBy) {
+    try {
+      const group = await this.getGroup(groupId);
+
+      if (await PassModel.findByUid(memberData.uid) || await PassGroupsModel.isMemberUid(memberData.uid) || await PassModel.findUidReplacement(memberData.uid)) {
+        const error = new Error(`UID ${memberData.uid} is already in use`);
+        error.code = 'DUPLICATE_UID';
+        error.statusCode = 409;
+        throw error;
+      }
+
+      const member = await PassGroupsModel.addMember(groupId, {
+        uid: memberData.uid,
+        label: memberData.label,
+        created_by: createdBy?.id || null
+      });
+
+      // A card linked to a blocked group is blocked from the start
+      if (group.parent_status === 'blocked') {
+        await redisService.addBlockedPass(member.uid, group.category);
+      }
+
+      const parent = await PassModel.findById(group.parent_pass_id);
+      member.signed_payload = await this.signGroupMember(parent, member.uid);
+
+      return member;
+    } catch (error) {
+      logger.error('Error adding pass group member:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sign a companion card's payload from its parent pass. Failures are logged and
+   * yield null; the payload can be fetched again via getGroupMemberPayload.
+   */
+  async signGroupMember(parent, uid) {
+    try {
+      const signed = await signingService.signPass({ ...parent, uid });
+      return signed.payload;
+    } catch (signError) {
+      logger.error(`Failed to sign payload for group card UID=${uid}:`, signError);
+      return null;
+    }
+  }
+
+  /**
+   * Re-sign the payload of a companion card from the current parent pass
+   * @param {number} groupId - Group ID
+   * @param {number} memberId - Member ID
+   * @returns {Promise<Object>} { group_id, member_id, uid, payload, kid, algorithm, claims }
+   */
+  async getGroupMemberPayload(groupId, memberId) {
+    try {
+      const group = await this.getGroup(groupId);
+      const member = group.members.find(m => m.id === memberId);
+      if (!member) {
+        throw new Error('Group member not found');
+      }
+
+      const parent = await PassModel.findById(group.parent_pass_id);
+      if (!parent) {
+        throw new Error('Pass not found');
+      }
+
+      const signed = await signingService.signPass({ ...parent, uid: member.uid });
+      return {
+        group_id: group.id,
+        member_id: member.id,
+        uid: member.uid,
+        ...signed
+      };
+    } catch (error) {
+      logger.error('Error getting pass group member payload:', error);
+      throw error;
+    }
+  }
+
+  async removeGroupMember(groupId, memberId) {
+    try {
+      const group = await this.getGroup(groupId);
+      const member = await PassGroupsModel.removeMember(groupId, memberId);
+      if (!member) {
+        throw new Error('Group member not found');
+      }
+
+      await redisService.removeBlockedPass(member.uid, group.category);
+      return member;
+    } catch (error) {
+      logger.error('Error removing pass group member:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Block or unblock a single companion card (e.g. a lost card) without touching the group
+   */
+  async setGroupMemberStatus(groupId, memberId, status) {
+    try {
+      const group = await this.getGroup(groupId);
+      const member = await PassGroupsModel.setMemberStatus(groupId, memberId, status);
+      if (!member) {
+        throw new Error('Group member not found');
+      }
+
+      if (status === 'blocked') {
+        await redisService.addBlockedPass(member.uid, group.category);
+      } else if (group.parent_status !== 'blocked') {
+        await redisService.removeBlockedPass(member.uid, group.category);
+      }
+
+      logger.info(`Pass group card ${status}: UID=${member.uid}, Group=${groupId}`);
+      return member;
+    } catch (error) {
+      logger.error('Error updating pass group member status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mirror the parent's blocked state on the companion cards. Cards blocked on
+   * their own stay blocked when the group is unblocked.
+   */
+  async syncGroupMembersBlocked(groupId, category, blocked) {
+    const members = await PassGroupsModel.getMembers(groupId);
+    for (const member of members) {
+      if (blocked || member.status === 'blocked') {
+        await redisService.addBlockedPass(member.uid, category);
+      } else {
+        await redisService.removeBlockedPass(member.uid, category);
+      }
+    }
+  }
+
+  async blockGroup(groupId, blockedBy) {
+    const group = await this.getGroup(groupId);
+    const result = await this.blockPass(group.parent_pass_id, blockedBy);
+    return this.groupResult(groupId, result.event, 'pass_group:blocked');
+  }
+
+  async unblockGroup(groupId, unblockedBy) {
+    const group = await this.getGroup(groupId);
+    const result = await this.unblockPass(group.parent_pass_id, unblockedBy);
+    return this.groupResult(groupId, result.event, 'pass_group:unblocked');
+  }
+
+  /**
+   * Reset the pooled allowance (the parent pass's used_count)
+   */
+  async resetGroup(groupId, resetBy, reason = null) {
+    const group = await this.getGroup(groupId);
+    const result = await this.resetPass(group.parent_pass_id, resetBy, reason);
+    return this.groupResult(groupId, result.event, 'pass_group:reset');
+  }
+
+  async groupResult(groupId, passEvent, type) {
+    const group = await this.getGroup(groupId);
+    return {
+      group,
+      event: {
+        type,
+        data: {
+          ...passEvent.data,
+          group_id: group.id,
+          group_name: group.name,
+          member_uids: group.members.map(member => member.uid)
+        }
+      }
+    };
+  }
+
+  async deleteGroup(groupId) {
+    try {
+      const group = await this.getGroup(groupId);
+      await PassGroupsModel.delete(groupId);
+
+      for (const member of group.members) {
+        await redisService.removeBlockedPass(member.uid, group.category);
+      }
+
+      const parent = await PassModel.findById(group.parent_pass_id);
+      if (parent && parent.status === 'active') {
+        await redisService.addActivePass(parent.uid, parent);
+      }
+
+      logger.info(`Pass group deleted: ID=${groupId}, Parent UID=${group.parent_uid}`);
+      return group;
+    } catch (error) {
+      logger.error('Error deleting pass group:', error);
+      throw error;
+    }
+  }
+
   async findPassByUID(uid) {
     try {
       const pass = await PassModel.findByUid(uid);
@@ -520,11 +1074,13 @@ class PassService {
     try {
       const query = `
         SELECT p.*, u.username as created_by_username,
+               h.full_name as holder_name,
                COALESCE(p.max_uses, 1) as max_uses,
                COALESCE(p.used_count, 0) as used_count,
                (COALESCE(p.max_uses, 1) - COALESCE(p.used_count, 0)) as remaining_uses
         FROM passes p
         LEFT JOIN users u ON p.created_by = u.id
+        LEFT JOIN pass_holders h ON h.pass_id = p.id
         WHERE p.uid = ? AND p.status != 'deleted'
       `;
       
@@ -568,6 +1124,11 @@ class PassService {
         queryParams.push(filters.created_by);
       }
       
+      if (filters.template_id) {
+        whereConditions.push('p.template_id = ?');
+        queryParams.push(filters.template_id);
+      }
+      
       if (filters.uid) {
         whereConditions.push('p.uid LIKE ?');
         queryParams.push(`%${filters.uid}%`);
@@ -578,18 +1139,42 @@ class PassService {
         queryParams.push(`%${filters.pass_id}%`);
       }
       
+      if (filters.validity === 'current') {
+        whereConditions.push("(p.valid_from IS NULL OR p.valid_from <= NOW()) AND (p.valid_to IS NULL OR p.valid_to >= NOW()) AND p.status != 'expired'");
+      } else if (filters.validity === 'upcoming') {
+        whereConditions.push('p.valid_from > NOW()');
+      } else if (filters.validity === 'expired') {
+        whereConditions.push("(p.status = 'expired' OR p.valid_to < NOW())");
+      }
+      
+      if (filters.valid_on) {
+        whereConditions.push('(p.valid_from IS NULL OR DATE(p.valid_from) <= ?) AND (p.valid_to IS NULL OR DATE(p.valid_to) >= ?)');
+        queryParams.push(filters.valid_on, filters.valid_on);
+      }
+      
+      if (filters.expires_before) {
+        whereConditions.push('p.valid_to IS NOT NULL AND p.valid_to < ?');
+        queryParams.push(filters.expires_before);
+      }
+      
+      if (filters.holder) {
+        whereConditions.push('(h.full_name LIKE ? OR h.phone LIKE ? OR h.email LIKE ? OR h.id_last_digits = ?)');
+        queryParams.push(`%${filters.holder}%`, `%${filters.holder}%`, `%${filters.holder}%`, filters.holder);
+      }
+      
       if (filters.search) {
-        whereConditions.push('(p.uid LIKE ? OR p.pass_id LIKE ? OR p.category LIKE ? OR p.pass_type LIKE ? OR p.status LIKE ? OR u.username LIKE ?)');
-        queryParams.push(`%${filters.search}%`, `%${filters.search}%`, `%${filters.search}%`, `%${filters.search}%`, `%${filters.search}%`, `%${filters.search}%`);
+        whereConditions.push('(p.uid LIKE ? OR p.pass_id LIKE ? OR p.category LIKE ? OR p.pass_type LIKE ? OR p.status LIKE ? OR u.username LIKE ? OR h.full_name LIKE ? OR h.phone LIKE ? OR h.email LIKE ?)');
+        queryParams.push(`%${filters.search}%`, `%${filters.search}%`, `%${filters.search}%`, `%${filters.search}%`, `%${filters.search}%`, `%${filters.search}%`, `%${filters.search}%`, `%${filters.search}%`, `%${filters.search}%`);
       }
       
       const whereClause = whereConditions.length > 0 ? 'WHERE ' + whereConditions.join(' AND ') : '';
       
-      // Count total records - include JOIN for search functionality
+      // Count total records - include JOINs for search functionality
       const countQuery = `
         SELECT COUNT(*) as total
         FROM passes p
         LEFT JOIN users u ON p.created_by = u.id
+        LEFT JOIN pass_holders h ON h.pass_id = p.id
         ${whereClause}
       `;
       
@@ -691,6 +1276,8 @@ class PassService {
 
       return {
         ...pass,
+        uid_history: await PassModel.getUidHistory(pass.id),
+        holder: await PassHoldersModel.findByPassId(pass.id),
         recent_logs: recentLogs
       };
     } catch (error) {
@@ -699,6 +1286,122 @@ class PassService {
     }
   }
 
+  /**
+   * Signed payload to write to a pass tag
+   * @param {number} passId - Pass database ID
+   * @param {boolean} regenerate - Sign again with the current active key
+   * @returns {Promise<Object>} { payload, kid, algorithm, claims }
+   */
+  async getSignedPayload(passId, regenerate = false) {
+    try {
+      const pass = await PassModel.findById(passId);
+      if (!pass) {
+        throw new Error('Pass not found');
+      }
+
+      const signed = await signingService.getPassPayload(pass, regenerate);
+      return {
+        pass_id: pass.pass_id,
+        uid: pass.uid,
+        ...signed
+      };
+    } catch (error) {
+      logger.error('Error getting signed payload:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Holder profile of a pass, limited to the fields the user may see
+   * @param {number} passId - Pass database ID
+   * @param {boolean} fullDetails - Requesting user has the pass.holder_details permission
+   * @returns {Promise<Object|null>} Holder or null if the pass has none
+   */
+  async getHolder(passId, fullDetails) {
+    try {
+      const pass = await PassModel.findById(passId);
+      if (!pass) {
+        throw new Error('Pass not found');
+      }
+
+      const holder = await PassHoldersModel.findByPassId(pass.id);
+      return PassHoldersModel.filterForAccess(holder, fullDetails);
+    } catch (error) {
+      logger.error('Error getting pass holder:', error);
+      throw error;
+    }
+  }
+
+  async setHolder(passId, holderData, updatedBy) {
+    try {
+      const pass = await PassModel.findById(passId);
+      if (!pass) {
+        throw new Error('Pass not found');
+      }
+
+      const holder = await PassHoldersModel.upsert(pass.id, holderData, updatedBy);
+      await this.clearCachedHolder(pass.id);
+
+      return {
+        holder,
+        event: {
+          type: 'pass:holder_updated',
+          data: {
+            id: pass.id,
+            uid: pass.uid,
+            pass_id: pass.pass_id,
+            updated_by: updatedBy,
+            timestamp: new Date().toISOString()
+          }
+        }
+      };
+    } catch (error) {
+      logger.error('Error saving pass holder:', error);
+      throw error;
+    }
+  }
+
+  async deleteHolder(passId, deletedBy) {
+    try {
+      const pass = await PassModel.findById(passId);
+      if (!pass) {
+        throw new Error('Pass not found');
+      }
+
+      const removed = await PassHoldersModel.delete(pass.id);
+      if (!removed) {
+        throw new Error('Pass holder not found');
+      }
+      await this.clearCachedHolder(pass.id);
+
+      logger.info(`Holder profile removed from pass ${pass.id} by user ${deletedBy}`);
+      return {
+        event: {
+          type: 'pass:holder_updated',
+          data: {
+            id: pass.id,
+            uid: pass.uid,
+            pass_id: pass.pass_id,
+            removed: true,
+            updated_by: deletedBy,
+            timestamp: new Date().toISOString()
+          }
+        }
+      };
+    } catch (error) {
+      logger.error('Error deleting pass holder:', error);
+      throw error;
+    }
+  }
+
+  async clearCachedHolder(passId) {
+    try {
+      await redisService.clearCachedHolder(passId);
+    } catch (error) {
+      logger.warn('Failed to clear cached pass holder:', error.message);
+    }
+  }
+
   async getPassRecentLogs(uid, days = 7) {
     try {
       const { executeQuery, getDailyLogTableName, tableExists } = require('../config/db');
@@ -801,8 +1504,16 @@ class PassService {
       const stats = await PassModel.getPassStats();
       const cacheStats = await redisService.getCacheStats();
       
+      let templateStats = [];
+      try {
+        templateStats = await PassTemplatesModel.getUsageStats();
+      } catch (templateError) {
+        logger.warn('Could not load pass template stats:', templateError.message);
+      }
+      
       return {
         database: stats,
+        templates: templateStats,
         cache: cacheStats
       };
     } catch (error) {
@@ -815,30 +1526,33 @@ class PassService {
     try {
       logger.info(`Starting reset all passes by user ${resetBy}, reason: ${reason}`);
       
-      // Get count of passes that will be reset before executing
-      const countQuery = `
-        SELECT COUNT(*) as count 
-        FROM passes 
-        WHERE (status = 'used' OR used_count >= COALESCE(max_uses, 1)) 
-        AND status != 'deleted'
-      `;
-      const countResult = await executeQuery(countQuery);
-      const resetCount = countResult[0].count;
+      // Write uses still queued by the fast path so they are not added back after the reset
+      try {
+        await usageService.flush();
+      } catch (flushError) {
+        logger.warn('Could not flush queued uses before resetting all passes:', flushError.message);
+      }
       
       // Reset all passes (not just daily) - remove daily restriction
+      const resetWhere = "(status = 'used' OR used_count >= COALESCE(max_uses, 1)) AND status != 'deleted'";
+      const newStatus = "CASE WHEN status = 'blocked' THEN 'blocked' ELSE 'active' END";
       const resetQuery = `
         UPDATE passes 
-        SET status = CASE 
-          WHEN status = 'blocked' THEN 'blocked'
-          ELSE 'active'
-        END,
+        SET status = ${newStatus},
         used_count = 0, 
         updated_at = CURRENT_TIMESTAMP 
-        WHERE (status = 'used' OR used_count >= COALESCE(max_uses, 1)) 
-        AND status != 'deleted'
+        WHERE ${resetWhere}
       `;
       
-      await executeQuery(resetQuery);
+      // Lock the passes being reset and record a reset event per pass in the same transaction as the reset
+      const results = await executeTransaction([
+        { query: `SELECT uid FROM passes WHERE ${resetWhere} FOR UPDATE`, params: [] },
+        PassEventsModel.resetEventsQuery(resetWhere, newStatus, passEventsService.describeActor(resetBy), reason),
+        { query: resetQuery, params: [] }
+      ]);
+      const resetUids = results[0].map(row => row.uid);
+      const resetCount = resetUids.length;
+      await redisService.clearPassLastUsed(resetUids);
       
       // Rebuild Redis cache to reflect the reset
       await redisService.rebuildAllCaches();
@@ -857,6 +1571,59 @@ class PassService {
     }
   }
 
+  /**
+   * Load a template that passes can be created from
+   * @param {number} templateId - Template ID
+   * @returns {Promise<Object>} Active template
+   */
+  async resolveTemplate(templateId) {
+    const template = await PassTemplatesModel.findById(templateId);
+    if (!template) {
+      const error = new Error('Pass template not found');
+      error.code = 'TEMPLATE_NOT_FOUND';
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (template.status !== 'active') {
+      const error = new Error(`Pass template "${template.name}" is inactive`);
+      error.code = 'TEMPLATE_INACTIVE';
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return template;
+  }
+
+  /**
+   * Fill in the fields a create request left out from a template; values given
+   * in the request win. valid_to is derived from the template's validity_days.
+   * @param {Object} passData - Pass create data
+   * @param {Object} template - Template from resolveTemplate
+   * @returns {Object} Pass data with template_id set
+   */
+  applyTemplate(passData, template) {
+    const given = (field) => passData[field] !== undefined && passData[field] !== null && passData[field] !== '';
+    const data = {
+      ...passData,
+      template_id: template.id,
+      pass_type: given('pass_type') ? passData.pass_type : template.pass_type,
+      category: given('category') ? passData.category : template.category,
+      people_allowed: given('people_allowed') ? passData.people_allowed : template.people_allowed
+    };
+
+    if (!given('max_uses') && template.max_uses) {
+      data.max_uses = template.max_uses;
+    }
+
+    if (!given('valid_to') && template.validity_days) {
+      const start = given('valid_from') ? moment(passData.valid_from) : moment();
+      data.valid_to = start.add(template.validity_days, 'days').format('YYYY-MM-DD HH:mm:ss');
+    }
+
+    return data;
+  }
+
   async validatePassData(passData) {
     const errors = [];
 
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const logger = require('../utils/logger');
+
+const DEFAULT_BREACHED_LIST = path.join(__dirname, '../config/breached-passwords.txt');
+
+const envFlag = (value, defaultValue) => (value === undefined ? defaultValue : value === 'true');
+
+/**
+ * Password rules applied whenever a password is set: length, character classes,
+ * a local list of breached/common passwords and the user's recent passwords.
+ */
+class PasswordPolicyService {
+  constructor() {
+    this.MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH) || 8;
+    this.MAX_LENGTH = 128;
+    this.REQUIRE_LOWERCASE = envFlag(process.env.PASSWORD_REQUIRE_LOWERCASE, true);
+    this.REQUIRE_UPPERCASE = envFlag(process.env.PASSWORD_REQUIRE_UPPERCASE, true);
+    this.REQUIRE_DIGIT = envFlag(process.env.PASSWORD_REQUIRE_DIGIT, true);
+    this.REQUIRE_SYMBOL = envFlag(process.env.PASSWORD_REQUIRE_SYMBOL, false);
+    // Number of previous passwords that may not be reused (0 disables the check)
+    const historySize = parseInt(process.env.PASSWORD_HISTORY_SIZE);
+    this.HISTORY_SIZE = Number.isNaN(historySize) ? 5 : historySize;
+    this.BREACHED_LIST_FILE = process.env.PASSWORD_BREACHED_LIST_FILE || DEFAULT_BREACHED_LIST;
+    // Passwords an admin chose (new users, resets) must be replaced by the user at their next login
+    this.FORCE_CHANGE_AFTER_ADMIN_SET = envFlag(process.env.PASSWORD_FORCE_CHANGE_AFTER_ADMIN_SET, true);
+    this.breachedPasswords = null;
+  }
+
+  policyError(errors) {
+    const error = new Error('Password does not meet the password policy');
+    error.code = 'PASSWORD_POLICY_VIOLATION';
+    error.statusCode = 400;
+    error.errors = errors;
+    return error;
+  }
+
+  /**
+   * Rules in effect, for clients to show next to the password field
+   */
+  getRequirements() {
+    return {
+      min_length: this.MIN_LENGTH,
+      max_length: this.MAX_LENGTH,
+      require_lowercase: this.REQUIRE_LOWERCASE,
+      require_uppercase: this.REQUIRE_UPPERCASE,
+      require_digit: this.REQUIRE_DIGIT,
+      require_symbol: this.REQUIRE_SYMBOL,
+      history_size: this.HISTORY_SIZE,
+      breached_check: this.getBreachedPasswords().size > 0
+    };
+  }
+
+  // Loaded once, one password per line; lines starting with # are comments
+  getBreachedPasswords() {
+    if (this.breachedPasswords) {
+      return this.breachedPasswords;
+    }
+
+    try {
+      const content = fs.readFileSync(this.BREACHED_LIST_FILE, 'utf8');
+      this.breachedPasswords = new Set(
+        content.split(/\r?\n/)
+          .map(line => line.trim().toLowerCase())
+          .filter(line => line && !line.startsWith('#'))
+      );
+      logger.info(`Loaded ${this.breachedPasswords.size} breached passwords from ${this.BREACHED_LIST_FILE}`);
+    } catch (error) {
+      logger.error(`Breached password list ${this.BREACHED_LIST_FILE} could not be read, check disabled:`, error);
+      this.breachedPasswords = new Set();
+    }
+
+    return this.breachedPasswords;
+  }
+
+  /**
+   * Rules that only need the password itself
+   * @param {string} password - Candidate password
+   * @param {Object} context - { username }
+   * @returns {string[]} Violations, empty when the password is acceptable
+   */
+  validate(password, { username } = {}) {
+    const errors = [];
+
+    if (typeof password !== 'string' || password.length < this.MIN_LENGTH) {
+      errors.push(`Password must be at least ${this.MIN_LENGTH} characters long`);
+      if (typeof password !== 'string') return errors;
+    }
+    if (password.length > this.MAX_LENGTH) {
+      errors.push(`Password must be at most ${this.MAX_LENGTH} characters long`);
+    }
+    if (this.REQUIRE_LOWERCASE && !/[a-z]/.test(password)) {
+      errors.push('Password must contain a lowercase letter');
+    }
+    if (this.REQUIRE_UPPERCASE && !/[A-Z]/.test(password)) {
+      errors.push('Password must contain an uppercase letter');
+    }
+    if (this.REQUIRE_DIGIT && !/\d/.test(password)) {
+      errors.push('Password must contain a digit');
+    }
+    if (this.REQUIRE_SYMBOL && !/[^A-Za-z0-9]/.test(password)) {
+      errors.push('Password must contain a symbol');
+    }
+    if (username && username.length >= 3 && password.toLowerCase().includes(username.toLowerCase())) {
+      errors.push('Password must not contain the username');
+    }
+    if (this.getBreachedPasswords().has(password.toLowerCase())) {
+      errors.push('Password is too common and has appeared in data breaches');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check a new password against every rule
+   * @param {string} password - Candidate password
+   * @param {Object} context - { username, previousHashes } (previousHashes: newest first)
+   * @throws {Error} PASSWORD_POLICY_VIOLATION with the list of violations in error.errors
+   */
+  async assertValid(password, { username, previousHashes = [] } = {}) {
+    const errors = this.validate(password, { username });
+
+    if (errors.length === 0 && this.HISTORY_SIZE > 0) {
+      for (const hash of previousHashes.slice(0, this.HISTORY_SIZE)) {
+        if (hash && await bcrypt.compare(password, hash)) {
+          errors.push(`Password must not match any of the last ${this.HISTORY_SIZE} passwords`);
+          break;
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      throw this.policyError(errors);
+    }
+  }
+}
+
+module.exports = new PasswordPolicyService();
@@ -0,0 +1,315 @@
+const RolesModel = require('../models/roles.model');
+const redisService = require('./redis.service');
+const logger = require('../utils/logger');
+const { ALL_PERMISSIONS, PERMISSIONS, DEFAULT_ROLES } = require('../config/permissions');
+
+/**
+ * Resolves what a user may do from the permissions of their role, and manages the
+ * editable roles. Role permissions are cached in Redis like verification policies
+ * and the cache is cleared whenever a role changes.
+ */
+class PermissionService {
+  permissionError(message, code, statusCode = 400) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  /**
+   * Permissions of every role (Redis cache first, database fallback)
+   * @returns {Promise<Object>} Role name -> permission names
+   */
+  async getPermissionMap() {
+    try {
+      const cached = await redisService.getCachedRolePermissions();
+      if (cached) {
+        return cached;
+      }
+    } catch (error) {
+      logger.warn('Redis not available for permission lookup, falling back to database:', error.message);
+    }
+
+    let permissionMap;
+    try {
+      permissionMap = await RolesModel.getPermissionMap();
+    } catch (error) {
+      // Until the roles migration has run, the built-in roles keep their former access
+      if (error.code !== 'ER_NO_SUCH_TABLE') {
+        throw error;
+      }
+      logger.warn('Roles table not found, using default role permissions');
+      return Object.fromEntries(Object.entries(DEFAULT_ROLES).map(([name, role]) => [name, role.permissions]));
+    }
+
+    try {
+      await redisService.setCachedRolePermissions(permissionMap);
+    } catch (error) {
+      logger.warn('Failed to cache role permissions:', error.message);
+    }
+
+    return permissionMap;
+  }
+
+  async invalidateCache() {
+    try {
+      await redisService.clearCachedRolePermissions();
+    } catch (error) {
+      logger.warn('Failed to clear cached role permissions:', error.message);
+    }
+  }
+
+  /**
+   * @returns {Promise<string[]>} Permissions granted by a role (empty for unknown roles)
+   */
+  async getRolePermissions(role) {
+    const permissionMap = await this.getPermissionMap();
+    return permissionMap[role] || [];
+  }
+
+  /**
+   * @param {string[]} granted - Permissions held
+   * @param {string} permission - Permission needed
+   */
+  hasPermission(granted, permission) {
+    return granted.includes(ALL_PERMISSIONS) || granted.includes(permission);
+  }
+
+  async roleHasPermission(role, permission) {
+    return this.hasPermission(await this.getRolePermissions(role), permission);
+  }
+
+  /**
+   * Whether a user (anything with a role, e.g. req.user or socket.user) has a permission
+   */
+  async userHasPermission(user, permission) {
+    if (!user || !user.role) {
+      return false;
+    }
+    return await this.roleHasPermission(user.role, permission);
+  }
+
+  /**
+   * Permission names a set stands for, with the wildcard spelled out
+   */
+  expandPermissions(granted) {
+    return granted.includes(ALL_PERMISSIONS) ? Object.keys(PERMISSIONS) : granted;
+  }
+
+  /**
+   * Catalog of all permissions, for the role editor
+   */
+  getCatalog() {
+    return Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }));
+  }
+
+  async listRoles() {
+    return await RolesModel.findAll();
+  }
+
+  async getRole(id) {
+    const role = await RolesModel.findById(id);
+    if (!role) {
+      throw this.permissionError('Role not found', 'ROLE_NOT_FOUND', 404);
+    }
+    return role;
+  }
+
+  /**
+   * Nobody can hand out more than they have: every permission granted must be held by the actor
+   */
+  async assertCanGrant(actor, permissions) {
+    const held = await this.getRolePermissions(actor.role);
+    const missing = permissions.filter(permission => !this.hasPermission(held, permission));
+    if (missing.length > 0) {
+      throw this.permissionError(
+        `You cannot grant permissions you do not have: ${missing.join(', ')}`,
+        'PERMISSION_ESCALATION',
+        403
+      );
+    }
+  }
+
+  /**
+   * Check that a role exists and the actor may give it to a user
+   * @throws {Error} ROLE_NOT_FOUND (400) or PERMISSION_ESCALATION (403)
+   */
+  async assertCanAssignRole(actor, roleName) {
+    const permissions = (await this.getPermissionMap())[roleName];
+    if (!permissions) {
+      throw this.permissionError(`Role ${roleName} does not exist`, 'ROLE_NOT_FOUND');
+    }
+    await this.assertCanGrant(actor, permissions);
+  }
+
+  /**
+   * Blocking, editing or deleting a user needs every permission of that user's role,
+   * so nobody can act on an account more powerful than their own
+   * @throws {Error} PERMISSION_ESCALATION (403)
+   */
+  async assertCanManageUser(actor, target) {
+    const held = await this.getRolePermissions(actor.role);
+    const targetPermissions = await this.getRolePermissions(target.role);
+    if (!targetPermissions.every(permission => this.hasPermission(held, permission))) {
+      throw this.permissionError(
+        `You cannot manage users of the ${target.role} role`,
+        'PERMISSION_ESCALATION',
+        403
+      );
+    }
+  }
+
+  /**
+   * @returns {Promise<string[]>} Names of roles whose users the actor may manage
+   */
+  async getManageableRoles(actor) {
+    const permissionMap = await this.getPermissionMap();
+    const held = permissionMap[actor.role] || [];
+    return Object.keys(permissionMap)
+      .filter(role => permissionMap[role].every(permission => this.hasPermission(held, permission)));
+  }
+
+  validate(data, partial = false) {
+    const validation = RolesModel.validateRoleData(data, partial);
+    if (!validation.isValid) {
+      const error = this.permissionError('Validation failed', 'VALIDATION_ERROR');
+      error.errors = validation.errors;
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {Promise<Object>} { role, event }
+   */
+  async createRole(data, actor) {
+    this.validate(data);
+    const permissions = [...new Set(data.permissions)];
+    await this.assertCanGrant(actor, permissions);
+
+    if (await RolesModel.findByName(data.name)) {
+      throw this.permissionError('A role with this name already exists', 'ROLE_EXISTS', 409);
+    }
+
+    const role = await RolesModel.create({
+      name: data.name,
+      description: data.description || null,
+      permissions
+    });
+    await this.invalidateCache();
+
+    logger.info(`Role ${role.name} created by ${actor.username} with ${permissions.length} permissions`);
+    return { role, event: { type: 'role:created', data: role } };
+  }
+
+  /**
+   * Rename a role, change its description or replace its permissions.
+   * Built-in roles keep their name, and the admin role keeps full access so nobody can lock everyone out.
+   * @returns {Promise<Object>} { role, previous, event }
+   */
+  async updateRole(id, data, actor) {
+    this.validate(data, true);
+    const previous = await this.getRole(id);
+
+    if (previous.is_system && data.name !== undefined && data.name !== previous.name) {
+      throw this.permissionError('Built-in roles cannot be renamed', 'SYSTEM_ROLE', 403);
+    }
+    if (previous.permissions.includes(ALL_PERMISSIONS) && data.permissions !== undefined) {
+      throw this.permissionError(`The permissions of the ${previous.name} role cannot be changed`, 'SYSTEM_ROLE', 403);
+    }
+
+    const updates = {};
+    if (data.name !== undefined && data.name !== previous.name) {
+      if (await RolesModel.findByName(data.name)) {
+        throw this.permissionError('A role with this name already exists', 'ROLE_EXISTS', 409);
+      }
+      updates.name = data.name;
+    }
+    if (data.description !== undefined) {
+      updates.description = data.description;
+    }
+    if (data.permissions !== undefined) {
+      updates.permissions = [...new Set(data.permissions)];
+      // Removing permissions is as sensitive as adding them: both need the actor to hold them
+      const changed = [
+        ...updates.permissions.filter(permission => !previous.permissions.includes(permission)),
+        ...previous.permissions.filter(permission => !updates.permissions.includes(permission))
+      ];
+      await this.assertCanGrant(actor, changed);
+    }
+
+    const role = await RolesModel.update(id, updates);
+    await this.invalidateCache();
+
+    logger.info(`Role ${previous.name} updated by ${actor.username}`);
+    return { role, previous, event: { type: 'role:updated', data: role } };
+  }
+
+  /**
+   * @returns {Promise<Object>} { role, event }
+   */
+  async deleteRole(id, actor) {
+    const role = await this.getRole(id);
+
+    if (role.is_system) {
+      throw this.permissionError('Built-in roles cannot be deleted', 'SYSTEM_ROLE', 403);
+    }
+    if (role.user_count > 0) {
+      throw this.permissionError(
+        `Role is assigned to ${role.user_count} users; move them to another role first`,
+        'ROLE_IN_USE',
+        409
+      );
+    }
+
+    await RolesModel.delete(id);
+    await this.invalidateCache();
+
+    logger.info(`Role ${role.name} deleted by ${actor.username}`);
+    return { role, event: { type: 'role:deleted', data: { id: role.id, name: role.name } } };
+  }
+
+  /**
+   * Socket rooms a user joins: their role and one room per permission,
+   * so broadcasts can target everyone allowed to see an event
+   */
+  async getSocketRooms(user) {
+    const permissions = this.expandPermissions(await this.getRolePermissions(user.role));
+    return [`role:${user.role}`, ...permissions.map(permission => `permission:${permission}`)];
+  }
+
+  /**
+   * Move the connected sockets of a role to the rooms of its new name and permissions
+   */
+  syncSocketRooms(io, previous, role) {
+    if (!io) return;
+
+    const sockets = io.in(`role:${previous.name}`);
+    const before = this.expandPermissions(previous.permissions);
+    const after = this.expandPermissions(role.permissions);
+
+    const removed = before.filter(permission => !after.includes(permission));
+    const added = after.filter(permission => !before.includes(permission));
+
+    if (removed.length > 0) {
+      sockets.socketsLeave(removed.map(permission => `permission:${permission}`));
+    }
+    if (added.length > 0) {
+      sockets.socketsJoin(added.map(permission => `permission:${permission}`));
+    }
+    if (role.name !== previous.name) {
+      // Permission checks on open sockets look up socket.user.role, which must follow the rename
+      sockets.fetchSockets()
+        .then(connected => connected.forEach(socket => {
+          if (socket.user && socket.user.role === previous.name) {
+            socket.user.role = role.name;
+          }
+        }))
+        .catch(error => logger.warn('Failed to update sockets of renamed role:', error.message));
+
+      sockets.socketsJoin(`role:${role.name}`);
+      io.in(`role:${role.name}`).socketsLeave(`role:${previous.name}`);
+    }
+  }
+}
+
+module.exports = new PermissionService();
@@ -0,0 +1,401 @@
+const moment = require('moment');
+const PoliciesModel = require('../models/policies.model');
+const DailyLogsService = require('./daily-logs.service');
+const presenceService = require('./presence.service');
+const scheduleService = require('./schedule.service');
+const redisService = require('./redis.service');
+const logger = require('../utils/logger');
+
+// Built-in policies reproduce the behaviour that used to be hard-coded in verifyPass.
+// They apply whenever no stored policy matches a pass (or the policy table is unavailable).
+const BUILT_IN_POLICIES = [
+  {
+    id: null,
+    name: 'Built-in: unlimited passes',
+    category: null,
+    pass_type: 'unlimited',
+    priority: 0,
+    consume_uses: false,
+    cooldown_seconds: null,
+    reentry_allowed: true,
+    max_entries_per_day: null,
+    prompt_mode: 'never',
+    prompt_ttl_seconds: 300,
+    allowed_from: null,
+    allowed_to: null
+  },
+  {
+    id: null,
+    name: 'Built-in: seasonal multi-use',
+    category: null,
+    pass_type: 'seasonal',
+    priority: 0,
+    consume_uses: true,
+    cooldown_seconds: 900,
+    reentry_allowed: true,
+    max_entries_per_day: null,
+    prompt_mode: 'within_cooldown',
+    prompt_ttl_seconds: 300,
+    allowed_from: null,
+    allowed_to: null
+  },
+  {
+    id: null,
+    name: 'Built-in: default',
+    category: null,
+    pass_type: null,
+    priority: 0,
+    consume_uses: true,
+    cooldown_seconds: null,
+    reentry_allowed: true,
+    max_entries_per_day: null,
+    prompt_mode: 'never',
+    prompt_ttl_seconds: 300,
+    allowed_from: null,
+    allowed_to: null
+  }
+];
+
+class PolicyService {
+  constructor() {
+    this.BUILT_IN_POLICIES = BUILT_IN_POLICIES;
+
+    // Rules run in order; the first one to return a decision wins.
+    // inputs(ctx) describes what a rule looks at, for dry-run explanations.
+    this.rules = [
+      {
+        name: 'category_schedule',
+        evaluate: (ctx) => this.checkCategorySchedule(ctx),
+        inputs: (ctx) => ({ category: ctx.pass.category })
+      },
+      {
+        name: 'allowed_hours',
+        evaluate: (ctx) => this.checkAllowedHours(ctx),
+        inputs: (ctx) => ({ allowed_from: ctx.policy.allowed_from, allowed_to: ctx.policy.allowed_to, now: ctx.now.format('HH:mm:ss') })
+      },
+      {
+        name: 'remaining_uses',
+        evaluate: (ctx) => this.checkRemainingUses(ctx),
+        inputs: (ctx) => ({ consume_uses: ctx.consumesUses, max_uses: ctx.pass.max_uses, used_count: ctx.pass.used_count, remaining_uses: ctx.remainingUses })
+      },
+      {
+        name: 'reentry',
+        evaluate: (ctx) => this.checkReentry(ctx),
+        inputs: (ctx) => ({ reentry_allowed: ctx.policy.reentry_allowed })
+      },
+      {
+        name: 'max_entries_per_day',
+        evaluate: (ctx) => this.checkMaxEntriesPerDay(ctx),
+        inputs: (ctx) => ({ max_entries_per_day: ctx.policy.max_entries_per_day })
+      },
+      {
+        name: 'cooldown',
+        evaluate: (ctx) => this.checkCooldown(ctx),
+        inputs: (ctx) => ({ cooldown_seconds: ctx.policy.cooldown_seconds, prompt_mode: ctx.policy.prompt_mode })
+      },
+      {
+        name: 'prompt',
+        evaluate: (ctx) => this.checkPrompt(ctx),
+        inputs: (ctx) => ({ prompt_mode: ctx.policy.prompt_mode, consume_uses: ctx.consumesUses })
+      }
+    ];
+  }
+
+  /**
+   * Add a rule to the pipeline
+   * @param {Object} rule - { name, evaluate: async (ctx) => decision|null, inputs: (ctx) => Object (optional) }
+   * @param {Object} options - { before: rule name } to insert ahead of an existing rule
+   */
+  registerRule(rule, options = {}) {
+    if (!rule || !rule.name || typeof rule.evaluate !== 'function') {
+      throw new Error('A rule needs a name and an evaluate function');
+    }
+
+    const index = options.before ? this.rules.findIndex(existing => existing.name === options.before) : -1;
+    if (index === -1) {
+      this.rules.push(rule);
+    } else {
+      this.rules.splice(index, 0, rule);
+    }
+  }
+
+  /**
+   * Active policies (Redis cache first, database fallback)
+   * @returns {Promise<Array>} Active policies
+   */
+  async getPolicies() {
+    try {
+      const cached = await redisService.getCachedPolicies();
+      if (cached) {
+        return cached;
+      }
+    } catch (error) {
+      logger.warn('Redis not available for policy lookup, falling back to database:', error.message);
+    }
+
+    let policies;
+    try {
+      policies = await PoliciesModel.findActive();
+    } catch (error) {
+      logger.warn('Could not load verification policies, using built-in policies:', error.message);
+      return [];
+    }
+
+    try {
+      await redisService.setCachedPolicies(policies);
+    } catch (error) {
+      logger.warn('Failed to cache verification policies:', error.message);
+    }
+
+    return policies;
+  }
+
+  async invalidateCache() {
+    try {
+      await redisService.clearCachedPolicies();
+    } catch (error) {
+      logger.warn('Failed to clear cached verification policies:', error.message);
+    }
+  }
+
+  /**
+   * Pick the policy for a pass: highest priority first, then the most specific
+   * match (category + pass type beats category beats pass type beats catch-all)
+   */
+  async resolvePolicy(pass) {
+    const matches = (policy) =>
+      (!policy.category || policy.category === pass.category) &&
+      (!policy.pass_type || policy.pass_type === pass.pass_type);
+
+    const specificity = (policy) => (policy.category ? 2 : 0) + (policy.pass_type ? 1 : 0);
+
+    const byPrecedence = (a, b) =>
+      (b.priority || 0) - (a.priority || 0) || specificity(b) - specificity(a) || (a.id || 0) - (b.id || 0);
+
+    const policies = await this.getPolicies();
+    const stored = policies.filter(matches).sort(byPrecedence);
+    if (stored.length > 0) {
+      return stored[0];
+    }
+
+    return this.BUILT_IN_POLICIES.filter(matches).sort(byPrecedence)[0];
+  }
+
+  /**
+   * Run the rule pipeline for an entry scan
+   * @param {string} uid - Pass UID
+   * @param {Object} pass - Pass with usage (max_uses, used_count, category, pass_type)
+   * @param {Array|null} trace - When given, receives { rule, inputs, decision } for every rule evaluated
+   * @returns {Promise<Object>} Decision { outcome, status, rule, message, consume, prompt_ttl_seconds, policy, details }
+   */
+  async evaluate(uid, pass, trace = null) {
+    const policy = await this.resolvePolicy(pass);
+    const ctx = this.createContext(uid, pass, policy);
+
+    for (const rule of this.rules) {
+      const decision = await rule.evaluate(ctx);
+      if (trace) {
+        trace.push({ rule: rule.name, inputs: rule.inputs ? rule.inputs(ctx) : {}, decision });
+      }
+      if (decision) {
+        logger.debug(`Policy decision for UID=${uid}: ${decision.outcome} by rule ${decision.rule} (${policy.name})`);
+        return decision;
+      }
+    }
+
+    return this.decide(ctx, 'default', 'allow', 'valid', null);
+  }
+
+  /**
+   * Whether an admitted scan takes a use. Unlimited passes never do, even under a
+   * policy with consume_uses (e.g. a category policy that matches every pass type).
+   */
+  consumesUses(policy, pass) {
+    return Boolean(policy.consume_uses) && pass.pass_type !== 'unlimited';
+  }
+
+  createContext(uid, pass, policy) {
+    let entryStats = null;
+
+    return {
+      uid,
+      pass,
+      policy,
+      consumesUses: this.consumesUses(policy, pass),
+      now: moment(),
+      remainingUses: pass.max_uses - pass.used_count,
+      getEntryStats: async () => {
+        if (!entryStats) {
+          entryStats = await DailyLogsService.getEntryStats(uid);
+        }
+        return entryStats;
+      }
+    };
+  }
+
+  decide(ctx, rule, outcome, status, message, details = {}) {
+    return {
+      outcome,
+      status,
+      rule,
+      message,
+      consume: outcome !== 'deny' && ctx.consumesUses,
+      prompt_ttl_seconds: ctx.policy.prompt_ttl_seconds || 300,
+      policy: {
+        id: ctx.policy.id,
+        name: ctx.policy.name
+      },
+      details
+    };
+  }
+
+  /**
+   * Compact form of a decision for logs and API responses
+   */
+  summarize(decision) {
+    return {
+      outcome: decision.outcome,
+      rule: decision.rule,
+      policy_id: decision.policy.id,
+      policy_name: decision.policy.name
+    };
+  }
+
+  async checkCategorySchedule(ctx) {
+    const access = await scheduleService.checkAccess(ctx.pass.category);
+    if (access.allowed) {
+      return null;
+    }
+
+    return this.decide(ctx, 'category_schedule', 'deny', access.status, access.message, {
+      next_window: access.next_window,
+      timezone: access.timezone,
+      local_time: access.local_time
+    });
+  }
+
+  checkAllowedHours(ctx) {
+    const { allowed_from: from, allowed_to: to } = ctx.policy;
+    if (!from || !to) {
+      return null;
+    }
+
+    const normalize = (time) => (time.length === 5 ? `${time}:00` : time);
+    const now = ctx.now.format('HH:mm:ss');
+    const start = normalize(from);
+    const end = normalize(to);
+
+    // A window such as 22:00-04:00 wraps past midnight
+    const within = start <= end ? now >= start && now <= end : now >= start || now <= end;
+    if (within) {
+      return null;
+    }
+
+    return this.decide(ctx, 'allowed_hours', 'deny', 'outside_hours',
+      `Entry is only allowed between ${start.substring(0, 5)} and ${end.substring(0, 5)}`,
+      { allowed_from: start, allowed_to: end });
+  }
+
+  checkRemainingUses(ctx) {
+    if (!ctx.consumesUses || ctx.remainingUses > 0) {
+      return null;
+    }
+
+    return this.decide(ctx, 'remaining_uses', 'deny', 'used',
+      'This pass has already been used. Remaining uses: 0',
+      { remaining_uses: 0 });
+  }
+
+  async checkReentry(ctx) {
+    if (ctx.policy.reentry_allowed) {
+      return null;
+    }
+
+    const stats = await ctx.getEntryStats();
+    if (stats.entries === 0) {
+      return null;
+    }
+
+    return this.decide(ctx, 'reentry', 'deny', 'reentry_denied',
+      'This pass has already entered today and re-entry is not allowed',
+      { entries_today: stats.entries, last_entry_at: stats.last_entry_at });
+  }
+
+  async checkMaxEntriesPerDay(ctx) {
+    const max = ctx.policy.max_entries_per_day;
+    if (!max) {
+      return null;
+    }
+
+    const stats = await ctx.getEntryStats();
+    if (stats.entries < max) {
+      return null;
+    }
+
+    return this.decide(ctx, 'max_entries_per_day', 'deny', 'daily_limit_reached',
+      `Daily entry limit reached (${stats.entries}/${max})`,
+      { entries_today: stats.entries, max_entries_per_day: max });
+  }
+
+  async checkCooldown(ctx) {
+    const cooldown = ctx.policy.cooldown_seconds;
+    if (!cooldown) {
+      return null;
+    }
+
+    const lastEntryAt = await this.getLastEntryAt(ctx);
+    if (!lastEntryAt) {
+      return null;
+    }
+
+    const elapsed = ctx.now.diff(moment(lastEntryAt), 'seconds');
+    if (elapsed >= cooldown) {
+      return null;
+    }
+
+    const details = {
+      last_used_at: lastEntryAt,
+      time_since_last_use: elapsed,
+      time_remaining_seconds: cooldown - elapsed
+    };
+
+    if (ctx.policy.prompt_mode === 'within_cooldown' && ctx.consumesUses) {
+      return this.decide(ctx, 'cooldown', 'prompt', this.getPromptStatus(ctx.pass),
+        `Pass scanned within ${Math.round(cooldown / 60)} minutes of its last entry. You can use multiple entries.`,
+        details);
+    }
+
+    return this.decide(ctx, 'cooldown', 'deny', 'cooldown',
+      `This pass was used ${elapsed} seconds ago. Try again in ${cooldown - elapsed} seconds.`,
+      { ...details, retry_after_seconds: cooldown - elapsed });
+  }
+
+  checkPrompt(ctx) {
+    if (ctx.policy.prompt_mode !== 'always' || !ctx.consumesUses) {
+      return null;
+    }
+
+    return this.decide(ctx, 'prompt', 'prompt', this.getPromptStatus(ctx.pass),
+      'Select how many entries to use for this pass.');
+  }
+
+  async getLastEntryAt(ctx) {
+    try {
+      const presence = await presenceService.getPresence(ctx.uid);
+      if (presence && presence.last_entry_at) {
+        return presence.last_entry_at;
+      }
+    } catch (error) {
+      logger.warn('Could not read presence for cooldown check, using daily logs:', error.message);
+    }
+
+    const stats = await ctx.getEntryStats();
+    return stats.last_entry_at;
+  }
+
+  getPromptStatus(pass) {
+    return pass.pass_type === 'seasonal' ? 'prompt_seasonal_multi_use' : 'prompt_multi_use';
+  }
+}
+
+module.exports = new PolicyService();
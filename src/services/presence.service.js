@@ -0,0 +1,148 @@
+const moment = require('moment');
+const PassModel = require('../models/pass.model');
+const SettingsModel = require('../models/settings.model');
+const redisService = require('./redis.service');
+const permissionService = require('./permission.service');
+const logger = require('../utils/logger');
+const { getCurrentDateTime } = require('../utils/validators');
+
+class PresenceService {
+  constructor() {
+    this.DIRECTIONS = ['entry', 'exit'];
+  }
+
+  async getSettings() {
+    try {
+      return await SettingsModel.getAntiPassbackSettings();
+    } catch (error) {
+      logger.warn('Could not get anti-passback settings, anti-passback disabled:', error.message);
+      return { enabled: false, window_minutes: 0 };
+    }
+  }
+
+  /**
+   * Get the current in/out state of a pass (Redis first, database fallback)
+   * @param {string} uid - Pass UID
+   * @returns {Promise<Object|null>} Presence state or null if pass not found
+   */
+  async getPresence(uid) {
+    try {
+      const cached = await redisService.getPresence(uid);
+      if (cached) {
+        return cached;
+      }
+    } catch (error) {
+      logger.warn('Redis not available for presence lookup, falling back to database:', error.message);
+    }
+
+    const pass = await PassModel.findByUid(uid);
+    if (!pass) {
+      return null;
+    }
+
+    const presence = this.fromPass(pass);
+
+    try {
+      await redisService.setPresence(uid, presence);
+    } catch (error) {
+      logger.warn('Failed to cache presence state:', error.message);
+    }
+
+    return presence;
+  }
+
+  fromPass(pass) {
+    return {
+      state: pass.presence_state || 'outside',
+      last_entry_at: pass.last_entry_at || null,
+      last_exit_at: pass.last_exit_at || null,
+      last_scan_by: pass.last_presence_by || null
+    };
+  }
+
+  /**
+   * Whether a presence record still counts as inside. With a window configured,
+   * an entry older than the window is treated as stale (timed anti-passback).
+   */
+  isInside(presence, windowMinutes = 0) {
+    if (!presence || presence.state !== 'inside') {
+      return false;
+    }
+
+    if (!windowMinutes || !presence.last_entry_at) {
+      return true;
+    }
+
+    const lastEntry = moment(presence.last_entry_at);
+    if (!lastEntry.isValid()) {
+      return true;
+    }
+
+    return moment().diff(lastEntry, 'seconds') < windowMinutes * 60;
+  }
+
+  /**
+   * Check whether an entry scan is allowed for this pass
+   * @param {string} uid - Pass UID
+   * @returns {Promise<Object>} { allowed, enabled, inside, presence, window_minutes, retry_after_seconds }
+   */
+  async checkEntry(uid) {
+    const settings = await this.getSettings();
+    const presence = await this.getPresence(uid);
+    const inside = this.isInside(presence, settings.window_minutes);
+
+    const result = {
+      allowed: !settings.enabled || !inside,
+      enabled: settings.enabled,
+      inside,
+      presence,
+      window_minutes: settings.window_minutes,
+      retry_after_seconds: null
+    };
+
+    if (inside && settings.window_minutes && presence.last_entry_at) {
+      const elapsed = moment().diff(moment(presence.last_entry_at), 'seconds');
+      result.retry_after_seconds = Math.max(0, settings.window_minutes * 60 - elapsed);
+    }
+
+    return result;
+  }
+
+  async canOverride(user) {
+    return await permissionService.userHasPermission(user, 'verify.override');
+  }
+
+  async recordEntry(uid, pass, scannedBy) {
+    return this.updatePresence(uid, pass, 'inside', scannedBy);
+  }
+
+  async recordExit(uid, pass, scannedBy) {
+    return this.updatePresence(uid, pass, 'outside', scannedBy);
+  }
+
+  async updatePresence(uid, pass, state, scannedBy) {
+    const passDbId = pass.id || pass.pass_db_id;
+    const scannedById = scannedBy?.id ?? scannedBy ?? null;
+
+    // Companion cards of a pass group have no passes row of their own; their presence lives in Redis
+    const companionCard = pass.group && pass.group.card === 'companion';
+    const updatedPass = companionCard ? null : await PassModel.updatePresence(passDbId, state, scannedById);
+    const presence = updatedPass ? this.fromPass(updatedPass) : {
+      state,
+      last_entry_at: state === 'inside' ? getCurrentDateTime() : null,
+      last_exit_at: state === 'outside' ? getCurrentDateTime() : null,
+      last_scan_by: scannedById
+    };
+
+    try {
+      await redisService.setPresence(uid, presence);
+    } catch (error) {
+      logger.warn('Failed to cache presence state:', error.message);
+    }
+
+    logger.debug(`Presence updated: UID=${uid}, State=${state}, By=${scannedById}`);
+    return presence;
+  }
+}
+
+module.exports = new PresenceService();
@@ -1,3 +1,5 @@
+const fs = require('fs');
+const path = require('path');
 const { getRedisClient } = require('../config/redis');
 const logger = require('../utils/logger');
 const PassModel = require('../models/pass.model');
@@ -8,13 +10,44 @@ class RedisService {
     this.BLOCKED_PASSES_KEY = 'blocked:passes';
     this.VERIFY_LOCK_PREFIX = 'lock:verify:';
     this.TOKEN_BLACKLIST_KEY = 'blacklist:tokens';
+    this.REVOKED_SESSIONS_KEY = 'revoked:sessions';
+    this.LOGIN_FAILURES_PREFIX = 'login:failures:';
+    this.LOGIN_LOCK_PREFIX = 'login:lock:';
+    this.LOGIN_LOCKOUTS_PREFIX = 'login:lockouts:';
+    this.TWO_FACTOR_ATTEMPTS_PREFIX = '2fa:attempts:';
+    this.TWO_FACTOR_USED_PREFIX = '2fa:used:';
+    this.PRESENCE_KEY = 'presence:passes';
+    this.OCCUPANCY_ZONES_KEY = 'occupancy:zones';
+    this.OCCUPANCY_CATEGORIES_KEY = 'occupancy:categories';
+    this.OCCUPANCY_TOTAL_KEY = 'occupancy:total';
+    this.OCCUPANCY_PASSES_KEY = 'occupancy:passes';
+    this.POLICIES_KEY = 'policies:active';
+    this.SCHEDULES_KEY = 'schedules:categories';
+    this.ROLE_PERMISSIONS_KEY = 'permissions:roles';
+    this.SIGNED_CATEGORIES_KEY = 'signing:categories';
+    this.HOLDERS_KEY = 'holders:passes';
+    this.OFFLINE_SEQ_KEY = 'offline:seq';
+    this.OFFLINE_CHANGES_KEY = 'offline:changes';
+    this.OFFLINE_FLOOR_KEY = 'offline:floor';
+    this.IDEMPOTENCY_PREFIX = 'idempotency:';
+    this.FRAUD_PREFIX = 'fraud:';
+    this.USAGE_KEY = 'usage:passes';
+    this.USAGE_PENDING_KEY = 'usage:pending';
+    this.USAGE_LAST_USED_KEY = 'usage:last_used';
+    this.USAGE_QUEUE_KEY = 'usage:queue';
+    this.USAGE_FLUSH_LOCK_KEY = 'lock:usage:flush';
+    this.OFFLINE_CHANGES_MAX = parseInt(process.env.OFFLINE_CHANGES_MAX) || 10000;
     this.CACHE_TTL = parseInt(process.env.CACHE_TTL) || 3600; // 1 hour
     this.LOCK_TTL = 10; // 10 seconds for verification locks
+    this.USAGE_FLUSH_LOCK_TTL = 30; // covers a full write-behind flush
+    this.occupancyEnterScript = fs.readFileSync(path.join(__dirname, '../utils/occupancy_enter.lua'), 'utf8');
+    this.occupancyLeaveScript = fs.readFileSync(path.join(__dirname, '../utils/occupancy_leave.lua'), 'utf8');
+    this.passChangeScript = fs.readFileSync(path.join(__dirname, '../utils/pass_change.lua'), 'utf8');
+    this.fastVerifyScript = fs.readFileSync(path.join(__dirname, '../utils/lock.lua'), 'utf8');
   }
 
   async addActivePass(uid, passData) {
     try {
-      const client = getRedisClient();
       const passInfo = {
         pass_id: passData.pass_id,
         pass_db_id: passData.id,
@@ -22,10 +55,15 @@ class RedisService {
         people_allowed: passData.people_allowed,
         pass_type: passData.pass_type,
         category: passData.category,
-        max_uses: passData.max_uses
+        max_uses: passData.max_uses,
+        group_id: passData.group_id || null,
+        valid_from: passData.valid_from || null,
+        valid_to: passData.valid_to || null
       };
       
-      await client.hSet(this.ACTIVE_PASSES_KEY, uid, JSON.stringify(passInfo));
+      await this.applyPassChange('upsert', uid, passInfo, passInfo.category);
+      // The pass was (re)loaded from MySQL, so reseed its used count on the next fast-path scan
+      await this.invalidatePassUsage(uid);
       logger.debug(`Added active pass to cache: ${uid}`);
     } catch (error) {
       logger.error('Error adding active pass to cache:', error);
@@ -33,6 +71,31 @@ class RedisService {
     }
   }
 
+  /**
+   * Apply a change to the active/blocked pass caches and record it in the offline
+   * change feed (only when the cached data actually changed)
+   * @returns {Promise<number>} Sequence number of the change, 0 if nothing changed
+   */
+  async applyPassChange(op, uid, passInfo = null, category = null) {
+    const client = getRedisClient();
+    return await client.eval(this.passChangeScript, {
+      keys: [
+        this.ACTIVE_PASSES_KEY,
+        this.BLOCKED_PASSES_KEY,
+        this.OFFLINE_SEQ_KEY,
+        this.OFFLINE_CHANGES_KEY,
+        this.OFFLINE_FLOOR_KEY
+      ],
+      arguments: [
+        op,
+        uid,
+        passInfo ? JSON.stringify(passInfo) : '',
+        category || '',
+        String(this.OFFLINE_CHANGES_MAX)
+      ]
+    });
+  }
+
   async getActivePass(uid) {
     try {
       const client = getRedisClient();
@@ -50,8 +113,8 @@ class RedisService {
 
   async removeActivePass(uid) {
     try {
-      const client = getRedisClient();
-      await client.hDel(this.ACTIVE_PASSES_KEY, uid);
+      await this.applyPassChange('remove', uid);
+      await this.invalidatePassUsage(uid);
       logger.debug(`Removed active pass from cache: ${uid}`);
     } catch (error) {
       logger.error('Error removing active pass from cache:', error);
@@ -59,10 +122,9 @@ class RedisService {
     }
   }
 
-  async addBlockedPass(uid) {
+  async addBlockedPass(uid, category = null) {
     try {
-      const client = getRedisClient();
-      await client.sAdd(this.BLOCKED_PASSES_KEY, uid);
+      await this.applyPassChange('block', uid, null, category);
       logger.debug(`Added blocked pass to cache: ${uid}`);
     } catch (error) {
       logger.error('Error adding blocked pass to cache:', error);
@@ -70,10 +132,9 @@ class RedisService {
     }
   }
 
-  async removeBlockedPass(uid) {
+  async removeBlockedPass(uid, category = null) {
     try {
-      const client = getRedisClient();
-      await client.sRem(this.BLOCKED_PASSES_KEY, uid);
+      await this.applyPassChange('unblock', uid, null, category);
       logger.debug(`Removed blocked pass from cache: ${uid}`);
     } catch (error) {
       logger.error('Error removing blocked pass from cache:', error);
@@ -156,12 +217,690 @@ class RedisService {
     }
   }
 
+  async setPresence(uid, presence) {
+    try {
+      const client = getRedisClient();
+      await client.hSet(this.PRESENCE_KEY, uid, JSON.stringify(presence));
+      logger.debug(`Updated presence in cache: ${uid} -> ${presence.state}`);
+    } catch (error) {
+      logger.error('Error setting presence in cache:', error);
+      throw error;
+    }
+  }
+
+  async getPresence(uid) {
+    try {
+      const client = getRedisClient();
+      const presence = await client.hGet(this.PRESENCE_KEY, uid);
+      return presence ? JSON.parse(presence) : null;
+    } catch (error) {
+      logger.error('Error getting presence from cache:', error);
+      throw error;
+    }
+  }
+
+  async removePresence(uid) {
+    try {
+      const client = getRedisClient();
+      await client.hDel(this.PRESENCE_KEY, uid);
+    } catch (error) {
+      logger.error('Error removing presence from cache:', error);
+      throw error;
+    }
+  }
+
+  getOccupancyKeys() {
+    return [
+      this.OCCUPANCY_ZONES_KEY,
+      this.OCCUPANCY_CATEGORIES_KEY,
+      this.OCCUPANCY_TOTAL_KEY,
+      this.OCCUPANCY_PASSES_KEY
+    ];
+  }
+
+  /**
+   * Atomically count people entering, refusing when the zone is at capacity
+   * @returns {Promise<Object>} { allowed, zone_count }
+   */
+  async incrementOccupancy(uid, { zone_id, category, headcount }, capacity = 0) {
+    try {
+      const client = getRedisClient();
+      const [result, zoneCount] = await client.eval(this.occupancyEnterScript, {
+        keys: this.getOccupancyKeys(),
+        arguments: [
+          uid,
+          zone_id ? String(zone_id) : '',
+          category || 'unknown',
+          String(headcount || 1),
+          String(capacity || 0)
+        ]
+      });
+
+      return { allowed: result === 'ok', zone_count: parseInt(zoneCount) || 0 };
+    } catch (error) {
+      logger.error('Error incrementing occupancy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Atomically remove people recorded against a pass (all of them when headcount is 0)
+   * @returns {Promise<number>} Number of people removed
+   */
+  async decrementOccupancy(uid, headcount = 0) {
+    try {
+      const client = getRedisClient();
+      const [, removed] = await client.eval(this.occupancyLeaveScript, {
+        keys: this.getOccupancyKeys(),
+        arguments: [uid, String(headcount || 0)]
+      });
+
+      return parseInt(removed) || 0;
+    } catch (error) {
+      logger.error('Error decrementing occupancy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Carry the presence and occupancy recorded for a card over to a new UID
+   * (lost card replacement), so an exit with the new card releases the headcount
+   */
+  async moveCardState(oldUid, newUid) {
+    try {
+      const client = getRedisClient();
+      const [presence, occupancy] = await Promise.all([
+        client.hGet(this.PRESENCE_KEY, oldUid),
+        client.hGet(this.OCCUPANCY_PASSES_KEY, oldUid)
+      ]);
+
+      const pipeline = client.multi();
+      if (presence) {
+        pipeline.hSet(this.PRESENCE_KEY, newUid, presence);
+      }
+      if (occupancy) {
+        pipeline.hSet(this.OCCUPANCY_PASSES_KEY, newUid, occupancy);
+      }
+      pipeline.hDel(this.PRESENCE_KEY, oldUid);
+      pipeline.hDel(this.OCCUPANCY_PASSES_KEY, oldUid);
+      await pipeline.exec();
+    } catch (error) {
+      logger.error('Error moving card state to new UID:', error);
+      throw error;
+    }
+  }
+
+  async getOccupancyCounters() {
+    try {
+      const client = getRedisClient();
+      const [zones, categories, total] = await Promise.all([
+        client.hGetAll(this.OCCUPANCY_ZONES_KEY),
+        client.hGetAll(this.OCCUPANCY_CATEGORIES_KEY),
+        client.get(this.OCCUPANCY_TOTAL_KEY)
+      ]);
+
+      const toNumbers = (hash) => Object.fromEntries(
+        Object.entries(hash || {}).map(([key, value]) => [key, parseInt(value) || 0])
+      );
+
+      return {
+        total: parseInt(total) || 0,
+        zones: toNumbers(zones),
+        categories: toNumbers(categories)
+      };
+    } catch (error) {
+      logger.error('Error getting occupancy counters:', error);
+      throw error;
+    }
+  }
+
+  async resetOccupancy() {
+    try {
+      const client = getRedisClient();
+      await client.del(this.getOccupancyKeys());
+      logger.info('Occupancy counters reset');
+    } catch (error) {
+      logger.error('Error resetting occupancy counters:', error);
+      throw error;
+    }
+  }
+
+  async getCachedPolicies() {
+    try {
+      const client = getRedisClient();
+      const policies = await client.get(this.POLICIES_KEY);
+      return policies ? JSON.parse(policies) : null;
+    } catch (error) {
+      logger.error('Error getting cached policies:', error);
+      throw error;
+    }
+  }
+
+  async setCachedPolicies(policies) {
+    try {
+      const client = getRedisClient();
+      await client.set(this.POLICIES_KEY, JSON.stringify(policies), { EX: this.CACHE_TTL });
+    } catch (error) {
+      logger.error('Error caching policies:', error);
+      throw error;
+    }
+  }
+
+  async clearCachedPolicies() {
+    try {
+      const client = getRedisClient();
+      await client.del(this.POLICIES_KEY);
+    } catch (error) {
+      logger.error('Error clearing cached policies:', error);
+      throw error;
+    }
+  }
+
+  async getCachedSchedules() {
+    try {
+      const client = getRedisClient();
+      const schedules = await client.get(this.SCHEDULES_KEY);
+      return schedules ? JSON.parse(schedules) : null;
+    } catch (error) {
+      logger.error('Error getting cached schedules:', error);
+      throw error;
+    }
+  }
+
+  async setCachedSchedules(schedules) {
+    try {
+      const client = getRedisClient();
+      await client.set(this.SCHEDULES_KEY, JSON.stringify(schedules), { EX: this.CACHE_TTL });
+    } catch (error) {
+      logger.error('Error caching schedules:', error);
+      throw error;
+    }
+  }
+
+  async clearCachedSchedules() {
+    try {
+      const client = getRedisClient();
+      await client.del(this.SCHEDULES_KEY);
+    } catch (error) {
+      logger.error('Error clearing cached schedules:', error);
+      throw error;
+    }
+  }
+
+  async getCachedRolePermissions() {
+    try {
+      const client = getRedisClient();
+      const permissions = await client.get(this.ROLE_PERMISSIONS_KEY);
+      return permissions ? JSON.parse(permissions) : null;
+    } catch (error) {
+      logger.error('Error getting cached role permissions:', error);
+      throw error;
+    }
+  }
+
+  async setCachedRolePermissions(permissions) {
+    try {
+      const client = getRedisClient();
+      await client.set(this.ROLE_PERMISSIONS_KEY, JSON.stringify(permissions), { EX: this.CACHE_TTL });
+    } catch (error) {
+      logger.error('Error caching role permissions:', error);
+      throw error;
+    }
+  }
+
+  async clearCachedRolePermissions() {
+    try {
+      const client = getRedisClient();
+      await client.del(this.ROLE_PERMISSIONS_KEY);
+    } catch (error) {
+      logger.error('Error clearing cached role permissions:', error);
+      throw error;
+    }
+  }
+
+  async getCachedSignedCategories() {
+    try {
+      const client = getRedisClient();
+      const categories = await client.get(this.SIGNED_CATEGORIES_KEY);
+      return categories ? JSON.parse(categories) : null;
+    } catch (error) {
+      logger.error('Error getting cached signed payload categories:', error);
+      throw error;
+    }
+  }
+
+  async setCachedSignedCategories(categories) {
+    try {
+      const client = getRedisClient();
+      await client.set(this.SIGNED_CATEGORIES_KEY, JSON.stringify(categories), { EX: this.CACHE_TTL });
+    } catch (error) {
+      logger.error('Error caching signed payload categories:', error);
+      throw error;
+    }
+  }
+
+  async clearCachedSignedCategories() {
+    try {
+      const client = getRedisClient();
+      await client.del(this.SIGNED_CATEGORIES_KEY);
+    } catch (error) {
+      logger.error('Error clearing cached signed payload categories:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cached holder profile of a pass
+   * @returns {Promise<Object|null|undefined>} Holder, null when the pass has none, undefined when not cached
+   */
+  async getCachedHolder(passId) {
+    try {
+      const client = getRedisClient();
+      const holder = await client.hGet(this.HOLDERS_KEY, String(passId));
+      return holder === null || holder === undefined ? undefined : JSON.parse(holder);
+    } catch (error) {
+      logger.error('Error getting cached pass holder:', error);
+      throw error;
+    }
+  }
+
+  async setCachedHolder(passId, holder) {
+    try {
+      const client = getRedisClient();
+      await client.hSet(this.HOLDERS_KEY, String(passId), JSON.stringify(holder || null));
+      await client.expire(this.HOLDERS_KEY, this.CACHE_TTL);
+    } catch (error) {
+      logger.error('Error caching pass holder:', error);
+      throw error;
+    }
+  }
+
+  async clearCachedHolder(passId) {
+    try {
+      const client = getRedisClient();
+      await client.hDel(this.HOLDERS_KEY, String(passId));
+    } catch (error) {
+      logger.error('Error clearing cached pass holder:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Consistent snapshot of the pass caches for offline devices
+   * @returns {Promise<Object>} { version, active: { uid: passInfo }, blocked: [uid] }
+   */
+  async getOfflineSnapshot() {
+    try {
+      const client = getRedisClient();
+      const [seq, active, blocked] = await client.multi()
+        .get(this.OFFLINE_SEQ_KEY)
+        .hGetAll(this.ACTIVE_PASSES_KEY)
+        .sMembers(this.BLOCKED_PASSES_KEY)
+        .exec();
+
+      const passes = {};
+      Object.entries(active || {}).forEach(([uid, passInfo]) => {
+        passes[uid] = JSON.parse(passInfo);
+      });
+
+      return {
+        version: parseInt(seq) || 0,
+        active: passes,
+        blocked: blocked || []
+      };
+    } catch (error) {
+      logger.error('Error getting offline snapshot:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Changes recorded after a sequence number
+   * @returns {Promise<Object>} { version, floor, changes: [...] }
+   */
+  async getPassChanges(since, limit) {
+    try {
+      const client = getRedisClient();
+      const [seq, floor, changes] = await client.multi()
+        .get(this.OFFLINE_SEQ_KEY)
+        .get(this.OFFLINE_FLOOR_KEY)
+        .zRangeByScore(this.OFFLINE_CHANGES_KEY, `(${since}`, '+inf', { LIMIT: { offset: 0, count: limit } })
+        .exec();
+
+      return {
+        version: parseInt(seq) || 0,
+        floor: parseInt(floor) || 0,
+        changes: (changes || []).map(change => JSON.parse(change))
+      };
+    } catch (error) {
+      logger.error('Error getting pass changes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop the change feed after the caches were rebuilt outside it; devices
+   * holding an older version are told to download a full bundle
+   */
+  async resetPassChanges() {
+    try {
+      const client = getRedisClient();
+      const seq = await client.incr(this.OFFLINE_SEQ_KEY);
+      await client.multi()
+        .del(this.OFFLINE_CHANGES_KEY)
+        .set(this.OFFLINE_FLOOR_KEY, String(seq))
+        .exec();
+    } catch (error) {
+      logger.error('Error resetting pass change feed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim an idempotency key; fails if a record already exists for it
+   * @returns {Promise<boolean>} True if the key was claimed
+   */
+  async claimIdempotencyKey(key, record, ttlSeconds) {
+    try {
+      const client = getRedisClient();
+      const result = await client.set(`${this.IDEMPOTENCY_PREFIX}${key}`, JSON.stringify(record), {
+        EX: ttlSeconds,
+        NX: true
+      });
+      return result === 'OK';
+    } catch (error) {
+      logger.error('Error claiming idempotency key:', error);
+      throw error;
+    }
+  }
+
+  async getIdempotencyRecord(key) {
+    try {
+      const client = getRedisClient();
+      const record = await client.get(`${this.IDEMPOTENCY_PREFIX}${key}`);
+      return record ? JSON.parse(record) : null;
+    } catch (error) {
+      logger.error('Error getting idempotency record:', error);
+      throw error;
+    }
+  }
+
+  async setIdempotencyRecord(key, record, ttlSeconds) {
+    try {
+      const client = getRedisClient();
+      await client.set(`${this.IDEMPOTENCY_PREFIX}${key}`, JSON.stringify(record), { EX: ttlSeconds });
+    } catch (error) {
+      logger.error('Error storing idempotency record:', error);
+      throw error;
+    }
+  }
+
+  async deleteIdempotencyRecord(key) {
+    try {
+      const client = getRedisClient();
+      await client.del(`${this.IDEMPOTENCY_PREFIX}${key}`);
+    } catch (error) {
+      logger.error('Error deleting idempotency record:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add an event to a fraud detection sliding window and drop events older than the window
+   * @param {string} key - Window key (without prefix)
+   * @param {string} member - Unique event member
+   * @param {number} windowSeconds - Window length
+   * @returns {Promise<Array>} Members still inside the window
+   */
+  async recordFraudWindowEvent(key, member, windowSeconds) {
+    try {
+      const client = getRedisClient();
+      const windowKey = `${this.FRAUD_PREFIX}${key}`;
+      const now = Date.now();
+
+      const results = await client.multi()
+        .zAdd(windowKey, { score: now, value: member })
+        .zRemRangeByScore(windowKey, '-inf', now - windowSeconds * 1000)
+        .zRange(windowKey, 0, -1)
+        .expire(windowKey, windowSeconds)
+        .exec();
+
+      return results[2];
+    } catch (error) {
+      logger.error('Error recording fraud window event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim a fraud alert cooldown so the same alert is not raised again while it lasts
+   * @returns {Promise<boolean>} True if no alert was raised during the cooldown
+   */
+  async claimFraudCooldown(key, ttlSeconds) {
+    try {
+      const client = getRedisClient();
+      const result = await client.set(`${this.FRAUD_PREFIX}cooldown:${key}`, '1', {
+        EX: ttlSeconds,
+        NX: true
+      });
+      return result === 'OK';
+    } catch (error) {
+      logger.error('Error claiming fraud alert cooldown:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count fraud alerts for a subject within a fixed window
+   * @returns {Promise<number>} Alerts counted in the current window
+   */
+  async incrementFraudAlertCount(key, ttlSeconds) {
+    try {
+      const client = getRedisClient();
+      const countKey = `${this.FRAUD_PREFIX}alerts:${key}`;
+      const count = await client.incr(countKey);
+      if (count === 1) {
+        await client.expire(countKey, ttlSeconds);
+      }
+      return count;
+    } catch (error) {
+      logger.error('Error counting fraud alerts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fast-path verification: atomically check and consume uses of a cached pass and
+   * queue the change for MySQL (see utils/lock.lua)
+   * @param {string} uid - Pass UID
+   * @param {number} count - Uses to consume
+   * @param {number} cooldownSeconds - Minimum time between consumes (0 = none)
+   * @param {Object} queueEntry - Write-behind entry { uid, pass_db_id, count, scanned_by, scanned_at }
+   * @param {number|null} seedUsedCount - MySQL used_count, when the cache has to be seeded
+   * @returns {Promise<Object>} { status, used_count, max_uses, retry_after_ms }
+   */
+  async fastConsume(uid, count, cooldownSeconds, queueEntry, seedUsedCount = null) {
+    const client = getRedisClient();
+    const [status, usedCount, maxUses, retryAfterMs] = await client.eval(this.fastVerifyScript, {
+      keys: [
+        this.ACTIVE_PASSES_KEY,
+        this.BLOCKED_PASSES_KEY,
+        this.USAGE_KEY,
+        this.USAGE_PENDING_KEY,
+        this.USAGE_LAST_USED_KEY,
+        this.USAGE_QUEUE_KEY,
+        `${this.VERIFY_LOCK_PREFIX}${uid}`
+      ],
+      arguments: [
+        uid,
+        String(count),
+        String(Date.now()),
+        String(cooldownSeconds || 0),
+        JSON.stringify(queueEntry),
+        seedUsedCount === null || seedUsedCount === undefined ? '' : String(seedUsedCount)
+      ]
+    });
+
+    return {
+      status,
+      used_count: usedCount,
+      max_uses: maxUses,
+      retry_after_ms: retryAfterMs
+    };
+  }
+
+  async getPassUsage(uid) {
+    try {
+      const client = getRedisClient();
+      const usedCount = await client.hGet(this.USAGE_KEY, uid);
+      return usedCount === null || usedCount === undefined ? null : parseInt(usedCount);
+    } catch (error) {
+      logger.error('Error getting cached pass usage:', error);
+      throw error;
+    }
+  }
+
+  async invalidatePassUsage(uid) {
+    try {
+      const client = getRedisClient();
+      await client.hDel(this.USAGE_KEY, uid);
+    } catch (error) {
+      logger.error('Error invalidating cached pass usage:', error);
+      throw error;
+    }
+  }
+
+  async clearPassUsage() {
+    try {
+      const client = getRedisClient();
+      await client.del(this.USAGE_KEY);
+    } catch (error) {
+      logger.error('Error clearing cached pass usage:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Forget the last consume time of passes whose uses were reset, so the
+   * cooldown does not hold back their first scan after the reset
+   * @param {Array<string>} uids - Pass UIDs
+   */
+  async clearPassLastUsed(uids) {
+    if (!uids || uids.length === 0) {
+      return;
+    }
+
+    try {
+      const client = getRedisClient();
+      await client.hDel(this.USAGE_LAST_USED_KEY, uids);
+    } catch (error) {
+      logger.error('Error clearing pass last used times:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lock held by a write-behind flush while it writes MySQL and settles pending
+   * uses, and by a reseed while it reads MySQL and seeds the used count, so a
+   * reseed never sees a count that is both written and still pending
+   * @returns {Promise<boolean>} Whether the lock was acquired
+   */
+  async setUsageFlushLock(ttl = this.USAGE_FLUSH_LOCK_TTL) {
+    try {
+      const client = getRedisClient();
+      const result = await client.set(this.USAGE_FLUSH_LOCK_KEY, '1', {
+        EX: ttl,
+        NX: true
+      });
+      return result === 'OK';
+    } catch (error) {
+      logger.error('Error setting usage flush lock:', error);
+      throw error;
+    }
+  }
+
+  async releaseUsageFlushLock() {
+    try {
+      const client = getRedisClient();
+      await client.del(this.USAGE_FLUSH_LOCK_KEY);
+    } catch (error) {
+      logger.error('Error releasing usage flush lock:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take up to `limit` entries from the write-behind queue
+   * @returns {Promise<Array>} Parsed entries
+   */
+  async takeUsageQueue(limit) {
+    try {
+      const client = getRedisClient();
+      const entries = await client.lPopCount(this.USAGE_QUEUE_KEY, limit);
+      return (entries || []).map(entry => JSON.parse(entry));
+    } catch (error) {
+      logger.error('Error reading usage write-behind queue:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Put entries back on the queue after a failed write
+   */
+  async requeueUsage(entries) {
+    try {
+      const client = getRedisClient();
+      await client.lPush(this.USAGE_QUEUE_KEY, entries.map(entry => JSON.stringify(entry)));
+    } catch (error) {
+      logger.error('Error requeueing usage entries:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Forget pending uses that have been written to MySQL
+   * @param {Object} totals - { uid: uses written }
+   */
+  async settlePendingUsage(totals) {
+    try {
+      const client = getRedisClient();
+      const pipeline = client.multi();
+      Object.entries(totals).forEach(([uid, count]) => {
+        pipeline.hIncrBy(this.USAGE_PENDING_KEY, uid, -count);
+      });
+      await pipeline.exec();
+    } catch (error) {
+      logger.error('Error settling pending usage:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Used counts, pending writes and queue length, read together
+   * @returns {Promise<Object>} { usage, pending, queue_length }
+   */
+  async getUsageSnapshot() {
+    try {
+      const client = getRedisClient();
+      const [usage, pending, queueLength] = await client.multi()
+        .hGetAll(this.USAGE_KEY)
+        .hGetAll(this.USAGE_PENDING_KEY)
+        .lLen(this.USAGE_QUEUE_KEY)
+        .exec();
+
+      return { usage, pending, queue_length: queueLength };
+    } catch (error) {
+      logger.error('Error getting usage snapshot:', error);
+      throw error;
+    }
+  }
+
   async rebuildActivePassesCache() {
     try {
       const client = getRedisClient();
       
-      // Clear existing cache
-      await client.del(this.ACTIVE_PASSES_KEY);
+      // Clear existing cache (used counts are reseeded from MySQL on demand)
+      await client.del([this.ACTIVE_PASSES_KEY, this.USAGE_KEY]);
       
       // Get all active passes from database
       const activePasses = await PassModel.getActivePasses();
@@ -177,7 +916,10 @@ class RedisService {
             people_allowed: pass.people_allowed,
             pass_type: pass.pass_type,
             category: pass.category,
-            max_uses: pass.max_uses
+            max_uses: pass.max_uses,
+            group_id: pass.group_id || null,
+            valid_from: pass.valid_from || null,
+            valid_to: pass.valid_to || null
           };
           
           pipeline.hSet(this.ACTIVE_PASSES_KEY, pass.uid, JSON.stringify(passInfo));
@@ -186,6 +928,8 @@ class RedisService {
         await pipeline.exec();
       }
       
+      await this.resetPassChanges();
+      
       logger.info(`Rebuilt active passes cache with ${activePasses.length} passes`);
       return activePasses.length;
     } catch (error) {
@@ -208,6 +952,8 @@ class RedisService {
         await client.sAdd(this.BLOCKED_PASSES_KEY, blockedPasses);
       }
       
+      await this.resetPassChanges();
+      
       logger.info(`Rebuilt blocked passes cache with ${blockedPasses.length} passes`);
       return blockedPasses.length;
     } catch (error) {
@@ -232,7 +978,8 @@ class RedisService {
   async clearAllCaches() {
     try {
       const client = getRedisClient();
-      await client.del(this.ACTIVE_PASSES_KEY, this.BLOCKED_PASSES_KEY);
+      await client.del([this.ACTIVE_PASSES_KEY, this.BLOCKED_PASSES_KEY, this.PRESENCE_KEY, this.POLICIES_KEY, this.SCHEDULES_KEY, this.SIGNED_CATEGORIES_KEY, this.HOLDERS_KEY, this.USAGE_KEY, this.ROLE_PERMISSIONS_KEY]);
+      await this.resetPassChanges();
       logger.info('All caches cleared');
     } catch (error) {
       logger.error('Error clearing all caches:', error);
@@ -336,6 +1083,172 @@ class RedisService {
     }
   }
 
+  // Revoked login sessions, so access tokens of the session are rejected without a MySQL lookup
+  async markSessionRevoked(sessionId, ttlSeconds) {
+    try {
+      const client = getRedisClient();
+      if (ttlSeconds > 0) {
+        await client.setEx(`${this.REVOKED_SESSIONS_KEY}:${sessionId}`, ttlSeconds, 'revoked');
+      }
+    } catch (error) {
+      logger.error('Error marking session as revoked:', error);
+      throw error;
+    }
+  }
+
+  async isSessionRevoked(sessionId) {
+    try {
+      const client = getRedisClient();
+      const result = await client.get(`${this.REVOKED_SESSIONS_KEY}:${sessionId}`);
+      return result !== null;
+    } catch (error) {
+      logger.error('Error checking revoked session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count a failed login for an account within a fixed window
+   * @returns {Promise<number>} Failures counted in the current window
+   */
+  async incrementLoginFailures(username, windowSeconds) {
+    try {
+      const client = getRedisClient();
+      const key = `${this.LOGIN_FAILURES_PREFIX}${username}`;
+      const count = await client.incr(key);
+      if (count === 1) {
+        await client.expire(key, windowSeconds);
+      }
+      return count;
+    } catch (error) {
+      logger.error('Error counting failed login:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lock an account and count the lockout, so repeated lockouts last longer
+   * @param {string} username - Normalized username
+   * @param {Function} getDuration - Lockout number -> lock duration in seconds
+   * @param {number} historySeconds - How long past lockouts are remembered
+   * @returns {Promise<Object>} { lockouts, duration }
+   */
+  async lockLogin(username, getDuration, historySeconds) {
+    try {
+      const client = getRedisClient();
+      const lockoutsKey = `${this.LOGIN_LOCKOUTS_PREFIX}${username}`;
+      const lockouts = await client.incr(lockoutsKey);
+      await client.expire(lockoutsKey, historySeconds);
+
+      const duration = getDuration(lockouts);
+      await client.multi()
+        .setEx(`${this.LOGIN_LOCK_PREFIX}${username}`, duration, String(lockouts))
+        .del(`${this.LOGIN_FAILURES_PREFIX}${username}`)
+        .exec();
+
+      return { lockouts, duration };
+    } catch (error) {
+      logger.error('Error locking login:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {Promise<number>} Seconds left on the account's lock, 0 if it is not locked
+   */
+  async getLoginLockTtl(username) {
+    try {
+      const client = getRedisClient();
+      const ttl = await client.ttl(`${this.LOGIN_LOCK_PREFIX}${username}`);
+      return ttl > 0 ? ttl : 0;
+    } catch (error) {
+      logger.error('Error checking login lock:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Forget failed logins of an account
+   * @param {boolean} includeLockouts - Also lift the lock and forget past lockouts
+   */
+  async clearLoginFailures(username, includeLockouts = false) {
+    try {
+      const client = getRedisClient();
+      const keys = [`${this.LOGIN_FAILURES_PREFIX}${username}`];
+      if (includeLockouts) {
+        keys.push(`${this.LOGIN_LOCK_PREFIX}${username}`, `${this.LOGIN_LOCKOUTS_PREFIX}${username}`);
+      }
+      await client.del(keys);
+    } catch (error) {
+      logger.error('Error clearing failed logins:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count a wrong two-factor code for a user within a fixed window
+   * @returns {Promise<number>} Wrong codes counted in the current window
+   */
+  async incrementTwoFactorAttempts(userId, windowSeconds) {
+    try {
+      const client = getRedisClient();
+      const key = `${this.TWO_FACTOR_ATTEMPTS_PREFIX}${userId}`;
+      const count = await client.incr(key);
+      if (count === 1) {
+        await client.expire(key, windowSeconds);
+      }
+      return count;
+    } catch (error) {
+      logger.error('Error counting two-factor attempt:', error);
+      throw error;
+    }
+  }
+
+  async getTwoFactorAttempts(userId) {
+    try {
+      const client = getRedisClient();
+      return parseInt(await client.get(`${this.TWO_FACTOR_ATTEMPTS_PREFIX}${userId}`)) || 0;
+    } catch (error) {
+      logger.error('Error reading two-factor attempts:', error);
+      throw error;
+    }
+  }
+
+  async clearTwoFactorAttempts(userId) {
+    try {
+      const client = getRedisClient();
+      await client.del(`${this.TWO_FACTOR_ATTEMPTS_PREFIX}${userId}`);
+    } catch (error) {
+      logger.error('Error clearing two-factor attempts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a login challenge as used until it would have expired anyway
+   * @returns {Promise<boolean>} False if it was already used
+   */
+  async markChallengeUsed(jti, ttlSeconds) {
+    try {
+      const client = getRedisClient();
+      const result = await client.set(`${this.TWO_FACTOR_USED_PREFIX}${jti}`, '1', { NX: true, EX: Math.max(1, ttlSeconds) });
+      return result === 'OK';
+    } catch (error) {
+      logger.error('Error marking login challenge as used:', error);
+      throw error;
+    }
+  }
+
+  async isChallengeUsed(jti) {
+    try {
+      const client = getRedisClient();
+      return await client.exists(`${this.TWO_FACTOR_USED_PREFIX}${jti}`) === 1;
+    } catch (error) {
+      logger.error('Error checking login challenge:', error);
+      throw error;
+    }
+  }
+
   getConnectionStatus() {
     try {
       const client = getRedisClient();
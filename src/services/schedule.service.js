@@ -0,0 +1,191 @@
+const moment = require('moment');
+const CategoriesModel = require('../models/categories.model');
+const redisService = require('./redis.service');
+const logger = require('../utils/logger');
+
+class ScheduleService {
+  constructor() {
+    this.DEFAULT_TIMEZONE = process.env.APP_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  }
+
+  /**
+   * Access schedules for every category, keyed by category name (Redis cache first)
+   * @returns {Promise<Object>} { [categoryName]: { timezone, schedules: [...] } }
+   */
+  async getAllSchedules() {
+    try {
+      const cached = await redisService.getCachedSchedules();
+      if (cached) {
+        return cached;
+      }
+    } catch (error) {
+      logger.warn('Redis not available for schedule lookup, falling back to database:', error.message);
+    }
+
+    let schedules;
+    try {
+      schedules = await CategoriesModel.getSchedulesByCategoryName();
+    } catch (error) {
+      logger.warn('Could not load category schedules, schedules not enforced:', error.message);
+      return {};
+    }
+
+    try {
+      await redisService.setCachedSchedules(schedules);
+    } catch (error) {
+      logger.warn('Failed to cache category schedules:', error.message);
+    }
+
+    return schedules;
+  }
+
+  async invalidateCache() {
+    try {
+      await redisService.clearCachedSchedules();
+    } catch (error) {
+      logger.warn('Failed to clear cached category schedules:', error.message);
+    }
+  }
+
+  /**
+   * Wall-clock date and time in a timezone
+   * @returns {Object} { date: 'YYYY-MM-DD', time: 'HH:mm:ss' }
+   */
+  getLocalNow(timezone, now = new Date()) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now).forEach(part => {
+      parts[part.type] = part.value;
+    });
+
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      time: `${parts.hour}:${parts.minute}:${parts.second}`
+    };
+  }
+
+  /**
+   * Check a category's access schedules at the current time
+   * @param {string} categoryName - Pass category
+   * @returns {Promise<Object>} { allowed, status, message, next_window, timezone, local_time }
+   */
+  async checkAccess(categoryName, now = new Date()) {
+    const all = await this.getAllSchedules();
+    const entry = all[categoryName];
+
+    // Categories without schedules can be used at any time
+    if (!entry || !entry.schedules || entry.schedules.length === 0) {
+      return { allowed: true };
+    }
+
+    const timezone = entry.timezone || this.DEFAULT_TIMEZONE;
+    const local = this.getLocalNow(timezone, now);
+
+    if (entry.schedules.some(schedule => this.isWithin(schedule, local))) {
+      return { allowed: true, timezone, local_time: `${local.date} ${local.time}` };
+    }
+
+    const nextWindow = this.findNextWindow(entry.schedules, local);
+    const notYetValid = entry.schedules.every(schedule => schedule.start_date && local.date < schedule.start_date);
+    const status = notYetValid ? 'not_yet_valid' : 'outside_window';
+
+    let message;
+    if (nextWindow) {
+      const prefix = notYetValid ? `${categoryName} passes are not valid yet` : `${categoryName} passes are not valid at this time`;
+      message = `${prefix}. Next entry window: ${nextWindow.starts_at} to ${nextWindow.ends_at || 'open-ended'} (${timezone}).`;
+    } else {
+      message = `${categoryName} passes have no remaining entry windows.`;
+    }
+
+    return {
+      allowed: false,
+      status,
+      message,
+      next_window: nextWindow ? { ...nextWindow, timezone } : null,
+      timezone,
+      local_time: `${local.date} ${local.time}`
+    };
+  }
+
+  inDateRange(schedule, date) {
+    return (!schedule.start_date || date >= schedule.start_date) &&
+      (!schedule.end_date || date <= schedule.end_date);
+  }
+
+  /**
+   * Whether a local date/time falls inside a schedule. Daily windows whose end is
+   * before their start (e.g. 22:00-04:00) run past midnight into the next day.
+   */
+  isWithin(schedule, local) {
+    const { daily_start: start, daily_end: end } = schedule;
+
+    if (!start || !end) {
+      return this.inDateRange(schedule, local.date);
+    }
+
+    if (start <= end) {
+      return this.inDateRange(schedule, local.date) && local.time >= start && local.time <= end;
+    }
+
+    const yesterday = moment(local.date, 'YYYY-MM-DD').subtract(1, 'day').format('YYYY-MM-DD');
+    return (this.inDateRange(schedule, local.date) && local.time >= start) ||
+      (this.inDateRange(schedule, yesterday) && local.time <= end);
+  }
+
+  /**
+   * Earliest upcoming window across a category's schedules (local wall time)
+   * @returns {Object|null} { starts_at, ends_at } formatted as 'YYYY-MM-DD HH:mm'
+   */
+  findNextWindow(schedules, local) {
+    const candidates = schedules
+      .map(schedule => this.nextWindowFor(schedule, local))
+      .filter(Boolean)
+      .sort((a, b) => a.starts_at.localeCompare(b.starts_at));
+
+    return candidates[0] || null;
+  }
+
+  nextWindowFor(schedule, local) {
+    const { start_date: startDate, end_date: endDate, daily_start: start, daily_end: end } = schedule;
+    let day = startDate && startDate > local.date ? startDate : local.date;
+
+    if (!start || !end) {
+      if (day === local.date) {
+        return null; // Either open now or already over
+      }
+      return {
+        starts_at: `${day} 00:00`,
+        ends_at: endDate ? `${endDate} 23:59` : null
+      };
+    }
+
+    // A daily window opens again at most one day after the first eligible day
+    for (let i = 0; i < 2; i++) {
+      if (endDate && day > endDate) {
+        return null;
+      }
+
+      if (day > local.date || local.time < start) {
+        const endDay = start <= end ? day : moment(day, 'YYYY-MM-DD').add(1, 'day').format('YYYY-MM-DD');
+        return {
+          starts_at: `${day} ${start.substring(0, 5)}`,
+          ends_at: `${endDay} ${end.substring(0, 5)}`
+        };
+      }
+
+      day = moment(day, 'YYYY-MM-DD').add(1, 'day').format('YYYY-MM-DD');
+    }
+
+    return null;
+  }
+}
+
+module.exports = new ScheduleService();
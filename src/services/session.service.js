@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const SessionsModel = require('../models/sessions.model');
+const JWTService = require('../config/jwt');
+const redisService = require('./redis.service');
+const logger = require('../utils/logger');
+
+/**
+ * Server-side login sessions. Every login starts a session whose refresh token rotates
+ * on each use; presenting a refresh token that was already rotated away means it was
+ * copied, so the whole session is revoked.
+ */
+class SessionService {
+  constructor() {
+    // Last use is written at most this often per session
+    this.TOUCH_INTERVAL_MS = 60 * 1000;
+    this.lastTouched = new Map();
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  getRefreshExpiry(refreshToken) {
+    const exp = JWTService.getTokenExpiry(refreshToken);
+    return new Date(exp * 1000);
+  }
+
+  getRequestInfo(req) {
+    return {
+      ip_address: req ? (req.ip || req.connection?.remoteAddress || null) : null,
+      user_agent: req ? req.headers['user-agent'] || null : null
+    };
+  }
+
+  sessionError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = 401;
+    return error;
+  }
+
+  /**
+   * Start a session for a successful login
+   * @param {Object} user - Logged in user
+   * @param {Object|null} device - Enrolled device the session is bound to
+   * @param {Object} req - Login request (IP, user agent)
+   * @returns {Promise<Object>} { session_id, tokens }
+   */
+  async startSession(user, device, req) {
+    const sessionId = uuidv4();
+    const tokens = JWTService.generateTokenPair(user, device, sessionId);
+
+    await SessionsModel.create({
+      id: sessionId,
+      user_id: user.id,
+      device_id: device ? device.id : null,
+      refresh_token_hash: this.hashToken(tokens.refreshToken),
+      ...this.getRequestInfo(req),
+      expires_at: this.getRefreshExpiry(tokens.refreshToken)
+    });
+
+    return { session_id: sessionId, tokens };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * @param {string} refreshToken - Presented refresh token
+   * @param {Object} decoded - Its verified claims
+   * @param {Object} user - Session owner
+   * @param {Object|null} device - Device the session is bound to (already validated)
+   * @param {Object} req - Refresh request
+   * @returns {Promise<Object>} New token pair
+   */
+  async rotate(refreshToken, decoded, user, device, req) {
+    // Refresh tokens issued before sessions existed cannot be rotated
+    if (!decoded.sid) {
+      throw this.sessionError('Session has expired, please log in again', 'SESSION_REQUIRED');
+    }
+
+    const session = await SessionsModel.findById(decoded.sid);
+    if (!session || session.user_id !== user.id) {
+      throw this.sessionError('Session not found', 'SESSION_NOT_FOUND');
+    }
+
+    if (session.revoked_at || new Date(session.expires_at) <= new Date()) {
+      throw this.sessionError('Session has been revoked', 'SESSION_REVOKED');
+    }
+
+    const presentedHash = this.hashToken(refreshToken);
+    if (presentedHash !== session.refresh_token_hash) {
+      await this.handleReuse(session, req);
+      throw this.sessionError('Refresh token has already been used', 'REFRESH_TOKEN_REUSED');
+    }
+
+    const tokens = JWTService.generateTokenPair(user, device, session.id);
+    const rotated = await SessionsModel.rotate(session.id, presentedHash, this.hashToken(tokens.refreshToken), {
+      ip_address: this.getRequestInfo(req).ip_address,
+      expires_at: this.getRefreshExpiry(tokens.refreshToken)
+    });
+
+    // Another request rotated the same token first
+    if (!rotated) {
+      await this.handleReuse(session, req);
+      throw this.sessionError('Refresh token has already been used', 'REFRESH_TOKEN_REUSED');
+    }
+
+    return tokens;
+  }
+
+  async handleReuse(session, req) {
+    logger.warn(`Refresh token reuse detected for session ${session.id} of user ${session.user_id} from ${this.getRequestInfo(req).ip_address}; revoking the session`);
+    await this.revokeSession(session.id, 'refresh_token_reuse');
+  }
+
+  /**
+   * Revoke one session; its access tokens are rejected from the next request on
+   * @returns {Promise<boolean>} True if the session was active
+   */
+  async revokeSession(sessionId, reason, revokedBy = null) {
+    const session = await SessionsModel.findById(sessionId);
+    if (!session) return false;
+
+    const revoked = await SessionsModel.revoke(sessionId, reason, revokedBy);
+    await this.markRevoked([session]);
+    return revoked;
+  }
+
+  /**
+   * Revoke every active session of a user
+   * @param {string|null} exceptSessionId - Session to keep (e.g. the one changing the password)
+   * @returns {Promise<number>} Sessions revoked
+   */
+  async revokeUserSessions(userId, reason, revokedBy = null, exceptSessionId = null) {
+    const sessions = await SessionsModel.revokeAllBy('user_id', userId, reason, revokedBy, exceptSessionId);
+    await this.markRevoked(sessions);
+    if (sessions.length > 0) {
+      logger.info(`Revoked ${sessions.length} sessions of user ${userId} (${reason})`);
+    }
+    return sessions.length;
+  }
+
+  /**
+   * Revoke every active session bound to a device
+   * @returns {Promise<number>} Sessions revoked
+   */
+  async revokeDeviceSessions(deviceId, reason, revokedBy = null) {
+    const sessions = await SessionsModel.revokeAllBy('device_id', deviceId, reason, revokedBy);
+    await this.markRevoked(sessions);
+    return sessions.length;
+  }
+
+  /**
+   * @param {Array} sessions - Revoked sessions ({ id, expires_at })
+   */
+  async markRevoked(sessions) {
+    for (const session of sessions) {
+      this.lastTouched.delete(session.id);
+
+      // No access token of the session outlives the session itself
+      const ttl = Math.ceil((new Date(session.expires_at).getTime() - Date.now()) / 1000);
+      try {
+        await redisService.markSessionRevoked(session.id, ttl);
+      } catch (error) {
+        logger.warn(`Could not cache revocation of session ${session.id}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Whether access tokens of a session must be rejected. Redis first, MySQL if Redis is down.
+   */
+  async isRevoked(sessionId) {
+    try {
+      return await redisService.isSessionRevoked(sessionId);
+    } catch (error) {
+      const session = await SessionsModel.findById(sessionId);
+      return !session || session.revoked_at !== null;
+    }
+  }
+
+  /**
+   * Update last use of a session, throttled per session. Never throws.
+   */
+  async touch(sessionId, ipAddress = null) {
+    const now = Date.now();
+    const last = this.lastTouched.get(sessionId);
+    if (last && now - last < this.TOUCH_INTERVAL_MS) {
+      return;
+    }
+    this.lastTouched.set(sessionId, now);
+
+    try {
+      await SessionsModel.touch(sessionId, ipAddress);
+    } catch (error) {
+      logger.warn(`Failed to update last use of session ${sessionId}:`, error.message);
+    }
+  }
+
+  /**
+   * Active sessions of a user
+   * @param {number} userId - User ID
+   * @param {string|null} currentSessionId - Session of the caller, flagged as current
+   */
+  async listSessions(userId, currentSessionId = null) {
+    const sessions = await SessionsModel.findActiveByUser(userId);
+    return sessions.map(session => ({ ...session, current: session.id === currentSessionId }));
+  }
+}
+
+module.exports = new SessionService();
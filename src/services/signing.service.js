@@ -0,0 +1,382 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const SigningKeysModel = require('../models/signing-keys.model');
+const CategoriesModel = require('../models/categories.model');
+const PassModel = require('../models/pass.model');
+const redisService = require('./redis.service');
+const logger = require('../utils/logger');
+
+const PAYLOAD_VERSION = 1;
+
+class SigningService {
+  constructor() {
+    this.DEFAULT_ALGORITHM = process.env.PASS_SIGNING_ALGORITHM || 'hmac-sha256';
+    this.KEY_CACHE_TTL_MS = 60 * 1000;
+    // Secrets are kept in process memory only, never in Redis
+    this.keyCache = null;
+    this.keyCacheLoadedAt = 0;
+  }
+
+  /**
+   * Keys that can verify payloads, keyed by kid, plus the one used for signing
+   * @returns {Promise<Object>} { byKid, active }
+   */
+  async getKeys(forceReload = false) {
+    if (!forceReload && this.keyCache && Date.now() - this.keyCacheLoadedAt < this.KEY_CACHE_TTL_MS) {
+      return this.keyCache;
+    }
+
+    const keys = await SigningKeysModel.findUsableWithSecrets();
+    const byKid = {};
+    keys.forEach(key => {
+      byKid[key.kid] = key;
+    });
+
+    this.keyCache = {
+      byKid,
+      active: keys.find(key => key.status === 'active') || null
+    };
+    this.keyCacheLoadedAt = Date.now();
+    return this.keyCache;
+  }
+
+  invalidateKeyCache() {
+    this.keyCache = null;
+    this.keyCacheLoadedAt = 0;
+  }
+
+  /**
+   * Generate key material for a new key
+   * @param {string} algorithm - hmac-sha256 or ed25519
+   * @returns {Object} { kid, algorithm, secret, public_key }
+   */
+  generateKey(algorithm = this.DEFAULT_ALGORITHM) {
+    if (!SigningKeysModel.ALGORITHMS.includes(algorithm)) {
+      throw new Error(`Unsupported signing algorithm: ${algorithm}`);
+    }
+
+    const kid = `k${moment().format('YYYYMMDD')}${crypto.randomBytes(3).toString('hex')}`;
+
+    if (algorithm === 'ed25519') {
+      const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+      return {
+        kid,
+        algorithm,
+        secret: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+        public_key: publicKey.export({ type: 'spki', format: 'pem' })
+      };
+    }
+
+    return {
+      kid,
+      algorithm,
+      secret: crypto.randomBytes(32).toString('base64'),
+      public_key: null
+    };
+  }
+
+  /**
+   * Make a new key the active signing key; the previous key is retired and keeps verifying
+   * @param {string} algorithm - hmac-sha256 or ed25519
+   * @param {number|null} createdBy - User ID
+   * @returns {Promise<Object>} New key (without secret)
+   */
+  async rotateKey(algorithm = this.DEFAULT_ALGORITHM, createdBy = null) {
+    const key = this.generateKey(algorithm);
+    const created = await SigningKeysModel.rotate({ ...key, created_by: createdBy });
+    this.invalidateKeyCache();
+    return created;
+  }
+
+  async revokeKey(kid) {
+    const revoked = await SigningKeysModel.revoke(kid);
+    this.invalidateKeyCache();
+    return revoked;
+  }
+
+  /**
+   * Active signing key, creating the first key on demand. Concurrent first calls
+   * race to insert it; the losers read back the key that won.
+   */
+  async getActiveKey() {
+    const keys = await this.getKeys();
+    if (keys.active) {
+      return keys.active;
+    }
+
+    logger.info('No active pass signing key found, creating one');
+    const created = await SigningKeysModel.createActiveIfNone(this.generateKey());
+    if (!created) {
+      logger.info('Another request created the first pass signing key, using it');
+    }
+
+    this.invalidateKeyCache();
+    return (await this.getKeys(true)).active;
+  }
+
+  /**
+   * Ed25519 key for offline bundles and deltas. Devices can only check signatures
+   * against published public keys, so a symmetric active key is never used here:
+   * the newest usable Ed25519 key signs instead, and one is created (retired, so it
+   * is published and verifies without replacing the pass signing key) when none exists.
+   */
+  async getBundleSigningKey() {
+    const keys = await this.getKeys();
+    if (keys.active && keys.active.algorithm === 'ed25519') {
+      return keys.active;
+    }
+
+    const published = Object.values(keys.byKid).find(key => key.algorithm === 'ed25519');
+    if (published) {
+      return published;
+    }
+
+    logger.info('No Ed25519 signing key found for offline bundles, creating one');
+    await SigningKeysModel.create({ ...this.generateKey('ed25519'), status: 'retired' });
+    this.invalidateKeyCache();
+    return Object.values((await this.getKeys(true)).byKid).find(key => key.algorithm === 'ed25519');
+  }
+
+  sign(key, data) {
+    if (key.algorithm === 'ed25519') {
+      return crypto.sign(null, Buffer.from(data), key.secret);
+    }
+    return crypto.createHmac('sha256', Buffer.from(key.secret, 'base64')).update(data).digest();
+  }
+
+  verifySignature(key, data, signature) {
+    if (key.algorithm === 'ed25519') {
+      const publicKey = key.public_key || crypto.createPublicKey(key.secret);
+      return crypto.verify(null, Buffer.from(data), publicKey, signature);
+    }
+
+    const expected = this.sign(key, data);
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+
+  /**
+   * Sign a JSON document (e.g. an offline bundle) with a published Ed25519 key. The
+   * signature covers JSON.stringify(data) exactly as it is sent to the device.
+   * @param {Object|null} key - Key from getBundleSigningKey(), looked up when omitted
+   * @returns {Promise<Object>} { kid, algorithm, value }
+   */
+  async signData(data, key = null) {
+    key = key || await this.getBundleSigningKey();
+    return {
+      kid: key.kid,
+      algorithm: key.algorithm,
+      value: this.sign(key, JSON.stringify(data)).toString('base64url')
+    };
+  }
+
+  /**
+   * Public keys devices can use to verify payloads and bundles offline (Ed25519 keys only)
+   * @returns {Promise<Array>} [{ kid, algorithm, public_key, status }]
+   */
+  async getVerificationKeys() {
+    const keys = await this.getKeys();
+    return Object.values(keys.byKid)
+      .filter(key => key.algorithm === 'ed25519')
+      .map(key => ({
+        kid: key.kid,
+        algorithm: key.algorithm,
+        public_key: key.public_key,
+        status: key.status
+      }));
+  }
+
+  /**
+   * Build the signed payload written to a pass tag:
+   * <kid>.<base64url claims>.<base64url signature>, signed over "<kid>.<claims>"
+   * @param {Object} pass - Pass (uid, pass_id, category, valid_from, valid_to)
+   * @returns {Promise<Object>} { payload, kid, algorithm, claims }
+   */
+  async signPass(pass) {
+    const key = await this.getActiveKey();
+    const claims = {
+      v: PAYLOAD_VERSION,
+      uid: pass.uid,
+      pid: pass.pass_id,
+      cat: pass.category,
+      vf: pass.valid_from || null,
+      vt: pass.valid_to || null,
+      iat: moment().unix()
+    };
+
+    const signedPart = `${key.kid}.${Buffer.from(JSON.stringify(claims)).toString('base64url')}`;
+    const signature = this.sign(key, signedPart).toString('base64url');
+
+    return {
+      payload: `${signedPart}.${signature}`,
+      kid: key.kid,
+      algorithm: key.algorithm,
+      claims
+    };
+  }
+
+  /**
+   * Sign a pass and store the payload on it
+   * @returns {Promise<Object>} { payload, kid, algorithm, claims }
+   */
+  async issuePayload(pass) {
+    const signed = await this.signPass(pass);
+    await PassModel.updateSignedPayload(pass.id, signed.payload);
+    logger.info(`Signed payload issued for UID=${pass.uid} with key ${signed.kid}`);
+    return signed;
+  }
+
+  /**
+   * Payload to write to a pass tag. The stored payload is reused unless it was
+   * signed with a key that no longer verifies, or a fresh one is requested.
+   */
+  async getPassPayload(pass, regenerate = false) {
+    if (!regenerate && pass.signed_payload) {
+      const decoded = this.decode(pass.signed_payload);
+      const keys = await this.getKeys();
+      const key = decoded && keys.byKid[decoded.kid];
+      if (key) {
+        return {
+          payload: pass.signed_payload,
+          kid: key.kid,
+          algorithm: key.algorithm,
+          claims: decoded.claims
+        };
+      }
+    }
+
+    return this.issuePayload(pass);
+  }
+
+  decode(payload) {
+    if (typeof payload !== 'string') {
+      return null;
+    }
+
+    const parts = payload.split('.');
+    if (parts.length !== 3) {
+      return null;
+    }
+
+    try {
+      return {
+        kid: parts[0],
+        signedPart: `${parts[0]}.${parts[1]}`,
+        claims: JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8')),
+        signature: Buffer.from(parts[2], 'base64url')
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Verify a payload read from a tag against the pass it claims to belong to
+   * @param {string} payload - Payload from the tag
+   * @param {string} uid - UID read from the tag
+   * @param {Object} pass - Pass found for the UID
+   * @returns {Promise<Object>} { valid, reason, message, kid }
+   */
+  async verifyPayload(payload, uid, pass) {
+    const invalid = (reason, message, kid = null) => ({ valid: false, reason, message, kid });
+
+    const decoded = this.decode(payload);
+    if (!decoded || !decoded.claims || decoded.claims.v !== PAYLOAD_VERSION) {
+      return invalid('malformed', 'Pass payload is malformed');
+    }
+
+    const keys = await this.getKeys();
+    const key = keys.byKid[decoded.kid];
+    if (!key) {
+      return invalid('unknown_key', 'Pass payload was signed with an unknown or revoked key', decoded.kid);
+    }
+
+    if (!this.verifySignature(key, decoded.signedPart, decoded.signature)) {
+      return invalid('bad_signature', 'Pass payload signature is invalid', decoded.kid);
+    }
+
+    const { claims } = decoded;
+    if (claims.uid !== uid) {
+      return invalid('uid_mismatch', 'Pass payload does not belong to this card', decoded.kid);
+    }
+    if (claims.pid !== pass.pass_id || claims.cat !== pass.category) {
+      return invalid('pass_mismatch', 'Pass payload does not match the current pass details', decoded.kid);
+    }
+    if (claims.vt && moment().isAfter(moment(claims.vt))) {
+      return invalid('expired', 'Pass payload has expired', decoded.kid);
+    }
+
+    return { valid: true, kid: decoded.kid, algorithm: key.algorithm };
+  }
+
+  /**
+   * Names of categories that require a signed payload (Redis cache first)
+   */
+  async getRequiredCategories() {
+    try {
+      const cached = await redisService.getCachedSignedCategories();
+      if (cached) {
+        return cached;
+      }
+    } catch (error) {
+      logger.warn('Redis not available for signed category lookup, falling back to database:', error.message);
+    }
+
+    let categories;
+    try {
+      categories = await CategoriesModel.getSignedPayloadCategoryNames();
+    } catch (error) {
+      logger.warn('Could not load signed payload categories, signatures not enforced:', error.message);
+      return [];
+    }
+
+    try {
+      await redisService.setCachedSignedCategories(categories);
+    } catch (error) {
+      logger.warn('Failed to cache signed payload categories:', error.message);
+    }
+
+    return categories;
+  }
+
+  async invalidateCategoryCache() {
+    try {
+      await redisService.clearCachedSignedCategories();
+    } catch (error) {
+      logger.warn('Failed to clear cached signed payload categories:', error.message);
+    }
+  }
+
+  /**
+   * Check the payload presented with a scan. Payloads that are presented are always
+   * verified; a missing payload is only rejected when the pass category requires one.
+   * @returns {Promise<Object|null>} null when the scan may continue, else { status, message, details }
+   */
+  async checkScan(uid, pass, payload) {
+    if (!payload) {
+      const required = await this.getRequiredCategories();
+      if (!required.includes(pass.category)) {
+        return null;
+      }
+
+      return {
+        status: 'unsigned_payload',
+        message: `${pass.category} passes must present a signed payload. Re-write this card or contact an administrator.`,
+        details: { signature_check: 'missing' }
+      };
+    }
+
+    const result = await this.verifyPayload(payload, uid, pass);
+    if (result.valid) {
+      return null;
+    }
+
+    logger.warn(`Signed payload rejected for UID=${uid}: ${result.reason}${result.kid ? ` (key ${result.kid})` : ''}`);
+    return {
+      status: 'invalid_signature',
+      message: result.message,
+      details: { signature_check: result.reason, key_id: result.kid }
+    };
+  }
+}
+
+module.exports = new SigningService();
@@ -0,0 +1,303 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const TwoFactorModel = require('../models/two-factor.model');
+const redisService = require('./redis.service');
+const JWTService = require('../config/jwt');
+const totp = require('../utils/totp');
+const logger = require('../utils/logger');
+
+const RECOVERY_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * TOTP two-factor authentication. Optional for every user; mandatory for the roles in
+ * TWO_FACTOR_REQUIRED_ROLES, whose users are walked through setup at their next login.
+ */
+class TwoFactorService {
+  constructor() {
+    // Roles that must use two-factor authentication (comma separated, e.g. "admin,manager")
+    this.REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+      .split(',')
+      .map(role => role.trim())
+      .filter(Boolean);
+    this.ISSUER = process.env.TWO_FACTOR_ISSUER || 'NFC Pass System';
+    this.RECOVERY_CODE_COUNT = 10;
+    // Wrong codes allowed per account (across all of its login challenges) within the window
+    this.MAX_CHALLENGE_ATTEMPTS = 5;
+    this.ATTEMPT_WINDOW_SECONDS = (parseInt(process.env.TWO_FACTOR_ATTEMPT_WINDOW_MINUTES) || 15) * 60;
+    // Secrets are encrypted at rest; the key never leaves the server environment
+    this.encryptionKey = crypto.createHash('sha256')
+      .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-super-secret-jwt-key')
+      .digest();
+  }
+
+  isRequired(role) {
+    return this.REQUIRED_ROLES.includes(role);
+  }
+
+  twoFactorError(message, code, statusCode = 401) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  encrypt(plain) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey, iv);
+    const encrypted = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+  }
+
+  decrypt(stored) {
+    const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(this.normalizeRecoveryCode(code)).digest('hex');
+  }
+
+  normalizeRecoveryCode(code) {
+    const chars = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return chars.length === 10 ? `${chars.slice(0, 5)}-${chars.slice(5)}` : chars;
+  }
+
+  generateRecoveryCodes() {
+    return Array.from({ length: this.RECOVERY_CODE_COUNT }, () => {
+      const chars = Array.from(crypto.randomBytes(10), byte => RECOVERY_CODE_ALPHABET[byte % RECOVERY_CODE_ALPHABET.length]).join('');
+      return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+    });
+  }
+
+  /**
+   * @returns {Promise<Object>} { enabled, required, setup_pending, enabled_at, recovery_codes_remaining }
+   */
+  async getStatus(user) {
+    const record = await TwoFactorModel.findByUserId(user.id);
+    const enabled = Boolean(record && record.enabled_at);
+
+    return {
+      enabled,
+      required: this.isRequired(user.role),
+      setup_pending: Boolean(record && record.pending_secret_encrypted),
+      enabled_at: enabled ? record.enabled_at : null,
+      recovery_codes_remaining: enabled ? await TwoFactorModel.countUnusedRecoveryCodes(user.id) : 0
+    };
+  }
+
+  /**
+   * What a login still needs after the password was accepted
+   * @returns {Promise<string|null>} 'verify', 'setup' or null when the password is enough
+   */
+  async getLoginRequirement(user) {
+    const record = await TwoFactorModel.findByUserId(user.id);
+    if (record && record.enabled_at) {
+      return 'verify';
+    }
+    return this.isRequired(user.role) ? 'setup' : null;
+  }
+
+  /**
+   * Start setup: a new secret the user adds to their authenticator app
+   * @returns {Promise<Object>} { secret, otpauth_url, issuer }
+   */
+  async beginSetup(user) {
+    const record = await TwoFactorModel.findByUserId(user.id);
+    if (record && record.enabled_at) {
+      throw this.twoFactorError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED', 409);
+    }
+
+    const secret = totp.generateSecret();
+    await TwoFactorModel.setPendingSecret(user.id, this.encrypt(secret));
+
+    return {
+      secret,
+      otpauth_url: totp.getProvisioningUri(secret, user.username, this.ISSUER),
+      issuer: this.ISSUER
+    };
+  }
+
+  /**
+   * Finish setup with a first code from the app
+   * @returns {Promise<Object>} { recovery_codes } - shown to the user once
+   */
+  async confirmSetup(user, code) {
+    const record = await TwoFactorModel.findByUserId(user.id);
+    if (!record || !record.pending_secret_encrypted) {
+      throw this.twoFactorError('Two-factor setup has not been started', 'TWO_FACTOR_SETUP_NOT_STARTED', 400);
+    }
+
+    const step = totp.verifyCode(this.decrypt(record.pending_secret_encrypted), code);
+    if (step === null) {
+      throw this.twoFactorError('Invalid authentication code', 'TWO_FACTOR_INVALID_CODE');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    const enabled = await TwoFactorModel.enable(user.id, step, recoveryCodes.map(c => this.hashRecoveryCode(c)));
+    if (!enabled) {
+      throw this.twoFactorError('Two-factor setup has not been started', 'TWO_FACTOR_SETUP_NOT_STARTED', 400);
+    }
+
+    logger.info(`Two-factor authentication enabled for user ${user.username}`);
+    return { recovery_codes: recoveryCodes };
+  }
+
+  /**
+   * Check a second factor: an authenticator code or a one-time recovery code
+   * @param {Object} user - User
+   * @param {Object} factor - { code } or { recovery_code }
+   * @returns {Promise<Object>} { method, recovery_codes_remaining }
+   */
+  async verifyFactor(user, { code, recovery_code }) {
+    const record = await TwoFactorModel.findByUserId(user.id);
+    if (!record || !record.enabled_at) {
+      throw this.twoFactorError('Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED', 400);
+    }
+
+    if (recovery_code) {
+      const used = await TwoFactorModel.useRecoveryCode(user.id, this.hashRecoveryCode(recovery_code));
+      if (!used) {
+        throw this.twoFactorError('Invalid recovery code', 'TWO_FACTOR_INVALID_CODE');
+      }
+
+      const remaining = await TwoFactorModel.countUnusedRecoveryCodes(user.id);
+      logger.warn(`Recovery code used by user ${user.username}; ${remaining} left`);
+      return { method: 'recovery_code', recovery_codes_remaining: remaining };
+    }
+
+    const step = totp.verifyCode(this.decrypt(record.secret_encrypted), code);
+    if (step === null) {
+      throw this.twoFactorError('Invalid authentication code', 'TWO_FACTOR_INVALID_CODE');
+    }
+
+    // A code seen once (e.g. shoulder-surfed) cannot be used again
+    const claimed = await TwoFactorModel.claimStep(user.id, step);
+    if (!claimed) {
+      throw this.twoFactorError('Authentication code has already been used', 'TWO_FACTOR_CODE_REUSED');
+    }
+
+    return { method: 'totp' };
+  }
+
+  /**
+   * New set of recovery codes; the old ones stop working
+   */
+  async regenerateRecoveryCodes(user, factor) {
+    await this.verifyFactor(user, factor);
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await TwoFactorModel.replaceRecoveryCodes(user.id, recoveryCodes.map(c => this.hashRecoveryCode(c)));
+    return { recovery_codes: recoveryCodes };
+  }
+
+  /**
+   * Turn two-factor authentication off for the user's own account
+   */
+  async disable(user, factor) {
+    if (this.isRequired(user.role)) {
+      throw this.twoFactorError(`Two-factor authentication is mandatory for ${user.role} accounts`, 'TWO_FACTOR_REQUIRED', 403);
+    }
+
+    await this.verifyFactor(user, factor);
+    await TwoFactorModel.disable(user.id);
+    logger.info(`Two-factor authentication disabled by user ${user.username}`);
+  }
+
+  /**
+   * Admin reset for a user who lost their authenticator and recovery codes.
+   * Users of a mandatory role set it up again at their next login.
+   * @returns {Promise<boolean>} True if the user had two-factor authentication
+   */
+  async reset(userId) {
+    return await TwoFactorModel.disable(userId);
+  }
+
+  /**
+   * Token for the second step of a login
+   * @param {Object} user - User whose password was accepted
+   * @param {string} purpose - 'verify' or 'setup'
+   * @param {Object|null} device - Device the login is bound to
+   */
+  issueChallenge(user, purpose, device = null) {
+    return JWTService.generateChallengeToken({
+      userId: user.id,
+      purpose,
+      jti: uuidv4(),
+      ...(device ? { deviceId: device.id, deviceTokenVersion: device.token_version } : {})
+    });
+  }
+
+  /**
+   * Attempt state lives in Redis so the limit holds across cluster workers and
+   * new challenges. Like the login lockout it fails open when Redis is unavailable.
+   * @param {string} token - Challenge token
+   * @param {string} purpose - Purpose the token must have been issued for
+   * @returns {Promise<Object>} Decoded challenge
+   */
+  async verifyChallenge(token, purpose) {
+    const invalid = () => this.twoFactorError('Login challenge is invalid or has expired, please log in again', 'TWO_FACTOR_CHALLENGE_INVALID');
+
+    let decoded;
+    try {
+      decoded = JWTService.verifyChallengeToken(token);
+    } catch (error) {
+      throw invalid();
+    }
+
+    if (decoded.purpose !== purpose) {
+      throw invalid();
+    }
+
+    let used = false;
+    let attempts = 0;
+    try {
+      [used, attempts] = await Promise.all([
+        redisService.isChallengeUsed(decoded.jti),
+        redisService.getTwoFactorAttempts(decoded.userId)
+      ]);
+    } catch (error) {
+      logger.error('Login challenge state check failed, allowing attempt:', error);
+    }
+
+    if (used || attempts >= this.MAX_CHALLENGE_ATTEMPTS) {
+      throw invalid();
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Count a wrong code against the account of a challenge
+   * @returns {Promise<number|null>} Attempts left, null when they could not be counted
+   */
+  async recordFailedAttempt(decoded) {
+    try {
+      const attempts = await redisService.incrementTwoFactorAttempts(decoded.userId, this.ATTEMPT_WINDOW_SECONDS);
+      return Math.max(0, this.MAX_CHALLENGE_ATTEMPTS - attempts);
+    } catch (error) {
+      logger.error('Failed to record two-factor attempt:', error);
+      return null;
+    }
+  }
+
+  // A challenge completes one login only; a completed login clears the account's wrong codes
+  async consumeChallenge(decoded) {
+    let marked = true;
+    try {
+      marked = await redisService.markChallengeUsed(decoded.jti, decoded.exp - Math.floor(Date.now() / 1000));
+      if (marked) {
+        await redisService.clearTwoFactorAttempts(decoded.userId);
+      }
+    } catch (error) {
+      logger.error('Failed to consume login challenge:', error);
+    }
+
+    if (!marked) {
+      throw this.twoFactorError('Login challenge is invalid or has expired, please log in again', 'TWO_FACTOR_CHALLENGE_INVALID');
+    }
+  }
+}
+
+module.exports = new TwoFactorService();
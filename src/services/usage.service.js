@@ -0,0 +1,262 @@
+const PassModel = require('../models/pass.model');
+const { executeTransaction } = require('../config/db');
+const redisService = require('./redis.service');
+const logger = require('../utils/logger');
+
+/**
+ * Redis-first consumption of pass uses. Uses are consumed atomically in Redis and
+ * written to MySQL by a write-behind queue; when Redis cannot serve a scan the
+ * caller falls back to the transactional MySQL path.
+ */
+class UsageService {
+  constructor() {
+    this.enabled = process.env.VERIFY_FAST_PATH !== 'false';
+    this.FLUSH_INTERVAL_MS = parseInt(process.env.USAGE_FLUSH_INTERVAL_MS) || 1000;
+    this.FLUSH_BATCH_SIZE = parseInt(process.env.USAGE_FLUSH_BATCH_SIZE) || 500;
+    this.FLUSH_LOCK_WAIT_MS = parseInt(process.env.USAGE_FLUSH_LOCK_WAIT_MS) || 2000;
+    this.flushTimer = null;
+    this.flushing = false;
+    // Set when Redis failed; the transactional path may have changed counts meanwhile
+    this.usageStale = false;
+  }
+
+  /**
+   * Consume uses through Redis
+   * @param {string} uid - Pass UID
+   * @param {Object} pass - Pass (id)
+   * @param {Object} scannedBy - Scanning user
+   * @param {number} count - Uses to consume
+   * @param {number} cooldownSeconds - Minimum time between consumes (0 = none)
+   * @returns {Promise<Object>} { status: ok|insufficient|cooldown|blocked|fallback, used_count, max_uses, retry_after_seconds }
+   */
+  async consume(uid, pass, scannedBy, count = 1, cooldownSeconds = 0) {
+    if (!this.enabled) {
+      return { status: 'fallback', reason: 'disabled' };
+    }
+
+    const entry = {
+      uid,
+      pass_db_id: pass.id,
+      count,
+      scanned_by: scannedBy?.id || null,
+      scanned_at: new Date().toISOString()
+    };
+
+    try {
+      if (this.usageStale) {
+        await redisService.clearPassUsage();
+        this.usageStale = false;
+        logger.info('Redis is back, cleared cached used counts so they are reseeded from MySQL');
+      }
+
+      let result = await redisService.fastConsume(uid, count, cooldownSeconds, entry);
+
+      if (result.status === 'needs_seed') {
+        // A flush between reading MySQL and seeding would count its uses twice
+        if (!await redisService.setUsageFlushLock()) {
+          return { status: 'fallback', reason: 'locked' };
+        }
+
+        try {
+          const usedCounts = await PassModel.getUsedCountsByUids([uid]);
+          if (usedCounts[uid] === undefined) {
+            return { status: 'fallback', reason: 'not_found' };
+          }
+          result = await redisService.fastConsume(uid, count, cooldownSeconds, entry, usedCounts[uid]);
+        } finally {
+          await redisService.releaseUsageFlushLock();
+        }
+      }
+
+      switch (result.status) {
+        case 'ok':
+        case 'insufficient':
+        case 'blocked':
+          return {
+            status: result.status,
+            used_count: result.used_count,
+            max_uses: result.max_uses
+          };
+        case 'cooldown':
+          return {
+            status: 'cooldown',
+            used_count: result.used_count,
+            max_uses: result.max_uses,
+            retry_after_seconds: Math.ceil(result.retry_after_ms / 1000)
+          };
+        default:
+          // not_cached, locked (transactional path busy) or anything unexpected
+          return { status: 'fallback', reason: result.status };
+      }
+    } catch (error) {
+      this.usageStale = true;
+      logger.warn('Redis fast path unavailable, using transactional verification:', error.message);
+      return { status: 'fallback', reason: 'redis_unavailable' };
+    }
+  }
+
+  start() {
+    if (!this.enabled || this.flushTimer) {
+      return;
+    }
+
+    this.flushTimer = setInterval(() => {
+      this.flush().catch(error => logger.error('Usage write-behind flush failed:', error));
+    }, this.FLUSH_INTERVAL_MS);
+    this.flushTimer.unref();
+
+    logger.info(`Usage write-behind started (every ${this.FLUSH_INTERVAL_MS}ms)`);
+  }
+
+  /**
+   * Stop the flush timer and write what is still queued
+   */
+  async stop() {
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    try {
+      await this.flush();
+    } catch (error) {
+      logger.error('Final usage write-behind flush failed:', error);
+    }
+  }
+
+  /**
+   * Wait for the flush lock, which reseeds and the flushes of other instances also take
+   */
+  async acquireFlushLock() {
+    const deadline = Date.now() + this.FLUSH_LOCK_WAIT_MS;
+    while (!await redisService.setUsageFlushLock()) {
+      if (Date.now() >= deadline) {
+        throw new Error('Usage flush lock is busy');
+      }
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  }
+
+  /**
+   * Write queued uses to MySQL, one UPDATE per pass in a single transaction. The
+   * flush lock is held until the pending counts are settled.
+   * @returns {Promise<number>} Queue entries written
+   */
+  async flush() {
+    if (this.flushing) {
+      return 0;
+    }
+
+    this.flushing = true;
+    let written = 0;
+
+    try {
+      await this.acquireFlushLock();
+    } catch (error) {
+      this.flushing = false;
+      throw error;
+    }
+
+    try {
+      while (true) {
+        const entries = await redisService.takeUsageQueue(this.FLUSH_BATCH_SIZE);
+        if (entries.length === 0) {
+          break;
+        }
+
+        const byPass = new Map();
+        const byUid = {};
+        entries.forEach(entry => {
+          const current = byPass.get(entry.pass_db_id) || { count: 0, scanned_by: null, scanned_at: null };
+          current.count += entry.count;
+          if (!current.scanned_at || entry.scanned_at > current.scanned_at) {
+            current.scanned_at = entry.scanned_at;
+            current.scanned_by = entry.scanned_by;
+          }
+          byPass.set(entry.pass_db_id, current);
+          byUid[entry.uid] = (byUid[entry.uid] || 0) + entry.count;
+        });
+
+        try {
+          await executeTransaction([...byPass.entries()].map(([passId, usage]) => ({
+            query: `
+              UPDATE passes
+              SET used_count = used_count + ?,
+                  last_scan_at = ?,
+                  last_scan_by = ?,
+                  updated_at = CURRENT_TIMESTAMP
+              WHERE id = ?
+            `,
+            params: [usage.count, new Date(usage.scanned_at), usage.scanned_by, passId]
+          })));
+        } catch (error) {
+          await redisService.requeueUsage(entries);
+          throw error;
+        }
+
+        await redisService.settlePendingUsage(byUid);
+        written += entries.length;
+
+        if (entries.length < this.FLUSH_BATCH_SIZE) {
+          break;
+        }
+      }
+
+      if (written > 0) {
+        logger.debug(`Usage write-behind: ${written} entries written to MySQL`);
+      }
+      return written;
+    } finally {
+      this.flushing = false;
+      await redisService.releaseUsageFlushLock();
+    }
+  }
+
+  /**
+   * Compare cached used counts with passes.used_count. A cached count should equal
+   * the MySQL count plus uses still waiting in the write-behind queue. A batch that
+   * is being written during the check can show up as a transient drift.
+   * @param {Object} options - { repair: drop drifted counts so they are reseeded from MySQL }
+   * @returns {Promise<Object>} { checked, consistent, mismatches, repaired, queue_length }
+   */
+  async checkConsistency(options = {}) {
+    const snapshot = await redisService.getUsageSnapshot();
+    const uids = Object.keys(snapshot.usage);
+    const dbCounts = await PassModel.getUsedCountsByUids(uids);
+
+    const mismatches = [];
+    uids.forEach(uid => {
+      const redisCount = parseInt(snapshot.usage[uid]);
+      const pending = parseInt(snapshot.pending[uid]) || 0;
+      const dbCount = dbCounts[uid];
+
+      if (dbCount === undefined) {
+        mismatches.push({ uid, redis_used_count: redisCount, db_used_count: null, pending, drift: null });
+      } else if (redisCount !== dbCount + pending) {
+        mismatches.push({ uid, redis_used_count: redisCount, db_used_count: dbCount, pending, drift: redisCount - (dbCount + pending) });
+      }
+    });
+
+    let repaired = 0;
+    if (options.repair) {
+      for (const mismatch of mismatches) {
+        await redisService.invalidatePassUsage(mismatch.uid);
+        repaired++;
+      }
+    }
+
+    if (mismatches.length > 0) {
+      logger.warn(`Usage consistency check: ${mismatches.length} of ${uids.length} cached counts differ from MySQL${options.repair ? ' (repaired)' : ''}`);
+    }
+
+    return {
+      checked: uids.length,
+      consistent: mismatches.length === 0,
+      mismatches,
+      repaired,
+      queue_length: snapshot.queue_length
+    };
+  }
+}
+
+module.exports = new UsageService();
@@ -0,0 +1,99 @@
+const PassModel = require('../models/pass.model');
+const redisService = require('./redis.service');
+const passEventsService = require('./pass-events.service');
+const logger = require('../utils/logger');
+
+/**
+ * Expires passes whose valid_to has passed. Scans check the validity window on
+ * their own; the sweeper keeps pass statuses, the Redis cache and offline
+ * bundles in line with it.
+ */
+class ValidityService {
+  constructor() {
+    this.enabled = process.env.VALIDITY_SWEEP_ENABLED !== 'false';
+    this.SWEEP_INTERVAL_MS = parseInt(process.env.VALIDITY_SWEEP_INTERVAL_MS) || 60000;
+    this.SWEEP_BATCH_SIZE = parseInt(process.env.VALIDITY_SWEEP_BATCH_SIZE) || 500;
+    this.sweepTimer = null;
+    this.sweeping = false;
+    this.io = null;
+  }
+
+  /**
+   * @param {Object} io - Socket.io server, notified when passes expire
+   */
+  start(io = null) {
+    this.io = io;
+    if (!this.enabled || this.sweepTimer) {
+      return;
+    }
+
+    this.sweepTimer = setInterval(() => {
+      this.sweep().catch(error => logger.error('Pass expiry sweep failed:', error));
+    }, this.SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+
+    logger.info(`Pass expiry sweeper started (every ${this.SWEEP_INTERVAL_MS}ms)`);
+  }
+
+  stop() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  /**
+   * Move active passes past their valid_to to expired and evict them from Redis
+   * @returns {Promise<Object>} { expired, uids }
+   */
+  async sweep() {
+    if (this.sweeping) {
+      return { expired: 0, uids: [] };
+    }
+
+    this.sweeping = true;
+    const uids = [];
+
+    try {
+      while (true) {
+        const pastDue = await PassModel.getPastDuePasses(this.SWEEP_BATCH_SIZE);
+        if (pastDue.length === 0) {
+          break;
+        }
+
+        const expired = await PassModel.markExpired(pastDue.map(pass => pass.id));
+        for (const pass of expired) {
+          await passEventsService.record('expired', pass, null);
+          try {
+            await redisService.removeActivePass(pass.uid);
+          } catch (error) {
+            // Cached passes carry valid_to, so scans are still refused
+            logger.warn(`Failed to evict expired pass ${pass.uid} from cache:`, error.message);
+          }
+          uids.push(pass.uid);
+        }
+
+        if (pastDue.length < this.SWEEP_BATCH_SIZE) {
+          break;
+        }
+      }
+
+      if (uids.length > 0) {
+        logger.info(`Pass expiry sweep: ${uids.length} passes expired`);
+        if (this.io) {
+          this.io.emit('passes:expired', {
+            count: uids.length,
+            uids,
+            timestamp: new Date().toISOString()
+          });
+        }
+      }
+
+      return { expired: uids.length, uids };
+    } finally {
+      this.sweeping = false;
+    }
+  }
+}
+
+module.exports = new ValidityService();
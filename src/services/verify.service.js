@@ -1,44 +1,152 @@
-const fs = require('fs');
-const path = require('path');
 const crypto = require('crypto');
+const moment = require('moment');
 const { getRedisClient } = require('../config/redis');
 const { executeQuery, getDailyLogTableName, createDailyLogTable, tableExists, getDB } = require('../config/db');
 const PassModel = require('../models/pass.model');
+const PassGroupsModel = require('../models/pass-groups.model');
+const PassHoldersModel = require('../models/pass-holders.model');
 const DailyLogsService = require('./daily-logs.service');
 const redisService = require('./redis.service');
+const presenceService = require('./presence.service');
+const occupancyService = require('./occupancy.service');
+const policyService = require('./policy.service');
+const signingService = require('./signing.service');
+const fraudService = require('./fraud.service');
+const usageService = require('./usage.service');
+const passEventsService = require('./pass-events.service');
+const permissionService = require('./permission.service');
+const PassEventsModel = require('../models/pass-events.model');
+const ZonesModel = require('../models/zones.model');
+const UserModel = require('../models/user.model');
+const OfflineSyncModel = require('../models/offline-sync.model');
+const CheckpointsModel = require('../models/checkpoints.model');
 const logger = require('../utils/logger');
 const { getCurrentDate, getCurrentDateTime } = require('../utils/validators');
 
 class VerifyService {
   constructor() {
-    this.luaScript = null;
-    this.loadLuaScript();
+    this.BATCH_CONCURRENCY = parseInt(process.env.VERIFY_BATCH_CONCURRENCY) || 4;
   }
 
-  loadLuaScript() {
+  async verifyPass(uid, scannedBy, deviceLocalId = null, options = {}) {
+    const resolved = {};
+    const result = await this.runVerification(uid, scannedBy, deviceLocalId, options, resolved);
+    
+    // Admitted entries go into the pass history (companion cards under their parent pass)
+    if (resolved.pass && resolved.consumed_count !== undefined) {
+      await passEventsService.record('verified', resolved.pass, scannedBy, {
+        consumed_count: resolved.consumed_count,
+        direction: options.direction || 'entry',
+        checkpoint_id: resolved.checkpoint_id ?? null,
+        remaining_uses: result.remaining_uses ?? null,
+        card: resolved.pass.group?.card || null,
+        device_local_id: deviceLocalId
+      }, { uid, device_id: scannedBy?.device_id ?? null });
+    }
+    
+    // Cards of a pass group share the parent's allowance; show what is left of the pool
+    if (resolved.pass && resolved.pass.group) {
+      const pass = resolved.pass;
+      const remainingUses = typeof result.remaining_uses === 'number'
+        ? result.remaining_uses
+        : pass.max_uses - (result.pass_info?.used_count ?? pass.used_count);
+      result.group = this.describeGroupPool(pass.group, pass.max_uses, remainingUses);
+    }
+    
+    // Holder profile so gate staff can confirm identity; companion cards are not the parent's holder
+    if (resolved.pass && result.pass_info && resolved.pass.group?.card !== 'companion') {
+      try {
+        result.pass_info.holder = await this.getScanHolder(resolved.pass, scannedBy);
+      } catch (error) {
+        logger.warn('Failed to load pass holder for scan:', error.message);
+      }
+    }
+    
+    return result;
+  }
+
+  /**
+   * Holder profile shown on a scan, limited to the fields the scanning user may see.
+   * Profiles are cached in Redis so the scan does not query MySQL every time.
+   * @param {Object} pass - Scanned pass (id)
+   * @param {Object} scannedBy - Scanning user
+   * @returns {Promise<Object|null>} Holder or null if the pass has none
+   */
+  async getScanHolder(pass, scannedBy) {
+    const passId = pass.id;
+    let holder;
+
     try {
-      const scriptPath = path.join(__dirname, '../utils/lock.lua');
-      this.luaScript = fs.readFileSync(scriptPath, 'utf8');
-      logger.info('Lua script loaded successfully');
+      holder = await redisService.getCachedHolder(passId);
     } catch (error) {
-      logger.error('Failed to load Lua script:', error);
-      throw error;
+      logger.warn('Holder cache unavailable, reading from database:', error.message);
+    }
+
+    if (holder === undefined) {
+      holder = await PassHoldersModel.findByPassId(passId);
+      try {
+        await redisService.setCachedHolder(passId, holder);
+      } catch (error) {
+        logger.warn('Failed to cache pass holder:', error.message);
+      }
     }
+
+    const fullDetails = await permissionService.userHasPermission(scannedBy, 'pass.holder_details');
+    return PassHoldersModel.filterForAccess(holder, fullDetails);
   }
 
-  async verifyPass(uid, scannedBy, deviceLocalId = null) {
+  async runVerification(uid, scannedBy, deviceLocalId, options, resolved) {
     const startTime = Date.now();
+    const direction = options.direction || 'entry';
+    let scanContext = { direction };
     let logResult = 'invalid';
     let passInfo = null;
     
+    // Batch verification collects log rows and inserts them together
+    const logVerification = options.logBuffer
+      ? (...args) => this.bufferVerification(options.logBuffer, ...args)
+      : (...args) => this.logVerification(...args);
+    
     try {
+      // Step 0: Resolve the checkpoint (and zone) this scan is taking place at
+      const checkpoint = options.checkpoint !== undefined
+        ? options.checkpoint
+        : await this.resolveCheckpoint(scannedBy, options.checkpoint_id);
+      scanContext = {
+        direction,
+        zone_id: checkpoint ? checkpoint.zone_id : null,
+        checkpoint_id: checkpoint ? checkpoint.id : null,
+        device_id: scannedBy?.device_id ?? null
+      };
+      resolved.checkpoint_id = scanContext.checkpoint_id;
+      
       // Step 1: Check if pass is blocked in Redis
       const isBlocked = await redisService.isPassBlocked(uid);
       if (isBlocked) {
+        // A lost card that was replaced: the pass has moved to another card
+        const replacement = await PassModel.findUidReplacement(uid);
+        if (replacement) {
+          logResult = 'replaced';
+          await logVerification(uid, replacement.pass_code, scannedBy, logResult, deviceLocalId, {
+            ...scanContext,
+            replaced_at: replacement.replaced_at
+          });
+          return {
+            success: false,
+            status: 'replaced',
+            message: 'This card was replaced and is no longer valid',
+            uid,
+            scanned_by: scannedBy,
+            replaced_at: replacement.replaced_at,
+            timestamp: getCurrentDateTime(),
+            processing_time_ms: Date.now() - startTime
+          };
+        }
+        
         // Get pass details even for blocked passes
         const pass = await this.getPassWithUsage(uid);
         logResult = 'blocked';
-        await this.logVerification(uid, pass?.pass_id || null, scannedBy, logResult, deviceLocalId);
+        await logVerification(uid, pass?.pass_id || null, scannedBy, logResult, deviceLocalId, { ...scanContext });
         
         const response = {
           success: false,
@@ -67,12 +175,13 @@ class VerifyService {
         return response;
       }
 
-      // Step 2: Fetch pass by UID (Redis or DB)
-      const pass = await this.getPassWithUsage(uid);
+      // Step 2: Fetch pass by UID (Redis or DB); companion cards resolve to their group's parent pass
+      const pass = await this.resolveScannedPass(uid);
+      resolved.pass = pass;
       
       if (!pass) {
         logResult = 'invalid';
-        await this.logVerification(uid, null, scannedBy, logResult, deviceLocalId);
+        await logVerification(uid, null, scannedBy, logResult, deviceLocalId, { ...scanContext });
         return {
           success: false,
           status: 'invalid',
@@ -84,6 +193,9 @@ class VerifyService {
         };
       }
 
+      // Uses are consumed (and locked) on the pass that holds the allowance
+      const usageUid = this.getUsageUid(uid, pass);
+
       passInfo = {
         pass_id: pass.pass_id,
         pass_db_id: pass.id,
@@ -99,87 +211,152 @@ class VerifyService {
 
       logger.info(`Pass info created for UID=${uid}: pass_type=${passInfo.pass_type}, max_uses=${passInfo.max_uses}, used_count=${passInfo.used_count}, remaining_uses=${passInfo.remaining_uses}`);
 
-      // Step 2.5: Check if bouncer is authorized for this category
-      if (scannedBy && scannedBy.role === 'bouncer') {
-        const bouncer = await this.getBouncerDetails(scannedBy.id);
-        if (bouncer && bouncer.assigned_category) {
-          // Bouncer can verify: their assigned category only
-          const isAssignedCategory = bouncer.assigned_category === pass.category;
-          
-          if (!isAssignedCategory) {
-            logResult = 'unauthorized';
-            await this.logVerification(uid, pass.pass_id, scannedBy, logResult, deviceLocalId, {
-              pass_category: pass.category,
-              bouncer_assigned_category: bouncer.assigned_category,
-              verification_attempt: 'category_mismatch'
-            });
-            return {
-              success: false,
-              status: 'unauthorized',
-              message: `You are not authorized to verify this category. This pass is for ${pass.category} category, but you are assigned to ${bouncer.assigned_category} category.`,
-              uid,
-              scanned_by: scannedBy,
-              pass_category: pass.category,
-              bouncer_assigned_category: bouncer.assigned_category,
-              timestamp: getCurrentDateTime(),
-              processing_time_ms: Date.now() - startTime
-            };
-          }
-        }
+      // Step 2.3: Check the validity window (exits are still recorded so presence and occupancy clear)
+      const validity = direction === 'exit' ? null : this.checkValidityWindow(pass);
+      if (validity) {
+        logResult = validity.status;
+        await logVerification(uid, pass.pass_id, scannedBy, logResult, deviceLocalId, {
+          ...scanContext,
+          ...validity.details
+        });
+        return {
+          success: false,
+          status: validity.status,
+          message: validity.message,
+          uid,
+          scanned_by: scannedBy,
+          ...validity.details,
+          pass_info: passInfo,
+          timestamp: getCurrentDateTime(),
+          processing_time_ms: Date.now() - startTime
+        };
       }
 
-      logger.debug(`Pass info for UID=${uid}: type=${pass.pass_type}, remaining_uses=${passInfo.remaining_uses}`);
-
-      // Step 3: Check for unlimited pass type - unlimited verification
-      if (passInfo.pass_type === 'unlimited') {
-        // Unlimited passes have unlimited usage - just log and return success
-        logResult = 'valid';
-        
-        // Update scan tracking for unlimited passes
-        await this.updateScanTracking(pass.id, scannedBy.id);
-        
-        await this.logVerification(uid, pass.pass_id, scannedBy, logResult, deviceLocalId, {
-          remaining_uses: 'unlimited',
-          consumed_count: 0, // Don't increment for unlimited passes
-          unlimited_pass: true
+      // Step 2.4: Check the signed tag payload (required for categories that enforce signing)
+      const signatureCheck = await signingService.checkScan(uid, pass, options.payload || null);
+      if (signatureCheck) {
+        logResult = 'signature_rejected';
+        await logVerification(uid, pass.pass_id, scannedBy, logResult, deviceLocalId, {
+          ...scanContext,
+          signature_status: signatureCheck.status,
+          ...signatureCheck.details
         });
-        
-        // Update Redis cache with latest pass info
-        try {
-          await redisService.addActivePass(uid, pass);
-        } catch (cacheError) {
-          logger.warn('Failed to update Redis cache for unlimited pass:', cacheError);
-        }
-        
         return {
-          success: true,
-          status: 'valid',
-          message: 'Unlimited pass verified successfully',
+          success: false,
+          status: signatureCheck.status,
+          message: signatureCheck.message,
           uid,
           scanned_by: scannedBy,
-          remaining_uses: 'unlimited',
+          ...signatureCheck.details,
           pass_info: {
             pass_id: pass.pass_id,
             category: pass.category,
-            category_name: pass.category_name,
-            pass_type: pass.pass_type,
-            people_allowed: pass.people_allowed,
-            max_uses: 'unlimited',
-            used_count: pass.used_count, // Don't increment for unlimited passes
-            remaining_uses: 'unlimited',
-            last_used_at: getCurrentDateTime(),
-            last_used_by: scannedBy,
-            unlimited_pass: true
+            pass_type: pass.pass_type
           },
           timestamp: getCurrentDateTime(),
           processing_time_ms: Date.now() - startTime
         };
       }
 
-      // Step 4: Check if pass has remaining uses (for non-unlimited passes)
-      if (passInfo.remaining_uses <= 0) {
+      // Step 2.5: Check that the pass category may enter the checkpoint's zone
+      const zoneAccess = await this.checkZoneAccess(pass, scannedBy, checkpoint);
+      if (!zoneAccess.allowed) {
+        logResult = 'unauthorized';
+        await logVerification(uid, pass.pass_id, scannedBy, logResult, deviceLocalId, {
+          ...scanContext,
+          pass_category: pass.category,
+          ...zoneAccess.details
+        });
+        return {
+          success: false,
+          status: 'unauthorized',
+          message: zoneAccess.message,
+          uid,
+          scanned_by: scannedBy,
+          pass_category: pass.category,
+          ...zoneAccess.details,
+          timestamp: getCurrentDateTime(),
+          processing_time_ms: Date.now() - startTime
+        };
+      }
+
+      // Step 2.6: Anti-passback - exit scans clear presence, entry scans require the holder to be outside
+      if (direction === 'exit') {
+        const previousPresence = await presenceService.getPresence(uid);
+        const wasInside = previousPresence?.state === 'inside';
+        const presence = await presenceService.recordExit(uid, pass, scannedBy);
+        await occupancyService.recordExit(uid);
+        
+        logResult = 'exit';
+        await logVerification(uid, pass.pass_id, scannedBy, logResult, deviceLocalId, {
+          ...scanContext,
+          remaining_uses: passInfo.remaining_uses,
+          consumed_count: 0,
+          was_inside: wasInside
+        });
+        
+        return {
+          success: true,
+          status: 'exit_recorded',
+          message: wasInside ? 'Exit recorded successfully' : 'Exit recorded (pass was not marked as inside)',
+          uid,
+          scanned_by: scannedBy,
+          direction,
+          remaining_uses: passInfo.remaining_uses,
+          presence,
+          pass_info: passInfo,
+          timestamp: getCurrentDateTime(),
+          processing_time_ms: Date.now() - startTime
+        };
+      }
+
+      let passbackOverride = null;
+      const passbackCheck = await presenceService.checkEntry(uid);
+      
+      if (!passbackCheck.allowed) {
+        if (options.override && await presenceService.canOverride(scannedBy)) {
+          passbackOverride = {
+            override_by: scannedBy.id,
+            override_reason: options.override_reason || null
+          };
+          logger.warn(`Anti-passback overridden for UID=${uid} by ${scannedBy.username} (${scannedBy.role})`);
+        } else {
+          logResult = 'passback_violation';
+          await logVerification(uid, pass.pass_id, scannedBy, logResult, deviceLocalId, {
+            ...scanContext,
+            remaining_uses: passInfo.remaining_uses,
+            consumed_count: 0,
+            last_entry_at: passbackCheck.presence?.last_entry_at || null
+          });
+          
+          return {
+            success: false,
+            status: 'passback_violation',
+            message: 'This pass is already inside. An exit scan is required before it can be used for entry again.',
+            uid,
+            scanned_by: scannedBy,
+            direction,
+            remaining_uses: passInfo.remaining_uses,
+            presence: passbackCheck.presence,
+            retry_after_seconds: passbackCheck.retry_after_seconds,
+            override_allowed: await presenceService.canOverride(scannedBy),
+            pass_info: passInfo,
+            timestamp: getCurrentDateTime(),
+            processing_time_ms: Date.now() - startTime
+          };
+        }
+      }
+
+      logger.debug(`Pass info for UID=${uid}: type=${pass.pass_type}, remaining_uses=${passInfo.remaining_uses}`);
+
+      // Step 3: Evaluate the verification policy for this pass (hours, uses, re-entry, daily limit, cooldown, prompt)
+      const decision = await policyService.evaluate(uid, pass);
+      scanContext.policy_decision = policyService.summarize(decision);
+
+      if (decision.outcome === 'deny' && decision.status === 'used') {
         logResult = 'used';
-        await this.logVerification(uid, pass.pass_id, scannedBy, logResult, deviceLocalId, {
+        await logVerification(uid, pass.pass_id, scannedBy, logResult, deviceLocalId, {
+          ...scanContext,
           remaining_uses: 0
         });
         
@@ -189,10 +366,11 @@ class VerifyService {
         return {
           success: false,
           status: 'used',
-          message: `This pass has already been used. Remaining uses: 0`,
+          message: decision.message,
           uid,
           scanned_by: scannedBy,
           remaining_uses: 0,
+          policy: scanContext.policy_decision,
           pass_info: {
             pass_id: pass.pass_id,
             category: pass.category,
@@ -209,86 +387,158 @@ class VerifyService {
         };
       }
 
-      // Step 5: Check for seasonal pass 15-minute rule (similar to session pass logic)
-      if (passInfo.pass_type === 'seasonal') {
-        logger.info(`Seasonal pass detected for UID=${uid}`);
-        const lastUsedAt = await this.getLastUsedTimestamp(uid);
-        logger.info(`Last used timestamp for UID=${uid}: ${lastUsedAt}`);
+      if (decision.outcome === 'deny') {
+        logResult = 'policy_denied';
+        await logVerification(uid, pass.pass_id, scannedBy, logResult, deviceLocalId, {
+          ...scanContext,
+          remaining_uses: passInfo.remaining_uses,
+          consumed_count: 0,
+          policy_status: decision.status,
+          policy_message: decision.message
+        });
         
-        if (lastUsedAt) {
-          const lastUsedTime = new Date(lastUsedAt);
-          const currentTime = new Date();
-          const timeDiff = currentTime - lastUsedTime;
-          const fifteenMinutes = 15 * 60 * 1000; // 15 minutes in milliseconds
-          
-          logger.info(`Time difference for UID=${uid}: ${timeDiff}ms, Fifteen minutes: ${fifteenMinutes}ms`);
-          
-          // If last used within 15 minutes, show multi-use prompt
-          if (timeDiff < fifteenMinutes) {
-            logger.info(`Seasonal pass within 15 minutes for UID=${uid}, triggering multi-use prompt`);
-            const remainingTime = Math.ceil((fifteenMinutes - timeDiff) / 1000); // seconds
-            
-            // Generate a prompt token for seasonal multi-use
-            const promptToken = this.generatePromptToken(uid, 'seasonal_multi_use');
-            
-            // Store prompt data in Redis with 15-minute expiry
-            await this.storePromptData(promptToken, {
-              uid,
-              pass_id: pass.pass_id,
-              pass_type: 'seasonal',
-              remaining_uses: passInfo.remaining_uses,
-              last_used_at: lastUsedAt,
-              expires_at: new Date(currentTime.getTime() + fifteenMinutes).toISOString()
-            });
-            
-            logResult = 'prompt_seasonal_multi_use';
-            await this.logVerification(uid, pass.pass_id, scannedBy, logResult, deviceLocalId, {
-              remaining_uses: passInfo.remaining_uses,
-              last_used_at: lastUsedAt,
-              time_since_last_use: Math.round(timeDiff / 1000),
-              prompt_token: promptToken
-            });
-            
-            return {
-              success: true,
-              status: 'prompt_seasonal_multi_use',
-              message: `Seasonal pass scanned within 15 minutes. You can use multiple entries.`,
-              uid,
-              scanned_by: scannedBy,
-              remaining_uses: passInfo.remaining_uses,
-              prompt_token: promptToken,
-              last_used_at: lastUsedAt,
-              time_remaining_seconds: remainingTime,
-              pass_info: {
-                pass_id: pass.pass_id,
-                category: pass.category,
-                pass_type: pass.pass_type,
-                people_allowed: pass.people_allowed,
-                max_uses: pass.max_uses,
-                used_count: pass.used_count,
-                remaining_uses: passInfo.remaining_uses,
-                last_used_at: lastUsedAt,
-                prompt_token: promptToken
-              },
-              timestamp: getCurrentDateTime(),
-              processing_time_ms: Date.now() - startTime
-            };
-        } else {
-          logger.info(`Seasonal pass outside 15 minutes for UID=${uid}, proceeding with normal verification`);
+        return {
+          success: false,
+          status: decision.status,
+          message: decision.message,
+          uid,
+          scanned_by: scannedBy,
+          direction,
+          remaining_uses: passInfo.remaining_uses,
+          ...decision.details,
+          policy: scanContext.policy_decision,
+          pass_info: passInfo,
+          timestamp: getCurrentDateTime(),
+          processing_time_ms: Date.now() - startTime
+        };
+      }
+
+      if (decision.outcome === 'prompt') {
+        // Let the scanner choose how many entries to consume in one go
+        const promptToken = this.generatePromptToken(uid, decision.status);
+        const expiresAt = new Date(Date.now() + decision.prompt_ttl_seconds * 1000).toISOString();
+        
+        await this.storePromptData(promptToken, {
+          uid,
+          pass_id: pass.pass_id,
+          pass_db_id: pass.id,
+          ...scanContext,
+          category: pass.category,
+          pass_type: pass.pass_type,
+          max_uses: pass.max_uses,
+          remaining_uses: passInfo.remaining_uses,
+          group: pass.group || null,
+          last_used_at: decision.details.last_used_at || null,
+          expires_at: expiresAt
+        }, decision.prompt_ttl_seconds);
+        
+        logResult = decision.status;
+        await logVerification(uid, pass.pass_id, scannedBy, logResult, deviceLocalId, {
+          ...scanContext,
+          remaining_uses: passInfo.remaining_uses,
+          last_used_at: decision.details.last_used_at || null,
+          time_since_last_use: decision.details.time_since_last_use ?? null,
+          prompt_token: promptToken
+        });
+        
+        return {
+          success: true,
+          status: decision.status,
+          message: decision.message,
+          uid,
+          scanned_by: scannedBy,
+          remaining_uses: passInfo.remaining_uses,
+          prompt_token: promptToken,
+          prompt_expires_at: expiresAt,
+          last_used_at: decision.details.last_used_at || null,
+          time_remaining_seconds: decision.details.time_remaining_seconds ?? null,
+          policy: scanContext.policy_decision,
+          pass_info: {
+            pass_id: pass.pass_id,
+            category: pass.category,
+            pass_type: pass.pass_type,
+            people_allowed: pass.people_allowed,
+            max_uses: pass.max_uses,
+            used_count: pass.used_count,
+            remaining_uses: passInfo.remaining_uses,
+            last_used_at: decision.details.last_used_at || null,
+            prompt_token: promptToken
+          },
+          timestamp: getCurrentDateTime(),
+          processing_time_ms: Date.now() - startTime
+        };
+      }
+
+      // Step 4: Entries that do not consume a use (e.g. unlimited passes) - only the zone capacity can stop them
+      if (!decision.consume) {
+        const unlimited = passInfo.pass_type === 'unlimited';
+        const remainingUses = unlimited ? 'unlimited' : passInfo.remaining_uses;
+        
+        const occupancy = await this.reserveCapacity(uid, pass, checkpoint);
+        if (!occupancy.allowed) {
+          return await this.rejectCapacityFull(uid, pass, scannedBy, deviceLocalId, scanContext, checkpoint, occupancy, startTime, logVerification);
         }
-        } else {
-          logger.info(`No last used timestamp found for seasonal pass UID=${uid}, proceeding with normal verification`);
+        
+        logResult = 'valid';
+        resolved.consumed_count = 0;
+        
+        // Update scan tracking for passes verified without consuming a use
+        await this.updateScanTracking(pass.id, scannedBy.id);
+        
+        await logVerification(uid, pass.pass_id, scannedBy, logResult, deviceLocalId, {
+          ...scanContext,
+          remaining_uses: remainingUses,
+          consumed_count: 0, // Don't increment when the policy does not consume uses
+          unlimited_pass: unlimited,
+          anti_passback_override: passbackOverride
+        });
+        
+        await this.markEntered(uid, pass, scannedBy);
+        
+        // Update Redis cache with latest pass info (group cards carry per-card overrides, so skip them)
+        if (!pass.group) {
+          try {
+            await redisService.addActivePass(uid, pass);
+          } catch (cacheError) {
+            logger.warn('Failed to update Redis cache for pass verified without consuming a use:', cacheError);
+          }
         }
+        
+        return {
+          success: true,
+          status: 'valid',
+          message: unlimited ? 'Unlimited pass verified successfully' : 'Pass verified successfully',
+          uid,
+          scanned_by: scannedBy,
+          direction,
+          remaining_uses: remainingUses,
+          policy: scanContext.policy_decision,
+          pass_info: {
+            pass_id: pass.pass_id,
+            category: pass.category,
+            category_name: pass.category_name,
+            pass_type: pass.pass_type,
+            people_allowed: pass.people_allowed,
+            max_uses: unlimited ? 'unlimited' : pass.max_uses,
+            used_count: pass.used_count, // Don't increment when no use is consumed
+            remaining_uses: remainingUses,
+            last_used_at: getCurrentDateTime(),
+            last_used_by: scannedBy,
+            unlimited_pass: unlimited
+          },
+          timestamp: getCurrentDateTime(),
+          processing_time_ms: Date.now() - startTime
+        };
       }
 
 
-      // Step 6: Handle normal pass verification (for non-unlimited passes)
+      // Step 5: Handle normal pass verification (consumes one use)
       {
         // Validate pass.id before atomic decrement
         if (!pass.id) {
           logger.error(`Pass ID is null/undefined for UID=${uid}`, { pass });
           logResult = 'error';
-          await this.logVerification(uid, pass.pass_id, scannedBy, logResult, deviceLocalId);
+          await logVerification(uid, pass.pass_id, scannedBy, logResult, deviceLocalId, { ...scanContext });
           return {
             success: false,
             status: 'error',
@@ -300,12 +550,27 @@ class VerifyService {
           };
         }
         
+        // Try the Redis fast path first; it falls back here when Redis cannot serve the scan
+        const fastResponse = await this.fastConsume(uid, pass, scannedBy, checkpoint, decision, {
+          deviceLocalId,
+          scanContext,
+          passbackOverride,
+          startTime,
+          logVerification
+        });
+        if (fastResponse) {
+          if (fastResponse.status === 'valid') {
+            resolved.consumed_count = 1;
+          }
+          return fastResponse;
+        }
+        
         // Acquire Redis lock for this UID to prevent concurrent access
-        const lockAcquired = await redisService.setVerifyLock(uid, 10); // 10 second TTL
+        const lockAcquired = await redisService.setVerifyLock(usageUid, 10); // 10 second TTL
         
         if (!lockAcquired) {
           logResult = 'error';
-          await this.logVerification(uid, pass.pass_id, scannedBy, logResult, deviceLocalId);
+          await logVerification(uid, pass.pass_id, scannedBy, logResult, deviceLocalId, { ...scanContext });
           return {
             success: false,
             status: 'error',
@@ -319,11 +584,11 @@ class VerifyService {
         
         try {
           // Re-fetch pass data to ensure we have the latest state
-          const latestPass = await this.getPassWithUsage(uid);
+          const latestPass = await this.getPassWithUsage(usageUid);
           if (!latestPass) {
-            await redisService.releaseVerifyLock(uid);
+            await redisService.releaseVerifyLock(usageUid);
             logResult = 'invalid';
-            await this.logVerification(uid, pass.pass_id, scannedBy, logResult, deviceLocalId);
+            await logVerification(uid, pass.pass_id, scannedBy, logResult, deviceLocalId, { ...scanContext });
             return {
               success: false,
               status: 'invalid',
@@ -338,9 +603,10 @@ class VerifyService {
           // Check remaining uses again with latest data
           const latestRemainingUses = latestPass.max_uses - latestPass.used_count;
           if (latestRemainingUses <= 0) {
-            await redisService.releaseVerifyLock(uid);
+            await redisService.releaseVerifyLock(usageUid);
             logResult = 'used';
-            await this.logVerification(uid, pass.pass_id, scannedBy, logResult, deviceLocalId, {
+            await logVerification(uid, pass.pass_id, scannedBy, logResult, deviceLocalId, {
+              ...scanContext,
               remaining_uses: 0
             });
             
@@ -367,23 +633,34 @@ class VerifyService {
           }
           
           
+          // Reserve room in the zone before consuming a use
+          const occupancy = await this.reserveCapacity(uid, pass, checkpoint);
+          if (!occupancy.allowed) {
+            return await this.rejectCapacityFull(uid, pass, scannedBy, deviceLocalId, scanContext, checkpoint, occupancy, startTime, logVerification);
+          }
+          
           // Normal verification - atomically decrement remaining uses
           const decrementResult = await this.atomicDecrementUsage(latestPass.id, scannedBy);
           
           if (decrementResult.success) {
             logResult = 'valid';
+            resolved.consumed_count = 1;
             const newRemainingUses = latestRemainingUses - 1;
             
-            await this.logVerification(uid, pass.pass_id, scannedBy, logResult, deviceLocalId, {
+            await logVerification(uid, pass.pass_id, scannedBy, logResult, deviceLocalId, {
+              ...scanContext,
               remaining_uses: newRemainingUses,
-              consumed_count: 1
+              consumed_count: 1,
+              anti_passback_override: passbackOverride
             });
             
+            await this.markEntered(uid, pass, scannedBy);
+            
             // Update Redis cache with latest pass info
             try {
-              const updatedPass = await PassModel.findByUid(uid);
+              const updatedPass = await PassModel.findByUid(usageUid);
               if (updatedPass) {
-                await redisService.addActivePass(uid, updatedPass);
+                await redisService.addActivePass(usageUid, updatedPass);
               }
             } catch (cacheError) {
               logger.warn('Failed to update Redis cache for normal pass verification:', cacheError);
@@ -397,7 +674,9 @@ class VerifyService {
                 : 'Pass verified successfully',
               uid,
               scanned_by: scannedBy,
+              direction,
               remaining_uses: newRemainingUses,
+              policy: scanContext.policy_decision,
               pass_info: {
                 pass_id: pass.pass_id,
                 category: pass.category,
@@ -414,10 +693,14 @@ class VerifyService {
               processing_time_ms: Date.now() - startTime
             };
           } else {
+            // Give back the reserved headcount
+            await occupancyService.recordExit(uid, occupancy.headcount);
+            
             // Atomic decrement failed - check if it's due to insufficient uses
             if (decrementResult.error === 'insufficient_uses') {
               logResult = 'used';
-              await this.logVerification(uid, pass.pass_id, scannedBy, logResult, deviceLocalId, {
+              await logVerification(uid, pass.pass_id, scannedBy, logResult, deviceLocalId, {
+                ...scanContext,
                 remaining_uses: 0
               });
               
@@ -448,7 +731,7 @@ class VerifyService {
             } else {
               // Other errors
               logResult = 'error';
-              await this.logVerification(uid, pass.pass_id, scannedBy, logResult, deviceLocalId);
+              await logVerification(uid, pass.pass_id, scannedBy, logResult, deviceLocalId, { ...scanContext });
               return {
                 success: false,
                 status: 'error',
@@ -462,7 +745,7 @@ class VerifyService {
           }
         } finally {
           // Always release the lock
-          await redisService.releaseVerifyLock(uid);
+          await redisService.releaseVerifyLock(usageUid);
         }
       }
       
@@ -470,7 +753,7 @@ class VerifyService {
       logger.error('Verification error:', error);
       
       // Log the error
-      await this.logVerification(uid, passInfo?.pass_id || null, scannedBy, 'error', deviceLocalId);
+      await logVerification(uid, passInfo?.pass_id || null, scannedBy, 'error', deviceLocalId, { ...scanContext });
       
       return {
         success: false,
@@ -513,6 +796,42 @@ class VerifyService {
         };
       }
       
+      // Reserve room in the zone for everyone being let in
+      const zone = promptData.zone_id ? await ZonesModel.findById(promptData.zone_id) : null;
+      const occupancy = await this.reserveCapacity(
+        promptData.uid,
+        { category: promptData.category },
+        zone ? { zone_id: zone.id, zone_name: zone.name, zone_capacity: zone.capacity } : null,
+        consumeCount
+      );
+      
+      if (!occupancy.allowed) {
+        await this.logVerification(promptData.uid, promptData.pass_id, scannedBy, 'capacity_full', promptData.device_local_id, {
+          direction: promptData.direction || 'entry',
+          zone_id: promptData.zone_id || null,
+          checkpoint_id: promptData.checkpoint_id || null,
+          device_id: promptData.device_id ?? null,
+          remaining_uses: promptData.remaining_uses,
+          consumed_count: 0,
+          zone_occupancy: occupancy.zone_count,
+          zone_capacity: occupancy.capacity
+        });
+        
+        return {
+          success: false,
+          status: 'capacity_full',
+          message: `Zone ${zone.name} cannot admit ${consumeCount} more (${occupancy.zone_count}/${occupancy.capacity} inside)`,
+          uid: promptData.uid,
+          zone_id: zone.id,
+          zone_name: zone.name,
+          occupancy: occupancy.zone_count,
+          capacity: occupancy.capacity,
+          remaining_uses: promptData.remaining_uses,
+          timestamp: getCurrentDateTime(),
+          processing_time_ms: Date.now() - startTime
+        };
+      }
+      
       // Atomically decrement usage by consume count
       const decrementResult = await this.atomicDecrementUsage(promptData.pass_db_id, scannedBy, consumeCount);
       
@@ -527,12 +846,31 @@ class VerifyService {
           'valid', 
           promptData.device_local_id,
           {
+            direction: promptData.direction || 'entry',
+            zone_id: promptData.zone_id || null,
+            checkpoint_id: promptData.checkpoint_id || null,
+            device_id: promptData.device_id ?? null,
+            policy_decision: promptData.policy_decision || null,
             remaining_uses: newRemainingUses,
             consumed_count: consumeCount,
             prompt_consumption: true
           }
         );
         
+        await this.markEntered(promptData.uid, { id: promptData.pass_db_id, group: promptData.group || null }, scannedBy);
+        
+        await passEventsService.record('prompt_consumed', {
+          id: promptData.pass_db_id,
+          pass_id: promptData.pass_id,
+          uid: promptData.uid
+        }, scannedBy, {
+          consumed_count: consumeCount,
+          direction: promptData.direction || 'entry',
+          checkpoint_id: promptData.checkpoint_id || null,
+          remaining_uses: newRemainingUses,
+          device_local_id: promptData.device_local_id || null
+        }, { device_id: promptData.device_id ?? scannedBy?.device_id ?? null });
+        
         // Clean up prompt data
         await this.deletePromptData(promptToken);
         
@@ -544,10 +882,13 @@ class VerifyService {
           scanned_by: scannedBy,
           consumed_count: consumeCount,
           remaining_uses: newRemainingUses,
+          ...(promptData.group ? { group: this.describeGroupPool(promptData.group, promptData.max_uses, newRemainingUses) } : {}),
           timestamp: getCurrentDateTime(),
           processing_time_ms: Date.now() - startTime
         };
       } else {
+        await occupancyService.recordExit(promptData.uid, occupancy.headcount);
+        
         return {
           success: false,
           status: 'error',
@@ -569,43 +910,398 @@ class VerifyService {
     }
   }
 
-  async getBouncerDetails(bouncerId) {
-    try {
-      const query = 'SELECT id, username, role, assigned_category FROM users WHERE id = ? AND role = "bouncer"';
-      const result = await executeQuery(query, [bouncerId]);
-      return result[0] || null;
-    } catch (error) {
-      logger.error('Error getting bouncer details:', error);
+  /**
+   * Redis fast path for scans that consume one use. Blocked state, remaining uses and
+   * cooldown are checked and the use is consumed in one Lua script; MySQL is updated
+   * by the usage write-behind queue.
+   * @returns {Promise<Object|null>} Verification response, or null to use the transactional path
+   */
+  async fastConsume(uid, pass, scannedBy, checkpoint, decision, context) {
+    if (!usageService.enabled) {
       return null;
     }
-  }
 
-  async getPassWithUsage(uid) {
-    try {
-      // Try Redis cache first
-      try {
-        const cachedPass = await redisService.getActivePass(uid);
-        if (cachedPass && cachedPass.max_uses !== undefined) {
-          logger.info(`Redis cached pass data for UID=${uid}:`, JSON.stringify(cachedPass, null, 2));
-          logger.info(`Redis cached pass used_count: ${cachedPass.used_count}, max_uses: ${cachedPass.max_uses}`);
-          // Ensure cached pass has proper id field (map pass_db_id to id)
-          if (cachedPass.pass_db_id && !cachedPass.id) {
-            cachedPass.id = cachedPass.pass_db_id;
-          }
-          return cachedPass;
-        }
-      } catch (redisError) {
-        logger.warn('Redis not available for pass cache, falling back to database:', redisError.message);
-      }
-      
-      // Fallback to database with usage info
-      const pass = await PassModel.findByUidWithUsage(uid);
-      logger.info(`Database pass data for UID=${uid}:`, JSON.stringify(pass, null, 2));
-      logger.info(`Database pass used_count: ${pass?.used_count}, max_uses: ${pass?.max_uses}`);
-      
-      // Try to update Redis cache if pass is active (but don't fail if Redis is down)
-      if (pass && pass.status === 'active') {
-        try {
+    const { deviceLocalId, scanContext, passbackOverride, startTime, logVerification } = context;
+
+    const occupancy = await this.reserveCapacity(uid, pass, checkpoint);
+    if (!occupancy.allowed) {
+      return await this.rejectCapacityFull(uid, pass, scannedBy, deviceLocalId, scanContext, checkpoint, occupancy, startTime, logVerification);
+    }
+
+    // Within-cooldown prompts were already handled by the policy; only hard cooldowns are enforced here
+    const cooldownSeconds = decision.policy.prompt_mode === 'within_cooldown' ? 0 : (decision.policy.cooldown_seconds || 0);
+    const usage = await usageService.consume(this.getUsageUid(uid, pass), pass, scannedBy, 1, cooldownSeconds);
+
+    if (usage.status === 'ok') {
+      const remainingUses = usage.max_uses - usage.used_count;
+
+      await logVerification(uid, pass.pass_id, scannedBy, 'valid', deviceLocalId, {
+        ...scanContext,
+        remaining_uses: remainingUses,
+        consumed_count: 1,
+        anti_passback_override: passbackOverride
+      });
+
+      await this.markEntered(uid, pass, scannedBy);
+
+      return {
+        success: true,
+        status: 'valid',
+        message: remainingUses > 0
+          ? `Pass verified successfully. Remaining uses: ${remainingUses}`
+          : 'Pass verified successfully',
+        uid,
+        scanned_by: scannedBy,
+        direction: scanContext.direction,
+        remaining_uses: remainingUses,
+        policy: scanContext.policy_decision,
+        pass_info: {
+          pass_id: pass.pass_id,
+          category: pass.category,
+          category_name: pass.category_name,
+          pass_type: pass.pass_type,
+          people_allowed: pass.people_allowed,
+          max_uses: pass.max_uses,
+          used_count: usage.used_count,
+          remaining_uses: remainingUses,
+          last_used_at: getCurrentDateTime(),
+          last_used_by: scannedBy
+        },
+        timestamp: getCurrentDateTime(),
+        processing_time_ms: Date.now() - startTime
+      };
+    }
+
+    // Give back the reserved headcount
+    await occupancyService.recordExit(uid, occupancy.headcount);
+
+    switch (usage.status) {
+      case 'insufficient':
+        await logVerification(uid, pass.pass_id, scannedBy, 'used', deviceLocalId, {
+          ...scanContext,
+          remaining_uses: 0
+        });
+
+        return {
+          success: false,
+          status: 'used',
+          message: 'This pass has already been used. Remaining uses: 0',
+          uid,
+          scanned_by: scannedBy,
+          remaining_uses: 0,
+          pass_info: {
+            pass_id: pass.pass_id,
+            category: pass.category,
+            pass_type: pass.pass_type,
+            people_allowed: pass.people_allowed,
+            max_uses: pass.max_uses,
+            used_count: usage.used_count,
+            remaining_uses: 0,
+            last_used_at: await this.getLastUsedTimestamp(uid) || null
+          },
+          timestamp: getCurrentDateTime(),
+          processing_time_ms: Date.now() - startTime
+        };
+
+      case 'cooldown':
+        await logVerification(uid, pass.pass_id, scannedBy, 'policy_denied', deviceLocalId, {
+          ...scanContext,
+          remaining_uses: usage.max_uses - usage.used_count,
+          consumed_count: 0,
+          policy_status: 'cooldown',
+          policy_message: 'Pass was used moments ago on another scan'
+        });
+
+        return {
+          success: false,
+          status: 'cooldown',
+          message: `This pass was just used. Try again in ${usage.retry_after_seconds} seconds.`,
+          uid,
+          scanned_by: scannedBy,
+          direction: scanContext.direction,
+          remaining_uses: usage.max_uses - usage.used_count,
+          retry_after_seconds: usage.retry_after_seconds,
+          policy: scanContext.policy_decision,
+          timestamp: getCurrentDateTime(),
+          processing_time_ms: Date.now() - startTime
+        };
+
+      case 'blocked':
+        // Blocked between the initial check and the consume
+        await logVerification(uid, pass.pass_id, scannedBy, 'blocked', deviceLocalId, { ...scanContext });
+
+        return {
+          success: false,
+          status: 'blocked',
+          message: 'This pass is blocked',
+          uid,
+          scanned_by: scannedBy,
+          timestamp: getCurrentDateTime(),
+          processing_time_ms: Date.now() - startTime
+        };
+
+      default:
+        logger.debug(`Fast path not used for UID=${uid} (${usage.reason}), using transactional verification`);
+        // Uses still queued in Redis are invisible to the MySQL row lock, so write them first
+        if (usage.reason !== 'redis_unavailable') {
+          await usageService.flush().catch(error => logger.warn('Usage flush before transactional verification failed:', error.message));
+        }
+        return null;
+    }
+  }
+
+  async getBouncerDetails(bouncerId) {
+    try {
+      const query = 'SELECT id, username, role, assigned_category, checkpoint_id FROM users WHERE id = ?';
+      const result = await executeQuery(query, [bouncerId]);
+      return result[0] || null;
+    } catch (error) {
+      logger.error('Error getting bouncer details:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Whether a scanning user is limited to their assigned category and checkpoint
+   * (users without the verify.any_scope permission, e.g. bouncers)
+   */
+  async isScopedScanner(scannedBy) {
+    return Boolean(scannedBy) && !(await permissionService.userHasPermission(scannedBy, 'verify.any_scope'));
+  }
+
+  /**
+   * Resolve the checkpoint a scan happens at. An enrolled device assigned to a checkpoint
+   * always scans there; otherwise scoped scanners scan at the checkpoint they are bound to and
+   * users with verify.any_scope may pass a checkpoint_id from the device.
+   */
+  async resolveCheckpoint(scannedBy, requestedCheckpointId = null) {
+    try {
+      let checkpointId = requestedCheckpointId || null;
+      
+      if (scannedBy?.device?.checkpoint_id) {
+        checkpointId = scannedBy.device.checkpoint_id;
+      } else if (await this.isScopedScanner(scannedBy)) {
+        if (scannedBy.checkpoint_id !== undefined) {
+          checkpointId = scannedBy.checkpoint_id;
+        } else {
+          const bouncer = await this.getBouncerDetails(scannedBy.id);
+          checkpointId = bouncer ? bouncer.checkpoint_id : null;
+        }
+      }
+      
+      if (!checkpointId) {
+        return null;
+      }
+      
+      const checkpoint = await CheckpointsModel.findById(checkpointId);
+      if (!checkpoint) {
+        logger.warn(`Checkpoint ${checkpointId} not found for scan by user ${scannedBy?.id}`);
+      }
+      return checkpoint;
+    } catch (error) {
+      logger.error('Error resolving checkpoint:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Check zone access for a pass at a checkpoint. Scoped scanners not yet bound to a
+   * checkpoint keep the legacy assigned_category restriction.
+   */
+  async checkZoneAccess(pass, scannedBy, checkpoint) {
+    if (checkpoint) {
+      const details = {
+        zone_id: checkpoint.zone_id,
+        zone_name: checkpoint.zone_name,
+        checkpoint_id: checkpoint.id,
+        checkpoint_name: checkpoint.name
+      };
+      
+      if (checkpoint.status !== 'active' || checkpoint.zone_status !== 'active') {
+        return {
+          allowed: false,
+          message: `Checkpoint ${checkpoint.name} in zone ${checkpoint.zone_name} is not active.`,
+          details: { ...details, verification_attempt: 'checkpoint_inactive' }
+        };
+      }
+      
+      const categoryAllowed = await ZonesModel.isCategoryAllowed(checkpoint.zone_id, pass.category);
+      if (!categoryAllowed) {
+        return {
+          allowed: false,
+          message: `This pass is for ${pass.category} category, which is not allowed to enter zone ${checkpoint.zone_name}.`,
+          details: { ...details, verification_attempt: 'zone_access_denied' }
+        };
+      }
+      
+      return { allowed: true, details };
+    }
+    
+    if (await this.isScopedScanner(scannedBy)) {
+      const bouncer = await this.getBouncerDetails(scannedBy.id);
+      if (bouncer && bouncer.assigned_category && bouncer.assigned_category !== pass.category) {
+        return {
+          allowed: false,
+          message: `You are not authorized to verify this category. This pass is for ${pass.category} category, but you are assigned to ${bouncer.assigned_category} category.`,
+          details: {
+            bouncer_assigned_category: bouncer.assigned_category,
+            verification_attempt: 'category_mismatch'
+          }
+        };
+      }
+    }
+    
+    return { allowed: true, details: {} };
+  }
+
+  /**
+   * Count the people a scan lets in against the checkpoint's zone.
+   * Returns { allowed: false } when the zone is at capacity.
+   */
+  async reserveCapacity(uid, pass, checkpoint, consumeCount = null) {
+    const headcount = occupancyService.getHeadcount(pass, consumeCount);
+    const result = await occupancyService.recordEntry(uid, {
+      zone_id: checkpoint ? checkpoint.zone_id : null,
+      category: pass.category,
+      headcount
+    }, checkpoint ? checkpoint.zone_capacity : null);
+    
+    return { ...result, headcount };
+  }
+
+  async rejectCapacityFull(uid, pass, scannedBy, deviceLocalId, scanContext, checkpoint, occupancy, startTime, logVerification = (...args) => this.logVerification(...args)) {
+    await logVerification(uid, pass.pass_id, scannedBy, 'capacity_full', deviceLocalId, {
+      ...scanContext,
+      remaining_uses: pass.pass_type === 'unlimited' ? 'unlimited' : pass.max_uses - pass.used_count,
+      consumed_count: 0,
+      zone_occupancy: occupancy.zone_count,
+      zone_capacity: occupancy.capacity
+    });
+    
+    return {
+      success: false,
+      status: 'capacity_full',
+      message: `Zone ${checkpoint.zone_name} is at capacity (${occupancy.zone_count}/${occupancy.capacity}). Entry not allowed until someone exits.`,
+      uid,
+      scanned_by: scannedBy,
+      direction: scanContext.direction,
+      zone_id: checkpoint.zone_id,
+      zone_name: checkpoint.zone_name,
+      occupancy: occupancy.zone_count,
+      capacity: occupancy.capacity,
+      people_requested: occupancy.headcount,
+      pass_info: {
+        pass_id: pass.pass_id,
+        category: pass.category,
+        pass_type: pass.pass_type,
+        people_allowed: pass.people_allowed
+      },
+      timestamp: getCurrentDateTime(),
+      processing_time_ms: Date.now() - startTime
+    };
+  }
+
+  async markEntered(uid, pass, scannedBy) {
+    try {
+      return await presenceService.recordEntry(uid, pass, scannedBy);
+    } catch (error) {
+      // Presence tracking must never fail an otherwise valid verification
+      logger.error(`Failed to record entry presence for UID=${uid}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Pass a scanned card draws from. Companion cards of a pass group resolve to the
+   * parent pass; every card of a group admits one person per scan.
+   * @param {string} uid - Scanned card UID
+   * @param {Function} lookup - UID -> pass with usage (explainVerification passes a read-only lookup)
+   * @returns {Promise<Object|null>} Pass with usage, with a group descriptor for group cards
+   */
+  async resolveScannedPass(uid, lookup = lookupUid => this.getPassWithUsage(lookupUid)) {
+    const pass = await lookup(uid);
+    if (pass) {
+      if (!pass.group_id) {
+        return pass;
+      }
+
+      const group = await PassGroupsModel.findSummaryById(pass.group_id);
+      return group ? {
+        ...pass,
+        people_allowed: 1,
+        group: { group_id: group.id, group_name: group.name, card: 'parent', parent_uid: uid, label: null }
+      } : pass;
+    }
+
+    const member = await PassGroupsModel.findMemberByUid(uid);
+    if (!member) {
+      return null;
+    }
+
+    const parent = await lookup(member.parent_uid);
+    if (!parent) {
+      return null;
+    }
+
+    return {
+      ...parent,
+      people_allowed: 1,
+      group: {
+        group_id: member.group_id,
+        group_name: member.group_name,
+        card: 'companion',
+        parent_uid: member.parent_uid,
+        label: member.label
+      }
+    };
+  }
+
+  getUsageUid(uid, pass) {
+    return pass && pass.group ? pass.group.parent_uid : uid;
+  }
+
+  describeGroupPool(group, maxUses, remainingUses) {
+    return {
+      ...group,
+      pool: {
+        max_uses: maxUses,
+        used_count: maxUses - remainingUses,
+        remaining_uses: remainingUses
+      }
+    };
+  }
+
+  async getPassWithUsage(uid) {
+    try {
+      // Try Redis cache first
+      try {
+        const cachedPass = await redisService.getActivePass(uid);
+        if (cachedPass && cachedPass.max_uses !== undefined) {
+          // The pass cache holds no usage; use the fast path's used count (MySQL below until it is seeded)
+          const usedCount = cachedPass.used_count !== undefined ? cachedPass.used_count : await redisService.getPassUsage(uid);
+          if (usedCount !== null) {
+            cachedPass.used_count = usedCount;
+            logger.info(`Redis cached pass data for UID=${uid}:`, JSON.stringify(cachedPass, null, 2));
+            logger.info(`Redis cached pass used_count: ${cachedPass.used_count}, max_uses: ${cachedPass.max_uses}`);
+            // Ensure cached pass has proper id field (map pass_db_id to id)
+            if (cachedPass.pass_db_id && !cachedPass.id) {
+              cachedPass.id = cachedPass.pass_db_id;
+            }
+            return cachedPass;
+          }
+        }
+      } catch (redisError) {
+        logger.warn('Redis not available for pass cache, falling back to database:', redisError.message);
+      }
+      
+      // Fallback to database with usage info
+      const pass = await PassModel.findByUidWithUsage(uid);
+      logger.info(`Database pass data for UID=${uid}:`, JSON.stringify(pass, null, 2));
+      logger.info(`Database pass used_count: ${pass?.used_count}, max_uses: ${pass?.max_uses}`);
+      
+      // Try to update Redis cache if pass is active (but don't fail if Redis is down)
+      if (pass && pass.status === 'active') {
+        try {
           await redisService.addActivePass(uid, pass);
         } catch (redisError) {
           logger.warn('Failed to update Redis cache, continuing without cache:', redisError.message);
@@ -720,13 +1416,12 @@ class VerifyService {
     return crypto.randomBytes(32).toString('hex');
   }
 
-  async storePromptData(token, data) {
+  async storePromptData(token, data, ttlSeconds = 300) {
     try {
       const redis = getRedisClient();
       const key = `prompt:${token}`;
-      // Use 5 minutes (300 seconds) expiry for all passes
-      const expiryTime = 300;
-      await redis.setEx(key, expiryTime, JSON.stringify(data));
+      // Expiry comes from the pass's verification policy (prompt_ttl_seconds)
+      await redis.setEx(key, ttlSeconds, JSON.stringify(data));
     } catch (error) {
       logger.error('Error storing prompt data:', error);
       throw error;
@@ -757,7 +1452,17 @@ class VerifyService {
 
   async getLastUsedTimestamp(uid) {
     try {
-      // Search through daily log tables for the last successful verification
+      // The pass history answers with one indexed query
+      try {
+        const lastUsedAt = await PassEventsModel.getLastUsedAt(uid);
+        if (lastUsedAt) {
+          return lastUsedAt;
+        }
+      } catch (eventsError) {
+        logger.warn('Pass history unavailable, searching daily logs:', eventsError.message);
+      }
+      
+      // Passes used before the history existed: search through daily log tables for the last successful verification
       // Start from today and go back up to 30 days
       const today = new Date();
       
@@ -824,153 +1529,12 @@ class VerifyService {
         await createDailyLogTable(currentDate);
       }
       
-      // Prepare data for insertion
-      let remainingUses = additionalData.remaining_uses !== undefined ? 
-        additionalData.remaining_uses : null;
-      
-      // Convert "unlimited" string to integer for database storage
-      if (remainingUses === 'unlimited') {
-        remainingUses = -1; // Use -1 to represent unlimited passes
-      }
-      
-      const consumedCount = additionalData.consumed_count !== undefined ? 
-        additionalData.consumed_count : 1;
-      
-      const promptConsumption = additionalData.prompt_consumption === true;
-      
-      const offlineSync = additionalData.offline_sync === true;
-      
-      // Get pass details for category and pass_type
-      let category = null;
-      let passType = null;
-      
-      if (passId) {
-        try {
-          // passId is actually pass_id (UUID), not database ID
-          const passQuery = `SELECT category, pass_type FROM passes WHERE pass_id = ?`;
-          const passResult = await executeQuery(passQuery, [passId]);
-          if (passResult.length > 0) {
-            category = passResult[0].category;
-            passType = passResult[0].pass_type;
-          }
-        } catch (error) {
-          logger.warn(`Failed to fetch pass details for logging: ${error.message}`);
-        }
-      }
-      
-      // Map verification results to database enum values
-      const resultMapping = {
-        'valid': 'success',
-        'invalid': 'failure', 
-        'used': 'failure',
-        'unauthorized': 'failure',
-        'blocked': 'failure',
-        'error': 'error'
-      };
-      
-      const dbResult = resultMapping[result] || 'error';
-      
-      // Create detailed status message based on verification result
-      let statusMessage = '';
-      let details = {};
-      
-      switch (result) {
-        case 'valid':
-          statusMessage = 'Pass verified successfully';
-          details = {
-            message: statusMessage,
-            remaining_uses: remainingUses,
-            total_uses: consumedCount,
-            category: category,
-            pass_type: passType,
-            user: scannedBy ? `${scannedBy.username} (${scannedBy.role})` : 'Unknown',
-            scan_time: new Date().toISOString()
-          };
-          break;
-        case 'used':
-          statusMessage = 'Pass already used up';
-          details = {
-            message: statusMessage,
-            remaining_uses: 0,
-            total_uses: consumedCount,
-            category: category,
-            pass_type: passType,
-            user: scannedBy ? `${scannedBy.username} (${scannedBy.role})` : 'Unknown',
-            scan_time: new Date().toISOString()
-          };
-          break;
-        case 'invalid':
-          statusMessage = 'Pass not found or invalid';
-          details = {
-            message: statusMessage,
-            uid: uid,
-            user: scannedBy ? `${scannedBy.username} (${scannedBy.role})` : 'Unknown',
-            scan_time: new Date().toISOString()
-          };
-          break;
-        case 'unauthorized':
-          statusMessage = 'User not authorized to verify this pass';
-          details = {
-            message: statusMessage,
-            uid: uid,
-            category: category,
-            user: scannedBy ? `${scannedBy.username} (${scannedBy.role})` : 'Unknown',
-            scan_time: new Date().toISOString()
-          };
-          break;
-        case 'blocked':
-          statusMessage = 'Pass is blocked';
-          details = {
-            message: statusMessage,
-            uid: uid,
-            category: category,
-            pass_type: passType,
-            user: scannedBy ? `${scannedBy.username} (${scannedBy.role})` : 'Unknown',
-            scan_time: new Date().toISOString()
-          };
-          break;
-        case 'error':
-          statusMessage = 'Verification failed due to system error';
-          details = {
-            message: statusMessage,
-            uid: uid,
-            user: scannedBy ? `${scannedBy.username} (${scannedBy.role})` : 'Unknown',
-            scan_time: new Date().toISOString(),
-            error: 'System error during verification'
-          };
-          break;
-        default:
-          statusMessage = 'Unknown verification result';
-          details = {
-            message: statusMessage,
-            uid: uid,
-            user: scannedBy ? `${scannedBy.username} (${scannedBy.role})` : 'Unknown',
-            scan_time: new Date().toISOString()
-          };
-      }
-
-      // Prepare log data for DailyLogsService
-      const logData = {
-        action_type: 'verify_pass',
-        user_id: scannedBy?.id || null,
-        role: scannedBy?.role || null,
-        pass_id: passId || null,
-        uid: uid || null,
-        scanned_at: new Date(),
-        scanned_by: scannedBy?.id || null,
-        remaining_uses: remainingUses !== undefined ? remainingUses : null,
-        consumed_count: consumedCount || 0,
-        category: category || null,
-        pass_type: passType || null,
-        ip_address: null, // Will be set by the controller if available
-        user_agent: null, // Will be set by the controller if available
-        details: JSON.stringify(details),
-        result: dbResult,
-        error_message: result === 'error' ? statusMessage : null
-      };
+      const entry = await this.prepareVerificationLog(uid, passId, scannedBy, result, deviceLocalId, additionalData);
       
       // Use DailyLogsService to insert the log
-      await DailyLogsService.insertLog(logData);
+      await DailyLogsService.insertLog(entry.logData, entry.date);
+      
+      this.analyzeScan(entry);
       
       logger.debug(`Verification logged: UID=${uid}, Result=${result}`);
       return true;
@@ -984,7 +1548,671 @@ class VerifyService {
       return false;
     }
   }
+
+  /**
+   * Build the daily log row for a verification result
+   * @param {Map|null} passDetails - Pass category/type lookups shared across a batch
+   * @returns {Promise<Object>} { logData, date (null for today's table), offline_sync, scan }
+   */
+  async prepareVerificationLog(uid, passId, scannedBy, result, deviceLocalId = null, additionalData = {}, passDetails = null) {
+    // Prepare data for insertion
+    let remainingUses = additionalData.remaining_uses !== undefined ? 
+      additionalData.remaining_uses : null;
+    
+    // Convert "unlimited" string to integer for database storage
+    if (remainingUses === 'unlimited') {
+      remainingUses = -1; // Use -1 to represent unlimited passes
+    }
+    
+    const consumedCount = additionalData.consumed_count !== undefined ? 
+      additionalData.consumed_count : 1;
+    
+    const promptConsumption = additionalData.prompt_consumption === true;
+    
+    const offlineSync = additionalData.offline_sync === true;
+    
+    // Get pass details for category and pass_type
+    let category = null;
+    let passType = null;
+    
+    if (passId && passDetails && passDetails.has(passId)) {
+      ({ category, passType } = passDetails.get(passId));
+    } else if (passId) {
+      try {
+        // passId is actually pass_id (UUID), not database ID
+        const passQuery = `SELECT category, pass_type FROM passes WHERE pass_id = ?`;
+        const passResult = await executeQuery(passQuery, [passId]);
+        if (passResult.length > 0) {
+          category = passResult[0].category;
+          passType = passResult[0].pass_type;
+          if (passDetails) {
+            passDetails.set(passId, { category, passType });
+          }
+        }
+      } catch (error) {
+        logger.warn(`Failed to fetch pass details for logging: ${error.message}`);
+      }
+    }
+    
+    // Map verification results to database enum values
+    const resultMapping = {
+      'valid': 'success',
+      'invalid': 'failure', 
+      'used': 'failure',
+      'unauthorized': 'failure',
+      'blocked': 'failure',
+      'replaced': 'failure',
+      'expired': 'failure',
+      'not_yet_valid': 'failure',
+      'passback_violation': 'failure',
+      'capacity_full': 'failure',
+      'policy_denied': 'failure',
+      'signature_rejected': 'failure',
+      'duplicate': 'failure',
+      'exit': 'success',
+      'error': 'error'
+    };
+    
+    const dbResult = resultMapping[result] || 'error';
+    
+    // Create detailed status message based on verification result
+    let statusMessage = '';
+    let details = {};
+    
+    switch (result) {
+      case 'valid':
+        statusMessage = 'Pass verified successfully';
+        details = {
+          message: statusMessage,
+          remaining_uses: remainingUses,
+          total_uses: consumedCount,
+          category: category,
+          pass_type: passType,
+          user: scannedBy ? `${scannedBy.username} (${scannedBy.role})` : 'Unknown',
+          scan_time: new Date().toISOString()
+        };
+        break;
+      case 'used':
+        statusMessage = 'Pass already used up';
+        details = {
+          message: statusMessage,
+          remaining_uses: 0,
+          total_uses: consumedCount,
+          category: category,
+          pass_type: passType,
+          user: scannedBy ? `${scannedBy.username} (${scannedBy.role})` : 'Unknown',
+          scan_time: new Date().toISOString()
+        };
+        break;
+      case 'invalid':
+        statusMessage = 'Pass not found or invalid';
+        details = {
+          message: statusMessage,
+          uid: uid,
+          user: scannedBy ? `${scannedBy.username} (${scannedBy.role})` : 'Unknown',
+          scan_time: new Date().toISOString()
+        };
+        break;
+      case 'unauthorized':
+        statusMessage = 'User not authorized to verify this pass';
+        details = {
+          message: statusMessage,
+          uid: uid,
+          category: category,
+          user: scannedBy ? `${scannedBy.username} (${scannedBy.role})` : 'Unknown',
+          scan_time: new Date().toISOString()
+        };
+        break;
+      case 'blocked':
+        statusMessage = 'Pass is blocked';
+        details = {
+          message: statusMessage,
+          uid: uid,
+          category: category,
+          pass_type: passType,
+          user: scannedBy ? `${scannedBy.username} (${scannedBy.role})` : 'Unknown',
+          scan_time: new Date().toISOString()
+        };
+        break;
+      case 'replaced':
+        statusMessage = 'Card was replaced and is no longer valid';
+        details = {
+          message: statusMessage,
+          uid: uid,
+          replaced_at: additionalData.replaced_at || null,
+          user: scannedBy ? `${scannedBy.username} (${scannedBy.role})` : 'Unknown',
+          scan_time: new Date().toISOString()
+        };
+        break;
+      case 'expired':
+      case 'not_yet_valid':
+        statusMessage = result === 'expired'
+          ? 'Entry rejected - pass has expired'
+          : 'Entry rejected - pass is not valid yet';
+        details = {
+          message: statusMessage,
+          uid: uid,
+          valid_from: additionalData.valid_from || null,
+          valid_to: additionalData.valid_to || null,
+          category: category,
+          pass_type: passType,
+          user: scannedBy ? `${scannedBy.username} (${scannedBy.role})` : 'Unknown',
+          scan_time: new Date().toISOString()
+        };
+        break;
+      case 'exit':
+        statusMessage = 'Exit recorded';
+        details = {
+          message: statusMessage,
+          remaining_uses: remainingUses,
+          was_inside: additionalData.was_inside === true,
+          category: category,
+          pass_type: passType,
+          user: scannedBy ? `${scannedBy.username} (${scannedBy.role})` : 'Unknown',
+          scan_time: new Date().toISOString()
+        };
+        break;
+      case 'passback_violation':
+        statusMessage = 'Entry rejected - pass is already inside (anti-passback)';
+        details = {
+          message: statusMessage,
+          uid: uid,
+          last_entry_at: additionalData.last_entry_at || null,
+          category: category,
+          pass_type: passType,
+          user: scannedBy ? `${scannedBy.username} (${scannedBy.role})` : 'Unknown',
+          scan_time: new Date().toISOString()
+        };
+        break;
+      case 'capacity_full':
+        statusMessage = 'Entry rejected - zone is at capacity';
+        details = {
+          message: statusMessage,
+          uid: uid,
+          zone_occupancy: additionalData.zone_occupancy ?? null,
+          zone_capacity: additionalData.zone_capacity ?? null,
+          category: category,
+          pass_type: passType,
+          user: scannedBy ? `${scannedBy.username} (${scannedBy.role})` : 'Unknown',
+          scan_time: new Date().toISOString()
+        };
+        break;
+      case 'policy_denied':
+        statusMessage = `Entry rejected by verification policy - ${additionalData.policy_message || additionalData.policy_status}`;
+        details = {
+          message: statusMessage,
+          uid: uid,
+          policy_status: additionalData.policy_status || null,
+          category: category,
+          pass_type: passType,
+          user: scannedBy ? `${scannedBy.username} (${scannedBy.role})` : 'Unknown',
+          scan_time: new Date().toISOString()
+        };
+        break;
+      case 'signature_rejected':
+        statusMessage = additionalData.signature_status === 'unsigned_payload'
+          ? 'Entry rejected - signed payload required but not presented'
+          : 'Entry rejected - signed payload failed verification';
+        details = {
+          message: statusMessage,
+          uid: uid,
+          signature_check: additionalData.signature_check || null,
+          key_id: additionalData.key_id || null,
+          category: category,
+          pass_type: passType,
+          user: scannedBy ? `${scannedBy.username} (${scannedBy.role})` : 'Unknown',
+          scan_time: new Date().toISOString()
+        };
+        break;
+      case 'duplicate':
+        statusMessage = 'Duplicate scan rejected by device';
+        details = {
+          message: statusMessage,
+          uid: uid,
+          category: category,
+          pass_type: passType,
+          user: scannedBy ? `${scannedBy.username} (${scannedBy.role})` : 'Unknown',
+          scan_time: new Date().toISOString()
+        };
+        break;
+      case 'error':
+        statusMessage = 'Verification failed due to system error';
+        details = {
+          message: statusMessage,
+          uid: uid,
+          user: scannedBy ? `${scannedBy.username} (${scannedBy.role})` : 'Unknown',
+          scan_time: new Date().toISOString(),
+          error: 'System error during verification'
+        };
+        break;
+      default:
+        statusMessage = 'Unknown verification result';
+        details = {
+          message: statusMessage,
+          uid: uid,
+          user: scannedBy ? `${scannedBy.username} (${scannedBy.role})` : 'Unknown',
+          scan_time: new Date().toISOString()
+        };
+    }
+
+    const direction = additionalData.direction || null;
+    const zoneId = additionalData.zone_id || null;
+    const checkpointId = additionalData.checkpoint_id || null;
+    details.direction = direction;
+    details.zone_id = zoneId;
+    details.checkpoint_id = checkpointId;
+    
+    if (additionalData.verification_attempt) {
+      details.verification_attempt = additionalData.verification_attempt;
+    }
+    
+    if (additionalData.anti_passback_override) {
+      details.anti_passback_override = additionalData.anti_passback_override;
+    }
+    
+    if (additionalData.policy_decision) {
+      details.policy_decision = additionalData.policy_decision;
+    }
+    
+    if (offlineSync) {
+      details.offline_sync = true;
+      details.sync_outcome = additionalData.sync_outcome || null;
+      details.device_result = additionalData.device_result || null;
+      if (additionalData.conflict_type) {
+        details.conflict_type = additionalData.conflict_type;
+      }
+    }
+    
+    // Offline scans are logged at the time (and in the daily table) they happened
+    const scannedAt = additionalData.scanned_at ? moment(additionalData.scanned_at) : null;
+
+    // Prepare log data for DailyLogsService
+    const logData = {
+      action_type: 'verify_pass',
+      user_id: scannedBy?.id || null,
+      role: scannedBy?.role || null,
+      pass_id: passId || null,
+      uid: uid || null,
+      scanned_at: scannedAt ? scannedAt.toDate() : new Date(),
+      scanned_by: scannedBy?.id || null,
+      remaining_uses: remainingUses !== undefined ? remainingUses : null,
+      consumed_count: consumedCount || 0,
+      category: category || null,
+      pass_type: passType || null,
+      direction,
+      zone_id: zoneId,
+      checkpoint_id: checkpointId,
+      device_id: additionalData.device_id ?? scannedBy?.device_id ?? null,
+      ip_address: null, // Will be set by the controller if available
+      user_agent: null, // Will be set by the controller if available
+      details: JSON.stringify(details),
+      result: dbResult,
+      error_message: result === 'error' ? statusMessage : null
+    };
+
+    return {
+      logData,
+      date: scannedAt ? scannedAt.format('YYYY_MM_DD') : null,
+      offline_sync: offlineSync,
+      scan: {
+        uid,
+        pass_id: passId,
+        result,
+        scanned_by: scannedBy,
+        checkpoint_id: checkpointId,
+        zone_id: zoneId
+      }
+    };
+  }
+
+  /**
+   * Feed a logged scan to fraud detection without waiting for it. Offline scans
+   * happened in the past and would distort the live windows.
+   */
+  analyzeScan(entry) {
+    if (entry.offline_sync) {
+      return;
+    }
+
+    fraudService.analyze(entry.scan)
+      .catch(error => logger.warn('Fraud detection failed for scan:', error.message));
+  }
+
+  createLogBuffer() {
+    return { entries: [], passDetails: new Map() };
+  }
+
+  /**
+   * Collect a verification log row instead of inserting it (see flushVerificationLogs)
+   */
+  async bufferVerification(buffer, uid, passId, scannedBy, result, deviceLocalId = null, additionalData = {}) {
+    try {
+      buffer.entries.push(await this.prepareVerificationLog(uid, passId, scannedBy, result, deviceLocalId, additionalData, buffer.passDetails));
+      return true;
+    } catch (error) {
+      logger.error('Failed to prepare verification log:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Insert buffered verification logs with one statement per daily table
+   * @returns {Promise<number>} Rows inserted
+   */
+  async flushVerificationLogs(buffer) {
+    if (buffer.entries.length === 0) {
+      return 0;
+    }
+
+    try {
+      if (!await DailyLogsService.tableExists('logs')) {
+        logger.warn('Logs table does not exist, skipping verification log creation');
+        return 0;
+      }
+
+      const byDate = new Map();
+      buffer.entries.forEach(entry => {
+        const key = entry.date || '';
+        if (!byDate.has(key)) {
+          byDate.set(key, []);
+        }
+        byDate.get(key).push(entry.logData);
+      });
+
+      let inserted = 0;
+      for (const [date, rows] of byDate) {
+        inserted += await DailyLogsService.insertLogs(rows, date || null);
+      }
+
+      buffer.entries.forEach(entry => this.analyzeScan(entry));
+
+      logger.debug(`Batched verification logs written: ${inserted}`);
+      return inserted;
+    } catch (error) {
+      // Same as logVerification: logging problems never fail the scans
+      logger.error('Failed to write batched verification logs:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Verify many scans from one gate in a single call. Every scan goes through
+   * verifyPass, so the per-UID lock and category/zone authorization are the same as
+   * for single scans. The checkpoint is resolved once, scans of the same UID run in
+   * request order, and all log rows are written with one insert at the end.
+   * @param {Array} scans - [{ uid, device_local_id, direction, payload }]
+   * @param {Object} scannedBy - Scanning user
+   * @param {Object} options - { checkpoint_id }
+   * @returns {Promise<Object>} { results (in request order), summary, processing_time_ms }
+   */
+  async verifyBatch(scans, scannedBy, options = {}) {
+    const startTime = Date.now();
+    const checkpoint = await this.resolveCheckpoint(scannedBy, options.checkpoint_id || null);
+    const logBuffer = this.createLogBuffer();
+    const results = new Array(scans.length);
+
+    // Different UIDs are verified concurrently; repeats of a UID wait for the previous scan
+    const groups = new Map();
+    scans.forEach((scan, index) => {
+      if (!groups.has(scan.uid)) {
+        groups.set(scan.uid, []);
+      }
+      groups.get(scan.uid).push(index);
+    });
+    const queue = [...groups.values()];
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const indexes = queue.shift();
+        for (const index of indexes) {
+          const scan = scans[index];
+          results[index] = await this.verifyPass(scan.uid, scannedBy, scan.device_local_id || null, {
+            direction: scan.direction || 'entry',
+            checkpoint,
+            payload: scan.payload || null,
+            logBuffer
+          });
+        }
+      }
+    };
+
+    const workers = Math.min(this.BATCH_CONCURRENCY, queue.length);
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    await this.flushVerificationLogs(logBuffer);
+
+    const summary = { total: scans.length, admitted: 0, rejected: 0, errors: 0, by_status: {} };
+    results.forEach(result => {
+      if (result.status === 'error') {
+        summary.errors++;
+      } else if (result.success) {
+        summary.admitted++;
+      } else {
+        summary.rejected++;
+      }
+      summary.by_status[result.status] = (summary.by_status[result.status] || 0) + 1;
+    });
+
+    logger.info(`Batch verification by ${scannedBy.username}: ${summary.total} scans, ${summary.admitted} admitted, ${summary.rejected} rejected, ${summary.errors} errors`);
+
+    return {
+      results,
+      summary,
+      processing_time_ms: Date.now() - startTime
+    };
+  }
   
+  /**
+   * Dry run of verifyPass: runs the same checks in the same order and reports the
+   * decision with every check evaluated and its inputs. Nothing is logged, no use is
+   * consumed and presence, occupancy and prompts are left untouched.
+   * @param {string} uid - Pass UID
+   * @param {Object} scannedBy - User the scan is evaluated for
+   * @param {Object} options - { direction, checkpoint_id, payload }
+   * @returns {Promise<Object>} { uid, dry_run, decision, checks, pass_info, policy }
+   */
+  async explainVerification(uid, scannedBy, options = {}) {
+    const direction = options.direction || 'entry';
+    const checks = [];
+    let passInfo = null;
+    let policy = null;
+
+    const addCheck = (check, passed, inputs, result = {}) => {
+      checks.push({ check, passed, inputs, result });
+    };
+
+    const explain = (outcome, status, message, details = {}) => ({
+      uid,
+      dry_run: true,
+      direction,
+      decision: { outcome, status, message, ...details },
+      checks,
+      pass_info: passInfo,
+      policy
+    });
+
+    // Step 0: checkpoint
+    const checkpoint = await this.resolveCheckpoint(scannedBy, options.checkpoint_id);
+    addCheck('checkpoint', true, {
+      requested_checkpoint_id: options.checkpoint_id || null,
+      scanned_by_role: scannedBy.role,
+      bound_checkpoint_id: await this.isScopedScanner(scannedBy) ? (scannedBy.checkpoint_id ?? null) : null
+    }, checkpoint ? {
+      checkpoint_id: checkpoint.id,
+      checkpoint_name: checkpoint.name,
+      zone_id: checkpoint.zone_id,
+      zone_name: checkpoint.zone_name
+    } : { checkpoint_id: null });
+
+    // Step 1: blocked list
+    const isBlocked = await redisService.isPassBlocked(uid);
+    addCheck('blocked', !isBlocked, { uid }, { blocked: isBlocked });
+
+    // Pass lookup for the dry run: read only, the cache is not refilled
+    let source = null;
+    const lookupPass = async (lookupUid) => {
+      try {
+        const cachedPass = await redisService.getActivePass(lookupUid);
+        const usedCount = cachedPass ? await redisService.getPassUsage(lookupUid) : null;
+        if (cachedPass && usedCount !== null) {
+          source = 'redis';
+          return { ...cachedPass, id: cachedPass.pass_db_id, used_count: usedCount };
+        }
+      } catch (error) {
+        logger.warn('Redis not available for explain pass lookup, using database:', error.message);
+      }
+      const dbPass = await PassModel.findByUidWithUsage(lookupUid);
+      source = dbPass ? 'database' : null;
+      return dbPass;
+    };
+
+    const describePass = (pass) => ({
+      pass_id: pass.pass_id,
+      status: pass.status,
+      category: pass.category,
+      pass_type: pass.pass_type,
+      people_allowed: pass.people_allowed,
+      max_uses: pass.max_uses,
+      used_count: pass.used_count,
+      remaining_uses: pass.max_uses - pass.used_count,
+      group: pass.group || null
+    });
+
+    if (isBlocked) {
+      const replacement = await PassModel.findUidReplacement(uid);
+      if (replacement) {
+        addCheck('replaced', false, { uid }, { replaced_at: replacement.replaced_at, current_uid: replacement.current_uid });
+        return explain('deny', 'replaced', 'This card was replaced and is no longer valid');
+      }
+
+      const blockedPass = await lookupPass(uid);
+      passInfo = blockedPass ? describePass(blockedPass) : null;
+      return explain('deny', 'blocked', 'This pass is blocked');
+    }
+
+    // Step 2: pass lookup, with the same group card resolution as verifyPass
+    const pass = await this.resolveScannedPass(uid, lookupPass);
+    const group = pass ? pass.group || null : null;
+    passInfo = pass ? describePass(pass) : null;
+
+    addCheck('pass_lookup', !!pass, { uid }, { found: !!pass, source, group_card: group ? group.card : null });
+    if (!pass) {
+      return explain('deny', 'invalid', 'Pass not found');
+    }
+
+    // Step 2.3: validity window
+    if (direction !== 'exit') {
+      const validity = this.checkValidityWindow(pass);
+      addCheck('validity_window', !validity, {
+        status: pass.status,
+        valid_from: pass.valid_from || null,
+        valid_to: pass.valid_to || null
+      }, validity ? { status: validity.status } : { status: 'ok' });
+      if (validity) {
+        return explain('deny', validity.status, validity.message, validity.details);
+      }
+    }
+
+    // Step 2.4: signed payload
+    const signatureCheck = await signingService.checkScan(uid, pass, options.payload || null);
+    addCheck('signed_payload', !signatureCheck, {
+      payload_presented: !!options.payload,
+      category: pass.category
+    }, signatureCheck ? { status: signatureCheck.status, ...signatureCheck.details } : { status: 'ok' });
+    if (signatureCheck) {
+      return explain('deny', signatureCheck.status, signatureCheck.message);
+    }
+
+    // Step 2.5: category / zone authorization
+    const zoneAccess = await this.checkZoneAccess(pass, scannedBy, checkpoint);
+    addCheck('zone_access', zoneAccess.allowed, {
+      category: pass.category,
+      checkpoint_id: checkpoint ? checkpoint.id : null,
+      scanned_by_role: scannedBy.role
+    }, zoneAccess.details);
+    if (!zoneAccess.allowed) {
+      return explain('deny', 'unauthorized', zoneAccess.message);
+    }
+
+    // Step 2.6: anti-passback
+    if (direction === 'exit') {
+      const presence = await presenceService.getPresence(uid);
+      addCheck('anti_passback', true, { direction }, { presence });
+      return explain('allow', 'exit_recorded', 'Exit would be recorded', { would_consume: 0 });
+    }
+
+    const passbackCheck = await presenceService.checkEntry(uid);
+    addCheck('anti_passback', passbackCheck.allowed, {
+      direction,
+      enabled: passbackCheck.enabled,
+      window_minutes: passbackCheck.window_minutes
+    }, {
+      inside: passbackCheck.inside,
+      last_entry_at: passbackCheck.presence?.last_entry_at || null,
+      retry_after_seconds: passbackCheck.retry_after_seconds
+    });
+    if (!passbackCheck.allowed) {
+      return explain('deny', 'passback_violation', 'This pass is already inside. An exit scan is required before it can be used for entry again.', {
+        override_allowed: await presenceService.canOverride(scannedBy)
+      });
+    }
+
+    // Step 3: policy rules (schedule, hours, remaining uses, re-entry, daily limit, cooldown, prompt)
+    const trace = [];
+    const decision = await policyService.evaluate(uid, pass, trace);
+    policy = policyService.summarize(decision);
+    trace.forEach(({ rule, inputs, decision: ruleDecision }) => {
+      addCheck(`policy:${rule}`, !ruleDecision || ruleDecision.outcome !== 'deny', inputs, ruleDecision ? {
+        outcome: ruleDecision.outcome,
+        status: ruleDecision.status,
+        message: ruleDecision.message,
+        ...ruleDecision.details
+      } : { outcome: 'continue' });
+    });
+
+    if (decision.outcome !== 'allow') {
+      return explain(decision.outcome, decision.status, decision.message, decision.details);
+    }
+
+    // Step 4/5: entries that do not consume a use (unlimited shortcut) or consume one
+    const unlimited = pass.pass_type === 'unlimited';
+    const remainingUses = pass.max_uses - pass.used_count;
+    addCheck('usage', true, {
+      consume_uses: decision.consume,
+      pass_type: pass.pass_type,
+      max_uses: pass.max_uses,
+      used_count: pass.used_count
+    }, {
+      path: decision.consume ? 'consume' : 'no_consume',
+      remaining_uses: unlimited ? 'unlimited' : remainingUses
+    });
+
+    if (checkpoint && checkpoint.zone_capacity) {
+      const headcount = occupancyService.getHeadcount(pass);
+      let zoneCount = null;
+      try {
+        const counters = await redisService.getOccupancyCounters();
+        zoneCount = counters.zones[checkpoint.zone_id] || 0;
+      } catch (error) {
+        logger.warn('Occupancy counters unavailable for explain:', error.message);
+      }
+      const hasRoom = zoneCount === null || zoneCount + headcount <= checkpoint.zone_capacity;
+      addCheck('zone_capacity', hasRoom, {
+        zone_id: checkpoint.zone_id,
+        capacity: checkpoint.zone_capacity,
+        headcount
+      }, { zone_count: zoneCount });
+      if (!hasRoom) {
+        return explain('deny', 'capacity_full', `Zone ${checkpoint.zone_name} is at capacity (${zoneCount}/${checkpoint.zone_capacity}).`);
+      }
+    }
+
+    return explain('allow', 'valid', unlimited ? 'Unlimited pass would be verified' : 'Pass would be verified', {
+      would_consume: decision.consume ? 1 : 0,
+      remaining_uses_after: decision.consume ? remainingUses - 1 : (unlimited ? 'unlimited' : remainingUses)
+    });
+  }
+
   async checkDailyTableExists(tableName) {
     try {
       // Check if table exists
@@ -1002,30 +2230,62 @@ class VerifyService {
     }
   }
 
-  async syncOfflineLogs(logs) {
+  /**
+   * Reconcile scans made offline. Scans are replayed in the order they happened
+   * (by scanned_at) against the current pass state: admitted entries consume uses
+   * atomically, and entries the server would not have allowed are recorded as conflicts.
+   * Live presence and occupancy are not touched since the scans are in the past.
+   * @param {Array} logs - Offline scans { uid, scanned_by, result, scanned_at, consumed_count, direction, device_local_id }
+   * @param {Object|null} syncedBy - User performing the sync
+   * @returns {Promise<Object>} Totals plus a per-log outcome in request order
+   */
+  async syncOfflineLogs(logs, syncedBy = null) {
     try {
       const results = {
         total: logs.length,
         synced: 0,
-        errors: []
+        applied: 0,
+        conflicts: 0,
+        duplicates: 0,
+        errors: [],
+        outcomes: new Array(logs.length)
       };
       
-      for (const log of logs) {
+      const ordered = logs
+        .map((log, index) => ({ log, index, time: moment(log.scanned_at).valueOf() }))
+        .sort((a, b) => a.time - b.time || a.index - b.index);
+      
+      const users = {};
+      
+      for (const { log, index } of ordered) {
         try {
-          await this.logVerification(
-            log.uid,
-            log.pass_id,
-            log.scanned_by,
-            log.result,
-            null, // device_local_id removed
-            {
-              remaining_uses: log.remaining_uses,
-              consumed_count: log.consumed_count || 1,
-              offline_sync: true
+          if (!(log.scanned_by in users)) {
+            users[log.scanned_by] = await UserModel.findById(log.scanned_by);
+          }
+          
+          const outcome = await this.reconcileOfflineScan(log, users[log.scanned_by], syncedBy);
+          results.outcomes[index] = { index, uid: log.uid, device_local_id: log.device_local_id || null, ...outcome };
+          
+          if (outcome.outcome === 'duplicate') {
+            results.duplicates++;
+          } else {
+            results.synced++;
+            if (outcome.outcome === 'conflict') {
+              results.conflicts++;
+            }
+            if (outcome.applied_count > 0) {
+              results.applied++;
             }
-          );
-          results.synced++;
+          }
         } catch (error) {
+          logger.error(`Failed to reconcile offline scan for UID=${log.uid}:`, error);
+          results.outcomes[index] = {
+            index,
+            uid: log.uid,
+            device_local_id: log.device_local_id || null,
+            outcome: 'error',
+            error: error.message
+          };
           results.errors.push({
             log,
             error: error.message
@@ -1033,7 +2293,7 @@ class VerifyService {
         }
       }
       
-      logger.info(`Offline logs sync: ${results.synced}/${results.total} synced`);
+      logger.info(`Offline logs sync: ${results.synced}/${results.total} synced, ${results.conflicts} conflicts, ${results.duplicates} duplicates`);
       return results;
     } catch (error) {
       logger.error('Error syncing offline logs:', error);
@@ -1041,6 +2301,252 @@ class VerifyService {
     }
   }
 
+  /**
+   * Dedup key of an offline scan: its device_local_id, or for clients that do not send
+   * one a key derived from the device, card, time and direction of the scan
+   */
+  getOfflineScanId(log, scannedAt, direction, syncedBy) {
+    if (log.device_local_id) {
+      return log.device_local_id;
+    }
+
+    const source = [syncedBy?.device_id ?? '', log.uid, scannedAt, direction].join('|');
+    return `derived:${crypto.createHash('sha256').update(source).digest('hex')}`;
+  }
+
+  /**
+   * Replay one offline scan
+   * @returns {Promise<Object>} { outcome: applied|recorded|conflict|duplicate, applied_count, remaining_uses, conflict_type, conflict_id }
+   */
+  async reconcileOfflineScan(log, scannedBy, syncedBy = null) {
+    const scannedAt = moment(log.scanned_at).format('YYYY-MM-DD HH:mm:ss');
+    const consumedCount = Math.max(1, parseInt(log.consumed_count) || 1);
+    const direction = log.direction || 'entry';
+    const admitted = log.result === 'valid' && direction === 'entry';
+    
+    // Step 1: Claim the scan so a retried sync cannot apply it twice
+    const scanId = this.getOfflineScanId(log, scannedAt, direction, syncedBy);
+    const claimId = await OfflineSyncModel.claimScan({
+      scanned_by: log.scanned_by,
+      device_local_id: scanId,
+      uid: log.uid,
+      scanned_at: scannedAt
+    });
+    
+    if (!claimId) {
+      const previous = await OfflineSyncModel.findSyncedScan(log.scanned_by, scanId);
+      return {
+        outcome: 'duplicate',
+        applied_count: 0,
+        previous_outcome: previous ? previous.outcome : null,
+        conflict_id: previous ? previous.conflict_id : null
+      };
+    }
+    
+    try {
+      const pass = await PassModel.findByUidIncludingDeleted(log.uid);
+      const outcome = await this.replayOfflineScan(log, pass, { scannedAt, consumedCount, direction, admitted });
+      
+      if (pass && outcome.outcome !== 'recorded' && outcome.log_result === 'valid') {
+        await passEventsService.record('verified', pass, scannedBy, {
+          consumed_count: outcome.applied_count,
+          direction,
+          remaining_uses: outcome.remaining_uses,
+          offline_sync: true,
+          sync_outcome: outcome.outcome,
+          device_local_id: log.device_local_id || null
+        }, { uid: log.uid, device_id: syncedBy?.device_id ?? null, occurred_at: scannedAt });
+      }
+      
+      // Step 3: Record conflicts for review
+      if (outcome.conflict_type) {
+        outcome.conflict_id = await OfflineSyncModel.createConflict({
+          conflict_type: outcome.conflict_type,
+          uid: log.uid,
+          pass_id: pass ? pass.pass_id : null,
+          scanned_by: log.scanned_by,
+          device_local_id: log.device_local_id || null,
+          scanned_at: scannedAt,
+          consumed_count: consumedCount,
+          applied_count: outcome.applied_count,
+          remaining_uses_before: outcome.remaining_uses_before ?? null,
+          details: {
+            message: outcome.message,
+            device_result: log.result,
+            pass_status: pass ? pass.status : null,
+            blocked_at: pass ? pass.blocked_at || null : null,
+            synced_by: syncedBy ? syncedBy.id : null
+          }
+        });
+      }
+      
+      // Step 4: Log the scan in the daily table of the day it happened
+      await this.logVerification(log.uid, pass ? pass.pass_id : null, scannedBy, outcome.log_result, log.device_local_id || null, {
+        direction,
+        remaining_uses: outcome.remaining_uses,
+        consumed_count: outcome.applied_count,
+        offline_sync: true,
+        scanned_at: scannedAt,
+        device_id: syncedBy?.device_id ?? null,
+        sync_outcome: outcome.outcome,
+        conflict_type: outcome.conflict_type || null,
+        device_result: log.result
+      });
+      
+      await OfflineSyncModel.completeScan(claimId, outcome.outcome, outcome.conflict_id || null);
+      
+      return {
+        outcome: outcome.outcome,
+        applied_count: outcome.applied_count,
+        remaining_uses: outcome.remaining_uses,
+        conflict_type: outcome.conflict_type || null,
+        conflict_id: outcome.conflict_id || null,
+        message: outcome.message
+      };
+    } catch (error) {
+      await OfflineSyncModel.releaseScan(claimId).catch(releaseError =>
+        logger.error('Failed to release offline scan claim:', releaseError));
+      throw error;
+    }
+  }
+
+  /**
+   * Step 2 of reconciliation: decide what an offline scan means for the pass now
+   */
+  async replayOfflineScan(log, pass, { scannedAt, consumedCount, direction, admitted }) {
+    const remaining = pass ? pass.max_uses - pass.used_count : null;
+    
+    // Rejections and exits made offline change nothing, they are only logged
+    if (!admitted) {
+      return {
+        outcome: 'recorded',
+        applied_count: 0,
+        remaining_uses: remaining,
+        log_result: direction === 'exit' && log.result === 'valid' ? 'exit' : log.result,
+        message: 'Offline scan recorded'
+      };
+    }
+    
+    if (!pass || pass.status === 'deleted') {
+      return {
+        outcome: 'conflict',
+        conflict_type: 'unknown_pass',
+        applied_count: 0,
+        remaining_uses: null,
+        log_result: 'invalid',
+        message: 'Device admitted a pass that does not exist on the server'
+      };
+    }
+    
+    if (pass.status === 'blocked' && (!pass.blocked_at || moment(pass.blocked_at).isSameOrBefore(moment(scannedAt)))) {
+      return {
+        outcome: 'conflict',
+        conflict_type: 'entry_after_block',
+        applied_count: 0,
+        remaining_uses: remaining,
+        remaining_uses_before: remaining,
+        log_result: 'blocked',
+        message: `Device admitted the pass after it was blocked${pass.blocked_at ? ` at ${pass.blocked_at}` : ''}`
+      };
+    }
+    
+    const policy = await policyService.resolvePolicy(pass);
+    if (!policyService.consumesUses(policy, pass)) {
+      return {
+        outcome: 'applied',
+        applied_count: 0,
+        remaining_uses: pass.pass_type === 'unlimited' ? 'unlimited' : remaining,
+        log_result: 'valid',
+        message: 'Entry recorded, pass does not consume uses'
+      };
+    }
+    
+    const consumption = await this.applyOfflineConsumption(pass.id, consumedCount, log.scanned_by);
+    if (consumption.applied < consumedCount) {
+      return {
+        outcome: 'conflict',
+        conflict_type: 'double_entry',
+        applied_count: consumption.applied,
+        remaining_uses: consumption.remaining_after,
+        remaining_uses_before: consumption.remaining_before,
+        log_result: consumption.applied > 0 ? 'valid' : 'used',
+        message: `Device admitted ${consumedCount} but only ${consumption.remaining_before} use(s) remained; the pass was already used elsewhere`
+      };
+    }
+    
+    return {
+      outcome: 'applied',
+      applied_count: consumption.applied,
+      remaining_uses: consumption.remaining_after,
+      log_result: 'valid',
+      message: 'Offline entry applied'
+    };
+  }
+
+  /**
+   * Consume up to `count` uses in one locked transaction
+   * @returns {Promise<Object>} { applied, remaining_before, remaining_after }
+   */
+  async applyOfflineConsumption(passId, count, scannedById) {
+    const connection = await getDB().getConnection();
+    
+    try {
+      await connection.beginTransaction();
+      
+      const [rows] = await connection.execute(
+        'SELECT id, max_uses, used_count FROM passes WHERE id = ? FOR UPDATE',
+        [passId]
+      );
+      if (rows.length === 0) {
+        await connection.rollback();
+        throw new Error('Pass not found');
+      }
+      
+      const remainingBefore = Math.max(0, rows[0].max_uses - rows[0].used_count);
+      const applied = Math.min(remainingBefore, count);
+      
+      if (applied > 0) {
+        await connection.execute(
+          `UPDATE passes 
+           SET used_count = used_count + ?, 
+               last_scan_at = CURRENT_TIMESTAMP,
+               last_scan_by = ?,
+               updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [applied, scannedById, passId]
+        );
+      }
+      
+      await connection.commit();
+      
+      if (applied > 0) {
+        try {
+          const updatedPass = await PassModel.findById(passId);
+          if (updatedPass && updatedPass.status === 'active') {
+            await redisService.addActivePass(updatedPass.uid, updatedPass);
+          }
+        } catch (cacheError) {
+          logger.warn('Failed to update Redis cache after offline consumption:', cacheError);
+        }
+      }
+      
+      return {
+        applied,
+        remaining_before: remainingBefore,
+        remaining_after: remainingBefore - applied
+      };
+    } catch (error) {
+      try {
+        await connection.rollback();
+      } catch (rollbackError) {
+        logger.error('Error rolling back transaction:', rollbackError);
+      }
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
   async getVerificationStats(dateRange) {
     try {
       const stats = {
@@ -1111,13 +2617,17 @@ class VerifyService {
     }
   }
 
-  isPassExpired(pass) {
+  isPassExpired(pass, currentDate = new Date()) {
+    // The sweeper has already moved the pass to expired
+    if (pass && pass.status === 'expired') {
+      return true;
+    }
+    
     if (!pass || !pass.valid_to || pass.valid_to === null || pass.valid_to === undefined) {
       return false;
     }
     
     const expiryDate = new Date(pass.valid_to);
-    const currentDate = new Date();
     
     // Check if expiry date is valid
     if (isNaN(expiryDate.getTime())) {
@@ -1127,6 +2637,49 @@ class VerifyService {
     return expiryDate < currentDate;
   }
 
+  isPassNotYetValid(pass, currentDate = new Date()) {
+    if (!pass || !pass.valid_from) {
+      return false;
+    }
+    
+    const startDate = new Date(pass.valid_from);
+    if (isNaN(startDate.getTime())) {
+      return false;
+    }
+    
+    return startDate > currentDate;
+  }
+
+  /**
+   * Check a pass against its valid_from / valid_to window
+   * @param {Object} pass - Pass (status, valid_from, valid_to)
+   * @returns {Object|null} { status: expired|not_yet_valid, message, details } or null when valid
+   */
+  checkValidityWindow(pass, currentDate = new Date()) {
+    const details = {
+      valid_from: pass.valid_from ? moment(pass.valid_from).format('YYYY-MM-DD HH:mm:ss') : null,
+      valid_to: pass.valid_to ? moment(pass.valid_to).format('YYYY-MM-DD HH:mm:ss') : null
+    };
+    
+    if (this.isPassExpired(pass, currentDate)) {
+      return {
+        status: 'expired',
+        message: details.valid_to ? `This pass expired on ${details.valid_to}` : 'This pass has expired',
+        details
+      };
+    }
+    
+    if (this.isPassNotYetValid(pass, currentDate)) {
+      return {
+        status: 'not_yet_valid',
+        message: `This pass is not valid until ${details.valid_from}`,
+        details
+      };
+    }
+    
+    return null;
+  }
+
   /**
    * Update scan tracking for passes (unlimited passes)
    * @param {number} passId - Pass database ID
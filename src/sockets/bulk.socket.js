@@ -1,8 +1,19 @@
 const bulkService = require('../services/bulk.service');
+const passService = require('../services/pass.service');
 const JWTService = require('../config/jwt');
-const UserModel = require('../models/user.model');
+const { resolveTokenUser } = require('../utils/auth.middleware');
+const permissionService = require('../services/permission.service');
 const logger = require('../utils/logger');
 
+// Rooms clients may join, with the permission each one needs (null: any authenticated user)
+const JOINABLE_ROOMS = {
+  'notifications': null,
+  'pass:updates': null,
+  'admin:notifications': 'system.maintenance',
+  'manager:notifications': 'alerts.read',
+  'occupancy': null
+};
+
 module.exports = (socket, io) => {
   // Authenticate socket connection
   socket.on('authenticate', async (data) => {
@@ -15,10 +26,21 @@ module.exports = (socket, io) => {
       }
 
       const decoded = JWTService.verifyAccessToken(token);
-      const user = await UserModel.findById(decoded.userId);
-      
-      if (!user) {
-        socket.emit('auth:error', { error: 'User not found' });
+
+      // Same account, device and session checks as HTTP requests
+      let user;
+      let device;
+      try {
+        ({ user, device } = await resolveTokenUser(decoded));
+      } catch (authError) {
+        if (!authError.statusCode) throw authError;
+
+        logger.warn(`Socket authentication rejected (${authError.code}) for ${socket.id}`);
+        socket.emit('auth:error', {
+          error: authError.message,
+          code: authError.code,
+          autoLogout: authError.autoLogout
+        });
         return;
       }
 
@@ -27,16 +49,19 @@ module.exports = (socket, io) => {
         id: user.id,
         username: user.username,
         role: user.role,
-        status: user.status
+        status: user.status,
+        device_id: device ? device.id : null,
+        session_id: decoded.sid || null
       };
 
-      // Join role-based rooms
-      socket.join(`role:${user.role}`);
-      socket.join(`user:${user.id}`);
+      // Join the role room, one room per permission and the user room
+      const rooms = [...await permissionService.getSocketRooms(user), `user:${user.id}`];
+      socket.join(rooms);
 
       socket.emit('auth:success', {
         user: socket.user,
-        rooms: [`role:${user.role}`, `user:${user.id}`]
+        permissions: await permissionService.getRolePermissions(user.role),
+        rooms
       });
 
       logger.info(`Socket authenticated: ${user.username} (${socket.id})`);
@@ -58,21 +83,27 @@ module.exports = (socket, io) => {
     };
   };
 
-  // Check role permissions
-  const requireRole = (allowedRoles) => {
+  // Check permissions (looked up on every event so role edits apply to open connections)
+  const requirePermission = (permission) => {
     return (callback) => {
-      return (...args) => {
+      return async (...args) => {
         if (!socket.user) {
           socket.emit('error', { error: 'Authentication required' });
           return;
         }
         
-        if (!allowedRoles.includes(socket.user.role)) {
-          socket.emit('error', { 
-            error: 'Insufficient permissions',
-            requiredRoles: allowedRoles,
-            userRole: socket.user.role
-          });
+        try {
+          if (!(await permissionService.userHasPermission(socket.user, permission))) {
+            socket.emit('error', { 
+              error: 'Insufficient permissions',
+              requiredPermissions: [permission],
+              userRole: socket.user.role
+            });
+            return;
+          }
+        } catch (error) {
+          logger.error('Socket permission check error:', error);
+          socket.emit('error', { error: 'Authorization failed' });
           return;
         }
         
@@ -82,7 +113,7 @@ module.exports = (socket, io) => {
   };
 
   // Bulk pass creation via WebSocket
-  socket.on('bulk:create:start', requireAuth(requireRole(['admin', 'manager'])(async (data) => {
+  socket.on('bulk:create:start', requireAuth(requirePermission('pass.create')(async (data) => {
     try {
       const { passes } = data;
       
@@ -107,6 +138,21 @@ module.exports = (socket, io) => {
         return;
       }
 
+      // Passes inherit defaults from a template (per pass, or data.template_id for all of them)
+      const templates = new Map();
+      const passesToCreate = [];
+      for (const pass of passes) {
+        const templateId = parseInt(pass.template_id ?? data.template_id);
+        if (!templateId) {
+          passesToCreate.push(pass);
+          continue;
+        }
+        if (!templates.has(templateId)) {
+          templates.set(templateId, await passService.resolveTemplate(templateId));
+        }
+        passesToCreate.push(passService.applyTemplate(pass, templates.get(templateId)));
+      }
+
       // Check if we can start a new bulk operation
       const canStart = await bulkService.canStartNewBulkOperation();
       if (!canStart) {
@@ -121,7 +167,7 @@ module.exports = (socket, io) => {
       // Start bulk creation
       const result = await bulkService.createBulkPassesWebSocket(
         socket,
-        passes,
+        passesToCreate,
         socket.user.id
       );
       
@@ -173,7 +219,7 @@ module.exports = (socket, io) => {
   }));
 
   // Cancel bulk operation
-  socket.on('bulk:cancel', requireAuth(requireRole(['admin', 'manager'])(async (data) => {
+  socket.on('bulk:cancel', requireAuth(requirePermission('pass.create')(async (data) => {
     try {
       const { bulkId } = data;
       
@@ -199,8 +245,8 @@ module.exports = (socket, io) => {
     }
   })));
 
-  // Get all active bulk operations (admin/manager only)
-  socket.on('bulk:list', requireAuth(requireRole(['admin', 'manager'])(() => {
+  // Get all active bulk operations
+  socket.on('bulk:list', requireAuth(requirePermission('pass.create')(() => {
     try {
       const operations = bulkService.getAllActiveBulkOperations();
       
@@ -216,31 +262,19 @@ module.exports = (socket, io) => {
   })));
 
   // Join specific rooms for targeted notifications
-  socket.on('join:room', requireAuth((data) => {
+  socket.on('join:room', requireAuth(async (data) => {
     try {
       const { room } = data;
       
       // Validate room name and permissions
-      const allowedRooms = [
-        'notifications',
-        'pass:updates',
-        'admin:notifications',
-        'manager:notifications'
-      ];
-      
-      if (!allowedRooms.includes(room)) {
+      if (!Object.prototype.hasOwnProperty.call(JOINABLE_ROOMS, room)) {
         socket.emit('join:room:error', { error: 'Invalid room name' });
         return;
       }
       
-      // Check permissions for admin/manager rooms
-      if (room.includes('admin') && socket.user.role !== 'admin') {
-        socket.emit('join:room:error', { error: 'Admin permissions required' });
-        return;
-      }
-      
-      if (room.includes('manager') && !['admin', 'manager'].includes(socket.user.role)) {
-        socket.emit('join:room:error', { error: 'Manager permissions required' });
+      const permission = JOINABLE_ROOMS[room];
+      if (permission && !(await permissionService.userHasPermission(socket.user, permission))) {
+        socket.emit('join:room:error', { error: `Permission ${permission} required` });
         return;
       }
       
@@ -1,5 +1,38 @@
+const permissionService = require('../services/permission.service');
 const logger = require('../utils/logger');
 
+// Emit live occupancy counters. Defined outside the connection handler so services
+// can broadcast with the server io instance when no socket is at hand.
+const emitOccupancyUpdate = (io, data) => {
+  try {
+    const occupancyData = {
+      ...data,
+      timestamp: new Date().toISOString()
+    };
+
+    // Users who can view occupancy and dashboards subscribed to the occupancy room
+    io.to('permission:occupancy.read').to('occupancy').emit('occupancy:update', occupancyData);
+
+    logger.debug(`Occupancy update sent: total=${data.total}`);
+  } catch (error) {
+    logger.error('Error emitting occupancy update:', error);
+  }
+};
+
+// Emit a fraud detection alert to users who can view alerts
+const emitFraudAlert = (io, alert) => {
+  try {
+    io.to('permission:alerts.read').emit('fraud:alert', {
+      ...alert,
+      timestamp: new Date().toISOString()
+    });
+
+    logger.info(`Fraud alert sent: ${alert.alert_type} (ID: ${alert.id})`);
+  } catch (error) {
+    logger.error('Error emitting fraud alert:', error);
+  }
+};
+
 module.exports = (socket, io) => {
   // Handle pass-related notifications
   const handlePassNotifications = () => {
@@ -12,13 +45,8 @@ module.exports = (socket, io) => {
   // Emit pass blocked notification
   const emitPassBlocked = (data) => {
     try {
-      // Emit to all connected admin and manager users
-      io.to('role:admin').emit('pass:blocked', {
-        ...data,
-        timestamp: new Date().toISOString()
-      });
-      
-      io.to('role:manager').emit('pass:blocked', {
+      // Emit to all connected users who can view passes
+      io.to('permission:pass.read').emit('pass:blocked', {
         ...data,
         timestamp: new Date().toISOString()
       });
@@ -38,13 +66,8 @@ module.exports = (socket, io) => {
   // Emit pass unblocked notification
   const emitPassUnblocked = (data) => {
     try {
-      // Emit to all connected admin and manager users
-      io.to('role:admin').emit('pass:unblocked', {
-        ...data,
-        timestamp: new Date().toISOString()
-      });
-      
-      io.to('role:manager').emit('pass:unblocked', {
+      // Emit to all connected users who can view passes
+      io.to('permission:pass.read').emit('pass:unblocked', {
         ...data,
         timestamp: new Date().toISOString()
       });
@@ -64,13 +87,8 @@ module.exports = (socket, io) => {
   // Emit pass reset notification
   const emitPassReset = (data) => {
     try {
-      // Emit to all connected admin and manager users
-      io.to('role:admin').emit('pass:reset', {
-        ...data,
-        timestamp: new Date().toISOString()
-      });
-      
-      io.to('role:manager').emit('pass:reset', {
+      // Emit to all connected users who can view passes
+      io.to('permission:pass.read').emit('pass:reset', {
         ...data,
         timestamp: new Date().toISOString()
       });
@@ -90,14 +108,8 @@ module.exports = (socket, io) => {
   // Emit daily reset notification
   const emitDailyReset = (data) => {
     try {
-      // Emit to all connected admin users
-      io.to('role:admin').emit('daily:reset', {
-        ...data,
-        timestamp: new Date().toISOString()
-      });
-      
-      // Emit to manager users
-      io.to('role:manager').emit('daily:reset', {
+      // Emit to all connected users who can view passes
+      io.to('permission:pass.read').emit('daily:reset', {
         ...data,
         timestamp: new Date().toISOString()
       });
@@ -123,14 +135,16 @@ module.exports = (socket, io) => {
         id: require('uuid').v4()
       };
       
-      // Emit to admin users for critical alerts
+      // Emit critical alerts to users maintaining the system, warnings and above to alert viewers
+      const rooms = [];
       if (data.level === 'critical' || data.level === 'error') {
-        io.to('role:admin').emit('system:alert', alertData);
+        rooms.push('permission:system.maintenance');
       }
-      
-      // Emit to manager users for warnings and above
       if (['critical', 'error', 'warning'].includes(data.level)) {
-        io.to('role:manager').emit('system:alert', alertData);
+        rooms.push('permission:alerts.read');
+      }
+      if (rooms.length > 0) {
+        io.to(rooms).emit('system:alert', alertData);
       }
       
       // Emit to admin notifications room
@@ -150,8 +164,8 @@ module.exports = (socket, io) => {
         timestamp: new Date().toISOString()
       };
       
-      // Emit to admin users
-      io.to('role:admin').emit('cache:rebuilt', cacheData);
+      // Emit to users maintaining the system
+      io.to('permission:system.maintenance').emit('cache:rebuilt', cacheData);
       
       // Emit to admin notifications room
       io.to('admin:notifications').emit('cache:rebuilt', cacheData);
@@ -170,9 +184,8 @@ module.exports = (socket, io) => {
         timestamp: new Date().toISOString()
       };
       
-      // Emit to admin and manager users
-      io.to('role:admin').emit('verification:stats', statsData);
-      io.to('role:manager').emit('verification:stats', statsData);
+      // Emit to users who can view statistics
+      io.to('permission:stats.read').emit('verification:stats', statsData);
       
       logger.debug('Verification stats notification sent');
     } catch (error) {
@@ -190,9 +203,8 @@ module.exports = (socket, io) => {
         timestamp: data.timestamp || new Date().toISOString()
       };
       
-      // Emit to admin and manager users for monitoring
-      io.to('role:admin').emit('verification:update', verificationData);
-      io.to('role:manager').emit('verification:update', verificationData);
+      // Emit to users who can view statistics, for monitoring
+      io.to('permission:stats.read').emit('verification:update', verificationData);
       
       logger.debug(`Verification update sent: UID=${data.uid}, Result=${data.result}`);
     } catch (error) {
@@ -208,8 +220,8 @@ module.exports = (socket, io) => {
         timestamp: new Date().toISOString()
       };
       
-      // Emit to admin users for user activity monitoring
-      io.to('role:admin').emit('user:activity', activityData);
+      // Emit to user managers for user activity monitoring
+      io.to('permission:users.manage').emit('user:activity', activityData);
       
       logger.debug(`User activity notification sent: ${data.action} by ${data.username}`);
     } catch (error) {
@@ -220,20 +232,22 @@ module.exports = (socket, io) => {
   // Gate subscription functionality removed as gates are no longer used
 
   // Get current notification settings
-  socket.on('notifications:settings', (data) => {
+  socket.on('notifications:settings', async (data) => {
     try {
       if (!socket.user) {
         socket.emit('error', { error: 'Authentication required' });
         return;
       }
       
-      // Return user's notification preferences
+      // Return user's notification preferences, following the permissions of their role
+      const permissions = await permissionService.getRolePermissions(socket.user.role);
+      const has = (permission) => permissionService.hasPermission(permissions, permission);
       const settings = {
         pass_updates: true,
-        verification_updates: socket.user.role !== 'bouncer',
-        system_alerts: ['admin', 'manager'].includes(socket.user.role),
-        daily_reset: socket.user.role === 'admin',
-        bulk_operations: ['admin', 'manager'].includes(socket.user.role)
+        verification_updates: has('stats.read'),
+        system_alerts: has('alerts.read'),
+        daily_reset: has('pass.reset_all'),
+        bulk_operations: has('pass.create')
       };
       
       socket.emit('notifications:settings:response', settings);
@@ -257,9 +271,14 @@ module.exports = (socket, io) => {
     emitCacheRebuilt,
     emitVerificationStats,
     emitVerificationUpdate,
-    emitUserActivity
+    emitUserActivity,
+    emitOccupancyUpdate: (data) => emitOccupancyUpdate(io, data),
+    emitFraudAlert: (alert) => emitFraudAlert(io, alert)
   };
 
   // Store reference to io for global notifications
   socket.io = io;
-};
\ No newline at end of file
+};
+
+module.exports.emitOccupancyUpdate = emitOccupancyUpdate;
+module.exports.emitFraudAlert = emitFraudAlert;
@@ -1,26 +1,37 @@
+const permissionService = require('../services/permission.service');
 const logger = require('../utils/logger');
 
+// Log feed a role receives: admin (everything), manager (pass and user activity) or bouncer (scans and logins)
+const getLogTier = (permissions) => {
+  if (permissionService.hasPermission(permissions, 'audit.read')) return 'admin';
+  if (permissionService.hasPermission(permissions, 'logs.read_all')) return 'manager';
+  return 'bouncer';
+};
+
 module.exports = (socket, io) => {
   // Handle system logs related events
   const handleSystemLogsEvents = () => {
     logger.debug(`System logs handler initialized for socket: ${socket.id}`);
     
     // Join system logs room for real-time updates
-    socket.on('join:system-logs', (data) => {
+    socket.on('join:system-logs', async (data) => {
       try {
-        // Allow admin, manager, and bouncer roles to join system logs room
-        if (socket.user && ['admin', 'manager', 'bouncer'].includes(socket.user.role)) {
+        // Users with the logs.read permission may join the system logs room
+        const permissions = socket.user ? await permissionService.getRolePermissions(socket.user.role) : [];
+        if (permissionService.hasPermission(permissions, 'logs.read')) {
           // Join general system logs room
           socket.join('system-logs');
           
-          // Join role-specific room for filtered updates
-          socket.join(`system-logs:${socket.user.role}`);
+          // Join the room of the log feed the permissions allow, for filtered updates
+          const tier = getLogTier(permissions);
+          socket.join(`system-logs:${tier}`);
           
-          logger.info(`User ${socket.user.username} (${socket.user.role}) joined system-logs room`);
+          logger.info(`User ${socket.user.username} (${socket.user.role}) joined system-logs room (${tier} feed)`);
           
           socket.emit('system-logs:joined', {
             message: 'Successfully joined system logs updates',
             role: socket.user.role,
+            feed: tier,
             timestamp: new Date().toISOString()
           });
         } else {
@@ -72,7 +83,7 @@ module.exports = (socket, io) => {
         'login', 'logout', 'token_refresh',
         'pass_create', 'pass_verify', 'pass_reset', 'pass_bulk_create', 
         'pass_delete', 'pass_block', 'pass_unblock',
-        'reset_single_pass', 'reset_daily_passes',
+        'reset_single_pass', 'reset_daily_passes', 'change_pass_category',
         'sync_start', 'sync_complete',
         'unauthorized_attempt'
       ];
@@ -99,7 +110,7 @@ module.exports = (socket, io) => {
       }
       
       // Also emit to general role-based rooms for backward compatibility
-      io.to('role:admin').emit('system-logs:new', {
+      io.to('permission:audit.read').emit('system-logs:new', {
         log: logData,
         timestamp: new Date().toISOString()
       });
@@ -124,7 +135,7 @@ module.exports = (socket, io) => {
         'login', 'logout', 'token_refresh',
         'pass_create', 'pass_verify', 'pass_reset', 'pass_bulk_create', 
         'pass_delete', 'pass_block', 'pass_unblock',
-        'reset_single_pass', 'reset_daily_passes',
+        'reset_single_pass', 'reset_daily_passes', 'change_pass_category',
         'sync_start', 'sync_complete',
         'unauthorized_attempt'
       ];
@@ -149,7 +160,7 @@ module.exports = (socket, io) => {
       }
       
       // Backward compatibility
-      io.to('role:admin').emit('system-logs:updated', {
+      io.to('permission:audit.read').emit('system-logs:updated', {
         log: logData,
         timestamp: new Date().toISOString()
       });
@@ -196,7 +207,7 @@ module.exports = (socket, io) => {
       });
       
       // Backward compatibility
-      io.to('role:admin').emit('system-logs:stats', {
+      io.to('permission:audit.read').emit('system-logs:stats', {
         stats: statsData,
         timestamp: new Date().toISOString()
       });
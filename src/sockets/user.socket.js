@@ -1,3 +1,4 @@
+const permissionService = require('../services/permission.service');
 const logger = require('../utils/logger');
 
 /**
@@ -14,19 +15,26 @@ class UserSocket {
     this.io.on('connection', (socket) => {
       logger.info(`User connected to user management socket: ${socket.id}`);
       
-      // Join admin room for user management events
-      socket.on('join:admin', (data) => {
-        if (data.user && data.user.role === 'admin') {
-          socket.join('admin_room');
-          logger.info(`Admin ${data.user.username} joined admin room`);
-          
-          socket.emit('joined:admin', {
-            success: true,
-            message: 'Joined admin room successfully'
-          });
-        } else {
+      // Join admin room for user management events (socket.user is set by the authenticate event)
+      socket.on('join:admin', async () => {
+        try {
+          if (await permissionService.userHasPermission(socket.user, 'users.manage')) {
+            socket.join('admin_room');
+            logger.info(`User ${socket.user.username} (${socket.user.role}) joined admin room`);
+            
+            socket.emit('joined:admin', {
+              success: true,
+              message: 'Joined admin room successfully'
+            });
+          } else {
+            socket.emit('error', {
+              message: 'Unauthorized: users.manage permission required'
+            });
+          }
+        } catch (error) {
+          logger.error('Error joining admin room:', error);
           socket.emit('error', {
-            message: 'Unauthorized: Admin access required'
+            message: 'Failed to join admin room'
           });
         }
       });
@@ -0,0 +1,2 @@
+// Loaded by jest before every test file (see the jest section of package.json)
+process.env.NODE_ENV = 'test';
@@ -0,0 +1,57 @@
+jest.mock('../config/db', () => ({
+  executeQuery: jest.fn(),
+  executeTransaction: jest.fn(),
+  getDB: jest.fn(),
+  getDailyLogTableName: jest.fn(),
+  createDailyLogTable: jest.fn(),
+  tableExists: jest.fn()
+}));
+jest.mock('../config/redis', () => ({
+  getRedisClient: jest.fn()
+}));
+
+const { executeQuery } = require('../config/db');
+const verifyService = require('../services/verify.service');
+
+const scannedBy = { id: 3, username: 'gate1', role: 'bouncer' };
+
+describe('verification log results', () => {
+  beforeEach(() => {
+    executeQuery.mockResolvedValue([{ category: 'vip', pass_type: 'daily' }]);
+  });
+
+  test('an expired pass is logged as a failure with its validity window', async () => {
+    const validity = verifyService.checkValidityWindow({ valid_to: '2020-01-01 23:59:59' });
+    expect(validity.status).toBe('expired');
+
+    const { logData } = await verifyService.prepareVerificationLog('04A1B2C3', 'PASS-1', scannedBy, validity.status, null, validity.details);
+    const details = JSON.parse(logData.details);
+
+    expect(logData.result).toBe('failure');
+    expect(logData.error_message).toBeNull();
+    expect(details.message).toBe('Entry rejected - pass has expired');
+    expect(details.valid_to).toBe('2020-01-01 23:59:59');
+    expect(details.category).toBe('vip');
+  });
+
+  test('a pass that is not valid yet is logged as a failure', async () => {
+    const validity = verifyService.checkValidityWindow({ valid_from: '2099-01-01 00:00:00' });
+    expect(validity.status).toBe('not_yet_valid');
+
+    const { logData } = await verifyService.prepareVerificationLog('04A1B2C3', 'PASS-1', scannedBy, validity.status, null, validity.details);
+
+    expect(logData.result).toBe('failure');
+    expect(JSON.parse(logData.details).message).toBe('Entry rejected - pass is not valid yet');
+  });
+
+  test('a replaced card is logged as a failure', async () => {
+    const { logData } = await verifyService.prepareVerificationLog('04A1B2C3', 'PASS-1', scannedBy, 'replaced', null, {
+      replaced_at: '2026-05-01 10:00:00'
+    });
+    const details = JSON.parse(logData.details);
+
+    expect(logData.result).toBe('failure');
+    expect(details.message).toBe('Card was replaced and is no longer valid');
+    expect(details.replaced_at).toBe('2026-05-01 10:00:00');
+  });
+});
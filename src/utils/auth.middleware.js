@@ -2,6 +2,9 @@ const JWTService = require('../config/jwt');
 const UserModel = require('../models/user.model');
 const logger = require('./logger');
 const LoggingService = require('../services/logging.service');
+const deviceService = require('../services/device.service');
+const sessionService = require('../services/session.service');
+const permissionService = require('../services/permission.service');
 
 // Utility function to check token expiry
 const checkTokenExpiry = (token) => {
@@ -135,6 +138,93 @@ const checkInvalidTokenRateLimit = (ip) => {
   return attempts.count <= INVALID_TOKEN_LIMIT;
 };
 
+const tokenUserError = (message, code, statusCode, options = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  error.autoLogout = Boolean(options.autoLogout);
+  error.response = options.response || {};
+  error.logDetails = options.logDetails || null;
+  return error;
+};
+
+/**
+ * Checks a verified access token must still pass: the user exists and is active, a bound
+ * device is still trusted (or none is required) and the session has not been revoked.
+ * Shared by authenticateToken and socket authentication.
+ * @param {Object} decoded - Verified access token payload
+ * @returns {Promise<Object>} { user, device }
+ * @throws {Error} With code, statusCode, autoLogout and extra response fields
+ */
+const resolveTokenUser = async (decoded) => {
+  const user = await UserModel.findById(decoded.userId);
+  if (!user) {
+    throw tokenUserError('User not found', 'USER_NOT_FOUND', 401, {
+      logDetails: { details: `User ID ${decoded.userId} not found` }
+    });
+  }
+
+  if (user.status === 'blocked') {
+    logger.warn(`Blocked user ${user.username} (ID: ${user.id}) attempted access`);
+    throw tokenUserError('Your account has been blocked by Admin', 'USER_BLOCKED', 403, {
+      response: {
+        userStatus: user.status,
+        blockReason: user.block_reason,
+        blockedAt: user.blocked_at,
+        blockedBy: user.blocked_by
+      },
+      logDetails: {
+        details: `User is blocked. Reason: ${user.block_reason || 'No reason provided'}`,
+        user_id: user.id,
+        username: user.username
+      }
+    });
+  }
+
+  if (user.status !== 'active') {
+    logger.warn(`User ${user.username} (ID: ${user.id}) has status: ${user.status}`);
+    throw tokenUserError('User account is not active', 'USER_INACTIVE', 401, {
+      response: { userStatus: user.status },
+      logDetails: { details: `User status: ${user.status}`, user_id: user.id, username: user.username }
+    });
+  }
+
+  // Tokens issued to an enrolled device stop working once the device is disabled or re-enrolled
+  let device = null;
+  if (decoded.deviceId) {
+    try {
+      device = await deviceService.validateBoundDevice(decoded.deviceId, decoded.deviceTokenVersion);
+    } catch (deviceError) {
+      if (!deviceError.statusCode) {
+        throw deviceError;
+      }
+
+      logger.warn(`Token of user ${user.username} rejected: ${deviceError.message} (device ${decoded.deviceId})`);
+      throw tokenUserError(deviceError.message, deviceError.code, 403, {
+        autoLogout: true,
+        logDetails: {
+          details: deviceError.message,
+          user_id: user.id,
+          username: user.username,
+          device_id: decoded.deviceId
+        }
+      });
+    }
+  } else if (deviceService.isDeviceRequired(user.role)) {
+    throw tokenUserError('This account can only be used from an enrolled device', 'DEVICE_REQUIRED', 403, { autoLogout: true });
+  }
+
+  // Tokens of a revoked session (logout elsewhere, admin revoke, refresh token reuse) stop working
+  if (decoded.sid && await sessionService.isRevoked(decoded.sid)) {
+    throw tokenUserError('Session has been revoked', 'SESSION_REVOKED', 401, {
+      autoLogout: true,
+      response: { message: 'You have been signed out. Please login again.' }
+    });
+  }
+
+  return { user, device };
+};
+
 // Authentication middleware - verifies JWT token
 const authenticateToken = async (req, res, next) => {
   try {
@@ -319,66 +409,57 @@ const authenticateToken = async (req, res, next) => {
       });
     }
     
-    // Verify user still exists and is active
-    const user = await UserModel.findById(decoded.userId);
-    if (!user) {
-      // Log unauthorized attempt for non-existent user
-      try {
-        await LoggingService.logUnauthorizedAttempt(req, 'USER_NOT_FOUND', { details: `User ID ${decoded.userId} not found` });
-      } catch (logError) {
-        logger.error('Failed to log unauthorized attempt:', logError);
+    // Account, device and session checks shared with socket authentication
+    let user;
+    let device;
+    try {
+      ({ user, device } = await resolveTokenUser(decoded));
+    } catch (authError) {
+      if (!authError.statusCode) {
+        throw authError;
       }
-      
-      return res.status(401).json({ 
-        error: 'User not found',
-        code: 'USER_NOT_FOUND'
-      });
-    }
-    
-    // Check if user is blocked - return 403 Forbidden
-    if (user.status === 'blocked') {
-      logger.warn(`Blocked user ${user.username} (ID: ${user.id}) attempted access`);
-      
-      // Log unauthorized attempt for blocked user
-      try {
-        await LoggingService.logUnauthorizedAttempt(req, 'USER_BLOCKED', { 
-          details: `User is blocked. Reason: ${user.block_reason || 'No reason provided'}`,
-          user_id: user.id,
-          username: user.username
+
+      if (authError.logDetails) {
+        try {
+          await LoggingService.logUnauthorizedAttempt(req, authError.code, authError.logDetails);
+        } catch (logError) {
+          logger.error('Failed to log unauthorized attempt:', logError);
+        }
+      }
+
+      // Set special headers for auto logout
+      if (authError.autoLogout) {
+        res.set({
+          'X-Auth-Status': authError.code,
+          'X-Auto-Logout': 'true',
+          'X-Logout-Reason': authError.message
         });
-      } catch (logError) {
-        logger.error('Failed to log unauthorized attempt:', logError);
       }
-      
-      return res.status(403).json({ 
-        error: 'Your account has been blocked by Admin',
-        code: 'USER_BLOCKED',
-        userStatus: user.status,
-        blockReason: user.block_reason,
-        blockedAt: user.blocked_at,
-        blockedBy: user.blocked_by
+
+      return res.status(authError.statusCode).json({
+        error: authError.message,
+        code: authError.code,
+        ...(authError.autoLogout ? { autoLogout: true } : {}),
+        ...authError.response
       });
     }
-    
-    // Check if user is active
-    if (user.status !== 'active') {
-      logger.warn(`User ${user.username} (ID: ${user.id}) has status: ${user.status}`);
-      
-      // Log unauthorized attempt for inactive user
-      try {
-        await LoggingService.logUnauthorizedAttempt(req, 'USER_INACTIVE', { 
-          details: `User status: ${user.status}`,
-          user_id: user.id,
-          username: user.username
-        });
-      } catch (logError) {
-        logger.error('Failed to log unauthorized attempt:', logError);
-      }
-      
-      return res.status(401).json({ 
-        error: 'User account is not active',
-        code: 'USER_INACTIVE',
-        userStatus: user.status
+
+    if (device) {
+      deviceService.touch(device.id, {
+        app_version: req.headers['x-app-version'],
+        ip: req.ip,
+        user_id: user.id
+      });
+    }
+    if (decoded.sid) {
+      sessionService.touch(decoded.sid, req.ip);
+    }
+
+    // A password an admin set must be replaced before the account can be used
+    if (user.must_change_password && !req.allowPendingPasswordChange) {
+      return res.status(403).json({
+        error: 'You must change your password before continuing',
+        code: 'PASSWORD_CHANGE_REQUIRED'
       });
     }
 
@@ -389,6 +470,11 @@ const authenticateToken = async (req, res, next) => {
       role: user.role,
       status: user.status,
       assigned_category: user.assigned_category,
+      device_id: device ? device.id : null,
+      device: device ? { id: device.id, name: device.name, checkpoint_id: device.checkpoint_id } : null,
+      session_id: decoded.sid || null,
+      must_change_password: Boolean(user.must_change_password),
+      permissions: await permissionService.getRolePermissions(user.role)
     };
 
     next();
@@ -409,6 +495,12 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Marks routes usable while the user still has to change their password; place before authenticateToken
+const allowPendingPasswordChange = (req, res, next) => {
+  req.allowPendingPasswordChange = true;
+  next();
+};
+
 // Authorization middleware - checks user roles
 const authorizeRoles = (...allowedRoles) => {
   return async (req, res, next) => {
@@ -454,14 +546,85 @@ const authorizeRoles = (...allowedRoles) => {
   };
 };
 
-// Admin only middleware
-const adminOnly = authorizeRoles('admin');
+// Rejects a request that lacks permissions, logging the attempt like authorizeRoles
+const denyPermissions = async (req, res, requiredPermissions) => {
+  logger.warn(`Access denied for user ${req.user.username} with role ${req.user.role}. Required permissions: ${requiredPermissions.join(', ')}`);
+
+  await LoggingService.logUnauthorizedAttempt(
+    req.user,
+    req,
+    'INSUFFICIENT_PERMISSIONS',
+    `Role '${req.user.role}' lacks permissions: ${requiredPermissions.join(', ')}`
+  );
+
+  return res.status(403).json({
+    error: 'Insufficient permissions',
+    code: 'INSUFFICIENT_PERMISSIONS',
+    requiredPermissions,
+    userRole: req.user.role
+  });
+};
+
+// Authorization middleware - user's role must grant every listed permission
+const requirePermission = (...requiredPermissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          error: 'Authentication required',
+          code: 'AUTH_REQUIRED'
+        });
+      }
+
+      const granted = req.user.permissions || await permissionService.getRolePermissions(req.user.role);
+      const missing = requiredPermissions.filter(permission => !permissionService.hasPermission(granted, permission));
+      if (missing.length > 0) {
+        return await denyPermissions(req, res, missing);
+      }
+
+      next();
+    } catch (error) {
+      logger.error('Authorization error:', error);
+
+      await LoggingService.logApiError(req.user || null, req, error, 'authorization');
+
+      return res.status(500).json({
+        error: 'Authorization failed',
+        code: 'AUTH_ERROR'
+      });
+    }
+  };
+};
+
+// Authorization middleware - user's role must grant at least one of the listed permissions
+const requireAnyPermission = (...requiredPermissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          error: 'Authentication required',
+          code: 'AUTH_REQUIRED'
+        });
+      }
+
+      const granted = req.user.permissions || await permissionService.getRolePermissions(req.user.role);
+      if (!requiredPermissions.some(permission => permissionService.hasPermission(granted, permission))) {
+        return await denyPermissions(req, res, requiredPermissions);
+      }
+
+      next();
+    } catch (error) {
+      logger.error('Authorization error:', error);
 
-// Admin and Manager middleware
-const adminOrManager = authorizeRoles('admin', 'manager');
+      await LoggingService.logApiError(req.user || null, req, error, 'authorization');
 
-// All authenticated users (admin, manager, bouncer)
-const allRoles = authorizeRoles('admin', 'manager', 'bouncer');
+      return res.status(500).json({
+        error: 'Authorization failed',
+        code: 'AUTH_ERROR'
+      });
+    }
+  };
+};
 
 // Optional authentication - doesn't fail if no token provided
 const optionalAuth = async (req, res, next) => {
@@ -496,6 +659,14 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Permission needed for each resource type of checkResourceAccess
+const RESOURCE_PERMISSIONS = {
+  verification: 'verify.scan',
+  logs_read: 'logs.read',
+  user_management: 'users.manage',
+  system_settings: 'settings.write'
+};
+
 // Middleware to check if user can access specific resource
 const checkResourceAccess = (resourceType) => {
   return async (req, res, next) => {
@@ -509,37 +680,15 @@ const checkResourceAccess = (resourceType) => {
         });
       }
 
-      // Admin can access everything
-      if (user.role === 'admin') {
-        return next();
-      }
-
-      // Manager can access most resources
-      if (user.role === 'manager') {
-        // Managers cannot access user management or system settings
-        if (resourceType === 'user_management' || resourceType === 'system_settings') {
-          return res.status(403).json({ 
-            error: 'Insufficient permissions for this resource',
-            code: 'INSUFFICIENT_PERMISSIONS'
-          });
-        }
+      const permission = RESOURCE_PERMISSIONS[resourceType] || resourceType;
+      const granted = user.permissions || await permissionService.getRolePermissions(user.role);
+      if (permissionService.hasPermission(granted, permission)) {
         return next();
       }
 
-      // Bouncer can only access verification and logs
-      if (user.role === 'bouncer') {
-        if (resourceType === 'verification' || resourceType === 'logs_read') {
-          return next();
-        }
-        return res.status(403).json({ 
-          error: 'Insufficient permissions for this resource',
-          code: 'INSUFFICIENT_PERMISSIONS'
-        });
-      }
-
       return res.status(403).json({ 
-        error: 'Unknown role',
-        code: 'UNKNOWN_ROLE'
+        error: 'Insufficient permissions for this resource',
+        code: 'INSUFFICIENT_PERMISSIONS'
       });
     } catch (error) {
       logger.error('Resource access check error:', error);
@@ -584,10 +733,11 @@ const auditLog = (action) => {
 
 module.exports = {
   authenticateToken,
+  resolveTokenUser,
+  allowPendingPasswordChange,
   authorizeRoles,
-  adminOnly,
-  adminOrManager,
-  allRoles,
+  requirePermission,
+  requireAnyPermission,
   optionalAuth,
   checkResourceAccess,
   auditLog,
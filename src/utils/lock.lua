@@ -1,67 +1,84 @@
--- Redis Lua script for atomic pass verification and marking as used
--- This script ensures that a pass can only be marked as used once atomically
+-- Redis Lua script for fast-path pass verification
+-- Atomically checks blocked state, remaining uses and cooldown, consumes uses in
+-- Redis and queues the change so it is written to MySQL later (write-behind)
 
 -- KEYS[1]: active passes hash key (active:passes)
--- KEYS[2]: verify lock key prefix (lock:verify:)
--- KEYS[3]: uid of the pass
--- ARGV[1]: lock TTL in seconds
--- ARGV[2]: current timestamp
+-- KEYS[2]: blocked passes set key (blocked:passes)
+-- KEYS[3]: used counts hash key (usage:passes)
+-- KEYS[4]: uses not yet written to MySQL hash key (usage:pending)
+-- KEYS[5]: last consume time hash key (usage:last_used)
+-- KEYS[6]: write-behind queue list key (usage:queue)
+-- KEYS[7]: verify lock key of the transactional path for this uid (lock:verify:<uid>)
+-- ARGV[1]: uid of the pass
+-- ARGV[2]: number of uses to consume
+-- ARGV[3]: current timestamp in milliseconds
+-- ARGV[4]: cooldown in seconds (0 = none)
+-- ARGV[5]: queue entry (JSON)
+-- ARGV[6]: used_count from MySQL to seed the used counts with (empty = not loaded)
+--
+-- Returns {status, used_count, max_uses, retry_after_ms}
+-- status: ok | blocked | not_cached | locked | needs_seed | insufficient | cooldown
 
 local active_passes_key = KEYS[1]
-local lock_key_prefix = KEYS[2]
-local uid = KEYS[3]
-local lock_ttl = tonumber(ARGV[1]) or 10
-local current_time = ARGV[2]
+local blocked_passes_key = KEYS[2]
+local usage_key = KEYS[3]
+local pending_key = KEYS[4]
+local last_used_key = KEYS[5]
+local queue_key = KEYS[6]
+local lock_key = KEYS[7]
 
-local lock_key = lock_key_prefix .. uid
+local uid = ARGV[1]
+local consume_count = tonumber(ARGV[2]) or 1
+local current_time = tonumber(ARGV[3])
+local cooldown_ms = (tonumber(ARGV[4]) or 0) * 1000
+local queue_entry = ARGV[5]
+local seed_used_count = ARGV[6]
 
--- Try to acquire lock
-local lock_acquired = redis.call('SET', lock_key, '1', 'EX', lock_ttl, 'NX')
-if not lock_acquired then
-    return {"error", "lock_failed", "Another verification is in progress for this pass"}
+if redis.call('SISMEMBER', blocked_passes_key, uid) == 1 then
+    return {'blocked', 0, 0, 0}
 end
 
--- Get pass data from active passes hash
 local pass_data_json = redis.call('HGET', active_passes_key, uid)
 if not pass_data_json then
-    -- Release lock before returning
-    redis.call('DEL', lock_key)
-    return {"error", "not_found", "Pass not found in active cache"}
+    return {'not_cached', 0, 0, 0}
 end
 
--- Parse pass data
-local pass_data = cjson.decode(pass_data_json)
-
--- Check if pass is already used
-if pass_data.status == 'used' then
-    -- Release lock before returning
-    redis.call('DEL', lock_key)
-    return {"error", "already_used", "Pass has already been used"}
+-- The transactional path is working on this pass
+if redis.call('EXISTS', lock_key) == 1 then
+    return {'locked', 0, 0, 0}
 end
 
--- Check if pass is valid (not expired)
-if pass_data.valid_to then
-    local valid_to_timestamp = pass_data.valid_to
-    local current_timestamp = current_time
-    
-    -- Simple date comparison (assuming ISO format)
-    if valid_to_timestamp < current_timestamp then
-        -- Release lock before returning
-        redis.call('DEL', lock_key)
-        return {"error", "expired", "Pass has expired"}
+local pass_data = cjson.decode(pass_data_json)
+local max_uses = tonumber(pass_data.max_uses) or 1
+
+local used_count = redis.call('HGET', usage_key, uid)
+if used_count then
+    used_count = tonumber(used_count)
+else
+    if not seed_used_count or seed_used_count == '' then
+        return {'needs_seed', 0, max_uses, 0}
     end
+
+    -- Uses consumed here that are still queued are not in the MySQL count yet
+    local pending = tonumber(redis.call('HGET', pending_key, uid)) or 0
+    used_count = tonumber(seed_used_count) + pending
+    redis.call('HSET', usage_key, uid, used_count)
 end
 
--- Mark pass as used
-pass_data.status = 'used'
-pass_data.used_at = current_time
+if used_count + consume_count > max_uses then
+    return {'insufficient', used_count, max_uses, 0}
+end
 
--- Update pass data in Redis
-local updated_pass_data = cjson.encode(pass_data)
-redis.call('HSET', active_passes_key, uid, updated_pass_data)
+if cooldown_ms > 0 then
+    local last_used = tonumber(redis.call('HGET', last_used_key, uid))
+    if last_used and current_time - last_used < cooldown_ms then
+        return {'cooldown', used_count, max_uses, cooldown_ms - (current_time - last_used)}
+    end
+end
 
--- Release lock
-redis.call('DEL', lock_key)
+used_count = redis.call('HINCRBY', usage_key, uid, consume_count)
+redis.call('HINCRBY', pending_key, uid, consume_count)
+redis.call('HSET', last_used_key, uid, current_time)
+redis.call('RPUSH', queue_key, queue_entry)
 
--- Return success with pass data
-return {"success", pass_data.pass_id, pass_data.pass_db_id, pass_data.people_allowed, pass_data.category, pass_data.pass_type}
\ No newline at end of file
+return {'ok', used_count, max_uses, 0}
@@ -0,0 +1,71 @@
+-- Redis Lua script for atomic occupancy entry
+-- Checks the zone capacity and increments the zone, category and total counters in one step
+
+-- KEYS[1]: zone counters hash key (occupancy:zones)
+-- KEYS[2]: category counters hash key (occupancy:categories)
+-- KEYS[3]: total counter key (occupancy:total)
+-- KEYS[4]: per-pass occupancy hash key (occupancy:passes)
+-- ARGV[1]: uid of the pass
+-- ARGV[2]: zone id ('' when the scan is not bound to a zone)
+-- ARGV[3]: pass category
+-- ARGV[4]: number of people entering
+-- ARGV[5]: zone capacity (0 for unlimited)
+
+local zones_key = KEYS[1]
+local categories_key = KEYS[2]
+local total_key = KEYS[3]
+local passes_key = KEYS[4]
+local uid = ARGV[1]
+local zone = ARGV[2]
+local category = ARGV[3]
+local headcount = tonumber(ARGV[4]) or 1
+local capacity = tonumber(ARGV[5]) or 0
+
+local function decrement(key, field, amount)
+    local value = redis.call('HINCRBY', key, field, -amount)
+    if value < 0 then
+        redis.call('HSET', key, field, 0)
+    end
+end
+
+-- Check capacity before touching any counter
+local current = 0
+if zone ~= '' then
+    current = tonumber(redis.call('HGET', zones_key, zone) or '0')
+    if capacity > 0 and current + headcount > capacity then
+        return {"full", current}
+    end
+end
+
+-- A pass already counted in another zone has moved: release its previous headcount
+local previous = nil
+local previous_json = redis.call('HGET', passes_key, uid)
+if previous_json then
+    previous = cjson.decode(previous_json)
+    if previous.zone_id ~= zone then
+        if previous.zone_id ~= '' then
+            decrement(zones_key, previous.zone_id, previous.headcount)
+        end
+        decrement(categories_key, previous.category, previous.headcount)
+        local total = redis.call('DECRBY', total_key, previous.headcount)
+        if total < 0 then
+            redis.call('SET', total_key, 0)
+        end
+        previous = nil
+    end
+end
+
+-- Count the new entry
+if zone ~= '' then
+    current = redis.call('HINCRBY', zones_key, zone, headcount)
+end
+redis.call('HINCRBY', categories_key, category, headcount)
+redis.call('INCRBY', total_key, headcount)
+
+local inside = headcount
+if previous then
+    inside = inside + previous.headcount
+end
+redis.call('HSET', passes_key, uid, cjson.encode({headcount = inside, zone_id = zone, category = category}))
+
+return {"ok", current}
@@ -0,0 +1,52 @@
+-- Redis Lua script for atomic occupancy exit
+-- Decrements the counters recorded for a pass, never dropping below zero
+
+-- KEYS[1]: zone counters hash key (occupancy:zones)
+-- KEYS[2]: category counters hash key (occupancy:categories)
+-- KEYS[3]: total counter key (occupancy:total)
+-- KEYS[4]: per-pass occupancy hash key (occupancy:passes)
+-- ARGV[1]: uid of the pass
+-- ARGV[2]: number of people leaving (0 for everyone recorded on the pass)
+
+local zones_key = KEYS[1]
+local categories_key = KEYS[2]
+local total_key = KEYS[3]
+local passes_key = KEYS[4]
+local uid = ARGV[1]
+local requested = tonumber(ARGV[2]) or 0
+
+local record_json = redis.call('HGET', passes_key, uid)
+if not record_json then
+    return {"not_inside", 0}
+end
+
+local record = cjson.decode(record_json)
+local leaving = record.headcount
+if requested > 0 and requested < leaving then
+    leaving = requested
+end
+
+local function decrement(key, field, amount)
+    local value = redis.call('HINCRBY', key, field, -amount)
+    if value < 0 then
+        redis.call('HSET', key, field, 0)
+    end
+end
+
+if record.zone_id ~= '' then
+    decrement(zones_key, record.zone_id, leaving)
+end
+decrement(categories_key, record.category, leaving)
+local total = redis.call('DECRBY', total_key, leaving)
+if total < 0 then
+    redis.call('SET', total_key, 0)
+end
+
+if leaving >= record.headcount then
+    redis.call('HDEL', passes_key, uid)
+else
+    record.headcount = record.headcount - leaving
+    redis.call('HSET', passes_key, uid, cjson.encode(record))
+end
+
+return {"ok", leaving}
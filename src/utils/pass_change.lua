@@ -0,0 +1,88 @@
+-- Redis Lua script for recording pass cache changes for offline scanner devices
+-- Applies a change to the active/blocked pass caches and, when something actually
+-- changed, appends it to the change feed under the next sequence number
+
+-- KEYS[1]: active passes hash key (active:passes)
+-- KEYS[2]: blocked passes set key (blocked:passes)
+-- KEYS[3]: sequence counter key (offline:seq)
+-- KEYS[4]: change feed sorted set key (offline:changes), scored by sequence number
+-- KEYS[5]: feed floor key (offline:floor), changes at or below it are no longer available
+-- ARGV[1]: operation (upsert, remove, block, unblock)
+-- ARGV[2]: uid of the pass
+-- ARGV[3]: pass JSON for upsert ('' otherwise)
+-- ARGV[4]: pass category ('' if unknown)
+-- ARGV[5]: maximum number of changes kept in the feed
+
+local active_key = KEYS[1]
+local blocked_key = KEYS[2]
+local seq_key = KEYS[3]
+local changes_key = KEYS[4]
+local floor_key = KEYS[5]
+local op = ARGV[1]
+local uid = ARGV[2]
+local data = ARGV[3]
+local category = ARGV[4]
+local max_changes = tonumber(ARGV[5]) or 10000
+
+local function category_of(pass_json)
+    local ok, decoded = pcall(cjson.decode, pass_json)
+    if ok and type(decoded) == 'table' and type(decoded.category) == 'string' then
+        return decoded.category
+    end
+    return ''
+end
+
+local previous_category = ''
+
+if op == 'upsert' then
+    local existing = redis.call('HGET', active_key, uid)
+    if existing == data then
+        return 0
+    end
+    if existing then
+        previous_category = category_of(existing)
+    end
+    redis.call('HSET', active_key, uid, data)
+elseif op == 'remove' then
+    local existing = redis.call('HGET', active_key, uid)
+    if not existing then
+        return 0
+    end
+    if category == '' then
+        category = category_of(existing)
+    end
+    redis.call('HDEL', active_key, uid)
+elseif op == 'block' then
+    if redis.call('SADD', blocked_key, uid) == 0 then
+        return 0
+    end
+elseif op == 'unblock' then
+    if redis.call('SREM', blocked_key, uid) == 0 then
+        return 0
+    end
+else
+    return redis.error_reply('Unknown pass change operation: ' .. op)
+end
+
+local seq = redis.call('INCR', seq_key)
+local change = {
+    seq = seq,
+    op = op,
+    uid = uid,
+    category = category,
+    previous_category = previous_category
+}
+if op == 'upsert' then
+    change.pass = cjson.decode(data)
+end
+redis.call('ZADD', changes_key, seq, cjson.encode(change))
+
+-- Trim the feed; devices that fall behind the floor must download a full bundle
+local size = redis.call('ZCARD', changes_key)
+if size > max_changes then
+    redis.call('ZREMRANGEBYRANK', changes_key, 0, size - max_changes - 1)
+    local oldest = redis.call('ZRANGE', changes_key, 0, 0, 'WITHSCORES')
+    redis.call('SET', floor_key, tonumber(oldest[2]) - 1)
+end
+
+return seq
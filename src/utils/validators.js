@@ -1,5 +1,6 @@
 const { body, query, param, validationResult } = require('express-validator');
 const moment = require('moment');
+const passwordPolicy = require('../services/password-policy.service');
 
 // Helper function to handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -98,7 +99,15 @@ const bulkCreatePassValidation = [
       }
       
       return true;
-    })
+    }),
+  body('valid_from')
+    .optional({ nullable: true })
+    .custom(isValidDate)
+    .withMessage('Valid from must be a valid date'),
+  body('valid_to')
+    .optional({ nullable: true })
+    .custom(isValidDate)
+    .withMessage('Valid to must be a valid date')
 ];
 
 // Verification validation rules
@@ -116,7 +125,89 @@ const verifyPassValidation = [
     .optional()
     .trim()
     .isLength({ max: 128 })
-    .withMessage('Device local ID must be less than 128 characters')
+    .withMessage('Device local ID must be less than 128 characters'),
+  body('direction')
+    .optional()
+    .isIn(['entry', 'exit'])
+    .withMessage('Direction must be entry or exit'),
+  body('checkpoint_id')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Checkpoint ID must be a positive integer'),
+  body('override_anti_passback')
+    .optional()
+    .isBoolean()
+    .withMessage('override_anti_passback must be a boolean'),
+  body('override_reason')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Override reason must be less than 255 characters'),
+  body('payload')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 1024 })
+    .withMessage('Payload must be a string of at most 1024 characters')
+];
+
+const verifyBatchValidation = [
+  body('scanned_by')
+    .isInt({ min: 1 })
+    .withMessage('Scanned by must be a valid user ID'),
+  body('checkpoint_id')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Checkpoint ID must be a positive integer'),
+  body('scans')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Scans must be an array with 1-100 items'),
+  body('scans.*.uid')
+    .trim()
+    .isLength({ min: 4, max: 128 })
+    .withMessage('Each UID must be between 4 and 128 characters')
+    .custom(isValidUID)
+    .withMessage('Each UID must contain only alphanumeric characters'),
+  body('scans.*.device_local_id')
+    .optional()
+    .trim()
+    .isLength({ max: 128 })
+    .withMessage('Each device local ID must be less than 128 characters'),
+  body('scans.*.direction')
+    .optional()
+    .isIn(['entry', 'exit'])
+    .withMessage('Each direction must be entry or exit'),
+  body('scans.*.payload')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 1024 })
+    .withMessage('Each payload must be a string of at most 1024 characters')
+];
+
+// Dry-run verification (support staff); scanned_by defaults to the caller
+const explainVerificationValidation = [
+  body('uid')
+    .trim()
+    .isLength({ min: 4, max: 128 })
+    .withMessage('UID must be between 4 and 128 characters')
+    .custom(isValidUID)
+    .withMessage('UID must contain only alphanumeric characters'),
+  body('scanned_by')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Scanned by must be a valid user ID'),
+  body('direction')
+    .optional()
+    .isIn(['entry', 'exit'])
+    .withMessage('Direction must be entry or exit'),
+  body('checkpoint_id')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Checkpoint ID must be a positive integer'),
+  body('payload')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 1024 })
+    .withMessage('Payload must be a string of at most 1024 characters')
 ];
 
 const syncLogsValidation = [
@@ -135,7 +226,20 @@ const syncLogsValidation = [
     .withMessage('Each result must be valid, invalid, blocked, or duplicate'),
   body('logs.*.scanned_at')
     .custom(isValidDate)
-    .withMessage('Each scanned_at must be a valid date')
+    .withMessage('Each scanned_at must be a valid date'),
+  body('logs.*.consumed_count')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Each consumed_count must be between 1 and 100'),
+  body('logs.*.direction')
+    .optional()
+    .isIn(['entry', 'exit'])
+    .withMessage('Each direction must be entry or exit'),
+  body('logs.*.device_local_id')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 128 })
+    .withMessage('Each device local ID must be between 1 and 128 characters')
 ];
 
 // Query validation rules
@@ -181,7 +285,46 @@ const statsQueryValidation = [
     .optional()
     .trim()
     .isLength({ min: 1, max: 100 })
-    .withMessage('Category must be between 1 and 100 characters')
+    .withMessage('Category must be between 1 and 100 characters'),
+  query('zone_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Zone ID must be a positive integer')
+];
+
+const passListQueryValidation = [
+  query('validity')
+    .optional()
+    .isIn(['current', 'upcoming', 'expired'])
+    .withMessage('Validity must be current, upcoming, or expired'),
+  query('valid_on')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Valid on must be in YYYY-MM-DD format'),
+  query('expires_before')
+    .optional()
+    .custom(isValidDate)
+    .withMessage('Expires before must be a valid date')
+];
+
+const PASS_EVENT_TYPES = [
+  'created', 'verified', 'prompt_consumed', 'blocked', 'unblocked', 'reset',
+  'category_changed', 'uid_replaced', 'expired', 'deleted'
+];
+
+const passTimelineQueryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200'),
+  query('type')
+    .optional()
+    .custom(value => String(value).split(',').every(type => PASS_EVENT_TYPES.includes(type.trim())))
+    .withMessage(`Type must be a comma-separated list of: ${PASS_EVENT_TYPES.join(', ')}`)
 ];
 
 // Parameter validation rules
@@ -203,6 +346,41 @@ const resetPassValidation = [
     .withMessage('Reset by must be a valid user ID')
 ];
 
+const replaceUidValidation = [
+  body('new_uid')
+    .trim()
+    .isLength({ min: 4, max: 128 })
+    .withMessage('New UID must be between 4 and 128 characters')
+    .custom(isValidUID)
+    .withMessage('New UID must contain only alphanumeric characters'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Reason must be less than 255 characters')
+];
+
+const changeCategoryValidation = [
+  body('category')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Category must be between 1 and 100 characters'),
+  body('usage')
+    .optional()
+    .isIn(['keep', 'carry_remaining', 'reset'])
+    .withMessage('Usage must be keep, carry_remaining, or reset'),
+  body('max_uses')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 999999 })
+    .withMessage('Max uses must be between 1 and 999999')
+    .toInt(),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Reason must be less than 255 characters')
+];
+
 // Daily reset validation
 const dailyResetValidation = [
   body('date')
@@ -214,6 +392,15 @@ const dailyResetValidation = [
     .withMessage('Confirmation required for daily reset')
 ];
 
+// Password rules are configurable, so they live in the password policy service
+const meetsPasswordPolicy = (value, { req }) => {
+  const errors = passwordPolicy.validate(value, { username: req.body.username });
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+  return true;
+};
+
 // User validation rules
 const createUserValidation = [
   body('username')
@@ -223,11 +410,12 @@ const createUserValidation = [
     .matches(/^[a-zA-Z0-9_-]+$/)
     .withMessage('Username can only contain letters, numbers, hyphens, and underscores'),
   body('password')
-    .isLength({ min: 6, max: 128 })
-    .withMessage('Password must be between 6 and 128 characters'),
+    .custom(meetsPasswordPolicy),
   body('role')
-    .isIn(['admin', 'manager', 'bouncer'])
-    .withMessage('Role must be admin, manager, or bouncer'),
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Role is required'),
   body('status')
     .optional()
     .isIn(['active', 'blocked', 'deleted'])
@@ -244,12 +432,13 @@ const updateUserValidation = [
     .withMessage('Username can only contain letters, numbers, hyphens, and underscores'),
   body('password')
     .optional()
-    .isLength({ min: 6, max: 128 })
-    .withMessage('Password must be between 6 and 128 characters'),
+    .custom(meetsPasswordPolicy),
   body('role')
     .optional()
-    .isIn(['admin', 'manager', 'bouncer'])
-    .withMessage('Role must be admin, manager, or bouncer'),
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Role must be a role name'),
   body('status')
     .optional()
     .isIn(['active', 'blocked', 'deleted'])
@@ -278,12 +467,15 @@ const validateUser = (userData) => {
     errors.push('Username must be at least 3 characters long');
   }
   
-  if (!userData.password || userData.password.length < 6) {
-    errors.push('Password must be at least 6 characters long');
+  if (!userData.password) {
+    errors.push('Password is required');
+  } else {
+    errors.push(...passwordPolicy.validate(userData.password, { username: userData.username }));
   }
   
-  if (!userData.role || !['admin', 'manager', 'bouncer'].includes(userData.role)) {
-    errors.push('Role must be admin, manager, or bouncer');
+  // Whether the role exists is checked against the roles table when it is assigned
+  if (!userData.role || typeof userData.role !== 'string') {
+    errors.push('Role is required');
   }
   
   if (userData.status && !['active', 'blocked', 'deleted'].includes(userData.status)) {
@@ -303,12 +495,12 @@ const validateUserUpdate = (userData) => {
     errors.push('Username must be at least 3 characters long');
   }
   
-  if (userData.password && userData.password.length < 6) {
-    errors.push('Password must be at least 6 characters long');
+  if (userData.password) {
+    errors.push(...passwordPolicy.validate(userData.password, { username: userData.username }));
   }
   
-  if (userData.role && !['admin', 'manager', 'bouncer'].includes(userData.role)) {
-    errors.push('Role must be admin, manager, or bouncer');
+  if (userData.role !== undefined && (typeof userData.role !== 'string' || !userData.role)) {
+    errors.push('Role must be a role name');
   }
   
   if (userData.status && !['active', 'blocked', 'deleted'].includes(userData.status)) {
@@ -349,11 +541,17 @@ module.exports = {
   createPassValidation,
   bulkCreatePassValidation,
   verifyPassValidation,
+  verifyBatchValidation,
+  explainVerificationValidation,
   syncLogsValidation,
   logsQueryValidation,
   statsQueryValidation,
+  passListQueryValidation,
+  passTimelineQueryValidation,
   passIdValidation,
   resetPassValidation,
+  replaceUidValidation,
+  changeCategoryValidation,
   dailyResetValidation,
   createUserValidation,
   updateUserValidation,